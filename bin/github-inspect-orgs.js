@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+'use strict';
+
+const GitHubInspectOrgsCLI = require('../dist/cli/GitHubInspectOrgsCLI.js').default;
+
+new GitHubInspectOrgsCLI().run(process.argv.slice(2)).then((exitCode) => { process.exitCode = exitCode; });
@@ -4,9 +4,10 @@
 import gulp       from 'gulp';
 import gulpTasks  from 'typhonjs-core-gulptasks';
 
-// Import all tasks and set `rootPath` to the base project path and `srcGlob` to all JS sources in `./src`.
+// Import all tasks and set `rootPath` to the base project path and `srcGlob` to all JS sources in `./bin`, `./src`
+// and `./test/src`.
 gulpTasks(gulp,
 {
    rootPath: __dirname,
-   srcGlob: ['./src/**/*.js', './test/src/**/*.js']
+   srcGlob: ['./bin/**/*.js', './src/**/*.js', './test/src/**/*.js']
 });
@@ -0,0 +1,264 @@
+'use strict';
+
+import fs                  from 'fs';
+import yaml                from 'js-yaml';
+import path                from 'path';
+
+import ConfigSchema        from './schema/ConfigSchema.js';
+import SchemaValidator     from './schema/SchemaValidator.js';
+
+/**
+ * ConfigLoader -- Loads the `GitHubInspectOrgs` configuration from a JSON, YAML or JS file or an object hash. Used by
+ * `GitHubInspectOrgs.fromConfig` and the `github-inspect-orgs` CLI.
+ *
+ * The configuration contains either the options of the `GitHubInspectOrgs` constructor or just the `organizations`
+ * array. The file format is determined by the extension: `.json`, `.yaml` / `.yml` or `.js` which exports the
+ * configuration by `module.exports` or `export default`.
+ *
+ * String values may reference environment variables by `${ENV_VAR}`. Credentials may also reference a file by
+ * `file:<path>` where the path is relative to the configuration file (or the current working directory for an object
+ * hash) and the trimmed contents of the file is the credential:
+ * ```
+ * organizations:
+ *   - credential: ${GITHUB_OWNER_TOKEN}
+ *     owner: typhonjs-test
+ *     regex: ^test
+ *   - credential: file:./token.user
+ *     owner: typhonjs-test2
+ *     orgs: [test-org-typhonjs]
+ * ```
+ *
+ * The resolved configuration is validated against `ConfigSchema`. An invalid configuration throws an `Error` where
+ * `name` is `ConfigError` containing `errors` with a message for each invalid value; IE
+ * `organizations[0].credential: is required.`
+ */
+export default class ConfigLoader
+{
+   /**
+    * Loads, resolves and validates a configuration.
+    *
+    * @param {string|object|Array}  pathOrObject - A configuration file path, configuration object hash or
+    *                                              `organizations` array.
+    *
+    * @param {object}               options - Optional parameters.
+    * ```
+    * (string)    basePath - The directory `file:` references are resolved from; default (the directory of the
+    *                        configuration file or process.cwd()).
+    * (object)    env - The environment variables; default (process.env).
+    * ```
+    *
+    * @returns {object} - The options of the `GitHubInspectOrgs` constructor.
+    */
+   static load(pathOrObject, options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`load error: 'options' is not an 'object'.`); }
+
+      let basePath = process.cwd();
+      let config = pathOrObject;
+      let source = 'configuration';
+
+      if (typeof pathOrObject === 'string')
+      {
+         const resolvedPath = path.resolve(pathOrObject);
+
+         basePath = path.dirname(resolvedPath);
+         config = ConfigLoader.read(resolvedPath);
+         source = `configuration '${resolvedPath}'`;
+      }
+
+      if (Array.isArray(config)) { config = { organizations: config }; }
+
+      if (typeof config !== 'object' || config === null)
+      {
+         throw s_CONFIG_ERROR(`${source} is not an 'object' or 'Array'.`, []);
+      }
+
+      const errors = [];
+
+      config = s_RESOLVE(config, '',
+      {
+         basePath: typeof options.basePath === 'string' ? options.basePath : basePath,
+         env: typeof options.env === 'object' ? options.env : process.env,
+         errors
+      });
+
+      errors.push(...ConfigLoader.validate(config));
+
+      if (errors.length > 0)
+      {
+         throw s_CONFIG_ERROR(`invalid ${source}:\n${errors.map((error) => { return `   ${error}`; }).join('\n')}`,
+          errors);
+      }
+
+      return config;
+   }
+
+   /**
+    * Reads a configuration file without resolving references or validation.
+    *
+    * @param {string}   filePath - A `.json`, `.yaml`, `.yml` or `.js` file.
+    *
+    * @returns {*}
+    */
+   static read(filePath)
+   {
+      /* istanbul ignore if */
+      if (typeof filePath !== 'string') { throw new TypeError(`read error: 'filePath' is not a 'string'.`); }
+
+      const resolvedPath = path.resolve(filePath);
+      const extension = path.extname(resolvedPath).toLowerCase();
+
+      try
+      {
+         switch (extension)
+         {
+            case '.js':
+            {
+               const config = require(resolvedPath);
+
+               return typeof config === 'object' && config !== null && typeof config.default !== 'undefined' ?
+                config.default : config;
+            }
+
+            case '.yaml':
+            case '.yml':
+               return yaml.safeLoad(fs.readFileSync(resolvedPath, 'utf-8'), { filename: resolvedPath });
+
+            default:
+               return JSON.parse(fs.readFileSync(resolvedPath, 'utf-8'));
+         }
+      }
+      catch (err)
+      {
+         throw s_CONFIG_ERROR(`could not load configuration '${resolvedPath}': ${err.message}`, []);
+      }
+   }
+
+   /**
+    * Validates a resolved configuration against `ConfigSchema`.
+    *
+    * @param {object}   config - The options of the `GitHubInspectOrgs` constructor.
+    *
+    * @returns {Array<string>} - The validation errors; empty when the configuration is valid.
+    */
+   static validate(config)
+   {
+      const errors = SchemaValidator.validate(ConfigSchema, config);
+
+      // Entries discover organizations by `regex` unless organizations or user accounts are listed.
+      if (errors.length === 0)
+      {
+         config.organizations.forEach((organization, index) =>
+         {
+            if (typeof organization.regex === 'undefined' && !Array.isArray(organization.orgs) &&
+             !Array.isArray(organization.users))
+            {
+               errors.push(`organizations[${index}]: requires 'regex', 'orgs' or 'users'.`);
+            }
+         });
+      }
+
+      return errors;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Creates a configuration error.
+ *
+ * @param {string}         message - The error message.
+ * @param {Array<string>}  errors - The validation errors.
+ *
+ * @returns {Error}
+ */
+const s_CONFIG_ERROR = (message, errors) =>
+{
+   const error = new Error(`fromConfig error: ${message}`);
+
+   error.name = 'ConfigError';
+   error.errors = errors;
+
+   return error;
+};
+
+/**
+ * Returns true if the value is a plain object hash or array which is copied while resolving references. Class
+ * instances such as a logger or cache are kept as is.
+ *
+ * @param {*}  value - A value.
+ *
+ * @returns {boolean}
+ */
+const s_IS_PLAIN = (value) =>
+{
+   if (Array.isArray(value)) { return true; }
+
+   if (typeof value !== 'object' || value === null) { return false; }
+
+   const prototype = Object.getPrototypeOf(value);
+
+   return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Returns a copy of a configuration value with `${ENV_VAR}` and credential `file:` references resolved.
+ *
+ * @param {*}        value - A configuration value.
+ * @param {string}   keyPath - The path of the value.
+ * @param {object}   context - Contains `basePath`, `env` and `errors`.
+ *
+ * @returns {*}
+ */
+const s_RESOLVE = (value, keyPath, context) =>
+{
+   if (Array.isArray(value))
+   {
+      return value.map((entry, index) => { return s_RESOLVE(entry, `${keyPath}[${index}]`, context); });
+   }
+
+   if (s_IS_PLAIN(value))
+   {
+      const resolved = {};
+
+      for (const key in value)
+      {
+         if (value.hasOwnProperty(key))
+         {
+            resolved[key] = s_RESOLVE(value[key], keyPath === '' ? key : `${keyPath}.${key}`, context);
+         }
+      }
+
+      return resolved;
+   }
+
+   if (typeof value !== 'string') { return value; }
+
+   let resolved = value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) =>
+   {
+      if (typeof context.env[name] !== 'string')
+      {
+         context.errors.push(`${keyPath}: environment variable '${name}' is not set.`);
+         return '';
+      }
+
+      return context.env[name];
+   });
+
+   if ((/(^|\.)credential$/).test(keyPath) && resolved.startsWith('file:'))
+   {
+      const filePath = path.resolve(context.basePath, resolved.substring(5));
+
+      try
+      {
+         resolved = fs.readFileSync(filePath, 'utf-8').trim();
+      }
+      catch (err)
+      {
+         context.errors.push(`${keyPath}: could not read credential file '${filePath}'.`);
+      }
+   }
+
+   return resolved;
+};
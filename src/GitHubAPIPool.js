@@ -0,0 +1,548 @@
+'use strict';
+
+import crypto             from 'crypto';
+import GitHubAPI          from 'github';
+import GitHubError        from 'github/error';
+import http               from 'http';
+import url                from 'url';
+
+import RateLimitScheduler from './RateLimitScheduler.js';
+import HTTPTransport      from './transport/HTTPTransport.js';
+
+/**
+ * GitHubAPIPool -- Provides a credential keyed pool of GitHub API clients. The GitHub API stores authentication state
+ * on the client instance via `authenticate()`, so sharing a single instance across asynchronous queries made on behalf
+ * of different credentials may send a request with the wrong credential. Each distinct credential receives an
+ * isolated client that is authenticated once when created and never re-authenticated.
+ *
+ * All requests made by the clients are sent through a pluggable transport; see `HTTPTransport` for the transport
+ * interface. Each request is budgeted against the rate limit of its credential by a `RateLimitScheduler`. A
+ * `request-timing` event containing the `endpoint`, `status` and `duration` in milliseconds is logged at the `debug`
+ * level for every request sent.
+ *
+ * When a cache is provided the body and `ETag` / `Last-Modified` headers of every successful `GET` response are stored
+ * and subsequent requests are sent with `If-None-Match` / `If-Modified-Since`. A `304 Not Modified` response does not
+ * count against the rate limit and is answered from the cache. Cache keys are a SHA-256 hash of the credential, URL and
+ * media type, so responses are never shared between credentials. See `MemoryCache` for the cache interface.
+ */
+export default class GitHubAPIPool
+{
+   /**
+    * Stores the GitHub API options used to create each client and the transport used for all requests.
+    *
+    * @param {object}             apiOptions - Options passed to the GitHub API constructor for each client created.
+    * @param {object}             transport - The transport which sends all requests; default (HTTPTransport).
+    * @param {RateLimitScheduler} scheduler - Budgets all requests per credential; default (RateLimitScheduler).
+    * @param {function}           log - Invoked with a level and an event object hash for every request sent.
+    * @param {object|null}        cache - Stores responses for conditional requests; default (null) is no caching.
+    */
+   constructor(apiOptions = {}, transport = new HTTPTransport(), scheduler = new RateLimitScheduler(), log = () => {},
+    cache = null)
+   {
+      /* istanbul ignore if */
+      if (typeof apiOptions !== 'object') { throw new TypeError(`ctor error: 'apiOptions' is not an 'object'.`); }
+
+      /* istanbul ignore if */
+      if (typeof transport !== 'object' || typeof transport.request !== 'function')
+      {
+         throw new TypeError(`ctor error: 'transport' does not have a 'request' function.`);
+      }
+
+      /* istanbul ignore if */
+      if (!(scheduler instanceof RateLimitScheduler))
+      {
+         throw new TypeError(`ctor error: 'scheduler' is not an instance of 'RateLimitScheduler'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof log !== 'function') { throw new TypeError(`ctor error: 'log' is not a 'function'.`); }
+
+      /* istanbul ignore if */
+      if (cache !== null && !GitHubAPIPool.isValidCache(cache))
+      {
+         throw new TypeError(`ctor error: 'cache' does not have 'get' and 'set' functions.`);
+      }
+
+      /**
+       * Options passed to the GitHub API constructor for each client created.
+       *
+       * @type {object}
+       * @private
+       */
+      this._apiOptions = apiOptions;
+
+      /**
+       * Stores responses for conditional requests or null when caching is disabled.
+       *
+       * @type {object|null}
+       * @private
+       */
+      this._cache = cache;
+
+      /**
+       * Stores the GitHub API clients indexed by credential key.
+       *
+       * @type {object}
+       * @private
+       */
+      this._clients = {};
+
+      /**
+       * Invoked with a level and an event object hash for every request sent.
+       *
+       * @type {function}
+       * @private
+       */
+      this._log = log;
+
+      /**
+       * Budgets all requests per credential.
+       *
+       * @type {RateLimitScheduler}
+       * @private
+       */
+      this._scheduler = scheduler;
+
+      /**
+       * The transport which sends all requests.
+       *
+       * @type {object}
+       * @private
+       */
+      this._transport = transport;
+   }
+
+   /**
+    * Returns true if the given value is a valid cache; an object with `get` and `set` functions.
+    *
+    * @param {*}  cache - Value to test.
+    *
+    * @returns {boolean}
+    */
+   static isValidCache(cache)
+   {
+      return typeof cache === 'object' && cache !== null && typeof cache.get === 'function' &&
+       typeof cache.set === 'function';
+   }
+
+   /**
+    * Returns the GitHub API client for the given credential creating and authenticating a new client if one does not
+    * exist yet for the credential.
+    *
+    * @param {object}   credential - A GitHub credential object hash of type `basic` or `oauth`.
+    *
+    * @returns {object} GitHub API client authenticated for the given credential.
+    */
+   getAPI(credential)
+   {
+      /* istanbul ignore if */
+      if (typeof credential !== 'object') { throw new TypeError(`getAPI error: 'credential' is not an 'object'.`); }
+
+      const key = s_GET_CREDENTIAL_KEY(credential);
+
+      let githubAPI = this._clients[key];
+
+      if (typeof githubAPI === 'undefined')
+      {
+         // The GitHub API modifies the options passed in, so each client receives its own copy.
+         const apiOptions = Object.assign({}, this._apiOptions);
+         apiOptions.headers = Object.assign({}, this._apiOptions.headers);
+
+         githubAPI = new GitHubAPI(apiOptions);
+         githubAPI.authenticate(credential);
+
+         // Route all requests through the rate limit scheduler and transport.
+         githubAPI.httpSend = s_CREATE_HTTP_SEND(githubAPI, this, key);
+
+         this._clients[key] = githubAPI;
+      }
+
+      return githubAPI;
+   }
+
+   /**
+    * Returns the last known rate limit for the given credential or undefined if no response is received yet.
+    *
+    * @param {object}   credential - A GitHub credential object hash of type `basic` or `oauth`.
+    *
+    * @returns {{limit: number, remaining: number, reset: number}|undefined}
+    */
+   getRateLimit(credential)
+   {
+      /* istanbul ignore if */
+      if (typeof credential !== 'object')
+      {
+         throw new TypeError(`getRateLimit error: 'credential' is not an 'object'.`);
+      }
+
+      return this._scheduler.getRateLimit(s_GET_CREDENTIAL_KEY(credential));
+   }
+
+   /**
+    * Returns the cache storing responses for conditional requests or null when caching is disabled.
+    *
+    * @returns {object|null}
+    */
+   get cache()
+   {
+      return this._cache;
+   }
+
+   /**
+    * Returns the rate limit scheduler which budgets all requests per credential.
+    *
+    * @returns {RateLimitScheduler}
+    */
+   get scheduler()
+   {
+      return this._scheduler;
+   }
+
+   /**
+    * Returns the transport which sends all requests.
+    *
+    * @returns {object}
+    */
+   get transport()
+   {
+      return this._transport;
+   }
+
+   /**
+    * Returns the number of GitHub API clients in the pool.
+    *
+    * @returns {number}
+    */
+   get size()
+   {
+      return Object.keys(this._clients).length;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Headers of a `304 Not Modified` response which replace the headers of the cached response.
+ * @type {string[]}
+ */
+const s_REVALIDATED_HEADERS = ['date', 'etag', 'last-modified', 'x-ratelimit-limit', 'x-ratelimit-remaining',
+ 'x-ratelimit-reset'];
+
+/**
+ * Creates the response for a `304 Not Modified` response from the cached response. The current rate limit headers
+ * are kept, so the rate limit scheduler is updated.
+ *
+ * @param {object}   entry - The cache entry.
+ * @param {object}   response - The `304 Not Modified` transport response.
+ *
+ * @returns {{statusCode: number, headers: object, body: string}}
+ */
+const s_CREATE_CACHED_RESPONSE = (entry, response) =>
+{
+   const headers = Object.assign({}, entry.headers);
+   const responseHeaders = response.headers || {};
+
+   for (let cntr = 0; cntr < s_REVALIDATED_HEADERS.length; cntr++)
+   {
+      const headerName = s_REVALIDATED_HEADERS[cntr];
+
+      if (typeof responseHeaders[headerName] !== 'undefined') { headers[headerName] = responseHeaders[headerName]; }
+   }
+
+   return { statusCode: entry.statusCode, headers, body: entry.body };
+};
+
+/**
+ * Returns the transport request options hash including `If-None-Match` / `If-Modified-Since` when a cache entry exists.
+ *
+ * @param {object}   requestOptions - A transport request options hash.
+ * @param {object}   entry - The cache entry or undefined.
+ *
+ * @returns {object}
+ */
+const s_CREATE_CONDITIONAL_OPTIONS = (requestOptions, entry) =>
+{
+   if (typeof entry !== 'object') { return requestOptions; }
+
+   const headers = Object.assign({}, requestOptions.headers);
+
+   if (entry.etag) { headers['if-none-match'] = entry.etag; }
+   else if (entry.lastModified) { headers['if-modified-since'] = entry.lastModified; }
+
+   return Object.assign({}, requestOptions, { headers });
+};
+
+/**
+ * Creates a replacement for `httpSend` of a GitHub API client which sends requests through the given transport instead
+ * of directly through `http` / `https`. The request URL, headers and authentication are created in the same manner as
+ * the GitHub API except that OAuth tokens are sent in the `Authorization` header instead of the query string. The
+ * callback receives the same response / error values as the original `httpSend`. Requests are sent when the rate limit
+ * scheduler allows; `/rate_limit` requests do not count against the rate limit and are always sent. GitHub no longer
+ * sends a `Status` header, so it is added from the status code as the GitHub API copies it to `meta.status`. All errors
+ * receive an `endpoint` string containing the method and path of the request. The time between sending the request and
+ * receiving the response is logged as a `request-timing` event. `GET` requests except `/rate_limit` are conditional
+ * when a cache is provided.
+ *
+ * @param {object}             githubAPI - The GitHub API client.
+ * @param {GitHubAPIPool}      githubAPIPool - The pool providing the transport, scheduler, log function and cache.
+ * @param {string}             key - The credential key of the GitHub API client.
+ *
+ * @returns {function}
+ */
+const s_CREATE_HTTP_SEND = (githubAPI, githubAPIPool, key) =>
+{
+   const log = githubAPIPool._log;
+   const scheduler = githubAPIPool._scheduler;
+   const transport = githubAPIPool._transport;
+
+   return (msg, block, callback) =>
+   {
+      const config = githubAPI.config;
+      const method = block.method.toUpperCase();
+      const hasBody = ['GET', 'HEAD', 'DELETE'].indexOf(method) < 0;
+
+      let path = block.url;
+
+      if (config.pathPrefix && path.indexOf(config.pathPrefix) !== 0) { path = `${config.pathPrefix}${path}`; }
+
+      const query = [];
+      const body = {};
+
+      const paramNames = block.params ? Object.keys(block.params) : [];
+
+      for (let cntr = 0; cntr < paramNames.length; cntr++)
+      {
+         const paramName = paramNames[cntr].replace(/^[$]+/, '');
+
+         if (!(paramName in msg) || paramName === 'headers') { continue; }
+
+         const value = typeof msg[paramName] === 'object' ? JSON.stringify(msg[paramName]) : msg[paramName];
+
+         if (path.indexOf(`:${paramName}`) >= 0)
+         {
+            path = path.replace(`:${paramName}`, encodeURIComponent(value));
+         }
+         else if (hasBody)
+         {
+            body[paramName] = msg[paramName];
+         }
+         else
+         {
+            query.push(`${paramName}=${encodeURIComponent(value)}`);
+         }
+      }
+
+      const headers = {};
+
+      // Only headers supported by the GitHub API are added.
+      const customHeaders = Object.assign({}, config.headers, msg.headers);
+      const headerNames = Object.keys(customHeaders);
+
+      for (let cntr = 0; cntr < headerNames.length; cntr++)
+      {
+         const headerName = headerNames[cntr].toLowerCase();
+
+         if (githubAPI.requestHeaders.indexOf(headerName) >= 0)
+         {
+            headers[headerName] = customHeaders[headerNames[cntr]];
+         }
+      }
+
+      if (!headers['user-agent']) { headers['user-agent'] = 'NodeJS HTTP Client'; }
+      if (!headers.accept) { headers.accept = config.requestMedia || githubAPI.constants.requestMedia; }
+
+      const auth = githubAPI.auth;
+
+      if (auth)
+      {
+         switch (auth.type)
+         {
+            case 'basic':
+               headers.authorization =
+                `Basic ${new Buffer(`${auth.username}:${auth.password}`, 'ascii').toString('base64')}`;
+               break;
+
+            case 'oauth':
+               if (auth.token) { headers.authorization = `token ${auth.token}`; }
+               else
+               {
+                  query.push(`client_id=${encodeURIComponent(auth.key)}`);
+                  query.push(`client_secret=${encodeURIComponent(auth.secret)}`);
+               }
+               break;
+
+            case 'token':
+               headers.authorization = `token ${auth.token}`;
+               break;
+         }
+      }
+
+      const requestOptions =
+      {
+         method,
+         url: url.format(
+         {
+            protocol: config.protocol || githubAPI.constants.protocol,
+            host: config.port ? `${config.host}:${config.port}` : config.host || githubAPI.constants.host,
+            pathname: path
+         }) + (query.length ? `?${query.join('&')}` : ''),
+         headers,
+         timeout: typeof block.timeout !== 'undefined' ? block.timeout : config.timeout
+      };
+
+      if (hasBody)
+      {
+         requestOptions.body = JSON.stringify(body);
+         headers['content-type'] = 'application/json; charset=utf-8';
+      }
+
+      // Identifies the request of an error; IE `GET /orgs/typhonjs/members`.
+      const endpoint = `${method} ${path}`;
+
+      // The endpoint is logged instead of the URL as the query may contain an OAuth client secret.
+      if (githubAPI.debug) { log('debug', { type: 'request', message: `REQUEST: ${endpoint}`, endpoint }); }
+
+      const cache = method === 'GET' && block.url !== '/rate_limit' ? githubAPIPool._cache : null;
+      const cacheKey = cache !== null ? s_GET_CACHE_KEY(key, requestOptions) : null;
+
+      const send = (sendCallback) =>
+      {
+         s_GET_CACHE_ENTRY(cache, cacheKey, (entry) =>
+         {
+            const start = Date.now();
+
+            transport.request(s_CREATE_CONDITIONAL_OPTIONS(requestOptions, entry), (err, response) =>
+            {
+               const duration = Date.now() - start;
+               const status = !err && typeof response === 'object' ? response.statusCode : null;
+               const cached = status === 304 && typeof entry === 'object';
+
+               log('debug',
+               {
+                  type: 'request-timing',
+                  message: `${endpoint} responded ${status !== null ? status : 'with an error'} in ${duration}ms`
+                   + `${cached ? ' (cached)' : ''}.`,
+                  endpoint,
+                  status,
+                  duration,
+                  cached
+               });
+
+               if (cached) { sendCallback(null, s_CREATE_CACHED_RESPONSE(entry, response)); }
+               else if (cache !== null && status === 200)
+               {
+                  s_SET_CACHE_ENTRY(cache, cacheKey, response, () => { sendCallback(null, response); });
+               }
+               else { sendCallback(err, response); }
+            });
+         });
+      };
+
+      scheduler.schedule(key, send, (err, response) =>
+      {
+         /* istanbul ignore if */
+         if (err)
+         {
+            if (typeof err === 'object' && err !== null) { err.endpoint = endpoint; }
+            callback(err);
+         }
+         else if (response.statusCode >= 400 && response.statusCode < 600 || response.statusCode < 10)
+         {
+            const error = new GitHubError.HttpError(response.body, response.statusCode);
+            error.endpoint = endpoint;
+
+            callback(error);
+         }
+         else
+         {
+            const headers = Object.assign(
+             { status: `${response.statusCode} ${http.STATUS_CODES[response.statusCode]}` }, response.headers);
+
+            callback(null, { statusCode: response.statusCode, headers, data: response.body });
+         }
+      }, block.url === '/rate_limit');
+   };
+};
+
+/**
+ * Retrieves the cache entry of a request. Cache errors and invalid entries are treated as a missing entry.
+ *
+ * @param {object|null} cache - The cache or null when caching is disabled.
+ * @param {string}      cacheKey - The cache key of the request.
+ * @param {function}    callback - Invoked with the cache entry or undefined.
+ */
+const s_GET_CACHE_ENTRY = (cache, cacheKey, callback) =>
+{
+   if (cache === null) { callback(); return; }
+
+   cache.get(cacheKey, (err, entry) =>
+   {
+      callback(!err && typeof entry === 'object' && entry !== null && typeof entry.body === 'string' ? entry : void 0);
+   });
+};
+
+/**
+ * Creates the cache key of a request; a SHA-256 hash of the credential key, URL and media type, so credentials are
+ * never stored in a cache.
+ *
+ * @param {string}   key - The credential key of the GitHub API client.
+ * @param {object}   requestOptions - A transport request options hash.
+ *
+ * @returns {string}
+ */
+const s_GET_CACHE_KEY = (key, requestOptions) =>
+{
+   return crypto.createHash('sha256').update(`${key}\n${requestOptions.url}\n${requestOptions.headers.accept}`)
+    .digest('hex');
+};
+
+/**
+ * Creates a unique key for a GitHub credential object hash.
+ *
+ * @param {object}   credential - A GitHub credential object hash of type `basic` or `oauth`.
+ *
+ * @returns {string}
+ */
+const s_GET_CREDENTIAL_KEY = (credential) =>
+{
+   switch (credential.type)
+   {
+      case 'basic':
+         return `basic:${credential.username}:${credential.password}`;
+
+      case 'oauth':
+         return `oauth:${credential.token}`;
+
+      /* istanbul ignore next */
+      default:
+         throw new TypeError(`s_GET_CREDENTIAL_KEY error: missing or unknown credential type: ${credential.type}`);
+   }
+};
+
+/**
+ * Stores a response in the cache when it contains an `ETag` or `Last-Modified` header. Cache errors are ignored.
+ *
+ * @param {object}   cache - The cache.
+ * @param {string}   cacheKey - The cache key of the request.
+ * @param {object}   response - A transport response.
+ * @param {function} callback - Invoked once the response is stored or skipped.
+ */
+const s_SET_CACHE_ENTRY = (cache, cacheKey, response, callback) =>
+{
+   const headers = response.headers || {};
+
+   if (typeof headers.etag === 'undefined' && typeof headers['last-modified'] === 'undefined')
+   {
+      callback();
+      return;
+   }
+
+   cache.set(cacheKey,
+   {
+      etag: headers.etag || null,
+      lastModified: headers['last-modified'] || null,
+      statusCode: response.statusCode,
+      headers,
+      body: typeof response.body === 'string' ? response.body : JSON.stringify(response.body)
+   }, () => { callback(); });
+};
@@ -1,9 +1,14 @@
 'use strict';
 
-import GitHubAPI        from 'github';
-import request          from 'request';
+import { EventEmitter } from 'events';
+import url              from 'url';
 
-import GitHubNormalize  from './GitHubNormalize.js';
+import ConfigLoader        from './ConfigLoader.js';
+import GitHubAPIPool       from './GitHubAPIPool.js';
+import GitHubNormalize     from './GitHubNormalize.js';
+import RateLimitScheduler  from './RateLimitScheduler.js';
+import RequestQueue        from './RequestQueue.js';
+import HTTPTransport       from './transport/HTTPTransport.js';
 
 /**
  * GitHubInspectOrgs -- A NPM module providing compound GitHub queries spanning multiple organizations /
@@ -31,6 +36,34 @@ import GitHubNormalize  from './GitHubNormalize.js';
  * (string) regex - A regular expression to scrape for all organizations from the owner account that match.
  * ```
  *
+ * Organization discovery only finds organizations where the membership of the owner is public. Each entry may
+ * optionally contain the following:
+ * ```
+ * (Array<string>)   orgs - Explicitly named organizations requested directly instead of being discovered; `regex`
+ *                          is optional and further filters the named organizations when provided.
+ * (boolean)         userOrgs - When true organizations are discovered from `/user/orgs` of the credential which
+ *                              includes private memberships; requires the `read:org` scope.
+ * (Array<string>)   users - User accounts whose public repos join the organization repos of `getOrgRepos` and all
+ *                           queries built on it; IE `getOrgRepoContributors`, `getOrgRepoStats`, `getContributors`
+ *                           and `getCollaborators`. `regex` is optional when only user accounts are listed.
+ * ```
+ *
+ * For instance:
+ * ```
+ * organizations:
+ * [
+ *    { credential: <GITHUB PUBLIC TOKEN>, owner: 'typhonrt', orgs: ['typhonjs', 'typhonjs-node-scm'] },
+ *    { credential: <GITHUB PUBLIC TOKEN>, owner: 'typhonrt', regex: '^typhonjs', userOrgs: true },
+ *    { credential: <GITHUB PUBLIC TOKEN>, owner: 'typhonrt', users: ['typhonrt'] }
+ * ]
+ * ```
+ *
+ * User accounts are listed alongside organizations in the results of repo oriented queries and are marked by `is_user`
+ * set to true in the normalized data (`type` is 'User' in the raw data). User accounts do not have members or teams,
+ * so organization queries such as `getOrgs`, `getOrgMembers` and `getOrgTeams` do not include them. Queries made with
+ * a `credential` option only include repos accessible through the teams of the credential and do not include them
+ * either.
+ *
  * More than one object hash may be provided in the `organizations` array and the combined GitHub organizations will
  * provide the larger group of organizations queried by all methods provided by `GitHubInspectOrgs`.
  *
@@ -40,14 +73,49 @@ import GitHubNormalize  from './GitHubNormalize.js';
  *
  * Additional optional parameters to configure GitHubInspectOrgs include:
  * ```
+ * {object}    cache - Stores GitHub API responses, so repeated queries send conditional requests which do not count
+ *                     against the rate limit when unchanged; default (no caching). See `MemoryCache` / `FileCache`.
+ * {integer}   concurrency - Maximum GitHub API and raw file requests in flight across all queries; default (0) is
+ *                           unbounded.
  * {boolean}   debug - Sets the Github API querying to debug / verbose mode; default (false)
+ * {object}    fieldExtensions - Object hash of normalized category to a function or array of functions adding fields
+ *                               to each normalized record of this instance. See `GitHubNormalize`.
  * {string}    host - The API host; default ('api.github.com') only change for enterprise API host, etc.
  * {string}    hostUrlPrefix - Sets the normalized GitHub host URL; default ('https://github.com/').
+ * {object}    logger - Receives structured log events; an object with `debug`, `info`, `warn` and `error` functions.
+ * {integer}   maxPages - Maximum pages requested for each list query; default (0) walks all pages.
+ * {object}    normalizers - Object hash of normalized category to a function replacing the normalizer of the category
+ *                           for this instance; IE `{ repos: (repo, options) => { ... } }`.
+ * {string}    onRateLimit - Either 'wait' or 'fail'; default ('wait'). See below for rate limit handling.
  * {string}    pathPrefix - Additional path for API end point; default ('').
+ * {integer}   perPage - Page size between 1 and 100 requested for each list query; default (100).
+ * {string}    protocol - The API protocol; default ('https') only change for a local API host such as
+ *                        `GitHubMockServer`.
+ * {boolean}   raw - When false the results of queries only contain normalized data; default (true). See below.
  * {string}    rawUrlPrefix - Sets the raw GitHub host URL; default ('https://raw.githubusercontent.com/').
+ * {integer}   statsBackoff - Initial delay in milliseconds before a pending repo statistic is requested again which
+ *                            doubles after each request; default (1000).
+ * {integer}   statsMaxAttempts - Maximum requests of a pending repo statistic; default (5).
  * {integer}   timeout - TLS / HTTPS timeout for all requests in milliseconds ('120000' / 2 minutes).
+ * {object}    transport - Sends all GitHub API and raw file requests; default (HTTPTransport). `RecordTransport` and
+ *                         `ReplayTransport` record / replay request / response pairs to / from a cassette file.
  * {string}    `user-agent` - User agent string necessary for GitHub API; default ('typhonjs-github-inspect-orgs').
- * {boolean}   verbose - Logs any API request rejections usually oriented to credentials; default (false).
+ * {boolean}   verbose - Without a `logger` writes the message of log events except `debug` events to the console;
+ *                       default (false).
+ * ```
+ *
+ * When a `logger` is provided every log event is passed to the function of its level as an object hash containing
+ * `type` and a human readable `message` along with the fields of the event type:
+ * ```
+ * 'skip' (warn) - An item is skipped due to a failed request; contains the same fields as an `errors` entry except
+ *                 that the error message is stored in `error`.
+ * 'retry' (info) - A pending repo statistic is requested again; contains `owner`, `org`, `repo`, `category`,
+ *                  `attempt`, `maxAttempts` and `delay` in milliseconds.
+ * 'rate-limit' (warn) - The rate limit of a credential is reached; contains `action` ('wait' / 'fail'), `limit`,
+ *                       `remaining`, `reset` in milliseconds and for 'wait' `delay` in milliseconds.
+ * 'request' (debug) - A GitHub API request is sent when the `debug` option is enabled; contains `endpoint`.
+ * 'request-timing' (debug) - A GitHub API response is received; contains `endpoint`, `status` (null on error),
+ *                            `duration` in milliseconds and `cached` (true when answered from the cache).
  * ```
  *
  * To query all TyphonJS organizations use the following configuration:
@@ -58,6 +126,13 @@ import GitHubNormalize  from './GitHubNormalize.js';
  * });
  * ```
  *
+ * All requests are budgeted per credential from the `X-RateLimit-Remaining` / `X-RateLimit-Reset` headers of every
+ * response. When the rate limit of a credential is reached `onRateLimit` determines the behavior. With 'wait' requests
+ * are held until the rate limit resets and queries complete normally. With 'fail' queries reject with an `Error` where
+ * `name` is `RateLimitError` containing `rateLimit` (`limit`, `remaining` and `reset` in milliseconds) and `partial`
+ * with the results received before the rate limit was reached in the same `normalized` / `raw` format as a resolved
+ * query.
+ *
  * It should be noted that the main owner of the organization for a given team needs to have public access scope for
  * the team to be found. It should be noted that all private members (non-owners) are returned.
  *
@@ -66,7 +141,17 @@ import GitHubNormalize  from './GitHubNormalize.js';
  * the normalized data returned by GitHubInspectOrgs into `html`, `json`, `markdown` or `text`.
  *
  * All queries return an object hash with normalized data and the raw data returned from the GitHub API. These keys are
- * `normalized` and `raw`.
+ * `normalized` and `raw`. Organization, repo and team oriented queries also include `errors` listing every item
+ * skipped due to a failed request; IE an organization or repo the credential does not have access to:
+ * ```
+ * {string}    owner - The organization owner of the skipped item or null.
+ * {string}    org - The organization name of the skipped item or null.
+ * {string}    repo - The repo name of the skipped item or null.
+ * {string}    team - The team name of the skipped item or null.
+ * {string}    endpoint - The method and path of the failed request; IE 'GET /repos/typhonjs/repo/collaborators'.
+ * {integer}   status - The HTTP status of the response or null when no response is received.
+ * {string}    message - The error message.
+ * ```
  *
  * The normalized data contains a few base fields including:
  * ```
@@ -79,12 +164,29 @@ import GitHubNormalize  from './GitHubNormalize.js';
  * The remaining base fields include one or more array of array structures depending on the requested data. Please
  * review the documentation for each method provided for an example JSON response.
  *
- * Most methods take a hash of optional parameters. The two optional parameters that are supported include:
+ * Most methods take a hash of optional parameters. The optional parameters that are supported include:
  * ```
+ * (integer)         concurrency - Bounds the GitHub API and raw file requests in flight for this query instead of the
+ *                                 GitHubInspectOrgs `concurrency` setting.
+ *
  * (string)          credential - A public access token with `public_repo` and `read:org` permissions for any GitHub
  *                                user which limits the responses to the organizations and other query data that this
  *                                particular user is a member of or has access to currently.
  *
+ * (object)          fields - Object hash of normalized category to an array of the fields included in each normalized
+ *                            record of the category. See below.
+ *
+ * (integer)         maxPages -  Overrides GitHubInspectOrgs maximum pages requested for each list query. All list
+ *                               queries follow the GitHub `Link` header until all pages are received unless capped.
+ *
+ * (integer)         perPage -   Overrides GitHubInspectOrgs page size between 1 and 100 for each list query.
+ *
+ * (boolean)         raw -       Overrides GitHubInspectOrgs raw setting; when false results only contain normalized
+ *                               data. See below.
+ *
+ * (object)          repoFilter - Includes / excludes repos in repo oriented queries before any further requests are
+ *                                made for each repo; IE stats, contributors or collaborators. See below.
+ *
  * (Array<string>)   repoFiles - An array of file paths / names used in repo oriented queries that is relative to the
  *                               repos default branch (usually 'master') that are requested from
  *                               `https://raw.githubusercontent.com` and added to the respective repo in an hash
@@ -97,6 +199,52 @@ import GitHubNormalize  from './GitHubNormalize.js';
  *                               usually oriented to credentials; default (GitHubInspectOrgs->_verbose).
  * ```
  *
+ * The `repoFilter` option is an object hash supporting the following filters where a repo must pass all filters
+ * provided:
+ * ```
+ * (RegExp|string)         include - Only repos with a name matching the regular expression are included.
+ * (RegExp|string)         exclude - Repos with a name matching the regular expression are excluded.
+ * (boolean)               archived - When true only archived repos are included; when false they are excluded.
+ * (boolean)               fork - When true only forked repos are included; when false they are excluded.
+ * (boolean)               private - When true only private repos are included; when false they are excluded.
+ * (string|Array<string>)  topics - Only repos with at least one of the topics are included.
+ * (string|Array<string>)  excludeTopics - Repos with any of the topics are excluded.
+ * (string|Array<string>)  languages - Only repos with one of the primary languages are included (case insensitive).
+ * (string|Array<string>)  excludeLanguages - Repos with any of the primary languages are excluded (case insensitive).
+ * (number)                pushedWithinDays - Only repos pushed to within the amount of days are included.
+ * ```
+ *
+ * For instance `{ repoFilter: { exclude: '-archive$', fork: false, pushedWithinDays: 90 } }` skips forks, repos ending
+ * in `-archive` and repos that have not been pushed to in the last 90 days.
+ *
+ * The `fields` option selects the fields of the normalized records of any category in the category chain of a query.
+ * Each field is a dotted path which is taken from the normalized record when it contains the first key of the path or
+ * otherwise from the raw GitHub data. Nested paths create nested object hashes and missing values are `null`. Nested
+ * categories of the chain are always included:
+ * ```
+ * githubInspect.getOrgRepoContributors(
+ * {
+ *    fields: { repos: ['name', 'language', 'license.spdx_id'], contributors: ['name', 'contributions'] }
+ * });
+ *
+ * // Each repo: { name: 'repo', language: 'JavaScript', license: { spdx_id: 'MPL-2.0' }, contributors: [...] }
+ * ```
+ *
+ * Projected records may omit required fields of the JSON Schemas of `GitHubNormalize.validate`.
+ *
+ * The raw data of large queries such as `getOrgRepoStats` with all categories or `repoFiles` downloads is often far
+ * larger than the normalized data. When the `raw` option is false results only contain `normalized` data (and
+ * `errors`) and the raw data of each repo is normalized and released as soon as all of its requests complete instead
+ * of once the whole query completes, so the peak memory of large queries drops:
+ * ```
+ * const githubInspect = new GitHubInspectOrgs({ organizations, raw: false });
+ *
+ * githubInspect.getOrgRepoStats({ categories: ['all'] }).then((results) => { console.log(results.normalized); });
+ *
+ * // Or per query.
+ * githubInspect.getOrgRepos({ raw: false, repoFiles: ['package.json'] });
+ * ```
+ *
  * Please review the method documentation for examples of the normalized results expected from each compound query.
  * You may also review the `test/fixture` directory of
  * https://github.com/typhonjs-node-scm/typhonjs-github-inspect-orgs for example responses for each method.
@@ -123,14 +271,33 @@ export default class GitHubInspectOrgs
     *    (string) regex - A regular expression to scrape for all organizations from the owner account that match.
     *
     * Optional:
+    * (object)    cache - Stores GitHub API responses for conditional requests; default (no caching).
+    * (integer)   concurrency - Maximum GitHub API and raw file requests in flight across all queries; default (0)
+    *                           is unbounded.
     * (boolean)   debug - Sets GitHub API to debug mode; default (false).
+    * (object)    fieldExtensions - Object hash of normalized category to a function or array of functions adding
+    *                               fields to each normalized record.
     * (string)    host - Sets the GitHub API host; default (api.github.com).
     * (string)    hostUrlPrefix - Sets the normalized GitHub host URL; default ('https://github.com/').
+    * (object)    logger - Receives structured log events; an object with `debug`, `info`, `warn` and `error`
+    *                      functions.
+    * (integer)   maxPages - Maximum pages requested for each list query; default (0) walks all pages.
+    * (object)    normalizers - Object hash of normalized category to a function replacing the built-in normalizer.
+    * (string)    onRateLimit - Either 'wait' to hold requests until the rate limit resets or 'fail' to reject with a
+    *                           rate limit error carrying partial results; default ('wait').
     * (string)    pathPrefix - Additional prefix to add after host; default ('').
+    * (integer)   perPage - Page size between 1 and 100 requested for each list query; default (100).
+    * (string)    protocol - Sets the GitHub API protocol; default ('https').
+    * (boolean)   raw - When false the results of queries only contain normalized data; default (true).
     * (string)    rawUrlPrefix - Sets the raw GitHub host URL; default ('https://raw.githubusercontent.com/').
+    * (integer)   statsBackoff - Initial delay in milliseconds before a pending repo statistic is requested again
+    *                            which doubles after each request; default (1000).
+    * (integer)   statsMaxAttempts - Maximum requests of a pending repo statistic; default (5).
     * (integer)   timeout - TLS / HTTPS timeout for all requests in milliseconds ('120000' / 2 minutes).
+    * (object)    transport - Sends all GitHub API and raw file requests; default (HTTPTransport).
     * (integer)   `user-agent` - Custom user agent; default ('typhonjs-github-inspect-org').
-    * (boolean)   verbose - Logs any API request rejections usually oriented to credentials; default (false).
+    * (boolean)   verbose - Without a `logger` writes the message of log events except `debug` events to the
+    *                       console; default (false).
     * ```
     */
    constructor(options = {})
@@ -152,9 +319,12 @@ export default class GitHubInspectOrgs
        *
        * Each entry is an object hash that stores an GitHub organization lookup with the following keys:
        * ```
-       * (string) credential - A GitHub public access token (recommended) or `username:password`.
-       * (string) owner - The GitHub user name of an organization owner.
-       * (string) regex - A string converted into a RegExp which is applied against all organization names of the owner.
+       * (string)          credential - A GitHub public access token (recommended) or `username:password`.
+       * (string)          owner - The GitHub user name of an organization owner.
+       * (RegExp)          regex - Applied against all organization names of the owner; matches all when not provided.
+       * (Array<string>)   orgs - Explicitly named organizations or null when organizations are discovered.
+       * (boolean)         userOrgs - When true organizations are discovered from `/user/orgs` of the credential.
+       * (Array<string>)   users - User accounts whose repos are included in repo oriented queries.
        * ```
        *
        * @type {Array<{}>}
@@ -191,7 +361,42 @@ export default class GitHubInspectOrgs
          verifiedOrg.owner = organization.owner;
 
          /* istanbul ignore if */
-         if (typeof organization.regex !== 'string')
+         if (typeof organization.orgs !== 'undefined' && (!Array.isArray(organization.orgs) ||
+          !organization.orgs.every((org) => { return typeof org === 'string'; })))
+         {
+            throw new TypeError(`ctor error: 'options.organizations.orgs' is not an 'Array<string>' at index: ${cntr}`);
+         }
+
+         // Explicitly named organizations are not discovered, so `regex` is optional and defaults to all.
+         verifiedOrg.orgs = Array.isArray(organization.orgs) ? organization.orgs.slice() : null;
+
+         /* istanbul ignore if */
+         if (typeof organization.userOrgs !== 'undefined' && typeof organization.userOrgs !== 'boolean')
+         {
+            throw new TypeError(`ctor error: 'options.organizations.userOrgs' is not a 'boolean' at index: ${cntr}`);
+         }
+
+         verifiedOrg.userOrgs = organization.userOrgs || false;
+
+         /* istanbul ignore if */
+         if (typeof organization.users !== 'undefined' && (!Array.isArray(organization.users) ||
+          !organization.users.every((user) => { return typeof user === 'string'; })))
+         {
+            throw new TypeError(
+             `ctor error: 'options.organizations.users' is not an 'Array<string>' at index: ${cntr}`);
+         }
+
+         verifiedOrg.users = Array.isArray(organization.users) ? organization.users.slice() : [];
+
+         // An entry only listing user accounts does not discover organizations.
+         if (typeof organization.regex === 'undefined' && verifiedOrg.orgs === null && verifiedOrg.users.length > 0)
+         {
+            verifiedOrg.orgs = [];
+         }
+
+         /* istanbul ignore if */
+         if (typeof organization.regex !== 'string' && (verifiedOrg.orgs === null ||
+          typeof organization.regex !== 'undefined'))
          {
             throw new TypeError(`ctor error: 'options.organizations.regex' is not a 'string' at index: ${cntr}`);
          }
@@ -199,7 +404,7 @@ export default class GitHubInspectOrgs
          /* istanbul ignore next */
          try
          {
-            verifiedOrg.regex = new RegExp(organization.regex);
+            verifiedOrg.regex = new RegExp(typeof organization.regex === 'string' ? organization.regex : '');
          }
          catch (err)
          {
@@ -209,35 +414,193 @@ export default class GitHubInspectOrgs
          this._organizations.push(verifiedOrg);
       }
 
+      /* istanbul ignore if */
+      if (typeof options.logger !== 'undefined' && !s_IS_VALID_LOGGER(options.logger))
+      {
+         throw new TypeError(`ctor error: 'options.logger' is missing 'debug', 'info', 'warn' or 'error' functions.`);
+      }
+
+      /**
+       * Receives all log events; when null the message of log events is written to the console when verbose.
+       *
+       * @type {object|null}
+       * @private
+       */
+      this._logger = options.logger || null;
+
+      /* istanbul ignore if */
+      if (typeof options.transport !== 'undefined' &&
+       (typeof options.transport !== 'object' || typeof options.transport.request !== 'function'))
+      {
+         throw new TypeError(`ctor error: 'options.transport' does not have a 'request' function.`);
+      }
+
       /**
-       * An instance of the GitHub API imported from `github`.
+       * The transport which sends all GitHub API and raw file requests.
        *
        * @type {object}
        * @private
        */
-      this._githubAPI = new GitHubAPI(
+      this._transport = options.transport || new HTTPTransport();
+
+      /* istanbul ignore if */
+      if (typeof options.onRateLimit !== 'undefined' && !RateLimitScheduler.isValidOnRateLimit(options.onRateLimit))
+      {
+         throw new TypeError(`ctor error: 'options.onRateLimit' is not 'wait' or 'fail'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.cache !== 'undefined' && !GitHubAPIPool.isValidCache(options.cache))
+      {
+         throw new TypeError(`ctor error: 'options.cache' does not have 'get' and 'set' functions.`);
+      }
+
+      /**
+       * Budgets all GitHub API requests per credential and either holds requests until the rate limit resets or fails
+       * them with a rate limit error.
+       *
+       * @type {RateLimitScheduler}
+       * @private
+       */
+      this._rateLimitScheduler = new RateLimitScheduler(
+      {
+         log: (level, event) => { s_LOG(this, level, event, this._verbose); },
+         onRateLimit: options.onRateLimit || 'wait'
+      });
+
+      /**
+       * A credential keyed pool of GitHub API clients imported from `github`. Each credential receives an isolated
+       * client, so concurrent queries for different credentials never share authentication state.
+       *
+       * @type {GitHubAPIPool}
+       * @private
+       */
+      this._githubAPIPool = new GitHubAPIPool(
       {
          version: '3.0.0',
          debug: options.debug || false,
-         protocol: 'https',
+         protocol: options.protocol || 'https',
          host: options.host || 'api.github.com',
          pathPrefix: options.pathPrefix || '',
          timeout: options.timeout || 120000,
          headers: { 'user-agent': options['user-agent'] || 'typhonjs-github-inspect-orgs' }
-      });
+      }, this._transport, this._rateLimitScheduler, (level, event) => { s_LOG(this, level, event, this._verbose); },
+       options.cache || null);
+
+      // Create the GitHub API client for each organization entry; clients for user credentials are created on demand.
+      for (let cntr = 0; cntr < this._organizations.length; cntr++)
+      {
+         s_AUTHENTICATE(this._githubAPIPool, this._organizations[cntr].credential);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.perPage !== 'undefined' && !s_IS_VALID_PER_PAGE(options.perPage))
+      {
+         throw new TypeError(`ctor error: 'options.perPage' is not an 'integer' between 1 and 100.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.maxPages !== 'undefined' && !s_IS_VALID_MAX_PAGES(options.maxPages))
+      {
+         throw new TypeError(`ctor error: 'options.maxPages' is not a positive 'integer' or '0'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.concurrency !== 'undefined' && !RequestQueue.isValidConcurrency(options.concurrency))
+      {
+         throw new TypeError(`ctor error: 'options.concurrency' is not a positive 'integer' or '0'.`);
+      }
+
+      /**
+       * Bounds the GitHub API and raw file requests in flight across all queries which do not provide a
+       * `concurrency` option.
+       *
+       * @type {RequestQueue}
+       * @private
+       */
+      this._requestQueue = new RequestQueue({ concurrency: options.concurrency || 0 });
+
+      /**
+       * Stores the default pagination options applied to all list queries. `perPage` is the page size requested from
+       * GitHub and `maxPages` caps the amount of pages walked for a single list query where `0` walks all pages.
+       *
+       * @type {{maxPages: number, perPage: number}}
+       * @private
+       */
+      this._pageOptions =
+      {
+         maxPages: typeof options.maxPages === 'number' ? options.maxPages : 0,
+         perPage: typeof options.perPage === 'number' ? options.perPage : 100
+      };
+
+      /* istanbul ignore if */
+      if (typeof options.statsBackoff !== 'undefined' && !s_IS_VALID_STATS_BACKOFF(options.statsBackoff))
+      {
+         throw new TypeError(`ctor error: 'options.statsBackoff' is not a positive 'integer' or '0'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.statsMaxAttempts !== 'undefined' && !s_IS_VALID_STATS_MAX_ATTEMPTS(options.statsMaxAttempts))
+      {
+         throw new TypeError(`ctor error: 'options.statsMaxAttempts' is not a positive 'integer'.`);
+      }
+
+      /**
+       * Stores the default retry options of repo statistics which GitHub responds to with `202 Accepted` while they are
+       * generated. `maxAttempts` caps the requests of each pending statistic and `backoff` is the initial delay in
+       * milliseconds between requests which doubles after each request.
+       *
+       * @type {{backoff: number, maxAttempts: number}}
+       * @private
+       */
+      this._statsOptions =
+      {
+         backoff: typeof options.statsBackoff === 'number' ? options.statsBackoff : 1000,
+         maxAttempts: typeof options.statsMaxAttempts === 'number' ? options.statsMaxAttempts : 5
+      };
+
+      /* istanbul ignore if */
+      if (typeof options.normalizers !== 'undefined' && !s_IS_FUNCTION_HASH(options.normalizers, false))
+      {
+         throw new TypeError(`ctor error: 'options.normalizers' is not an 'object' of functions.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.fieldExtensions !== 'undefined' && !s_IS_FUNCTION_HASH(options.fieldExtensions, true))
+      {
+         throw new TypeError(`ctor error: 'options.fieldExtensions' is not an 'object' of functions.`);
+      }
 
       /**
-       * Stores URL prefix options for normalized data or raw file downloading.
+       * Stores options for normalized data including URL prefixes for normalized data or raw file downloading and the
+       * normalizers / field extensions of this instance.
        *
-       * @type {{hostUrlPrefix: (string), rawUrlPrefix: (string)}}
+       * @type {{hostUrlPrefix: string, rawUrlPrefix: string, normalizers: object, fieldExtensions: object}}
        * @private
        */
-      this._optionsURL =
+      this._normalizeOptions =
       {
          hostUrlPrefix: options.hostUrlPrefix || 'https://github.com/',
-         rawUrlPrefix: options.rawUrlPrefix || 'https://raw.githubusercontent.com/'
+         rawUrlPrefix: options.rawUrlPrefix || 'https://raw.githubusercontent.com/',
+         normalizers: Object.assign({}, options.normalizers),
+         fieldExtensions: Object.assign({}, options.fieldExtensions)
       };
 
+      /* istanbul ignore if */
+      if (typeof options.raw !== 'undefined' && typeof options.raw !== 'boolean')
+      {
+         throw new TypeError(`ctor error: 'options.raw' is not a 'boolean'.`);
+      }
+
+      /**
+       * Stores whether the results of queries include `raw` data; when false the raw data of each repo is released
+       * as soon as the repo completes.
+       *
+       * @type {boolean}
+       * @private
+       */
+      this._raw = typeof options.raw === 'boolean' ? options.raw : true;
+
       /**
        * Stores the user agent for `raw.githubusercontent.com` requests.
        *
@@ -256,13 +619,139 @@ export default class GitHubInspectOrgs
    }
 
    /**
-    * Returns all collaborators across all organizations.
+    * Creates an instance from a JSON, YAML or JS configuration file or an object hash. String values may reference
+    * environment variables by `${ENV_VAR}` and credentials may reference a file by `file:<path>`, so tokens do not
+    * need to be stored in the configuration. The configuration is validated against `ConfigSchema`. See `ConfigLoader`
+    * for further details.
+    *
+    * ```
+    * const githubInspect = GitHubInspectOrgs.fromConfig('./github-inspect-orgs.yml');
+    *
+    * const githubInspect = GitHubInspectOrgs.fromConfig(
+    * {
+    *    organizations: [{ credential: '${GITHUB_OWNER_TOKEN}', owner: 'typhonjs-test', regex: '^test' }]
+    * });
+    * ```
+    *
+    * @param {string|object|Array}  pathOrObject - A configuration file path, object hash of the constructor options or
+    *                                              `organizations` array.
+    *
+    * @param {object}               options - Optional parameters.
+    * ```
+    * (string)    basePath - The directory `file:` references are resolved from; default (the directory of the
+    *                        configuration file or process.cwd()).
+    * (object)    env - The environment variables; default (process.env).
+    * ```
+    *
+    * @returns {GitHubInspectOrgs}
+    */
+   static fromConfig(pathOrObject, options = {})
+   {
+      return new GitHubInspectOrgs(ConfigLoader.load(pathOrObject, options));
+   }
+
+   /**
+    * Returns all collaborators with admin permission for any repo across all organizations. Each admin lists the full
+    * names of the repos it administers.
+    *
+    * @param {object}  options - Optional parameters.
+    * ```
+    * (string) credential - A public access token for any GitHub user which limits the responses to the organizations
+    *                       and other query data that this particular user is a member of or has access to currently.
+    *
+    * (boolean)   verbose - Overrides GitHubInspectOrgs verbose setting logging any API request rejections usually
+    *                       oriented to credentials; default (GitHubInspectOrgs->_verbose).
+    * ```
+    *
+    * The following is an abbreviated example response for the normalized data requested:
+    * ```
+    * {
+    *    "scm": "github",
+    *    "categories": "admins",
+    *    "timestamp": "2016-02-20T04:56:03.792Z",
+    *    "admins": [
+    *      {
+    *        "name": "typhonrt",
+    *        "id": 311473,
+    *        "url": "https:\/\/github.com\/typhonrt",
+    *        "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/311473?v=3",
+    *        "repos": ["test-org-typhonjs\/test-repo1", "test-org-typhonjs\/test-repo2"]
+    *      },
+    *      // .... more data
+    *    ]
+    * }
+    * ```
+    *
+    * @returns {Promise}
+    */
+   getAdmins(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`getAdmins error: 'options' is not an 'object'.`); }
+
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
+
+      // Fail early if rate limit is reached or user authentication fails.
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
+      {
+         // Only requests collaborators with admin permission; the copy includes `skipRateLimitCheck` set by the check.
+         const collaboratorOptions = Object.assign({}, innerOptions, { minPermission: 'admin' });
+
+         return this.getOrgRepoCollaborators(collaboratorOptions).then((orgs) =>
+         {
+            const admins = [];
+            const seenUsers = {};
+
+            for (let cntr = 0; cntr < orgs.length; cntr++)
+            {
+               const repos = Array.isArray(orgs[cntr].repos) ? orgs[cntr].repos : [];
+
+               for (let cntr2 = 0; cntr2 < repos.length; cntr2++)
+               {
+                  const repo = repos[cntr2];
+
+                  if (!Array.isArray(repo.collaborators)) { continue; }
+
+                  for (let cntr3 = 0; cntr3 < repo.collaborators.length; cntr3++)
+                  {
+                     const user = repo.collaborators[cntr3];
+
+                     if (typeof seenUsers[user.login] === 'undefined')
+                     {
+                        seenUsers[user.login] = Object.assign({}, user, { repos: [] });
+                        admins.push(seenUsers[user.login]);
+                     }
+
+                     seenUsers[user.login].repos.push(repo.full_name);
+                  }
+               }
+            }
+
+            // Sort by user name.
+            admins.sort((a, b) => { return a.login.localeCompare(b.login); });
+
+            return s_CREATE_RESULTS(this, ['admins'], admins, options, errors);
+         });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'repos', 'collaborators'], true, options);
+      });
+   }
+
+   /**
+    * Returns all collaborators across all organizations. Each collaborator contains the highest `permission` level held
+    * for any repo ('admin', 'push' or 'pull').
     *
     * @param {object}  options - Optional parameters.
     * ```
     * (string) credential - A public access token for any GitHub user which limits the responses to the organizations
     *                       and other query data that this particular user is a member of or has access to currently.
     *
+    * (string) minPermission - Only includes collaborators with at least the given permission level for a repo; one of
+    *                          'admin', 'push' or 'pull'.
+    *
     * (boolean)   verbose - Overrides GitHubInspectOrgs verbose setting logging any API request rejections usually
     *                       oriented to credentials; default (GitHubInspectOrgs->_verbose).
     * ```
@@ -278,7 +767,8 @@ export default class GitHubInspectOrgs
     *        "name": "typhonrt",
     *        "id": 311473,
     *        "url": "https:\/\/github.com\/typhonrt",
-    *        "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/311473?v=3"
+    *        "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/311473?v=3",
+    *        "permission": "admin"
     *      },
     *      // .... more data
     *    ]
@@ -292,13 +782,14 @@ export default class GitHubInspectOrgs
       /* istanbul ignore if */
       if (typeof options !== 'object') { throw new TypeError(`getCollaborators error: 'options' is not an 'object'.`); }
 
-      // Prevents nested queries from generating intermediate normalized data.
-      options.normalize = false;
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
 
       // Fail early if rate limit is reached or user authentication fails.
-      return s_IS_RATE_LIMIT_REACHED(this, options).then(() =>
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
       {
-         return this.getOrgRepoCollaborators(options).then((orgs) =>
+         return this.getOrgRepoCollaborators(innerOptions).then((orgs) =>
          {
             const collaborators = [];
             const seenUsers = {};
@@ -322,8 +813,14 @@ export default class GitHubInspectOrgs
 
                            if (typeof seenUsers[user.login] === 'undefined')
                            {
-                              collaborators.push(user);
-                              seenUsers[user.login] = 1;
+                              // Copies the user as the permissions of all repos are merged.
+                              seenUsers[user.login] = Object.assign({}, user);
+                              collaborators.push(seenUsers[user.login]);
+                           }
+                           else
+                           {
+                              seenUsers[user.login].permissions =
+                               s_MERGE_PERMISSIONS(seenUsers[user.login].permissions, user.permissions);
                            }
                         }
                      }
@@ -334,9 +831,11 @@ export default class GitHubInspectOrgs
             // Sort by org name.
             collaborators.sort((a, b) => { return a.login.localeCompare(b.login); });
 
-            return { normalized: GitHubNormalize.normalizeCategories(['collaborators'], collaborators,
-             this._optionsURL), raw: collaborators };
+            return s_CREATE_RESULTS(this, ['collaborators'], collaborators, options, errors);
          });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'repos', 'collaborators'], true, options);
       });
    }
 
@@ -377,13 +876,14 @@ export default class GitHubInspectOrgs
       /* istanbul ignore if */
       if (typeof options !== 'object') { throw new TypeError(`getContributors error: 'options' is not an 'object'.`); }
 
-      // Prevents nested queries from generating intermediate normalized data.
-      options.normalize = false;
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
 
       // Fail early if rate limit is reached or user authentication fails.
-      return s_IS_RATE_LIMIT_REACHED(this, options).then(() =>
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
       {
-         return this.getOrgRepoContributors(options).then((orgs) =>
+         return this.getOrgRepoContributors(innerOptions).then((orgs) =>
          {
             const contributors = [];
             const seenUsers = {};
@@ -420,36 +920,66 @@ export default class GitHubInspectOrgs
             // Sort by user name.
             contributors.sort((a, b) => { return a.login.localeCompare(b.login); });
 
-            return { normalized: GitHubNormalize.normalizeCategories(['contributors'], contributors,
-             this._optionsURL), raw: contributors };
+            return s_CREATE_RESULTS(this, ['contributors'], contributors, options, errors);
          });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'repos', 'contributors'], true, options);
       });
    }
 
    /**
-    * Returns all organization members across all organizations.
+    * Returns all issues across all organizations sorted by the date of the last update; most recent first.
     *
     * @param {object}  options - Optional parameters.
     * ```
-    * (string) credential - A public access token for any GitHub user which limits the responses to the organizations
-    *                       and other query data that this particular user is a member of or has access to currently.
+    * (string)          assignee - Only includes issues assigned to the given user name; 'none' for
+    *                              unassigned or '*' for assigned issues.
     *
-    * (boolean)   verbose - Overrides GitHubInspectOrgs verbose setting logging any API request rejections usually
-    *                       oriented to credentials; default (GitHubInspectOrgs->_verbose).
+    * (string)          credential - A public access token for any GitHub user which limits the responses to the
+    *                                organizations and other query data that this particular user is a member of or has
+    *                                access to currently.
+    *
+    * (string|Array<string>)  labels - Only includes issues with all of the given label names.
+    *
+    * (object)          repoFilter - Includes / excludes repos before any further requests are made for each repo; see
+    *                                `GitHubInspectOrgs` for the supported filters.
+    *
+    * (Date|string)     since - Only includes issues updated at or after the given date or ISO 8601
+    *                           timestamp.
+    *
+    * (string)          state - Only includes issues in the given state; 'open', 'closed' or 'all';
+    *                           default ('open').
+    *
+    * (boolean)         verbose -   Overrides GitHubInspectOrgs verbose setting logging any API request rejections
+    *                               usually oriented to credentials; default (GitHubInspectOrgs->_verbose).
     * ```
     *
     * The following is an abbreviated example response for the normalized data requested:
     * ```
     * {
     *    "scm": "github",
-    *    "categories": "members",
+    *    "categories": "issues",
     *    "timestamp": "2016-02-20T04:56:03.792Z",
-    *    "members": [
+    *    "issues": [
     *      {
-    *        "name": "typhonrt",
-    *        "id": 311473,
-    *        "url": "https:\/\/github.com\/typhonrt",
-    *        "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/311473?v=3"
+    *        "number": 12,
+    *        "title": "Parser fails on empty files",
+    *        "url": "https:\/\/github.com\/test-org-typhonjs\/test-repo1\/issues\/12",
+    *        "repo": "test-org-typhonjs\/test-repo1",
+    *        "state": "open",
+    *        "user": {
+    *          "name": "typhonjs-test",
+    *          "id": 17188714,
+    *          "url": "https:\/\/github.com\/typhonjs-test",
+    *          "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17188714?v=3"
+    *        },
+    *        "labels": ["bug"],
+    *        "assignees": ["typhonjs-test"],
+    *        "comments": 2,
+    *        "created_at": "2016-02-14T03:01:24Z",
+    *        "updated_at": "2016-02-20T04:56:03Z",
+    *        "closed_at": ""
     *      },
     *      // .... more data
     *    ]
@@ -458,18 +988,59 @@ export default class GitHubInspectOrgs
     *
     * @returns {Promise}
     */
-   getMembers(options = {})
+   getIssues(options = {})
    {
       /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`getMembers error: 'options' is not an 'object'.`); }
+      if (typeof options !== 'object') { throw new TypeError(`getIssues error: 'options' is not an 'object'.`); }
 
-      // Prevents nested queries from generating intermediate normalized data.
-      options.normalize = false;
+      return s_GET_ISSUES(this, options, 'issues');
+   }
+
+   /**
+    * Returns all organization members across all organizations.
+    *
+    * @param {object}  options - Optional parameters.
+    * ```
+    * (string) credential - A public access token for any GitHub user which limits the responses to the organizations
+    *                       and other query data that this particular user is a member of or has access to currently.
+    *
+    * (boolean)   verbose - Overrides GitHubInspectOrgs verbose setting logging any API request rejections usually
+    *                       oriented to credentials; default (GitHubInspectOrgs->_verbose).
+    * ```
+    *
+    * The following is an abbreviated example response for the normalized data requested:
+    * ```
+    * {
+    *    "scm": "github",
+    *    "categories": "members",
+    *    "timestamp": "2016-02-20T04:56:03.792Z",
+    *    "members": [
+    *      {
+    *        "name": "typhonrt",
+    *        "id": 311473,
+    *        "url": "https:\/\/github.com\/typhonrt",
+    *        "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/311473?v=3"
+    *      },
+    *      // .... more data
+    *    ]
+    * }
+    * ```
+    *
+    * @returns {Promise}
+    */
+   getMembers(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`getMembers error: 'options' is not an 'object'.`); }
+
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
 
       // Fail early if rate limit is reached or user authentication fails.
-      return s_IS_RATE_LIMIT_REACHED(this, options).then(() =>
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
       {
-         return this.getOrgMembers(options).then((orgs) =>
+         return this.getOrgMembers(innerOptions).then((orgs) =>
          {
             const members = [];
             const seenUsers = {};
@@ -498,9 +1069,179 @@ export default class GitHubInspectOrgs
             // Sort by user name.
             members.sort((a, b) => { return a.login.localeCompare(b.login); });
 
-            return { normalized: GitHubNormalize.normalizeCategories(['members'], members, this._optionsURL),
-             raw: members };
+            return s_CREATE_RESULTS(this, ['members'], members, options, errors);
+         });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'members'], true, options);
+      });
+   }
+
+   /**
+    * Returns the access of all repo collaborators by organization across all organizations for access reviews. The
+    * collaborators of `getOrgRepoCollaborators` are cross-referenced with the members and owners of each organization
+    * it returns, so each collaborator is tagged by `affiliation`:
+    * ```
+    * owner - An organization owner or the user account owning the repos.
+    * member - An organization member.
+    * outside - An outside collaborator who is not a member of the organization.
+    * ```
+    *
+    * Each collaborator lists the repos it has access to along with the highest permission level held ('admin', 'push'
+    * or 'pull'). Affiliations are only accurate for credentials of organization members as the membership of others
+    * is limited to public members. Organizations whose members can not be requested are listed in `errors` and contain
+    * no `access` entry.
+    *
+    * @param {object}  options - Optional parameters.
+    * ```
+    * (string)          credential - A public access token for any GitHub user which limits the responses to the
+    *                                organizations and other query data that this particular user is a member of or has
+    *                                access to currently.
+    *
+    * (string)          minPermission - Only includes collaborators with at least the given permission level for a
+    *                                   repo; one of 'admin', 'push' or 'pull'.
+    *
+    * (object)          repoFilter - Includes / excludes repos before any further requests are made for each repo; see
+    *                                `GitHubInspectOrgs` for the supported filters.
+    *
+    * (boolean)         verbose -   Overrides GitHubInspectOrgs verbose setting logging any API request rejections
+    *                               usually oriented to credentials; default (GitHubInspectOrgs->_verbose).
+    * ```
+    *
+    * The following is an abbreviated example response for the normalized data requested:
+    * ```
+    * {
+    *    "scm": "github",
+    *    "categories": "orgs:access",
+    *    "timestamp": "2016-02-20T04:56:03.792Z",
+    *    "orgs": [
+    *      {
+    *        "name": "test-org-typhonjs",
+    *        "id": 17228306,
+    *        "url": "https:\/\/github.com\/test-org-typhonjs",
+    *        "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17228306?v=3",
+    *        "description": "Just a test organization for testing typhonjs-github-inspect-orgs",
+    *        "access": [
+    *          {
+    *            "name": "typhonjs-test",
+    *            "id": 17188714,
+    *            "url": "https:\/\/github.com\/typhonjs-test",
+    *            "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17188714?v=3",
+    *            "affiliation": "owner",
+    *            "repos": [
+    *              {
+    *                "name": "test-repo1",
+    *                "permission": "admin"
+    *              },
+    *              // .... more data
+    *            ]
+    *          },
+    *          // .... more data
+    *        ]
+    *      },
+    *      // .... more data
+    *    ]
+    * }
+    * ```
+    *
+    * @returns {Promise}
+    */
+   getOrgCollaboratorAccess(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object')
+      {
+         throw new TypeError(`getOrgCollaboratorAccess error: 'options' is not an 'object'.`);
+      }
+
+      // If no explicit option to create normalized data is available default to true.
+      const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
+
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
+      const log = s_GET_LOG(this, options);
+
+      const githubAPIPool = this._githubAPIPool;
+
+      const pageOptions = s_GET_PAGE_OPTIONS(this, options);
+      const requestQueue = s_GET_REQUEST_QUEUE(this, options);
+      const tracker = s_CREATE_STREAM_TRACKER(this, options, normalize, ['orgs', 'access']);
+
+      // Fail early if rate limit is reached or user authentication fails.
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
+      {
+         return this.getOrgRepoCollaborators(innerOptions).then((orgs) =>
+         {
+            const promises = [];
+
+            for (let cntr = 0; cntr < orgs.length; cntr++)
+            {
+               const org = orgs[cntr];
+
+               // User accounts have no members; the user is the owner of all repos.
+               if (org.type === 'User')
+               {
+                  org.access = s_GET_COLLABORATOR_ACCESS(org, [], []);
+                  tracker.expect(org);
+                  continue;
+               }
+
+               (function(org)
+               {
+                  promises.push(new Promise((resolve, reject) =>
+                  {
+                     const github = s_AUTHENTICATE(githubAPIPool, org._credential);
+
+                     /**
+                      * Handles a failed members request; organizations without members contain no `access` entry.
+                      *
+                      * @param {Error} err - The request error.
+                      */
+                     const onError = (err) =>
+                     {
+                        /* istanbul ignore if */
+                        if (RateLimitScheduler.isRateLimitError(err))
+                        {
+                           reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                           return;
+                        }
+
+                        s_ADD_ERROR(errors, err, { owner: org._owner, org: org.login }, log);
+                        tracker.expect(org);
+                        resolve(err);
+                     };
+
+                     s_GET_ALL_PAGES(github, github.orgs.getMembers, { org: org.login }, pageOptions, requestQueue,
+                      (err, members) =>
+                     {
+                        if (err) { onError(err); return; }
+
+                        s_GET_ALL_PAGES(github, s_CREATE_CUSTOM_REQUEST(github, s_CUSTOM_ROUTES.orgMembers),
+                         { org: org.login, role: 'admin' }, pageOptions, requestQueue, (adminsErr, admins) =>
+                        {
+                           if (adminsErr) { onError(adminsErr); return; }
+
+                           org.access = s_GET_COLLABORATOR_ACCESS(org, members, admins);
+                           tracker.expect(org);
+                           resolve();
+                        });
+                     });
+                  }));
+               })(org);
+            }
+
+            return Promise.all(promises).then(() =>
+            {
+               // Strip any temporary private data stored in `orgs` when returning normalized data.
+               if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
+
+               return normalize ? s_CREATE_RESULTS(this, ['orgs', 'access'], orgs, options, errors) : orgs;
+            });
          });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'access'], normalize, options);
       });
    }
 
@@ -554,17 +1295,21 @@ export default class GitHubInspectOrgs
       // If no explicit option to create normalized data is available default to true.
       const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
 
-      const githubAPI = this._githubAPI;
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
+      const log = s_GET_LOG(this, options);
 
-      const verbose = typeof options.verbose === 'boolean' ? options.verbose : this._verbose;
+      const githubAPIPool = this._githubAPIPool;
 
-      // Prevents nested queries from generating intermediate normalized data.
-      options.normalize = false;
+      const pageOptions = s_GET_PAGE_OPTIONS(this, options);
+      const requestQueue = s_GET_REQUEST_QUEUE(this, options);
+      const tracker = s_CREATE_STREAM_TRACKER(this, options, normalize, ['orgs', 'members']);
 
       // Fail early if rate limit is reached or user authentication fails.
-      return s_IS_RATE_LIMIT_REACHED(this, options).then(() =>
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
       {
-         return this.getOrgs(options).then((orgs) =>
+         return this.getOrgs(innerOptions).then((orgs) =>
          {
             const promises = [];
 
@@ -574,20 +1319,22 @@ export default class GitHubInspectOrgs
 
                (function(org)
                {
-                  promises.push(new Promise((resolve) =>
+                  promises.push(new Promise((resolve, reject) =>
                   {
-                     const github = s_AUTHENTICATE(githubAPI, org._credential);
+                     const github = s_AUTHENTICATE(githubAPIPool, org._credential);
 
-                     github.orgs.getMembers({ org: org.login }, (err, members) =>
+                     s_GET_ALL_PAGES(github, github.orgs.getMembers, { org: org.login },
+                      pageOptions, requestQueue, (err, members) =>
                      {
                         /* istanbul ignore if */
-                        if (err)
+                        if (RateLimitScheduler.isRateLimitError(err))
                         {
-                           if (verbose)
-                           {
-                              console.log(`Skipping organization '${org.login}'`
-                               + `as provided organization credential for owner '${org._owner}' does not have access.`);
-                           }
+                           reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                        }
+                        else if (err)
+                        {
+                           s_ADD_ERROR(errors, err, { owner: org._owner, org: org.login }, log);
+                           tracker.expect(org);
                            resolve(err);
                         }
                         else
@@ -596,6 +1343,7 @@ export default class GitHubInspectOrgs
                            members.sort((a, b) => { return a.login.localeCompare(b.login); });
 
                            org.members = members;
+                           tracker.expect(org);
                            resolve();
                         }
                      });
@@ -608,10 +1356,12 @@ export default class GitHubInspectOrgs
                // Strip any temporary private data stored in `orgs` when returning normalized data.
                if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
 
-               return normalize ? { normalized: GitHubNormalize.normalizeCategories(['orgs', 'members'], orgs,
-                this._optionsURL), raw: orgs } : orgs;
+               return normalize ? s_CREATE_RESULTS(this, ['orgs', 'members'], orgs, options, errors) : orgs;
             });
          });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'members'], normalize, options);
       });
    }
 
@@ -624,6 +1374,9 @@ export default class GitHubInspectOrgs
     *                                organizations and other query data that this particular user is a member of or has
     *                                access to currently.
     *
+    * (object)          repoFilter - Includes / excludes repos before any further requests are made for each repo; see
+    *                                `GitHubInspectOrgs` for the supported filters.
+    *
     * (Array<string>)   repoFiles - An array of file paths / names used in repo oriented queries that is relative to the
     *                               repos default branch (usually 'master') that are requested from
     *                               `https://raw.githubusercontent.com` and added to the respective repo in an hash
@@ -683,23 +1436,43 @@ export default class GitHubInspectOrgs
       // If no explicit option to create normalized data is available default to true.
       const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
 
-      const githubAPI = this._githubAPI;
-      const optionsURL = this._optionsURL;
-      const userAgent = this._userAgent;
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
+      const log = s_GET_LOG(this, options);
 
-      const verbose = typeof options.verbose === 'boolean' ? options.verbose : this._verbose;
+      const githubAPIPool = this._githubAPIPool;
+
+      const optionsURL = this._normalizeOptions;
+      const pageOptions = s_GET_PAGE_OPTIONS(this, options);
+      const repoFilter = s_GET_REPO_FILTER(options);
+      const requestQueue = s_GET_REQUEST_QUEUE(this, options);
+      const tracker = s_CREATE_STREAM_TRACKER(this, options, normalize, ['orgs', 'repos']);
+      const transport = this._transport;
+      const userAgent = this._userAgent;
 
       // Fail early if rate limit is reached or user authentication fails.
-      return s_IS_RATE_LIMIT_REACHED(this, options).then(() =>
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
       {
-         // Defer to authenticated version if credentials exists
-         if (options.credential) { return s_GET_ORG_REPOS_AUTH(this, options); }
+         // Defer to authenticated version if credentials exists; the rate limit is already checked.
+         if (options.credential)
+         {
+            return s_GET_ORG_REPOS_AUTH(this, Object.assign({}, options, { skipRateLimitCheck: true }));
+         }
 
-         // Prevents nested queries from generating intermediate normalized data.
-         options.normalize = false;
+         let orgs;
+
+         return this.getOrgs(innerOptions).then((results) =>
+         {
+            orgs = results;
 
-         return this.getOrgs(options).then((orgs) =>
+            return s_GET_USER_ACCOUNTS(this, requestQueue, errors, log);
+         }).then((users) =>
          {
+            // User accounts join the organizations sorted by name.
+            orgs = orgs.concat(users);
+            orgs.sort((a, b) => { return a.login.localeCompare(b.login); });
+
             const promises = [];
             const innerPromises = [];
 
@@ -709,31 +1482,47 @@ export default class GitHubInspectOrgs
 
                (function(org)
                {
-                  promises.push(new Promise((resolve) =>
+                  promises.push(new Promise((resolve, reject) =>
                   {
-                     const github = s_AUTHENTICATE(githubAPI, org._credential);
+                     const github = s_AUTHENTICATE(githubAPIPool, org._credential);
+
+                     const isUser = org.type === 'User';
 
-                     github.repos.getFromOrg({ org: org.login }, (err, repos) =>
+                     s_GET_ALL_PAGES(github, isUser ? github.repos.getFromUser : github.repos.getFromOrg,
+                      isUser ? { user: org.login } : { org: org.login }, pageOptions, requestQueue, (err, repos) =>
                      {
                         /* istanbul ignore if */
-                        if (err)
+                        if (RateLimitScheduler.isRateLimitError(err))
                         {
-                           if (verbose)
-                           {
-                              console.log(`Skipping organization '${org.login}'`
-                               + `as provided organization credential for owner '${org._owner}' does not have access.`);
-                           }
+                           reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                        }
+                        else if (err)
+                        {
+                           s_ADD_ERROR(errors, err, { owner: org._owner, org: org.login }, log);
+                           tracker.expect(org);
                            resolve(err);
                         }
                         else
                         {
+                           // Skip filtered repos before any further requests are made for each repo.
+                           repos = repos.filter(repoFilter);
+
                            // Sort by repo name.
                            repos.sort((a, b) => { return a.name.localeCompare(b.name); });
 
                            org.repos = repos;
 
+                           const repoFilePromises = [];
+
                            // Processes any file download requests from options.repoFiles
-                           s_CREATE_REPO_FILE_PROMISES(userAgent, innerPromises, repos, options, optionsURL);
+                           s_CREATE_REPO_FILE_PROMISES(transport, requestQueue, userAgent, repoFilePromises, repos,
+                            options, optionsURL);
+
+                           // The repos of the org complete once all file downloads are received.
+                           innerPromises.push(Promise.all(repoFilePromises).then(() =>
+                           {
+                              tracker.completeAll(org, repos);
+                           }));
 
                            resolve(repos);
                         }
@@ -749,30 +1538,33 @@ export default class GitHubInspectOrgs
                   // Strip any temporary private data stored in `orgs` when returning normalized data.
                   if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
 
-                  return normalize ? { normalized: GitHubNormalize.normalizeCategories(['orgs', 'repos'], orgs,
-                   optionsURL), raw: orgs } : orgs;
+                  return normalize ? s_CREATE_RESULTS(this, ['orgs', 'repos'], orgs, options, errors) : orgs;
                });
             });
          });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'repos'], normalize, options);
       });
    }
 
    /**
-    * Returns all collaborators by repo by organization across all organizations.
+    * Returns the branch protection settings by repo by organization across all organizations as a flat pass / fail
+    * report. By default the default branch of each repo is checked; `branches` selects the branches to check instead.
+    * A branch passes when it is protected, requires reviews and requires status checks. Reading the protection
+    * settings requires admin access to a repo; repos without it are skipped and reported in `errors`.
     *
     * @param {object}  options - Optional parameters.
     * ```
+    * (string|RegExp|Array<string|RegExp>)   branches - Branch names / patterns to check in place of the default branch.
+    *                                                   Strings may contain `*` wildcards; IE 'release/*'.
+    *
     * (string)          credential - A public access token for any GitHub user which limits the responses to the
     *                                organizations and other query data that this particular user is a member of or has
     *                                access to currently.
     *
-    * (Array<string>)   repoFiles - An array of file paths / names used in repo oriented queries that is relative to the
-    *                               repos default branch (usually 'master') that are requested from
-    *                               `https://raw.githubusercontent.com` and added to the respective repo in an hash
-    *                               entry `repo_files` indexed by file path / name provided. This is useful for instance
-    *                               with JS repos in requesting `package.json`, but any file can be requested. Each
-    *                               entry in the `repo_files` hash is also a hash containing `statusCode` of the
-    *                               response and `body` containing the contents of the file requested.
+    * (object)          repoFilter - Includes / excludes repos before any further requests are made for each repo; see
+    *                                `GitHubInspectOrgs` for the supported filters.
     *
     * (boolean)         verbose -   Overrides GitHubInspectOrgs verbose setting logging any API request rejections
     *                               usually oriented to credentials; default (GitHubInspectOrgs->_verbose).
@@ -782,7 +1574,7 @@ export default class GitHubInspectOrgs
     * ```
     * {
     *    "scm": "github",
-    *    "categories": "orgs:repos:collaborators",
+    *    "categories": "orgs:repos:protection",
     *    "timestamp": "2016-02-20T04:56:03.792Z",
     *    "orgs": [
     *      {
@@ -797,21 +1589,21 @@ export default class GitHubInspectOrgs
     *            "full_name": "test-org-typhonjs\/test-repo1",
     *            "id": 51677097,
     *            "url": "https:\/\/github.com\/test-org-typhonjs\/test-repo1",
-    *            "description": "Just a test repo",
-    *            "private": false,
-    *            "repo_files": {},
-    *            "fork": false,
-    *            "created_at": "2016-02-14T03:01:24Z",
-    *            "git_url": "git:\/\/github.com\/test-org-typhonjs\/test-repo1.git",
-    *            "ssh_url": "git@github.com:test-org-typhonjs\/test-repo1.git",
-    *            "clone_url": "https:\/\/github.com\/test-org-typhonjs\/test-repo1.git",
+    *            // .... more data
     *            "default_branch": "master",
-    *            "collaborators": [
+    *            "protection": [
     *              {
-    *                "name": "typhonjs-test",
-    *                "id": 17188714,
-    *                "url": "https:\/\/github.com\/typhonjs-test",
-    *                "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17188714?v=3"
+    *                "branch": "master",
+    *                "is_default": true,
+    *                "protected": true,
+    *                "requires_reviews": true,
+    *                "required_review_count": 1,
+    *                "dismisses_stale_reviews": false,
+    *                "requires_status_checks": true,
+    *                "status_checks": ["continuous-integration\/travis-ci"],
+    *                "strict_status_checks": true,
+    *                "enforces_admins": false,
+    *                "pass": true
     *              },
     *              // .... more data
     *            ]
@@ -826,28 +1618,33 @@ export default class GitHubInspectOrgs
     *
     * @returns {Promise}
     */
-   getOrgRepoCollaborators(options = {})
+   getOrgRepoBranchProtection(options = {})
    {
       /* istanbul ignore if */
       if (typeof options !== 'object')
       {
-         throw new TypeError(`getOrgRepoCollaborators error: 'options' is not an 'object'.`);
+         throw new TypeError(`getOrgRepoBranchProtection error: 'options' is not an 'object'.`);
       }
 
       // If no explicit option to create normalized data is available default to true.
       const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
 
-      const githubAPI = this._githubAPI;
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
+      const log = s_GET_LOG(this, options);
 
-      const verbose = typeof options.verbose === 'boolean' ? options.verbose : this._verbose;
+      const githubAPIPool = this._githubAPIPool;
 
-      // Prevents nested queries from generating intermediate normalized data.
-      options.normalize = false;
+      const branchMatcher = s_GET_BRANCH_MATCHER(options.branches);
+      const pageOptions = s_GET_PAGE_OPTIONS(this, options);
+      const requestQueue = s_GET_REQUEST_QUEUE(this, options);
+      const tracker = s_CREATE_STREAM_TRACKER(this, options, normalize, ['orgs', 'repos', 'protection']);
 
       // Fail early if rate limit is reached or user authentication fails.
-      return s_IS_RATE_LIMIT_REACHED(this, options).then(() =>
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
       {
-         return this.getOrgRepos(options).then((orgs) =>
+         return this.getOrgRepos(innerOptions).then((orgs) =>
          {
             const promises = [];
 
@@ -855,36 +1652,98 @@ export default class GitHubInspectOrgs
             {
                const org = orgs[cntr];
 
+               tracker.expect(org, org.repos);
+
                for (let cntr2 = 0; cntr2 < org.repos.length; cntr2++)
                {
                   const repo = org.repos[cntr2];
 
                   (function(org, repo)
                   {
-                     promises.push(new Promise((resolve) =>
+                     promises.push(new Promise((resolve, reject) =>
                      {
-                        const github = s_AUTHENTICATE(githubAPI, org._credential);
+                        const github = s_AUTHENTICATE(githubAPIPool, org._credential);
+                        const getProtection = s_CREATE_CUSTOM_REQUEST(github, s_CUSTOM_ROUTES.branchProtection);
+                        const item = { owner: org._owner, org: org.login, repo: repo.name };
 
-                        github.repos.getCollaborators({ repo: repo.name, user: org.login }, (err, users) =>
+                        const getBranchProtection = (branchNames) =>
                         {
-                           /* istanbul ignore if */
-                           if (err)
+                           let pending = branchNames.length;
+
+                           repo.protection = [];
+
+                           if (pending === 0)
+                           {
+                              tracker.complete(org, repo);
+                              resolve(repo.protection);
+                              return;
+                           }
+
+                           for (let cntr3 = 0; cntr3 < branchNames.length; cntr3++)
                            {
-                              if (verbose)
+                              const branch = branchNames[cntr3];
+
+                              s_QUEUE_REQUEST(requestQueue, getProtection,
+                               { user: org.login, repo: repo.name, branch }, (err, protection) =>
                               {
-                                 console.log(`Skipping repo '${repo.name}'`
-                                  + `as provided organization credential for owner '${org._owner}'`
-                                   + ' does not have access.');
-                              }
+                                 /* istanbul ignore if */
+                                 if (RateLimitScheduler.isRateLimitError(err))
+                                 {
+                                    reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                                    return;
+                                 }
+
+                                 // GitHub responds with `404 Branch not protected` for branches without protection.
+                                 if (err && err.code !== 404)
+                                 {
+                                    s_ADD_ERROR(errors, err, item, log);
+                                 }
+                                 else
+                                 {
+                                    repo.protection.push(
+                                    {
+                                       'name': branch,
+                                       'default': branch === repo.default_branch,
+                                       'protection': err ? null : protection
+                                    });
+                                 }
+
+                                 if (--pending === 0)
+                                 {
+                                    // Sort by branch name.
+                                    repo.protection.sort((a, b) => { return a.name.localeCompare(b.name); });
+
+                                    tracker.complete(org, repo);
+                                    resolve(repo.protection);
+                                 }
+                              });
+                           }
+                        };
+
+                        if (branchMatcher === null)
+                        {
+                           getBranchProtection([repo.default_branch]);
+                           return;
+                        }
+
+                        s_GET_ALL_PAGES(github, github.repos.getBranches, { repo: repo.name, user: org.login },
+                         pageOptions, requestQueue, (err, branches) =>
+                        {
+                           /* istanbul ignore if */
+                           if (RateLimitScheduler.isRateLimitError(err))
+                           {
+                              reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                           }
+                           else if (err)
+                           {
+                              s_ADD_ERROR(errors, err, item, log);
+                              tracker.complete(org, repo);
                               resolve(err);
                            }
                            else
                            {
-                              // Sort by user name.
-                              users.sort((a, b) => { return a.login.localeCompare(b.login); });
-
-                              repo.collaborators = users;
-                              resolve(users);
+                              getBranchProtection(branches.map((branch) => { return branch.name; }).filter(
+                               branchMatcher));
                            }
                         });
                      }));
@@ -897,15 +1756,19 @@ export default class GitHubInspectOrgs
                // Strip any temporary private data stored in `orgs` when returning normalized data.
                if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
 
-               return normalize ? { normalized: GitHubNormalize.normalizeCategories(
-                ['orgs', 'repos', 'collaborators'], orgs, this._optionsURL), raw: orgs } : orgs;
+               return normalize ? s_CREATE_RESULTS(this, ['orgs', 'repos', 'protection'], orgs, options, errors) :
+                orgs;
             });
          });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'repos', 'protection'], normalize, options);
       });
    }
 
    /**
-    * Returns all contributors by repo by organization across all organizations.
+    * Returns all collaborators by repo by organization across all organizations. Each collaborator contains the highest
+    * `permission` level held for the repo ('admin', 'push' or 'pull').
     *
     * @param {object}  options - Optional parameters.
     * ```
@@ -913,6 +1776,12 @@ export default class GitHubInspectOrgs
     *                                organizations and other query data that this particular user is a member of or has
     *                                access to currently.
     *
+    * (string)          minPermission - Only includes collaborators with at least the given permission level; one of
+    *                                   'admin', 'push' or 'pull'.
+    *
+    * (object)          repoFilter - Includes / excludes repos before any further requests are made for each repo; see
+    *                                `GitHubInspectOrgs` for the supported filters.
+    *
     * (Array<string>)   repoFiles - An array of file paths / names used in repo oriented queries that is relative to the
     *                               repos default branch (usually 'master') that are requested from
     *                               `https://raw.githubusercontent.com` and added to the respective repo in an hash
@@ -929,7 +1798,7 @@ export default class GitHubInspectOrgs
     * ```
     * {
     *    "scm": "github",
-    *    "categories": "orgs:repos:contributors",
+    *    "categories": "orgs:repos:collaborators",
     *    "timestamp": "2016-02-20T04:56:03.792Z",
     *    "orgs": [
     *      {
@@ -953,12 +1822,13 @@ export default class GitHubInspectOrgs
     *            "ssh_url": "git@github.com:test-org-typhonjs\/test-repo1.git",
     *            "clone_url": "https:\/\/github.com\/test-org-typhonjs\/test-repo1.git",
     *            "default_branch": "master",
-    *            "contributors": [
+    *            "collaborators": [
     *              {
     *                "name": "typhonjs-test",
     *                "id": 17188714,
     *                "url": "https:\/\/github.com\/typhonjs-test",
-    *                "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17188714?v=3"
+    *                "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17188714?v=3",
+    *                "permission": "admin"
     *              },
     *              // .... more data
     *            ]
@@ -973,26 +1843,33 @@ export default class GitHubInspectOrgs
     *
     * @returns {Promise}
     */
-   getOrgRepoContributors(options = {})
+   getOrgRepoCollaborators(options = {})
    {
       /* istanbul ignore if */
       if (typeof options !== 'object')
       {
-         throw new TypeError(`getOrgRepoContributors error: 'options' is not an 'object'.`);
+         throw new TypeError(`getOrgRepoCollaborators error: 'options' is not an 'object'.`);
       }
 
       // If no explicit option to create normalized data is available default to true.
       const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
 
-      const githubAPI = this._githubAPI;
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
+      const log = s_GET_LOG(this, options);
+
+      const githubAPIPool = this._githubAPIPool;
 
-      // Prevents nested queries from generating intermediate normalized data.
-      options.normalize = false;
+      const minPermission = s_GET_MIN_PERMISSION(options);
+      const pageOptions = s_GET_PAGE_OPTIONS(this, options);
+      const requestQueue = s_GET_REQUEST_QUEUE(this, options);
+      const tracker = s_CREATE_STREAM_TRACKER(this, options, normalize, ['orgs', 'repos', 'collaborators']);
 
       // Fail early if rate limit is reached or user authentication fails.
-      return s_IS_RATE_LIMIT_REACHED(this, options).then(() =>
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
       {
-         return this.getOrgRepos(options).then((orgs) =>
+         return this.getOrgRepos(innerOptions).then((orgs) =>
          {
             const promises = [];
 
@@ -1000,29 +1877,49 @@ export default class GitHubInspectOrgs
             {
                const org = orgs[cntr];
 
+               tracker.expect(org, org.repos);
+
                for (let cntr2 = 0; cntr2 < org.repos.length; cntr2++)
                {
                   const repo = org.repos[cntr2];
 
                   (function(org, repo)
                   {
-                     promises.push(new Promise((resolve) =>
+                     promises.push(new Promise((resolve, reject) =>
                      {
-                        const github = s_AUTHENTICATE(githubAPI, org._credential);
+                        const github = s_AUTHENTICATE(githubAPIPool, org._credential);
 
-                        github.repos.getContributors({ repo: repo.name, user: org.login }, (err, users) =>
+                        s_GET_ALL_PAGES(github, github.repos.getCollaborators, { repo: repo.name, user: org.login },
+                         pageOptions, requestQueue, (err, users) =>
                         {
                            /* istanbul ignore if */
-                           if (err)
+                           if (RateLimitScheduler.isRateLimitError(err))
                            {
+                              reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                           }
+                           else if (err)
+                           {
+                              s_ADD_ERROR(errors, err, { owner: org._owner, org: org.login, repo: repo.name }, log);
+                              tracker.complete(org, repo);
                               resolve(err);
                            }
                            else
                            {
+                              // Permissions are cumulative; IE 'admin' also grants 'push' and 'pull'.
+                              if (minPermission !== null)
+                              {
+                                 users = users.filter((user) =>
+                                 {
+                                    return typeof user.permissions === 'object' && user.permissions !== null &&
+                                     user.permissions[minPermission] === true;
+                                 });
+                              }
+
                               // Sort by user name.
                               users.sort((a, b) => { return a.login.localeCompare(b.login); });
 
-                              repo.contributors = users;
+                              repo.collaborators = users;
+                              tracker.complete(org, repo);
                               resolve(users);
                            }
                         });
@@ -1036,36 +1933,28 @@ export default class GitHubInspectOrgs
                // Strip any temporary private data stored in `orgs` when returning normalized data.
                if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
 
-               return normalize ? { normalized: GitHubNormalize.normalizeCategories(
-                ['orgs', 'repos', 'contributors'], orgs, this._optionsURL), raw: orgs } : orgs;
+               return normalize ? s_CREATE_RESULTS(this, ['orgs', 'repos', 'collaborators'], orgs, options, errors) :
+                orgs;
             });
          });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'repos', 'collaborators'], normalize, options);
       });
    }
 
    /**
-    * Returns GitHub statistics by repo by organization across all organizations. Each repo will contain a `stats`
-    * object hash with the categories defined below. Please be mindful of accessing this functionality as the GitHub API
-    * is being queried directly and with excessive use rate limits will be reached.
+    * Returns all contributors by repo by organization across all organizations.
     *
     * @param {object}  options - Optional parameters.
     * ```
-    * Required:
-    * (Array<String>)   categories - list of stats categories to query. May include:
-    *    'all': A wildcard that includes all categories defined below.
-    *    'codeFrequency': Get the number of additions and deletions per week.
-    *    'commitActivity': Get the last year of commit activity data.
-    *    'contributors': Get contributors list with additions, deletions & commit counts.
-    *    'participation': Get the weekly commit count for the repository owner & everyone else.
-    *    'punchCard': Get the number of commits per hour in each day.
-    *    'stargazers': Get list GitHub users who starred repos.
-    *    'watchers': Get list of GitHub users who are watching repos.
-    *
-    * Optional:
     * (string)          credential - A public access token for any GitHub user which limits the responses to the
     *                                organizations and other query data that this particular user is a member of or has
     *                                access to currently.
     *
+    * (object)          repoFilter - Includes / excludes repos before any further requests are made for each repo; see
+    *                                `GitHubInspectOrgs` for the supported filters.
+    *
     * (Array<string>)   repoFiles - An array of file paths / names used in repo oriented queries that is relative to the
     *                               repos default branch (usually 'master') that are requested from
     *                               `https://raw.githubusercontent.com` and added to the respective repo in an hash
@@ -1078,151 +1967,80 @@ export default class GitHubInspectOrgs
     *                               usually oriented to credentials; default (GitHubInspectOrgs->_verbose).
     * ```
     *
-    * Version 3.0 of the GitHub API is used for all queries. Please review the repo statistics documentation for
-    * a full description: https://developer.github.com/v3/repos/statistics/
-    *
-    * It should be noted that the GitHub API caches statistic results and on the first query may not return results
-    * on that query. In that case the query needs to be run again. A boolean `_resultsPending` is added to
-    * `repo.stats[0]._resultsPending` in this case indicating that the query needs to be rerun.
-    *
     * The following is an abbreviated example response for the normalized data requested:
     * ```
     * {
-    *   "scm": "github",
-    *   "categories": "orgs:repos:stats",
-    *   "timestamp": "2016-02-27T10:31:51.979Z",
-    *   "orgs": [
-    *     {
-    *       "name": "typhonjs-backbone",
-    *       "id": 17154328,
-    *       "url": "https://github.com/typhonjs-backbone",
-    *       "avatar_url": "https://avatars.githubusercontent.com/u/17154328?v=3",
-    *       "description": "",
-    *       "repos": [
-    *         {
-    *           "name": "backbone-es6",
-    *           "full_name": "typhonjs-backbone/backbone-es6",
-    *           "id": 44065471,
-    *           "url": "https://github.com/typhonjs-backbone/backbone-es6",
-    *           "description": "A fork of Backbone converting it to ES6.",
-    *           "private": false,
-    *           "repo_files": {},
-    *           "fork": false,
-    *           "created_at": "2015-10-11T19:04:43Z",
-    *           "updated_at": "2016-02-22T09:44:19Z",
-    *           "pushed_at": "2016-02-12T17:34:02Z",
-    *           "git_url": "git://github.com/typhonjs-backbone/backbone-es6.git",
-    *           "ssh_url": "git@github.com:typhonjs-backbone/backbone-es6.git",
-    *           "clone_url": "https://github.com/typhonjs-backbone/backbone-es6.git",
-    *           "stargazers_count": 6,
-    *           "watchers_count": 6,
-    *           "default_branch": "master",
-    *           "stats": [
-    *             {
-    *               "codeFrequency": [
-    *                 [1444521600,62981,-57],
-    *                 // .... more data
-    *               ],
-    *               "commitActivity": [
-    *                 {
-    *                   "days": [0,0,0,0,0,0,0],
-    *                   "total": 0,
-    *                   "week": 1425171600
-    *                 },
-    *                 // .... more data
-    *               ],
-    *               "participation": {
-    *                 "all": [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,29,15,13,16,3,1,0,0,0,9,0,1,2,7,15,3,2,0,0],
-    *                 "owner": [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
-    *               },
-    *               "punchCard": [
-    *                 [0,0,0],
-    *                 // .... more data
-    *               ],
-    *               "contributors": [
-    *                 {
-    *                   "total": 118,
-    *                   "weeks": [
-    *                     {
-    *                       "w": 1444521600,
-    *                       "a": 62957,
-    *                       "d": 57,
-    *                       "c": 8
-    *                     },
-    *                     // .... more data
-    *                   ],
-    *                   "author": {
-    *                     "name": "typhonrt",
-    *                     "id": 311473,
-    *                     "url": "https://github.com/typhonrt",
-    *                     "avatar_url": "https://avatars.githubusercontent.com/u/311473?v=3"
-    *                   }
-    *                 },
-    *                 // .... more data
-    *               ],
-    *               "stargazers": [
-    *                 {
-    *                   "name": "typhonrt",
-    *                   "id": 311473,
-    *                   "url": "https:\/\/github.com\/typhonrt",
-    *                   "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/311473?v=3"
-    *                 },
-    *                 // .... more data
-    *               ],
-    *               "watchers": [
-    *                 {
-    *                   "name": "typhonrt",
-    *                   "id": 311473,
-    *                   "url": "https:\/\/github.com\/typhonrt",
-    *                   "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/311473?v=3"
-    *                 },
-    *                 // .... more data
-    *               ]
-    *             }
-    *           ]
-    *         },
-    *         // .... more data
-    *       ]
-    *     },
-    *     // .... more data
-    *   ]
+    *    "scm": "github",
+    *    "categories": "orgs:repos:contributors",
+    *    "timestamp": "2016-02-20T04:56:03.792Z",
+    *    "orgs": [
+    *      {
+    *        "name": "test-org-typhonjs",
+    *        "id": 17228306,
+    *        "url": "https:\/\/github.com\/test-org-typhonjs",
+    *        "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17228306?v=3",
+    *        "description": "Just a test organization for testing typhonjs-github-inspect-orgs",
+    *        "repos": [
+    *          {
+    *            "name": "test-repo1",
+    *            "full_name": "test-org-typhonjs\/test-repo1",
+    *            "id": 51677097,
+    *            "url": "https:\/\/github.com\/test-org-typhonjs\/test-repo1",
+    *            "description": "Just a test repo",
+    *            "private": false,
+    *            "repo_files": {},
+    *            "fork": false,
+    *            "created_at": "2016-02-14T03:01:24Z",
+    *            "git_url": "git:\/\/github.com\/test-org-typhonjs\/test-repo1.git",
+    *            "ssh_url": "git@github.com:test-org-typhonjs\/test-repo1.git",
+    *            "clone_url": "https:\/\/github.com\/test-org-typhonjs\/test-repo1.git",
+    *            "default_branch": "master",
+    *            "contributors": [
+    *              {
+    *                "name": "typhonjs-test",
+    *                "id": 17188714,
+    *                "url": "https:\/\/github.com\/typhonjs-test",
+    *                "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17188714?v=3"
+    *              },
+    *              // .... more data
+    *            ]
+    *          },
+    *          // .... more data
+    *        ]
+    *      },
+    *      // .... more data
+    *    ]
     * }
     * ```
     *
     * @returns {Promise}
     */
-   getOrgRepoStats(options = {})
+   getOrgRepoContributors(options = {})
    {
       /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`getOrgRepoStats error: 'options' is not an 'object'.`); }
-
-      let categories = options.categories || [];
-
-      /* istanbul ignore if */
-      if (!Array.isArray(categories))
-      {
-         throw new TypeError(`getOrgRepoStats error: 'options.categories' is not an 'array'.`);
-      }
-
-      // Handle wildcard `all` setting all categories.
-      if (categories.length === 1 && categories[0] === 'all')
+      if (typeof options !== 'object')
       {
-         categories =
-          ['codeFrequency', 'commitActivity', 'contributors', 'participation', 'punchCard', 'stargazers', 'watchers'];
+         throw new TypeError(`getOrgRepoContributors error: 'options' is not an 'object'.`);
       }
 
       // If no explicit option to create normalized data is available default to true.
       const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
 
-      const githubAPI = this._githubAPI;
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
+      const log = s_GET_LOG(this, options);
+
+      const githubAPIPool = this._githubAPIPool;
 
-      // Prevents nested queries from generating intermediate normalized data.
-      options.normalize = false;
+      const pageOptions = s_GET_PAGE_OPTIONS(this, options);
+      const requestQueue = s_GET_REQUEST_QUEUE(this, options);
+      const tracker = s_CREATE_STREAM_TRACKER(this, options, normalize, ['orgs', 'repos', 'contributors']);
 
       // Fail early if rate limit is reached or user authentication fails.
-      return s_IS_RATE_LIMIT_REACHED(this, options).then(() =>
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
       {
-         return this.getOrgRepos(options).then((orgs) =>
+         return this.getOrgRepos(innerOptions).then((orgs) =>
          {
             const promises = [];
 
@@ -1230,50 +2048,44 @@ export default class GitHubInspectOrgs
             {
                const org = orgs[cntr];
 
+               tracker.expect(org, org.repos);
+
                for (let cntr2 = 0; cntr2 < org.repos.length; cntr2++)
                {
                   const repo = org.repos[cntr2];
 
-                  // All other compound data is wrapped in array, so wrap the stats object hash in an array.
-                  repo.stats = [{}];
-
-                  for (let cntr3 = 0; cntr3 < categories.length; cntr3++)
+                  (function(org, repo)
                   {
-                     const category = categories[cntr3];
-
-                     /* istanbul ignore else */
-                     if (typeof s_STAT_CATEGORY_TO_FUNCT[category] === 'string')
+                     promises.push(new Promise((resolve, reject) =>
                      {
-                        (function(org, repo, category, functionName)
+                        const github = s_AUTHENTICATE(githubAPIPool, org._credential);
+
+                        s_GET_ALL_PAGES(github, github.repos.getContributors, { repo: repo.name, user: org.login },
+                         pageOptions, requestQueue, (err, users) =>
                         {
-                           promises.push(new Promise((resolve, reject) =>
+                           /* istanbul ignore if */
+                           if (RateLimitScheduler.isRateLimitError(err))
+                           {
+                              reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                           }
+                           else if (err)
+                           {
+                              s_ADD_ERROR(errors, err, { owner: org._owner, org: org.login, repo: repo.name }, log);
+                              tracker.complete(org, repo);
+                              resolve(err);
+                           }
+                           else
                            {
-                              const github = s_AUTHENTICATE(githubAPI, org._credential);
+                              // Sort by user name.
+                              users.sort((a, b) => { return a.login.localeCompare(b.login); });
 
-                              github.repos[functionName]({ repo: repo.name, user: org.login }, (err, results) =>
-                              {
-                                 /* istanbul ignore if */
-                                 if (err)
-                                 {
-                                    reject(err);
-                                 }
-                                 else
-                                 {
-                                    // GitHub doesn't have cached results, so setting _resultsPending true indicates
-                                    // that this query needs to be run again.
-                                    if (typeof results === 'object' && results.meta)
-                                    {
-                                       repo.stats[0]._resultsPending = true;
-                                    }
-                                    repo.stats[0][category] = results;
-                                    resolve(results);
-                                 }
-                              });
-                           }));
-                        })(org, repo, category, s_STAT_CATEGORY_TO_FUNCT[category]);
-                     }
-                     else { throw new Error(`getOrgRepoStats error: unknown category '${category}'.`); }
-                  }
+                              repo.contributors = users;
+                              tracker.complete(org, repo);
+                              resolve(users);
+                           }
+                        });
+                     }));
+                  })(org, repo);
                }
             }
 
@@ -1282,30 +2094,49 @@ export default class GitHubInspectOrgs
                // Strip any temporary private data stored in `orgs` when returning normalized data.
                if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
 
-               return normalize ? { normalized: GitHubNormalize.normalizeCategories(['orgs', 'repos', 'stats'],
-                orgs, this._optionsURL), raw: orgs } : orgs;
+               return normalize ? s_CREATE_RESULTS(this, ['orgs', 'repos', 'contributors'], orgs, options, errors) :
+                orgs;
             });
          });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'repos', 'contributors'], normalize, options);
       });
    }
 
    /**
-    * Returns all organizations.
+    * Returns all issues by repo by organization across all organizations. The `state`, `labels`, `assignee` and
+    * `since` filters are applied to the issues of each repo.
     *
     * @param {object}  options - Optional parameters.
     * ```
-    * (string) credential - A public access token for any GitHub user which limits the responses to the organizations
-    *                       and other query data that this particular user is a member of or has access to currently.
+    * (string)          assignee - Only includes issues assigned to the given user name; 'none' for
+    *                              unassigned or '*' for assigned issues.
     *
-    * (boolean)   verbose - Overrides GitHubInspectOrgs verbose setting logging any API request rejections usually
-    *                       oriented to credentials; default (GitHubInspectOrgs->_verbose).
+    * (string)          credential - A public access token for any GitHub user which limits the responses to the
+    *                                organizations and other query data that this particular user is a member of or has
+    *                                access to currently.
+    *
+    * (string|Array<string>)  labels - Only includes issues with all of the given label names.
+    *
+    * (object)          repoFilter - Includes / excludes repos before any further requests are made for each repo; see
+    *                                `GitHubInspectOrgs` for the supported filters.
+    *
+    * (Date|string)     since - Only includes issues updated at or after the given date or ISO 8601
+    *                           timestamp.
+    *
+    * (string)          state - Only includes issues in the given state; 'open', 'closed' or 'all';
+    *                           default ('open').
+    *
+    * (boolean)         verbose -   Overrides GitHubInspectOrgs verbose setting logging any API request rejections
+    *                               usually oriented to credentials; default (GitHubInspectOrgs->_verbose).
     * ```
     *
     * The following is an abbreviated example response for the normalized data requested:
     * ```
     * {
     *    "scm": "github",
-    *    "categories": "orgs",
+    *    "categories": "orgs:repos:issues",
     *    "timestamp": "2016-02-20T04:56:03.792Z",
     *    "orgs": [
     *      {
@@ -1313,7 +2144,39 @@ export default class GitHubInspectOrgs
     *        "id": 17228306,
     *        "url": "https:\/\/github.com\/test-org-typhonjs",
     *        "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17228306?v=3",
-    *        "description": "Just a test organization for testing typhonjs-github-inspect-orgs"
+    *        "description": "Just a test organization for testing typhonjs-github-inspect-orgs",
+    *        "repos": [
+    *          {
+    *            "name": "test-repo1",
+    *            "full_name": "test-org-typhonjs\/test-repo1",
+    *            "id": 51677097,
+    *            "url": "https:\/\/github.com\/test-org-typhonjs\/test-repo1",
+    *            // .... more data
+    *            "issues": [
+    *              {
+    *                "number": 12,
+    *                "title": "Parser fails on empty files",
+    *                "url": "https:\/\/github.com\/test-org-typhonjs\/test-repo1\/issues\/12",
+    *                "repo": "test-org-typhonjs\/test-repo1",
+    *                "state": "open",
+    *                "user": {
+    *                  "name": "typhonjs-test",
+    *                  "id": 17188714,
+    *                  "url": "https:\/\/github.com\/typhonjs-test",
+    *                  "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17188714?v=3"
+    *                },
+    *                "labels": ["bug"],
+    *                "assignees": ["typhonjs-test"],
+    *                "comments": 2,
+    *                "created_at": "2016-02-14T03:01:24Z",
+    *                "updated_at": "2016-02-20T04:56:03Z",
+    *                "closed_at": ""
+    *              },
+    *              // .... more data
+    *            ]
+    *          },
+    *          // .... more data
+    *        ]
     *      },
     *      // .... more data
     *    ]
@@ -1322,103 +2185,50 @@ export default class GitHubInspectOrgs
     *
     * @returns {Promise}
     */
-   getOrgs(options = {})
+   getOrgRepoIssues(options = {})
    {
       /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`getOrgs error: 'options' is not an 'object'.`); }
-
-      // If no explicit option to create normalized data is available default to true.
-      const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
-
-      const githubAPI = this._githubAPI;
-
-      const verbose = typeof options.verbose === 'boolean' ? options.verbose : this._verbose;
-
-      // Fail early if rate limit is reached or user authentication fails.
-      return s_IS_RATE_LIMIT_REACHED(this, options).then(() =>
+      if (typeof options !== 'object')
       {
-         // Defer to authenticated version if credentials exists
-         if (options.credential) { return s_GET_ORGS_AUTH(this, options); }
-
-         const promises = [];
-         const results = [];
-
-         for (let cntr = 0; cntr < this._organizations.length; cntr++)
-         {
-            (function(organization)
-            {
-               const orgCredential = organization.credential;
-
-               promises.push(new Promise((resolve) =>
-               {
-                  const github = s_AUTHENTICATE(githubAPI, orgCredential);
-
-                  github.orgs.getFromUser({ user: organization.owner }, (err, orgs) =>
-                  {
-                     /* istanbul ignore if */
-                     if (err)
-                     {
-                        if (verbose)
-                        {
-                           console.log(`Skipping organization '${organization.login}'`
-                            + ` as provided organization credential for owner '${organization.owner}'`
-                             + ' does not have access.');
-                        }
-                        resolve(err);
-                     }
-                     else
-                     {
-                        // Only add organizations that pass the `regex` test.
-                        for (let cntr2 = 0; cntr2 < orgs.length; cntr2++)
-                        {
-                           const org = orgs[cntr2];
-
-                           if (typeof org.login === 'string' && organization.regex.test(org.login))
-                           {
-                              org._credential = orgCredential;
-                              org._owner = organization.owner;
-                              results.push(org);
-                           }
-                        }
-
-                        resolve();
-                     }
-                  });
-               }));
-            })(this._organizations[cntr]);
-         }
-
-         return Promise.all(promises).then(() =>
-         {
-            // Sort by org name.
-            results.sort((a, b) => { return a.login.localeCompare(b.login); });
-
-            // Strip any temporary private data stored in `orgs` when returning normalized data.
-            if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(results); }
+         throw new TypeError(`getOrgRepoIssues error: 'options' is not an 'object'.`);
+      }
 
-            return normalize ? { normalized: GitHubNormalize.normalizeCategories(['orgs'], results,
-             this._optionsURL), raw: results } : results;
-         });
-      });
+      return s_GET_ORG_REPO_ISSUES(this, options, 'issues');
    }
 
    /**
-    * Returns all teams by organization across all organizations.
+    * Returns all pull requests by repo by organization across all organizations. The `state`, `labels`, `assignee` and
+    * `since` filters are applied to the pull requests of each repo.
     *
     * @param {object}  options - Optional parameters.
     * ```
-    * (string) credential - A public access token for any GitHub user which limits the responses to the organizations
-    *                       and other query data that this particular user is a member of or has access to currently.
+    * (string)          assignee - Only includes pull requests assigned to the given user name; 'none' for
+    *                              unassigned or '*' for assigned pull requests.
     *
-    * (boolean)   verbose - Overrides GitHubInspectOrgs verbose setting logging any API request rejections usually
-    *                       oriented to credentials; default (GitHubInspectOrgs->_verbose).
+    * (string)          credential - A public access token for any GitHub user which limits the responses to the
+    *                                organizations and other query data that this particular user is a member of or has
+    *                                access to currently.
+    *
+    * (string|Array<string>)  labels - Only includes pull requests with all of the given label names.
+    *
+    * (object)          repoFilter - Includes / excludes repos before any further requests are made for each repo; see
+    *                                `GitHubInspectOrgs` for the supported filters.
+    *
+    * (Date|string)     since - Only includes pull requests updated at or after the given date or ISO 8601
+    *                           timestamp.
+    *
+    * (string)          state - Only includes pull requests in the given state; 'open', 'closed' or 'all';
+    *                           default ('open').
+    *
+    * (boolean)         verbose -   Overrides GitHubInspectOrgs verbose setting logging any API request rejections
+    *                               usually oriented to credentials; default (GitHubInspectOrgs->_verbose).
     * ```
     *
     * The following is an abbreviated example response for the normalized data requested:
     * ```
     * {
     *    "scm": "github",
-    *    "categories": "orgs:teams",
+    *    "categories": "orgs:repos:pulls",
     *    "timestamp": "2016-02-20T04:56:03.792Z",
     *    "orgs": [
     *      {
@@ -1427,13 +2237,38 @@ export default class GitHubInspectOrgs
     *        "url": "https:\/\/github.com\/test-org-typhonjs",
     *        "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17228306?v=3",
     *        "description": "Just a test organization for testing typhonjs-github-inspect-orgs",
-    *        "teams": [
+    *        "repos": [
     *          {
-    *            "name": "cool-test-team",
-    *            "id": 1927253,
-    *            "privacy": "closed",
-    *            "permission": "pull",
-    *            "description": ""
+    *            "name": "test-repo1",
+    *            "full_name": "test-org-typhonjs\/test-repo1",
+    *            "id": 51677097,
+    *            "url": "https:\/\/github.com\/test-org-typhonjs\/test-repo1",
+    *            // .... more data
+    *            "pulls": [
+    *              {
+    *                "number": 12,
+    *                "title": "Parser fails on empty files",
+    *                "url": "https:\/\/github.com\/test-org-typhonjs\/test-repo1\/pull\/12",
+    *                "repo": "test-org-typhonjs\/test-repo1",
+    *                "state": "open",
+    *                "user": {
+    *                  "name": "typhonjs-test",
+    *                  "id": 17188714,
+    *                  "url": "https:\/\/github.com\/typhonjs-test",
+    *                  "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17188714?v=3"
+    *                },
+    *                "labels": ["bug"],
+    *                "assignees": ["typhonjs-test"],
+    *                "head": "fix-parser",
+    *                "base": "master",
+    *                "merged": false,
+    *                "created_at": "2016-02-14T03:01:24Z",
+    *                "updated_at": "2016-02-20T04:56:03Z",
+    *                "closed_at": "",
+    *                "merged_at": ""
+    *              },
+    *              // .... more data
+    *            ]
     *          },
     *          // .... more data
     *        ]
@@ -1445,102 +2280,43 @@ export default class GitHubInspectOrgs
     *
     * @returns {Promise}
     */
-   getOrgTeams(options = {})
+   getOrgRepoPullRequests(options = {})
    {
       /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`getOrgTeams error: 'options' is not an 'object'.`); }
-
-      // If no explicit option to create normalized data is available default to true.
-      const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
-
-      const githubAPI = this._githubAPI;
-
-      const verbose = typeof options.verbose === 'boolean' ? options.verbose : this._verbose;
-
-      // Fail early if rate limit is reached or user authentication fails.
-      return s_IS_RATE_LIMIT_REACHED(this, options).then(() =>
+      if (typeof options !== 'object')
       {
-         // Defer to authenticated version if credentials exists
-         if (options.credential) { return s_GET_ORG_TEAMS_AUTH(this, options); }
-
-         // Prevents nested queries from generating intermediate normalized data.
-         options.normalize = false;
-
-         return this.getOrgs(options).then((orgs) =>
-         {
-            const promises = [];
-
-            for (let cntr = 0; cntr < orgs.length; cntr++)
-            {
-               const org = orgs[cntr];
-
-               (function(org)
-               {
-                  promises.push(new Promise((resolve) =>
-                  {
-                     const github = s_AUTHENTICATE(githubAPI, org._credential);
-
-                     github.orgs.getTeams({ org: org.login }, (err, result) =>
-                     {
-                        /* istanbul ignore if */
-                        if (err)
-                        {
-                           if (verbose)
-                           {
-                              console.log(`Skipping organization '${org.login}'`
-                               + ` as provided organization credential for owner '${org._owner}'`
-                                + ' does not have access.');
-                           }
-                           resolve(err);
-                        }
-                        else
-                        {
-                           // Sort by team name.
-                           result.sort((a, b) => { return a.name.localeCompare(b.name); });
-
-                           org.teams = result;
-                           resolve(result);
-                        }
-                     });
-                  }));
-               })(org);
-            }
-
-            return Promise.all(promises).then(() =>
-            {
-               // Remove any organization entries that didn't resolve a `teams` entry.
-               for (let cntr = orgs.length; --cntr >= 0;)
-               {
-                  if (typeof orgs[cntr].teams === 'undefined') { orgs.splice(cntr, 1); }
-               }
-
-               // Strip any temporary private data stored in `orgs` when returning normalized data.
-               if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
+         throw new TypeError(`getOrgRepoPullRequests error: 'options' is not an 'object'.`);
+      }
 
-               return normalize ? { normalized: GitHubNormalize.normalizeCategories(['orgs', 'teams'], orgs,
-                this._optionsURL), raw: orgs } : orgs;
-            });
-         });
-      });
+      return s_GET_ORG_REPO_ISSUES(this, options, 'pulls');
    }
 
    /**
-    * Returns all members by team by organization across all organizations.
+    * Returns all releases by repo by organization across all organizations. Releases are sorted by publish date; most
+    * recent first. The latest release (the most recently published release which is not a draft or prerelease) is
+    * marked by `latest` and contains `ahead_by`; the amount of commits the default branch is ahead of its tag.
     *
     * @param {object}  options - Optional parameters.
     * ```
-    * (string) credential - A public access token for any GitHub user which limits the responses to the organizations
-    *                       and other query data that this particular user is a member of or has access to currently.
+    * (string)          credential - A public access token for any GitHub user which limits the responses to the
+    *                                organizations and other query data that this particular user is a member of or has
+    *                                access to currently.
     *
-    * (boolean)   verbose - Overrides GitHubInspectOrgs verbose setting logging any API request rejections usually
-    *                       oriented to credentials; default (GitHubInspectOrgs->_verbose).
+    * (object)          repoFilter - Includes / excludes repos before any further requests are made for each repo; see
+    *                                `GitHubInspectOrgs` for the supported filters.
+    *
+    * (boolean)         tags - When true the tags of each repo are requested and added to the repo as `tags`
+    *                          containing the `name` and commit `sha` of each tag; default (false).
+    *
+    * (boolean)         verbose -   Overrides GitHubInspectOrgs verbose setting logging any API request rejections
+    *                               usually oriented to credentials; default (GitHubInspectOrgs->_verbose).
     * ```
     *
     * The following is an abbreviated example response for the normalized data requested:
     * ```
     * {
     *    "scm": "github",
-    *    "categories": "orgs:teams:members",
+    *    "categories": "orgs:repos:releases",
     *    "timestamp": "2016-02-20T04:56:03.792Z",
     *    "orgs": [
     *      {
@@ -1549,19 +2325,39 @@ export default class GitHubInspectOrgs
     *        "url": "https:\/\/github.com\/test-org-typhonjs",
     *        "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17228306?v=3",
     *        "description": "Just a test organization for testing typhonjs-github-inspect-orgs",
-    *        "teams": [
+    *        "repos": [
     *          {
-    *            "name": "cool-test-team",
-    *            "id": 1927253,
-    *            "privacy": "closed",
-    *            "permission": "pull",
-    *            "description": "",
-    *            "members": [
+    *            "name": "test-repo1",
+    *            "full_name": "test-org-typhonjs\/test-repo1",
+    *            "id": 51677097,
+    *            "url": "https:\/\/github.com\/test-org-typhonjs\/test-repo1",
+    *            // .... more data
+    *            "default_branch": "master",
+    *            "tags": [
     *              {
-    *                "name": "typhonjs-test",
-    *                "id": 17188714,
-    *                "url": "https:\/\/github.com\/typhonjs-test",
-    *                "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17188714?v=3"
+    *                "name": "0.1.0",
+    *                "sha": "c5b97d5ae6c19d5c5df71a34c7fbeeda2479ccbc"
+    *              },
+    *              // .... more data
+    *            ],
+    *            "releases": [
+    *              {
+    *                "name": "0.1.0",
+    *                "id": 2649743,
+    *                "tag": "0.1.0",
+    *                "url": "https:\/\/github.com\/test-org-typhonjs\/test-repo1\/releases\/tag\/0.1.0",
+    *                "draft": false,
+    *                "prerelease": false,
+    *                "latest": true,
+    *                "author": {
+    *                  "name": "typhonjs-test",
+    *                  "id": 17188714,
+    *                  "url": "https:\/\/github.com\/typhonjs-test",
+    *                  "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17188714?v=3"
+    *                },
+    *                "created_at": "2016-02-14T03:01:24Z",
+    *                "published_at": "2016-02-14T03:05:12Z",
+    *                "ahead_by": 4
     *              },
     *              // .... more data
     *            ]
@@ -1576,26 +2372,39 @@ export default class GitHubInspectOrgs
     *
     * @returns {Promise}
     */
-   getOrgTeamMembers(options = {})
+   getOrgRepoReleases(options = {})
    {
       /* istanbul ignore if */
       if (typeof options !== 'object')
       {
-         throw new TypeError(`getOrgTeamMembers error: 'options' is not an 'object'.`);
+         throw new TypeError(`getOrgRepoReleases error: 'options' is not an 'object'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.tags !== 'undefined' && typeof options.tags !== 'boolean')
+      {
+         throw new TypeError(`getOrgRepoReleases error: 'options.tags' is not a 'boolean'.`);
       }
 
       // If no explicit option to create normalized data is available default to true.
       const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
 
-      const githubAPI = this._githubAPI;
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
+      const log = s_GET_LOG(this, options);
 
-      // Prevents nested queries from generating intermediate normalized data.
-      options.normalize = false;
+      const githubAPIPool = this._githubAPIPool;
+
+      const pageOptions = s_GET_PAGE_OPTIONS(this, options);
+      const requestQueue = s_GET_REQUEST_QUEUE(this, options);
+      const tags = options.tags === true;
+      const tracker = s_CREATE_STREAM_TRACKER(this, options, normalize, ['orgs', 'repos', 'releases']);
 
       // Fail early if rate limit is reached or user authentication fails.
-      return s_IS_RATE_LIMIT_REACHED(this, options).then(() =>
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
       {
-         return this.getOrgTeams(options).then((orgs) =>
+         return this.getOrgRepos(innerOptions).then((orgs) =>
          {
             const promises = [];
 
@@ -1603,31 +2412,110 @@ export default class GitHubInspectOrgs
             {
                const org = orgs[cntr];
 
-               if (org.teams)
+               // Releases and optionally tags are requested for each repo.
+               tracker.expect(org, org.repos, tags ? 2 : 1);
+
+               for (let cntr2 = 0; cntr2 < org.repos.length; cntr2++)
                {
-                  for (let cntr2 = 0; cntr2 < org.teams.length; cntr2++)
+                  const repo = org.repos[cntr2];
+
+                  (function(org, repo)
                   {
-                     const team = org.teams[cntr2];
+                     const github = s_AUTHENTICATE(githubAPIPool, org._credential);
+                     const item = { owner: org._owner, org: org.login, repo: repo.name };
 
-                     (function(org, team)
+                     promises.push(new Promise((resolve, reject) =>
                      {
-                        promises.push(new Promise((innerResolve) =>
+                        s_GET_ALL_PAGES(github, github.releases.listReleases, { repo: repo.name, owner: org.login },
+                         pageOptions, requestQueue, (err, releases) =>
                         {
-                           const github = s_AUTHENTICATE(githubAPI, org._credential);
+                           /* istanbul ignore if */
+                           if (RateLimitScheduler.isRateLimitError(err))
+                           {
+                              reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                              return;
+                           }
+
+                           if (err)
+                           {
+                              s_ADD_ERROR(errors, err, item, log);
+                              tracker.complete(org, repo);
+                              resolve(err);
+                              return;
+                           }
+
+                           // Sort by publish date; drafts are not published and sort by creation date.
+                           releases.sort((a, b) =>
+                           {
+                              return (b.published_at || b.created_at || '').localeCompare(
+                               a.published_at || a.created_at || '');
+                           });
+
+                           repo.releases = releases;
+
+                           const latest = releases.filter((release) =>
+                           {
+                              return !release.draft && !release.prerelease;
+                           })[0];
+
+                           if (typeof latest === 'undefined')
+                           {
+                              tracker.complete(org, repo);
+                              resolve(releases);
+                              return;
+                           }
+
+                           latest.latest = true;
+
+                           s_QUEUE_REQUEST(requestQueue, github.repos.compareCommits,
+                            { repo: repo.name, user: org.login, base: latest.tag_name, head: repo.default_branch },
+                             (compareErr, comparison) =>
+                           {
+                              /* istanbul ignore if */
+                              if (RateLimitScheduler.isRateLimitError(compareErr))
+                              {
+                                 reject(s_ADD_PARTIAL_RESULTS(compareErr, orgs));
+                                 return;
+                              }
+
+                              // The release remains without `ahead_by` when the comparison fails.
+                              if (compareErr) { s_ADD_ERROR(errors, compareErr, item, log); }
+                              else { latest.ahead_by = comparison.ahead_by; }
 
-                           github.orgs.getTeamMembers({ id: team.id }, (err, members) =>
+                              tracker.complete(org, repo);
+                              resolve(releases);
+                           });
+                        });
+                     }));
+
+                     if (tags)
+                     {
+                        promises.push(new Promise((resolve, reject) =>
+                        {
+                           s_GET_ALL_PAGES(github, github.repos.getTags, { repo: repo.name, user: org.login },
+                            pageOptions, requestQueue, (err, repoTags) =>
                            {
                               /* istanbul ignore if */
-                              if (err) { /* ... */ }
+                              if (RateLimitScheduler.isRateLimitError(err))
+                              {
+                                 reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                              }
+                              else if (err)
+                              {
+                                 s_ADD_ERROR(errors, err, item, log);
+                                 tracker.complete(org, repo);
+                                 resolve(err);
+                              }
                               else
                               {
-                                 team.members = members;
+                                 repo.tags = repoTags;
+                                 tracker.complete(org, repo);
+                                 resolve(repoTags);
                               }
-                              innerResolve();
                            });
                         }));
-                     })(org, team);
-                  }
+                     }
+                  })(org, repo);
                }
             }
 
@@ -1636,499 +2524,2116 @@ export default class GitHubInspectOrgs
                // Strip any temporary private data stored in `orgs` when returning normalized data.
                if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
 
-               return normalize ? { normalized: GitHubNormalize.normalizeCategories(['orgs', 'teams', 'members'],
-                orgs, this._optionsURL), raw: orgs } : orgs;
+               return normalize ? s_CREATE_RESULTS(this, ['orgs', 'repos', 'releases'], orgs, options, errors) :
+                orgs;
             });
          });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'repos', 'releases'], normalize, options);
       });
    }
 
    /**
-    * Returns all organizations by organization owner.
+    * Returns GitHub statistics by repo by organization across all organizations. Each repo will contain a `stats`
+    * object hash with the categories defined below. Please be mindful of accessing this functionality as the GitHub API
+    * is being queried directly and with excessive use rate limits will be reached.
     *
-    * The following is an abbreviated example response for the normalized data requested:
+    * @param {object}  options - Optional parameters.
     * ```
-    * {
-    *    "scm": "github",
-    *    "categories": "orgs:teams",
-    *    "timestamp": "2016-02-20T04:56:03.792Z",
-    *    "owners": [
-    *      {
-    *        "name": "typhonjs-test",
-    *        "url": "https:\/\/github.com\/typhonjs-test",
-    *        "orgs": [
-    *          {
-    *            "name": "test-org-typhonjs",
-    *            "id": 17228306,
-    *            "url": "https:\/\/github.com\/test-org-typhonjs",
-    *            "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17228306?v=3",
-    *            "description": "Just a test organization for testing typhonjs-github-inspect-orgs"
-    *          },
-    *          // more data...
-    *        ]
-    *      },
-    *      // .... more data
-    *    ]
+    * Required:
+    * (Array<String>)   categories - list of stats categories to query. May include:
+    *    'all': A wildcard that includes all categories defined below.
+    *    'codeFrequency': Get the number of additions and deletions per week.
+    *    'commitActivity': Get the last year of commit activity data.
+    *    'contributors': Get contributors list with additions, deletions & commit counts.
+    *    'participation': Get the weekly commit count for the repository owner & everyone else.
+    *    'punchCard': Get the number of commits per hour in each day.
+    *    'stargazers': Get list GitHub users who starred repos.
+    *    'watchers': Get list of GitHub users who are watching repos.
+    *
+    * Optional:
+    * (string)          credential - A public access token for any GitHub user which limits the responses to the
+    *                                organizations and other query data that this particular user is a member of or has
+    *                                access to currently.
+    *
+    * (object)          repoFilter - Includes / excludes repos before any further requests are made for each repo; see
+    *                                `GitHubInspectOrgs` for the supported filters.
+    *
+    * (Array<string>)   repoFiles - An array of file paths / names used in repo oriented queries that is relative to the
+    *                               repos default branch (usually 'master') that are requested from
+    *                               `https://raw.githubusercontent.com` and added to the respective repo in an hash
+    *                               entry `repo_files` indexed by file path / name provided. This is useful for instance
+    *                               with JS repos in requesting `package.json`, but any file can be requested. Each
+    *                               entry in the `repo_files` hash is also a hash containing `statusCode` of the
+    *                               response and `body` containing the contents of the file requested.
+    *
+    * (integer)         statsBackoff - Overrides GitHubInspectOrgs initial delay in milliseconds before a pending
+    *                                  statistic is requested again.
+    *
+    * (integer)         statsMaxAttempts - Overrides GitHubInspectOrgs maximum requests of a pending statistic.
+    *
+    * (boolean)         verbose -   Overrides GitHubInspectOrgs verbose setting logging any API request rejections
+    *                               usually oriented to credentials; default (GitHubInspectOrgs->_verbose).
+    * ```
+    *
+    * Version 3.0 of the GitHub API is used for all queries. Please review the repo statistics documentation for
+    * a full description: https://developer.github.com/v3/repos/statistics/
+    *
+    * It should be noted that the GitHub API caches statistic results and on the first query may respond with
+    * `202 Accepted` while the statistics are generated. In that case only the pending repo / category is requested
+    * again up to `statsMaxAttempts` times with an exponential backoff starting at `statsBackoff` milliseconds. If the
+    * statistics are still not generated a boolean `_resultsPending` is added to `repo.stats[0]._resultsPending`
+    * indicating that the query needs to be rerun. A statistic which can not be requested (IE `403` / `404`) is omitted
+    * from the repo and reported in `errors`.
+    *
+    * The following is an abbreviated example response for the normalized data requested:
+    * ```
+    * {
+    *   "scm": "github",
+    *   "categories": "orgs:repos:stats",
+    *   "timestamp": "2016-02-27T10:31:51.979Z",
+    *   "orgs": [
+    *     {
+    *       "name": "typhonjs-backbone",
+    *       "id": 17154328,
+    *       "url": "https://github.com/typhonjs-backbone",
+    *       "avatar_url": "https://avatars.githubusercontent.com/u/17154328?v=3",
+    *       "description": "",
+    *       "repos": [
+    *         {
+    *           "name": "backbone-es6",
+    *           "full_name": "typhonjs-backbone/backbone-es6",
+    *           "id": 44065471,
+    *           "url": "https://github.com/typhonjs-backbone/backbone-es6",
+    *           "description": "A fork of Backbone converting it to ES6.",
+    *           "private": false,
+    *           "repo_files": {},
+    *           "fork": false,
+    *           "created_at": "2015-10-11T19:04:43Z",
+    *           "updated_at": "2016-02-22T09:44:19Z",
+    *           "pushed_at": "2016-02-12T17:34:02Z",
+    *           "git_url": "git://github.com/typhonjs-backbone/backbone-es6.git",
+    *           "ssh_url": "git@github.com:typhonjs-backbone/backbone-es6.git",
+    *           "clone_url": "https://github.com/typhonjs-backbone/backbone-es6.git",
+    *           "stargazers_count": 6,
+    *           "watchers_count": 6,
+    *           "default_branch": "master",
+    *           "stats": [
+    *             {
+    *               "codeFrequency": [
+    *                 [1444521600,62981,-57],
+    *                 // .... more data
+    *               ],
+    *               "commitActivity": [
+    *                 {
+    *                   "days": [0,0,0,0,0,0,0],
+    *                   "total": 0,
+    *                   "week": 1425171600
+    *                 },
+    *                 // .... more data
+    *               ],
+    *               "participation": {
+    *                 "all": [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,29,15,13,16,3,1,0,0,0,9,0,1,2,7,15,3,2,0,0],
+    *                 "owner": [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    *               },
+    *               "punchCard": [
+    *                 [0,0,0],
+    *                 // .... more data
+    *               ],
+    *               "contributors": [
+    *                 {
+    *                   "total": 118,
+    *                   "weeks": [
+    *                     {
+    *                       "w": 1444521600,
+    *                       "a": 62957,
+    *                       "d": 57,
+    *                       "c": 8
+    *                     },
+    *                     // .... more data
+    *                   ],
+    *                   "author": {
+    *                     "name": "typhonrt",
+    *                     "id": 311473,
+    *                     "url": "https://github.com/typhonrt",
+    *                     "avatar_url": "https://avatars.githubusercontent.com/u/311473?v=3"
+    *                   }
+    *                 },
+    *                 // .... more data
+    *               ],
+    *               "stargazers": [
+    *                 {
+    *                   "name": "typhonrt",
+    *                   "id": 311473,
+    *                   "url": "https:\/\/github.com\/typhonrt",
+    *                   "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/311473?v=3"
+    *                 },
+    *                 // .... more data
+    *               ],
+    *               "watchers": [
+    *                 {
+    *                   "name": "typhonrt",
+    *                   "id": 311473,
+    *                   "url": "https:\/\/github.com\/typhonrt",
+    *                   "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/311473?v=3"
+    *                 },
+    *                 // .... more data
+    *               ]
+    *             }
+    *           ]
+    *         },
+    *         // .... more data
+    *       ]
+    *     },
+    *     // .... more data
+    *   ]
     * }
     * ```
     *
     * @returns {Promise}
     */
-   getOwnerOrgs()
+   getOrgRepoStats(options = {})
    {
-      const githubAPI = this._githubAPI;
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`getOrgRepoStats error: 'options' is not an 'object'.`); }
 
-      // Fail early if rate limit is reached or user authentication fails.
-      return s_IS_RATE_LIMIT_REACHED(this).then(() =>
+      let categories = options.categories || [];
+
+      /* istanbul ignore if */
+      if (!Array.isArray(categories))
       {
-         const promises = [];
-         const owners = [];
+         throw new TypeError(`getOrgRepoStats error: 'options.categories' is not an 'array'.`);
+      }
 
-         for (let cntr = 0; cntr < this._organizations.length; cntr++)
+      // Handle wildcard `all` setting all categories.
+      if (categories.length === 1 && categories[0] === 'all')
+      {
+         categories =
+          ['codeFrequency', 'commitActivity', 'contributors', 'participation', 'punchCard', 'stargazers', 'watchers'];
+      }
+
+      // If no explicit option to create normalized data is available default to true.
+      const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
+
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
+      const log = s_GET_LOG(this, options);
+
+      const githubAPIPool = this._githubAPIPool;
+
+      const pageOptions = s_GET_PAGE_OPTIONS(this, options);
+      const requestQueue = s_GET_REQUEST_QUEUE(this, options);
+      const statsOptions = s_GET_STATS_OPTIONS(this, options);
+      const tracker = s_CREATE_STREAM_TRACKER(this, options, normalize, ['orgs', 'repos', 'stats']);
+
+      // Fail early if rate limit is reached or user authentication fails.
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
+      {
+         return this.getOrgRepos(innerOptions).then((orgs) =>
          {
-            (function(organization)
+            const promises = [];
+
+            for (let cntr = 0; cntr < orgs.length; cntr++)
             {
-               const orgCredential = organization.credential;
+               const org = orgs[cntr];
+
+               // Each repo completes once all statistic categories are received.
+               tracker.expect(org, categories.length > 0 ? org.repos : [], categories.length);
 
-               promises.push(new Promise((resolve) =>
+               for (let cntr2 = 0; cntr2 < org.repos.length; cntr2++)
                {
-                  const github = s_AUTHENTICATE(githubAPI, orgCredential);
+                  const repo = org.repos[cntr2];
 
-                  github.orgs.getFromUser({ user: organization.owner }, (err, orgs) =>
+                  // All other compound data is wrapped in array, so wrap the stats object hash in an array.
+                  repo.stats = [{}];
+
+                  for (let cntr3 = 0; cntr3 < categories.length; cntr3++)
                   {
-                     /* istanbul ignore if */
-                     if (err) { resolve(err); }
-                     else
-                     {
-                        const results = [];
+                     const category = categories[cntr3];
 
-                        // Only add organizations that pass the `regex` test.
-                        for (let cntr2 = 0; cntr2 < orgs.length; cntr2++)
+                     /* istanbul ignore else */
+                     if (typeof s_STAT_CATEGORY_TO_FUNCT[category] === 'string')
+                     {
+                        (function(org, repo, category, functionName)
                         {
-                           const org = orgs[cntr2];
-
-                           if (typeof org.login === 'string' && organization.regex.test(org.login))
+                           promises.push(new Promise((resolve, reject) =>
                            {
-                              results.push(org);
-                           }
-                        }
+                              const github = s_AUTHENTICATE(githubAPIPool, org._credential);
+
+                              const getStats = (attempt) =>
+                              {
+                                 s_GET_ALL_PAGES(github, github.repos[functionName],
+                                  { repo: repo.name, user: org.login }, pageOptions, requestQueue, (err, results) =>
+                                 {
+                                    /* istanbul ignore if */
+                                    if (RateLimitScheduler.isRateLimitError(err))
+                                    {
+                                       reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                                    }
+                                    else if (err)
+                                    {
+                                       s_ADD_ERROR(errors, err, { owner: org._owner, org: org.login, repo: repo.name },
+                                        log);
+                                       tracker.complete(org, repo);
+                                       resolve(err);
+                                    }
+                                    else if (s_IS_STATS_PENDING(results) && attempt < statsOptions.maxAttempts)
+                                    {
+                                       // GitHub is generating the statistics, so only this category is requested
+                                       // again after an exponential backoff.
+                                       const delay = statsOptions.backoff * Math.pow(2, attempt - 1);
+
+                                       log('info',
+                                       {
+                                          type: 'retry',
+                                          message: `Retrying '${category}' stats of repo '${org.login}/${repo.name}' `
+                                           + `in ${delay}ms as GitHub is generating them (attempt ${attempt + 1} of `
+                                           + `${statsOptions.maxAttempts}).`,
+                                          owner: org._owner,
+                                          org: org.login,
+                                          repo: repo.name,
+                                          category,
+                                          attempt: attempt + 1,
+                                          maxAttempts: statsOptions.maxAttempts,
+                                          delay
+                                       });
+
+                                       setTimeout(() => { getStats(attempt + 1); }, delay);
+                                    }
+                                    else
+                                    {
+                                       // GitHub did not generate the statistics in time, so setting _resultsPending
+                                       // true indicates that this query needs to be run again.
+                                       if (s_IS_STATS_PENDING(results)) { repo.stats[0]._resultsPending = true; }
+
+                                       repo.stats[0][category] = results;
+                                       tracker.complete(org, repo);
+                                       resolve(results);
+                                    }
+                                 });
+                              };
+
+                              getStats(1);
+                           }));
+                        })(org, repo, category, s_STAT_CATEGORY_TO_FUNCT[category]);
+                     }
+                     else { throw new Error(`getOrgRepoStats error: unknown category '${category}'.`); }
+                  }
+               }
+            }
+
+            return Promise.all(promises).then(() =>
+            {
+               // Strip any temporary private data stored in `orgs` when returning normalized data.
+               if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
+
+               return normalize ? s_CREATE_RESULTS(this, ['orgs', 'repos', 'stats'], orgs, options, errors) : orgs;
+            });
+         });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'repos', 'stats'], normalize, options);
+      });
+   }
+
+   /**
+    * Returns all organizations.
+    *
+    * @param {object}  options - Optional parameters.
+    * ```
+    * (string) credential - A public access token for any GitHub user which limits the responses to the organizations
+    *                       and other query data that this particular user is a member of or has access to currently.
+    *
+    * (boolean)   verbose - Overrides GitHubInspectOrgs verbose setting logging any API request rejections usually
+    *                       oriented to credentials; default (GitHubInspectOrgs->_verbose).
+    * ```
+    *
+    * The following is an abbreviated example response for the normalized data requested:
+    * ```
+    * {
+    *    "scm": "github",
+    *    "categories": "orgs",
+    *    "timestamp": "2016-02-20T04:56:03.792Z",
+    *    "orgs": [
+    *      {
+    *        "name": "test-org-typhonjs",
+    *        "id": 17228306,
+    *        "url": "https:\/\/github.com\/test-org-typhonjs",
+    *        "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17228306?v=3",
+    *        "description": "Just a test organization for testing typhonjs-github-inspect-orgs"
+    *      },
+    *      // .... more data
+    *    ]
+    * }
+    * ```
+    *
+    * @returns {Promise}
+    */
+   getOrgs(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`getOrgs error: 'options' is not an 'object'.`); }
+
+      // If no explicit option to create normalized data is available default to true.
+      const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
+
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
+      const log = s_GET_LOG(this, options);
+
+      const githubAPIPool = this._githubAPIPool;
+
+      const pageOptions = s_GET_PAGE_OPTIONS(this, options);
+      const requestQueue = s_GET_REQUEST_QUEUE(this, options);
+      const tracker = s_CREATE_STREAM_TRACKER(this, options, normalize, ['orgs']);
+
+      // Fail early if rate limit is reached or user authentication fails.
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
+      {
+         // Defer to authenticated version if credentials exists; the rate limit is already checked.
+         if (options.credential)
+         {
+            return s_GET_ORGS_AUTH(this, Object.assign({}, options, { skipRateLimitCheck: true }));
+         }
+
+         const promises = [];
+         const results = [];
+
+         for (let cntr = 0; cntr < this._organizations.length; cntr++)
+         {
+            (function(organization)
+            {
+               const orgCredential = organization.credential;
+
+               promises.push(new Promise((resolve, reject) =>
+               {
+                  s_GET_ORGANIZATION_ORGS(githubAPIPool, organization, pageOptions, requestQueue, errors, log,
+                   (err, orgs) =>
+                  {
+                     /* istanbul ignore if */
+                     if (RateLimitScheduler.isRateLimitError(err))
+                     {
+                        reject(s_ADD_PARTIAL_RESULTS(err, results));
+                     }
+                     else if (err)
+                     {
+                        s_ADD_ERROR(errors, err, { owner: organization.owner }, log);
+                        resolve(err);
+                     }
+                     else
+                     {
+                        for (let cntr2 = 0; cntr2 < orgs.length; cntr2++)
+                        {
+                           const org = orgs[cntr2];
+
+                           org._credential = orgCredential;
+                           org._owner = organization.owner;
+                           results.push(org);
+
+                           tracker.expect(org);
+                        }
+
+                        resolve();
+                     }
+                  });
+               }));
+            })(this._organizations[cntr]);
+         }
+
+         return Promise.all(promises).then(() =>
+         {
+            // Sort by org name.
+            results.sort((a, b) => { return a.login.localeCompare(b.login); });
+
+            // Strip any temporary private data stored in `orgs` when returning normalized data.
+            if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(results); }
+
+            return normalize ? s_CREATE_RESULTS(this, ['orgs'], results, options, errors) : results;
+         });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs'], normalize, options);
+      });
+   }
+
+   /**
+    * Returns all teams by organization across all organizations.
+    *
+    * @param {object}  options - Optional parameters.
+    * ```
+    * (string) credential - A public access token for any GitHub user which limits the responses to the organizations
+    *                       and other query data that this particular user is a member of or has access to currently.
+    *
+    * (boolean)   verbose - Overrides GitHubInspectOrgs verbose setting logging any API request rejections usually
+    *                       oriented to credentials; default (GitHubInspectOrgs->_verbose).
+    * ```
+    *
+    * The following is an abbreviated example response for the normalized data requested:
+    * ```
+    * {
+    *    "scm": "github",
+    *    "categories": "orgs:teams",
+    *    "timestamp": "2016-02-20T04:56:03.792Z",
+    *    "orgs": [
+    *      {
+    *        "name": "test-org-typhonjs",
+    *        "id": 17228306,
+    *        "url": "https:\/\/github.com\/test-org-typhonjs",
+    *        "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17228306?v=3",
+    *        "description": "Just a test organization for testing typhonjs-github-inspect-orgs",
+    *        "teams": [
+    *          {
+    *            "name": "cool-test-team",
+    *            "id": 1927253,
+    *            "privacy": "closed",
+    *            "permission": "pull",
+    *            "description": ""
+    *          },
+    *          // .... more data
+    *        ]
+    *      },
+    *      // .... more data
+    *    ]
+    * }
+    * ```
+    *
+    * @returns {Promise}
+    */
+   getOrgTeams(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`getOrgTeams error: 'options' is not an 'object'.`); }
+
+      // If no explicit option to create normalized data is available default to true.
+      const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
+
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
+      const log = s_GET_LOG(this, options);
+
+      const githubAPIPool = this._githubAPIPool;
+
+      const pageOptions = s_GET_PAGE_OPTIONS(this, options);
+      const requestQueue = s_GET_REQUEST_QUEUE(this, options);
+      const tracker = s_CREATE_STREAM_TRACKER(this, options, normalize, ['orgs', 'teams']);
+
+      // Fail early if rate limit is reached or user authentication fails.
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
+      {
+         // Defer to authenticated version if credentials exists; the rate limit is already checked.
+         if (options.credential)
+         {
+            return s_GET_ORG_TEAMS_AUTH(this, Object.assign({}, options, { skipRateLimitCheck: true }));
+         }
+
+         return this.getOrgs(innerOptions).then((orgs) =>
+         {
+            const promises = [];
+
+            for (let cntr = 0; cntr < orgs.length; cntr++)
+            {
+               const org = orgs[cntr];
+
+               (function(org)
+               {
+                  promises.push(new Promise((resolve, reject) =>
+                  {
+                     const github = s_AUTHENTICATE(githubAPIPool, org._credential);
+
+                     s_GET_ALL_PAGES(github, github.orgs.getTeams, { org: org.login },
+                      pageOptions, requestQueue, (err, result) =>
+                     {
+                        /* istanbul ignore if */
+                        if (RateLimitScheduler.isRateLimitError(err))
+                        {
+                           reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                        }
+                        else if (err)
+                        {
+                           s_ADD_ERROR(errors, err, { owner: org._owner, org: org.login }, log);
+                           resolve(err);
+                        }
+                        else
+                        {
+                           // Sort by team name.
+                           result.sort((a, b) => { return a.name.localeCompare(b.name); });
+
+                           org.teams = result;
+                           tracker.expect(org);
+                           resolve(result);
+                        }
+                     });
+                  }));
+               })(org);
+            }
+
+            return Promise.all(promises).then(() =>
+            {
+               // Remove any organization entries that didn't resolve a `teams` entry.
+               for (let cntr = orgs.length; --cntr >= 0;)
+               {
+                  if (typeof orgs[cntr].teams === 'undefined') { orgs.splice(cntr, 1); }
+               }
+
+               // Strip any temporary private data stored in `orgs` when returning normalized data.
+               if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
+
+               return normalize ? s_CREATE_RESULTS(this, ['orgs', 'teams'], orgs, options, errors) : orgs;
+            });
+         });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'teams'], normalize, options);
+      });
+   }
+
+   /**
+    * Returns all members by team by organization across all organizations.
+    *
+    * @param {object}  options - Optional parameters.
+    * ```
+    * (string) credential - A public access token for any GitHub user which limits the responses to the organizations
+    *                       and other query data that this particular user is a member of or has access to currently.
+    *
+    * (boolean)   verbose - Overrides GitHubInspectOrgs verbose setting logging any API request rejections usually
+    *                       oriented to credentials; default (GitHubInspectOrgs->_verbose).
+    * ```
+    *
+    * The following is an abbreviated example response for the normalized data requested:
+    * ```
+    * {
+    *    "scm": "github",
+    *    "categories": "orgs:teams:members",
+    *    "timestamp": "2016-02-20T04:56:03.792Z",
+    *    "orgs": [
+    *      {
+    *        "name": "test-org-typhonjs",
+    *        "id": 17228306,
+    *        "url": "https:\/\/github.com\/test-org-typhonjs",
+    *        "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17228306?v=3",
+    *        "description": "Just a test organization for testing typhonjs-github-inspect-orgs",
+    *        "teams": [
+    *          {
+    *            "name": "cool-test-team",
+    *            "id": 1927253,
+    *            "privacy": "closed",
+    *            "permission": "pull",
+    *            "description": "",
+    *            "members": [
+    *              {
+    *                "name": "typhonjs-test",
+    *                "id": 17188714,
+    *                "url": "https:\/\/github.com\/typhonjs-test",
+    *                "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17188714?v=3"
+    *              },
+    *              // .... more data
+    *            ]
+    *          },
+    *          // .... more data
+    *        ]
+    *      },
+    *      // .... more data
+    *    ]
+    * }
+    * ```
+    *
+    * @returns {Promise}
+    */
+   getOrgTeamMembers(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object')
+      {
+         throw new TypeError(`getOrgTeamMembers error: 'options' is not an 'object'.`);
+      }
+
+      // If no explicit option to create normalized data is available default to true.
+      const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
+
+      // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+      const innerOptions = s_CREATE_INNER_OPTIONS(options);
+      const errors = innerOptions._errors;
+      const log = s_GET_LOG(this, options);
+
+      const githubAPIPool = this._githubAPIPool;
+
+      const pageOptions = s_GET_PAGE_OPTIONS(this, options);
+      const requestQueue = s_GET_REQUEST_QUEUE(this, options);
+      const tracker = s_CREATE_STREAM_TRACKER(this, options, normalize, ['orgs', 'teams', 'members']);
+
+      // Fail early if rate limit is reached or user authentication fails.
+      return s_IS_RATE_LIMIT_REACHED(this, innerOptions).then(() =>
+      {
+         return this.getOrgTeams(innerOptions).then((orgs) =>
+         {
+            const promises = [];
+
+            for (let cntr = 0; cntr < orgs.length; cntr++)
+            {
+               const org = orgs[cntr];
+
+               tracker.expect(org, org.teams);
+
+               if (org.teams)
+               {
+                  for (let cntr2 = 0; cntr2 < org.teams.length; cntr2++)
+                  {
+                     const team = org.teams[cntr2];
+
+                     (function(org, team)
+                     {
+                        promises.push(new Promise((innerResolve, innerReject) =>
+                        {
+                           const github = s_AUTHENTICATE(githubAPIPool, org._credential);
+
+                           s_GET_ALL_PAGES(github, github.orgs.getTeamMembers, { id: team.id },
+                            pageOptions, requestQueue, (err, members) =>
+                           {
+                              /* istanbul ignore if */
+                              if (RateLimitScheduler.isRateLimitError(err))
+                              {
+                                 innerReject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                              }
+                              else
+                              {
+                                 /* istanbul ignore else */
+                                 if (!err) { team.members = members; }
+                                 else
+                                 {
+                                    s_ADD_ERROR(errors, err, { owner: org._owner, org: org.login, team: team.name },
+                                     log);
+                                 }
+
+                                 tracker.complete(org, team);
+                                 innerResolve();
+                              }
+                           });
+                        }));
+                     })(org, team);
+                  }
+               }
+            }
+
+            return Promise.all(promises).then(() =>
+            {
+               // Strip any temporary private data stored in `orgs` when returning normalized data.
+               if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
+
+               return normalize ? s_CREATE_RESULTS(this, ['orgs', 'teams', 'members'], orgs, options, errors) : orgs;
+            });
+         });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['orgs', 'teams', 'members'], normalize, options);
+      });
+   }
+
+   /**
+    * Returns all organizations by organization owner.
+    *
+    * The following is an abbreviated example response for the normalized data requested:
+    * ```
+    * {
+    *    "scm": "github",
+    *    "categories": "orgs:teams",
+    *    "timestamp": "2016-02-20T04:56:03.792Z",
+    *    "owners": [
+    *      {
+    *        "name": "typhonjs-test",
+    *        "url": "https:\/\/github.com\/typhonjs-test",
+    *        "orgs": [
+    *          {
+    *            "name": "test-org-typhonjs",
+    *            "id": 17228306,
+    *            "url": "https:\/\/github.com\/test-org-typhonjs",
+    *            "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17228306?v=3",
+    *            "description": "Just a test organization for testing typhonjs-github-inspect-orgs"
+    *          },
+    *          // more data...
+    *        ]
+    *      },
+    *      // .... more data
+    *    ]
+    * }
+    * ```
+    *
+    * @param {object}  options - Optional parameters.
+    * ```
+    * (integer)   concurrency - Overrides GitHubInspectOrgs maximum requests in flight for this query.
+    * (integer)   maxPages - Overrides GitHubInspectOrgs maximum pages requested per list query.
+    * (integer)   perPage - Overrides GitHubInspectOrgs page size requested per list query.
+    * ```
+    *
+    * @returns {Promise}
+    */
+   getOwnerOrgs(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`getOwnerOrgs error: 'options' is not an 'object'.`); }
+
+      const githubAPIPool = this._githubAPIPool;
+
+      const pageOptions = s_GET_PAGE_OPTIONS(this, options);
+      const requestQueue = s_GET_REQUEST_QUEUE(this, options);
+
+      // Collects the errors of all skipped owners.
+      const errors = [];
+      const log = s_GET_LOG(this, options);
+
+      // Fail early if rate limit is reached or user authentication fails.
+      return s_IS_RATE_LIMIT_REACHED(this).then(() =>
+      {
+         const promises = [];
+         const owners = [];
+
+         for (let cntr = 0; cntr < this._organizations.length; cntr++)
+         {
+            (function(organization)
+            {
+               promises.push(new Promise((resolve, reject) =>
+               {
+                  s_GET_ORGANIZATION_ORGS(githubAPIPool, organization, pageOptions, requestQueue, errors, log,
+                   (err, orgs) =>
+                  {
+                     /* istanbul ignore if */
+                     if (RateLimitScheduler.isRateLimitError(err)) { reject(s_ADD_PARTIAL_RESULTS(err, owners)); }
+                     else if (err)
+                     {
+                        s_ADD_ERROR(errors, err, { owner: organization.owner }, log);
+                        resolve(err);
+                     }
+                     else
+                     {
+                        // Sort by org name.
+                        orgs.sort((a, b) => { return a.login.localeCompare(b.login); });
+
+                        // Strip any temporary private data stored in `orgs` when returning normalized data.
+                        s_STRIP_PRIVATE_ORGS_DATA(orgs);
+
+                        owners.push({ owner: organization.owner, orgs });
+
+                        resolve();
+                     }
+                  });
+               }));
+            })(this._organizations[cntr]);
+         }
+
+         return Promise.all(promises).then(() =>
+         {
+            // Sort by owner name.
+            owners.sort((a, b) => { return a.owner.localeCompare(b.owner); });
+
+            return s_CREATE_RESULTS(this, ['owners', 'orgs'], owners, options, errors);
+         });
+      }).catch((err) =>
+      {
+         throw s_NORMALIZE_PARTIAL_RESULTS(this, err, ['owners', 'orgs'], true, options);
+      });
+   }
+
+   /**
+    * Returns the current rate limits for all organization owners.
+    *
+    * @param {object}  options - Optional parameters.
+    * ```
+    * (object) fields - Object hash of category to the fields of each normalized record; see `GitHubInspectOrgs`.
+    * ```
+    *
+    * The following is an abbreviated example response for the normalized data requested:
+    * ```
+    * {
+    *    "scm": "github",
+    *    "categories": "owners:ratelimit",
+    *    "timestamp": "2016-02-20T04:56:03.792Z",
+    *    "owners": [
+    *      {
+    *        "name": "typhonjs-test",
+    *        "url": "https:\/\/github.com\/typhonjs-test",
+    *        "ratelimit": [
+    *          {
+    *            "core": {
+    *              "limit": 5000,
+    *              "remaining": 4976,
+    *              "reset": 1456571465000
+    *            },
+    *            "search": {
+    *              "limit": 30,
+    *              "remaining": 30,
+    *              "reset": 1456571287000
+    *            }
+    *          }
+    *        ]
+    *      },
+    *      // .... more data
+    *    ]
+    * }
+    * ```
+    *
+    * @returns {Promise}
+    */
+   getOwnerRateLimits(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object')
+      {
+         throw new TypeError(`getOwnerRateLimits error: 'options' is not an 'object'.`);
+      }
+
+      const githubAPIPool = this._githubAPIPool;
+      const requestQueue = this._requestQueue;
+
+      const owners = [];
+      const promises = [];
+
+      for (let cntr = 0; cntr < this._organizations.length; cntr++)
+      {
+         const organization = this._organizations[cntr];
+
+         (function(organization)
+         {
+            promises.push(new Promise((resolve, reject) =>
+            {
+               const github = s_AUTHENTICATE(githubAPIPool, organization.credential);
+
+               s_QUEUE_REQUEST(requestQueue, github.misc.rateLimit, {}, (err, result) =>
+               {
+                  /* istanbul ignore if */
+                  if (err)
+                  {
+                     reject(err);
+                  }
+                  else
+                  {
+                     owners.push({ owner: organization.owner, ratelimit: [result] });
+                     resolve();
+                  }
+               });
+            }));
+         })(organization);
+      }
+
+      return Promise.all(promises).then(() =>
+      {
+         // Sort by owner name.
+         owners.sort((a, b) => { return a.owner.localeCompare(b.owner); });
+
+         return s_CREATE_RESULTS(this, ['owners', 'ratelimit'], owners, options);
+      });
+   }
+
+   /**
+    * Returns all organization owners.
+    *
+    * @param {object}  options - Optional parameters.
+    * ```
+    * (object) fields - Object hash of category to the fields of each normalized record; see `GitHubInspectOrgs`.
+    * ```
+    *
+    * The following is an abbreviated example response for the normalized data requested:
+    * ```
+    * {
+    *    "scm": "github",
+    *    "categories": "owners",
+    *    "timestamp": "2016-02-20T04:56:03.792Z",
+    *    "owners": [
+    *      {
+    *        "name": "typhonjs-test",
+    *        "url": "https:\/\/github.com\/typhonjs-test"
+    *      },
+    *      // .... more data
+    *    ]
+    * }
+    * ```
+    *
+    * @returns {Promise}
+    */
+   getOwners(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`getOwners error: 'options' is not an 'object'.`); }
+
+      const normalized = GitHubNormalize.normalizeCategories(['owners'], this._organizations,
+       s_GET_NORMALIZE_OPTIONS(this, options));
+
+      normalized.owners.sort((a, b) => { return a.name.localeCompare(b.name); });
+
+      return Promise.resolve(s_GET_RAW(this, options) ? { normalized, raw: normalized } : { normalized });
+   }
+
+   /**
+    * Returns all pull requests across all organizations sorted by the date of the last update; most recent first.
+    *
+    * @param {object}  options - Optional parameters.
+    * ```
+    * (string)          assignee - Only includes pull requests assigned to the given user name; 'none' for
+    *                              unassigned or '*' for assigned pull requests.
+    *
+    * (string)          credential - A public access token for any GitHub user which limits the responses to the
+    *                                organizations and other query data that this particular user is a member of or has
+    *                                access to currently.
+    *
+    * (string|Array<string>)  labels - Only includes pull requests with all of the given label names.
+    *
+    * (object)          repoFilter - Includes / excludes repos before any further requests are made for each repo; see
+    *                                `GitHubInspectOrgs` for the supported filters.
+    *
+    * (Date|string)     since - Only includes pull requests updated at or after the given date or ISO 8601
+    *                           timestamp.
+    *
+    * (string)          state - Only includes pull requests in the given state; 'open', 'closed' or 'all';
+    *                           default ('open').
+    *
+    * (boolean)         verbose -   Overrides GitHubInspectOrgs verbose setting logging any API request rejections
+    *                               usually oriented to credentials; default (GitHubInspectOrgs->_verbose).
+    * ```
+    *
+    * The following is an abbreviated example response for the normalized data requested:
+    * ```
+    * {
+    *    "scm": "github",
+    *    "categories": "pulls",
+    *    "timestamp": "2016-02-20T04:56:03.792Z",
+    *    "pulls": [
+    *      {
+    *        "number": 12,
+    *        "title": "Parser fails on empty files",
+    *        "url": "https:\/\/github.com\/test-org-typhonjs\/test-repo1\/pull\/12",
+    *        "repo": "test-org-typhonjs\/test-repo1",
+    *        "state": "open",
+    *        "user": {
+    *          "name": "typhonjs-test",
+    *          "id": 17188714,
+    *          "url": "https:\/\/github.com\/typhonjs-test",
+    *          "avatar_url": "https:\/\/avatars.githubusercontent.com\/u\/17188714?v=3"
+    *        },
+    *        "labels": ["bug"],
+    *        "assignees": ["typhonjs-test"],
+    *        "head": "fix-parser",
+    *        "base": "master",
+    *        "merged": false,
+    *        "created_at": "2016-02-14T03:01:24Z",
+    *        "updated_at": "2016-02-20T04:56:03Z",
+    *        "closed_at": "",
+    *        "merged_at": ""
+    *      },
+    *      // .... more data
+    *    ]
+    * }
+    * ```
+    *
+    * @returns {Promise}
+    */
+   getPullRequests(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`getPullRequests error: 'options' is not an 'object'.`); }
+
+      return s_GET_ISSUES(this, options, 'pulls');
+   }
+
+   /**
+    * Returns a the GitHub username who owns the provided credential.
+    *
+    * @param {object}  options - Optional parameters.
+    * ```
+    * (string) credential - A public access token for any GitHub user which limits the responses to the organizations
+    *                       and other query data that this particular user is a member of or has access to currently.
+    * ```
+    *
+    * @returns {Promise} -- Always resolves; if authentication fails null is returned otherwise user JSON.
+    */
+   getUserFromCredential(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object')
+      {
+         throw new TypeError(`getUserFromCredential error: 'options' is not an 'object'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.credential !== 'string')
+      {
+         throw new TypeError(`getUserFromCredential error: 'options.credential' is not a 'string'.`);
+      }
+
+      // If no explicit option to create normalized data is available default to true.
+      const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
+
+      return new Promise((resolve, reject) =>
+      {
+         const github = s_AUTHENTICATE(this._githubAPIPool, options.credential);
+
+         github.user.get({}, (err, user) =>
+         {
+            /* istanbul ignore if */
+            if (RateLimitScheduler.isRateLimitError(err)) { reject(err); }
+            else if (err) { resolve(null); }
+            else
+            {
+               if (!normalize) { resolve(user); return; }
+
+               const results = { normalized: GitHubNormalize.normalizeCategories(['users'], [user],
+                s_GET_NORMALIZE_OPTIONS(this, options)) };
+
+               if (s_GET_RAW(this, options)) { results.raw = user; }
+
+               resolve(results);
+            }
+         });
+      });
+   }
+
+   /**
+    * Returns a boolean indicating the GitHub username owns the given credential.
+    * @param {object}  options - Optional parameters.
+    * ```
+    * (string) userName - GitHub account name to match.
+    * (string) credential - A credential to match against ownership by `userName`.
+    * ```
+    * @returns {Promise}
+    */
+   getUserOwnsCredential(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object')
+      {
+         throw new TypeError(`getUserOwnsCredential error: 'options' is not an 'object'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.userName !== 'string')
+      {
+         throw new TypeError(`getUserOwnsCredential error: 'options.userName' is not a 'string'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.credential !== 'string')
+      {
+         throw new TypeError(`getUserOwnsCredential error: 'options.credential' is not a 'string'.`);
+      }
+
+      return this.getUserFromCredential(options).then((data) =>
+      {
+         return data !== null && data.normalized.users[0].name === options.userName;
+      });
+   }
+
+   /**
+    * Runs a query returning an event emitter which emits the normalized record of each org and repo as soon as it and
+    * its nested data completes instead of only resolving once every nested request finishes. Records are emitted in
+    * the order they complete and have the same shape as the records of the normalized results of the query, so UIs
+    * and CLIs can render progressively:
+    * ```
+    * githubInspect.stream('getOrgRepoContributors', { raw: false })
+    *  .on('repo', (repo, orgName) => { console.log(`${orgName}/${repo.name}: ${repo.contributors.length}`); })
+    *  .on('org', (org) => { console.log(`${org.name} complete`); })
+    *  .on('end', (results) => { console.log(results.normalized.orgs.length); })
+    *  .on('error', (err) => { console.log(err); });
+    * ```
+    *
+    * The following events are emitted:
+    * ```
+    * 'org' (object, string) - The normalized record of an org including its nested categories and the category chain
+    *                          of the query; IE 'orgs:repos:contributors'. Emitted by queries of an `orgs` chain.
+    *
+    * 'repo' (object, string) - The normalized record of a repo including its nested categories and the org name.
+    *                           Emitted by queries of an `orgs:repos` chain.
+    *
+    * 'end' (object) - The results of the query; IE `{ normalized, raw, errors }`.
+    *
+    * 'error' (*) - The query rejected; IE a rate limit error with `partial` results. An 'error' listener is required.
+    * ```
+    *
+    * Flattened queries (`getAdmins`, `getCollaborators`, `getContributors`, `getIssues`, `getMembers`,
+    * `getPullRequests`) or queries starting from owners only emit 'end' and 'error' as their records are only known
+    * once all nested data completes.
+    *
+    * @param {string}   query - The name of a query; IE 'getOrgRepoContributors'.
+    * @param {object}   options - Optional parameters of the query.
+    *
+    * @returns {EventEmitter}
+    */
+   stream(query, options = {})
+   {
+      /* istanbul ignore if */
+      if (s_STREAM_QUERIES.indexOf(query) < 0)
+      {
+         throw new TypeError(`stream error: 'query' is not a query name: ${query}`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`stream error: 'options' is not an 'object'.`); }
+
+      const emitter = new EventEmitter();
+
+      // Queries which are not nested emit completed records on the stream. A copy of `options` is passed, so the
+      // options of the caller are not modified.
+      this[query](Object.assign({}, options, { _stream: emitter })).then((results) => { emitter.emit('end', results); },
+       (err) => { emitter.emit('error', err); });
+
+      return emitter;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines GitHub API routes in the format of the routes of the GitHub API client which the client does not provide.
+ * The routes are requested by `s_CREATE_CUSTOM_REQUEST`.
+ * @type {object}
+ */
+const s_CUSTOM_ROUTES =
+{
+   branchProtection:
+   {
+      url: '/repos/:user/:repo/branches/:branch/protection',
+      method: 'GET',
+      params: { $user: null, $repo: null, $branch: null }
+   },
+
+   // The GitHub API client does not support the `role` parameter of `github.orgs.getMembers`.
+   orgMembers:
+   {
+      url: '/orgs/:org/members',
+      method: 'GET',
+      params: { $org: null, role: null, $page: null, $per_page: null }
+   }
+};
+
+/**
+ * Defines a hash of statistic categories to function call.
+ * @type {{codeFrequency: string, commitActivity: string, contributors: string, participation: string, punchCard: string, stargazers: string, watchers: string}}
+ */
+const s_STAT_CATEGORY_TO_FUNCT =
+{
+   codeFrequency: 'getStatsCodeFrequency',
+   commitActivity: 'getStatsCommitActivity',
+   contributors: 'getStatsContributors',
+   participation: 'getStatsParticipation',
+   punchCard: 'getStatsPunchCard',
+   stargazers: 'getStargazers',
+   watchers: 'getWatchers'
+};
+
+/**
+ * Defines the names of the queries supported by `stream`.
+ * @type {Array<string>}
+ */
+const s_STREAM_QUERIES =
+[
+   'getAdmins', 'getCollaborators', 'getContributors', 'getIssues', 'getMembers', 'getOrgCollaboratorAccess',
+   'getOrgMembers', 'getOrgRepos', 'getOrgRepoBranchProtection', 'getOrgRepoCollaborators', 'getOrgRepoContributors',
+   'getOrgRepoIssues', 'getOrgRepoPullRequests', 'getOrgRepoReleases', 'getOrgRepoStats', 'getOrgs', 'getOrgTeams',
+   'getOrgTeamMembers', 'getOwnerOrgs', 'getOwnerRateLimits', 'getOwners', 'getPullRequests', 'getUserFromCredential'
+];
+
+/**
+ * Adds an entry describing the error of a skipped item to the errors of a query. Each entry contains the `owner`,
+ * `org`, `repo` and `team` of the skipped item where known otherwise `null`, the `endpoint` of the failed request, the
+ * HTTP `status` or `null` when no response is received and the `message` of the error. A `skip` event is logged with
+ * the same fields except that the error message is stored in `error`.
+ *
+ * @param {Array<object>}  errors - The errors of a query; from `s_CREATE_INNER_OPTIONS`.
+ * @param {*}              error - The error of the skipped item.
+ * @param {object}         item - Contains the `owner`, `org`, `repo` and `team` names of the skipped item.
+ * @param {function}       log - The log function of a query; from `s_GET_LOG`.
+ */
+const s_ADD_ERROR = (errors, error, item = {}, log = () => {}) =>
+{
+   const isObject = typeof error === 'object' && error !== null;
+
+   let message = isObject ? error.message : error;
+
+   // GitHub responds with a JSON body containing `message`.
+   try
+   {
+      const body = JSON.parse(message);
+      if (typeof body === 'object' && body !== null && typeof body.message === 'string') { message = body.message; }
+   }
+   catch (err) { /* ... */ }
+
+   const entry =
+   {
+      owner: item.owner || null,
+      org: item.org || null,
+      repo: item.repo || null,
+      team: item.team || null,
+      endpoint: isObject && typeof error.endpoint === 'string' ? error.endpoint : null,
+      status: isObject && Number.isInteger(error.code) ? error.code : null,
+      message: typeof message === 'string' ? message : String(message)
+   };
+
+   errors.push(entry);
+
+   let skipped = `owner '${entry.owner}'`;
+
+   if (entry.team !== null) { skipped = `team '${entry.team}' of organization '${entry.org}'`; }
+   else if (entry.repo !== null) { skipped = `repo '${entry.org}/${entry.repo}'`; }
+   else if (entry.org !== null) { skipped = `organization '${entry.org}'`; }
+
+   const failed = entry.endpoint !== null ? ` as '${entry.endpoint}' failed` : ' as a request failed';
+   const status = entry.status !== null ? ` with status ${entry.status}` : '';
+
+   log('warn',
+   {
+      type: 'skip',
+      message: `Skipping ${skipped}${failed}${status}: ${entry.message}`,
+      owner: entry.owner,
+      org: entry.org,
+      repo: entry.repo,
+      team: entry.team,
+      endpoint: entry.endpoint,
+      status: entry.status,
+      error: entry.message
+   });
+};
+
+/**
+ * Adds the raw results received before a rate limit error occurred to the error as `partial`. Only the innermost
+ * query adds partial results as it holds the most complete data.
+ *
+ * @param {*}     error - An error.
+ * @param {Array} raw - Raw results received so far.
+ *
+ * @returns {*}
+ */
+const s_ADD_PARTIAL_RESULTS = (error, raw) =>
+{
+   if (RateLimitScheduler.isRateLimitError(error) && typeof error.partial === 'undefined') { error.partial = raw; }
+
+   return error;
+};
+
+/**
+ * Convenience method to create GitHub credentials as necessary and return the isolated GitHub API client from the
+ * pool which is authenticated for the given credential. A client is never shared between credentials.
+ *
+ * @param {GitHubAPIPool}  githubAPIPool - The pool of GitHub API clients.
+ * @param {string|object}  credential - A string of containing a public access token or username:password or an
+ *                                       existing GitHub object hash credential.
+ *
+ * @returns {object} GitHub API authenticated for the given credentials.
+ */
+const s_AUTHENTICATE = (githubAPIPool, credential) =>
+{
+   return githubAPIPool.getAPI(s_CREATE_CREDENTIALS(credential));
+};
+
+/**
+ * Creates and verifies a GitHub login credential from a string that contains a public access token or a
+ * username:password pattern. If an existing object hash is passed in it is validated for correctness.
+ *
+ * @param {string}   tokenOrPass - A string that contains a public access token or a username:password pattern.
+ * @returns {*}
+ */
+const s_CREATE_CREDENTIALS = (tokenOrPass) =>
+{
+   let credential;
+
+   // Create credentials object hash
+   /* istanbul ignore else */
+   if (typeof tokenOrPass === 'string')
+   {
+      /* istanbul ignore if */
+      if (tokenOrPass === '') { throw new TypeError(`s_CREATE_CREDENTIALS error: 'tokenOrPass' is an empty string.`); }
+
+      const splitIndex = tokenOrPass.indexOf(':');
+
+      // Treat as username:password if tokenOrPass includes `:`.
+      /* istanbul ignore if */
+      if (splitIndex >= 0)
+      {
+         const partials = tokenOrPass.split(':', 2);
+         credential = { type: 'basic', username: partials[0], password: partials[1] };
+      }
+      else
+      {
+         credential = { type: 'oauth', token: tokenOrPass };
+      }
+   }
+   else if (typeof tokenOrPass === 'object')  // Treat tokenOrPass as an already defined credential object hash.
+   {
+      credential = tokenOrPass;
+   }
+   else
+   {
+      throw new TypeError(`s_CREATE_CREDENTIALS error: 'tokenOrPass' is not an 'object' or a 'string'.`);
+   }
+
+   // Perform validation of the created credential.
+   /* istanbul ignore if */
+   if (typeof credential !== 'object')
+   {
+      throw new TypeError(
+       `s_CREATE_CREDENTIALS error: credentials were not created from 'tokenOrPass': ${tokenOrPass}`);
+   }
+   else
+   {
+      /* istanbul ignore else */
+      if (credential.type === 'basic')
+      {
+         /* istanbul ignore if */
+         if (typeof credential.username === 'undefined' || credential.password === null || credential.username === '')
+         {
+            throw new TypeError(`s_CREATE_CREDENTIALS error: 'credential.username' is undefined or empty.`);
+         }
+
+         /* istanbul ignore if */
+         if (typeof credential.password === 'undefined' || credential.password === null || credential.password === '')
+         {
+            throw new TypeError(`s_CREATE_CREDENTIALS error: 'credential.password' is undefined or empty.`);
+         }
+      }
+      else if (credential.type === 'oauth')
+      {
+         /* istanbul ignore if */
+         if (typeof credential.token === 'undefined' || credential.token === null || credential.token === '')
+         {
+            throw new TypeError(`s_CREATE_CREDENTIALS error: 'credential.username' is undefined or empty.`);
+         }
+      }
+      else
+      {
+         throw new TypeError(`s_CREATE_CREDENTIALS error: missing or unknown credential type: ${credential.type}`);
+      }
+   }
+
+   return credential;
+};
+
+/**
+ * Creates a request function for a route which is not provided by the GitHub API client. The request is sent by
+ * `httpSend` of the client, so it passes through the transport, rate limit scheduler and cache of the GitHub API pool
+ * like all other requests. The function receives the route params and a callback receiving the parsed JSON response
+ * in the same manner as the functions of the client.
+ *
+ * @param {object}   github - An authenticated GitHub API client.
+ * @param {object}   route - A route definition; see `s_CUSTOM_ROUTES`.
+ *
+ * @returns {function}
+ */
+const s_CREATE_CUSTOM_REQUEST = (github, route) =>
+{
+   return (params, callback) =>
+   {
+      github.httpSend(params, route, (err, response) =>
+      {
+         if (err) { callback(err); return; }
+
+         let result;
+
+         try { result = typeof response.data === 'string' ? JSON.parse(response.data) : response.data; }
+         catch (parseErr) { callback(parseErr); return; }
+
+         // Provides the `Link` header like the GitHub API client, so `s_GET_ALL_PAGES` walks all pages of lists.
+         if (Array.isArray(result) && response.headers && response.headers.link)
+         {
+            result.meta = { link: response.headers.link };
+         }
+
+         callback(null, result);
+      });
+   };
+};
+
+/**
+ * Returns a copy of the options of a query which is passed to nested queries, so the options of the caller are never
+ * modified. The copy sets `normalize` to false preventing nested queries from generating intermediate normalized data
+ * and holds the errors of skipped items in `_errors`. A query which is not nested receives a new errors array while
+ * nested queries share the errors array of the outer query.
+ *
+ * @param {object}   options - Optional parameters of a query.
+ *
+ * @returns {object}
+ */
+const s_CREATE_INNER_OPTIONS = (options) =>
+{
+   const nested = options.normalize === false && Array.isArray(options._errors);
+
+   return Object.assign({}, options, { normalize: false, _errors: nested ? options._errors : [] });
+};
+
+/**
+ * If `options` includes a `repoFiles` entry that is an array of file paths these files will be requested from
+ * `https://raw.githubusercontent.com/${repo.full_path}/${repo.default_branch}/${filePath}`. The requested file is
+ * relative to the default branch (usually `master`) for all repos. Usually this request for JS repos will be for
+ * `package.json`. Each repo will have the results stored in a hash entry `repo_files` which has entries under each
+ * file path containing a hash including `statusCode` and `body`. Valid requests will have a `statusCode` of 200.
+ * Usually invalid requests that don't exist will have a 404 statusCode. `body` is the text of the requested file.
+ *
+ * @param {object}         transport - The transport which sends the file requests; usually from `_transport`.
+ * @param {RequestQueue}   requestQueue - Bounds the requests in flight; from `s_GET_REQUEST_QUEUE`.
+ * @param {object}         userAgent - A header object containing a user agent string; usually from `_userAgent`.
+ * @param {Array}          promises - An array of promises to push file request Promises.
+ * @param {Array}          repos - An array of repos to resolve requests against for all `repoFiles`.
+ * @param {object}         options - Optional parameters which potentially contains the `repoFiles` array.
+ * @param {object}         optionsURL - Optional URL parameters which potentially contains `rawUrlPrefix` string.
+ */
+const s_CREATE_REPO_FILE_PROMISES = (transport, requestQueue, userAgent, promises, repos, options = {},
+ optionsURL = {}) =>
+{
+   /* istanbul ignore if */
+   if (typeof options !== 'object')
+   {
+      throw new TypeError(`s_CREATE_REPO_FILE_PROMISES error: 'options' is not an 'object'.`);
+   }
 
-                        // Sort by org name.
-                        results.sort((a, b) => { return a.login.localeCompare(b.login); });
+   /* istanbul ignore if */
+   if (typeof optionsURL !== 'object')
+   {
+      throw new TypeError(`s_CREATE_REPO_FILE_PROMISES error: 'optionsURL' is not an 'object'.`);
+   }
 
-                        // Strip any temporary private data stored in `orgs` when returning normalized data.
-                        s_STRIP_PRIVATE_ORGS_DATA(results);
+   // If there are no files to process exit early.
+   if (typeof options.repoFiles === 'undefined') { return; }
 
-                        owners.push({ owner: organization.owner, orgs: results });
+   /* istanbul ignore if */
+   if (typeof transport !== 'object' || typeof transport.request !== 'function')
+   {
+      throw new TypeError(`s_CREATE_REPO_FILE_PROMISES error: 'transport' does not have a 'request' function.`);
+   }
 
-                        resolve();
-                     }
-                  });
-               }));
-            })(this._organizations[cntr]);
-         }
+   /* istanbul ignore if */
+   if (typeof userAgent !== 'object')
+   {
+      throw new TypeError(`s_CREATE_REPO_FILE_PROMISES error: 'userAgent' is not an 'object'.`);
+   }
 
-         return Promise.all(promises).then(() =>
-         {
-            // Sort by owner name.
-            owners.sort((a, b) => { return a.owner.localeCompare(b.owner); });
+   /* istanbul ignore if */
+   if (!Array.isArray(promises))
+   {
+      throw new TypeError(`s_CREATE_REPO_FILE_PROMISES error: 'promises' is not an 'array'.`);
+   }
 
-            return { normalized: GitHubNormalize.normalizeCategories(['owners', 'orgs'], owners, this._optionsURL),
-             raw: owners };
-         });
-      });
+   /* istanbul ignore if */
+   if (!Array.isArray(repos))
+   {
+      throw new TypeError(`s_CREATE_REPO_FILE_PROMISES error: 'repos' is not an 'array'.`);
    }
 
-   /**
-    * Returns the current rate limits for all organization owners.
-    *
-    * The following is an abbreviated example response for the normalized data requested:
-    * ```
-    * {
-    *    "scm": "github",
-    *    "categories": "owners:ratelimit",
-    *    "timestamp": "2016-02-20T04:56:03.792Z",
-    *    "owners": [
-    *      {
-    *        "name": "typhonjs-test",
-    *        "url": "https:\/\/github.com\/typhonjs-test",
-    *        "ratelimit": [
-    *          {
-    *            "core": {
-    *              "limit": 5000,
-    *              "remaining": 4976,
-    *              "reset": 1456571465000
-    *            },
-    *            "search": {
-    *              "limit": 30,
-    *              "remaining": 30,
-    *              "reset": 1456571287000
-    *            }
-    *          }
-    *        ]
-    *      },
-    *      // .... more data
-    *    ]
-    * }
-    * ```
-    *
-    * @returns {Promise}
-    */
-   getOwnerRateLimits()
+   /* istanbul ignore if */
+   if (!Array.isArray(options.repoFiles))
    {
-      const githubAPI = this._githubAPI;
+      throw new TypeError(`s_CREATE_REPO_FILE_PROMISES error: 'options.repoFiles' is not an 'array'.`);
+   }
 
-      const owners = [];
-      const promises = [];
+   if (options.repoFiles.length === 0) { return; }
 
-      for (let cntr = 0; cntr < this._organizations.length; cntr++)
+   for (let cntr = 0; cntr < repos.length; cntr++)
+   {
+      const repo = repos[cntr];
+      repo.repo_files = {};
+
+      for (let cntr2 = 0; cntr2 < options.repoFiles.length; cntr2++)
       {
-         const organization = this._organizations[cntr];
+         const filePath = options.repoFiles[cntr2];
 
-         (function(organization)
+         (function(repo, filePath)
          {
-            promises.push(new Promise((resolve, reject) =>
+            promises.push(new Promise((resolve) =>
             {
-               const github = s_AUTHENTICATE(githubAPI, organization.credential);
+               const options =
+               {
+                  method: 'GET',
+                  url: `${optionsURL.rawUrlPrefix}${repo.full_name}/${repo.default_branch}/${filePath}`,
+                  headers: userAgent
+               };
 
-               github.misc.rateLimit({}, (err, result) =>
+               requestQueue.enqueue((done) =>
                {
-                  /* istanbul ignore if */
-                  if (err)
-                  {
-                     reject(err);
-                  }
-                  else
+                  transport.request(options, (error, response) =>
                   {
-                     owners.push({ owner: organization.owner, ratelimit: [result] });
+                     done();
+
+                     /* istanbul ignore if */
+                     if (error) { repo.repo_files[filePath] = { statusCode: 0, body: '' }; }
+                     else
+                     {
+                        repo.repo_files[filePath] = { statusCode: response.statusCode, body: response.body };
+                     }
                      resolve();
-                  }
+                  });
                });
             }));
-         })(organization);
+         })(repo, filePath);
       }
+   }
+};
 
-      return Promise.all(promises).then(() =>
-      {
-         // Sort by owner name.
-         owners.sort((a, b) => { return a.owner.localeCompare(b.owner); });
+/**
+ * Returns the resolved results of a normalized query containing the `normalized` data, the `raw` data and the
+ * `errors` of skipped items when provided. When the `raw` option is false `raw` is omitted and each raw record is
+ * released as soon as it is normalized, so the raw data of large queries is garbage collected during normalization.
+ *
+ * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+ * @param {Array<string>}     categories - The categories of the query to normalize.
+ * @param {Array<object>}     raw - The raw data of the query.
+ * @param {object}            options - Optional parameters of the query; IE `fields` or `raw`.
+ * @param {Array<object>}     [errors] - The errors of skipped items.
+ *
+ * @returns {{normalized: object, raw: Array<object>, errors: Array<object>}}
+ */
+const s_CREATE_RESULTS = (githubInspect, categories, raw, options, errors) =>
+{
+   const includeRaw = s_GET_RAW(githubInspect, options);
 
-         return { normalized: GitHubNormalize.normalizeCategories(['owners', 'ratelimit'], owners, this._optionsURL),
-          raw: owners };
-      });
-   }
+   const normalizeOptions = includeRaw ? s_GET_NORMALIZE_OPTIONS(githubInspect, options) :
+    Object.assign({}, s_GET_NORMALIZE_OPTIONS(githubInspect, options), { release: true });
+
+   const results = { normalized: GitHubNormalize.normalizeCategories(categories, raw, normalizeOptions) };
+
+   if (includeRaw) { results.raw = raw; }
+   if (typeof errors !== 'undefined') { results.errors = errors; }
+
+   return results;
+};
+
+/**
+ * Creates the stream tracker of a query which emits the normalized records of completed orgs and repos when the query
+ * is run by `stream` and is not nested. Each org is registered by `expect` along with its nested items (IE repos or
+ * teams) and the requests completing each item. `complete` marks a request of an item complete emitting the item once
+ * all of its requests complete and the org once all of its items complete. An org without items is emitted when
+ * registered and `completeAll` registers an org which has already completed. Pending requests are counted in an object
+ * hash indexed by `<org login>/<item name>`.
+ *
+ * When a query of repos is not nested and the `raw` option is false each completed repo is normalized and its raw
+ * data is replaced by a `_normalized` entry holding the normalized record, so the raw data of each repo is garbage
+ * collected as soon as it completes instead of once the query completes.
+ *
+ * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+ * @param {object}            options - Optional parameters of the query which potentially contains `_stream`.
+ * @param {boolean}           normalize - Indicates whether the query normalizes results; IE is not nested.
+ * @param {Array<string>}     categories - The category chain of the query.
+ *
+ * @returns {{expect: function, complete: function, completeAll: function}}
+ */
+const s_CREATE_STREAM_TRACKER = (githubInspect, options, normalize, categories) =>
+{
+   const stream = normalize && options._stream instanceof EventEmitter ? options._stream : null;
+   const release = normalize && categories[1] === 'repos' && !s_GET_RAW(githubInspect, options);
+   const pending = {};
 
    /**
-    * Returns all organization owners.
-    *
-    * The following is an abbreviated example response for the normalized data requested:
-    * ```
-    * {
-    *    "scm": "github",
-    *    "categories": "owners",
-    *    "timestamp": "2016-02-20T04:56:03.792Z",
-    *    "owners": [
-    *      {
-    *        "name": "typhonjs-test",
-    *        "url": "https:\/\/github.com\/typhonjs-test"
-    *      },
-    *      // .... more data
-    *    ]
-    * }
-    * ```
+    * Emits the normalized record of an org.
     *
-    * @returns {Promise}
+    * @param {object}   org - A raw org.
     */
-   getOwners()
+   const emitOrg = (org) =>
    {
-      const normalized = GitHubNormalize.normalizeCategories(['owners'], this._organizations, this._optionsURL);
-
-      normalized.owners.sort((a, b) => { return a.name.localeCompare(b.name); });
+      const normalized = GitHubNormalize.normalizeCategories(categories, [org],
+       s_GET_NORMALIZE_OPTIONS(githubInspect, options));
 
-      return Promise.resolve({ normalized, raw: normalized });
-   }
+      stream.emit('org', normalized.orgs[0], normalized.categories);
+   };
 
    /**
-    * Returns a the GitHub username who owns the provided credential.
-    *
-    * @param {object}  options - Optional parameters.
-    * ```
-    * (string) credential - A public access token for any GitHub user which limits the responses to the organizations
-    *                       and other query data that this particular user is a member of or has access to currently.
-    * ```
+    * Registers an org along with its nested items and the requests completing each item.
     *
-    * @returns {Promise} -- Always resolves; if authentication fails null is returned otherwise user JSON.
+    * @param {object}         org - A raw org.
+    * @param {Array<object>}  [items=[]] - The nested items of the org; IE repos or teams.
+    * @param {number}         [requests=1] - The requests completing each item.
     */
-   getUserFromCredential(options = {})
+   const expect = (org, items = [], requests = 1) =>
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object')
-      {
-         throw new TypeError(`getUserFromCredential error: 'options' is not an 'object'.`);
-      }
+      if (stream === null && !release) { return; }
 
-      /* istanbul ignore if */
-      if (typeof options.credential !== 'string')
+      if (items.length === 0)
       {
-         throw new TypeError(`getUserFromCredential error: 'options.credential' is not a 'string'.`);
+         if (stream !== null) { emitOrg(org); }
+         return;
       }
 
-      // If no explicit option to create normalized data is available default to true.
-      const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
+      pending[org.login] = items.length;
+
+      for (let cntr = 0; cntr < items.length; cntr++) { pending[`${org.login}/${items[cntr].name}`] = requests; }
+   };
+
+   /**
+    * Marks a request of an item complete.
+    *
+    * @param {object}   org - A raw org.
+    * @param {object}   item - A nested item of the org.
+    */
+   const complete = (org, item) =>
+   {
+      if ((stream === null && !release) || --pending[`${org.login}/${item.name}`] > 0) { return; }
 
-      return new Promise((resolve) =>
+      if (categories[1] === 'repos')
       {
-         const github = s_AUTHENTICATE(this._githubAPI, options.credential);
+         const repo = GitHubNormalize.normalizeCategories(categories.slice(1), [item],
+          s_GET_NORMALIZE_OPTIONS(githubInspect, options)).repos[0];
 
-         github.user.get({}, (err, user) =>
+         if (release)
          {
-            /* istanbul ignore if */
-            if (err) { resolve(null); }
-            else
-            {
-               resolve(normalize ? { normalized: GitHubNormalize.normalizeCategories(['users'], [user]),
-                raw: user } : user);
-            }
-         });
-      });
-   }
+            const keys = Object.keys(item);
+
+            for (let cntr = 0; cntr < keys.length; cntr++) { delete item[keys[cntr]]; }
+
+            item._normalized = repo;
+         }
+
+         if (stream !== null) { stream.emit('repo', repo, org.login); }
+      }
+
+      if (--pending[org.login] === 0 && stream !== null) { emitOrg(org); }
+   };
 
    /**
-    * Returns a boolean indicating the GitHub username owns the given credential.
-    * @param {object}  options - Optional parameters.
-    * ```
-    * (string) userName - GitHub account name to match.
-    * (string) credential - A credential to match against ownership by `userName`.
-    * ```
-    * @returns {Promise}
+    * Registers an org which has already completed along with its nested items.
+    *
+    * @param {object}         org - A raw org.
+    * @param {Array<object>}  [items=[]] - The nested items of the org; IE repos or teams.
     */
-   getUserOwnsCredential(options = {})
+   const completeAll = (org, items = []) =>
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object')
-      {
-         throw new TypeError(`getUserOwnsCredential error: 'options' is not an 'object'.`);
-      }
+      expect(org, items);
 
-      /* istanbul ignore if */
-      if (typeof options.userName !== 'string')
-      {
-         throw new TypeError(`getUserOwnsCredential error: 'options.userName' is not a 'string'.`);
-      }
+      for (let cntr = 0; cntr < items.length; cntr++) { complete(org, items[cntr]); }
+   };
 
-      /* istanbul ignore if */
-      if (typeof options.credential !== 'string')
-      {
-         throw new TypeError(`getUserOwnsCredential error: 'options.credential' is not a 'string'.`);
-      }
+   return { expect, complete, completeAll };
+};
 
-      return this.getUserFromCredential(options).then((data) =>
+/**
+ * Invokes a GitHub API list function and walks all result pages by following the `next` relation of the `Link` header
+ * returned by GitHub. Each page is requested with `per_page` set to `pageOptions.perPage` and when
+ * `pageOptions.maxPages` is greater than `0` no more than that amount of pages are requested. When the optional
+ * `pageOptions.isLastPage` function returns true for the results of a page no further pages are requested. The
+ * callback receives the combined results of all pages. Any API function that does not return an array is passed
+ * through unmodified. Each page request is sent through the request queue.
+ *
+ * @param {object}         github - An authenticated instance of the GitHub API.
+ * @param {function}       apiFunction - A GitHub API list function; IE `github.orgs.getMembers`.
+ * @param {object}         params - Parameters passed to `apiFunction`.
+ * @param {object}         pageOptions - Pagination options from `s_GET_PAGE_OPTIONS`.
+ * @param {RequestQueue}   requestQueue - Bounds the requests in flight; from `s_GET_REQUEST_QUEUE`.
+ * @param {function}       callback - Invoked with `(err, results)` after the last page is received.
+ */
+const s_GET_ALL_PAGES = (github, apiFunction, params, pageOptions, requestQueue, callback) =>
+{
+   const results = [];
+
+   const getPage = (page) =>
+   {
+      requestQueue.enqueue((done) =>
       {
-         return data !== null && data.normalized.users[0].name === options.userName;
+         apiFunction(Object.assign({}, params, { page, per_page: pageOptions.perPage }), (err, pageResults) =>
+         {
+            // Frees the queue slot before the next page is queued.
+            done();
+
+            if (err) { callback(err); return; }
+
+            // Non list queries such as repo statistics are passed through as is.
+            if (!Array.isArray(pageResults)) { callback(null, pageResults); return; }
+
+            results.push(...pageResults);
+
+            const nextLink = pageResults.meta ? github.hasNextPage(pageResults.meta.link) : void 0;
+
+            const isLastPage = typeof pageOptions.isLastPage === 'function' && pageOptions.isLastPage(pageResults);
+
+            if (nextLink && !isLastPage && (pageOptions.maxPages === 0 || page < pageOptions.maxPages))
+            {
+               const nextPage = parseInt(url.parse(nextLink, true).query.page, 10);
+
+               getPage(Number.isInteger(nextPage) ? nextPage : page + 1);
+            }
+            else
+            {
+               callback(null, results);
+            }
+         });
       });
-   }
-}
-
-// Module private ---------------------------------------------------------------------------------------------------
+   };
 
-/**
- * Defines a hash of statistic categories to function call.
- * @type {{codeFrequency: string, commitActivity: string, contributors: string, participation: string, punchCard: string, stargazers: string, watchers: string}}
- */
-const s_STAT_CATEGORY_TO_FUNCT =
-{
-   codeFrequency: 'getStatsCodeFrequency',
-   commitActivity: 'getStatsCommitActivity',
-   contributors: 'getStatsContributors',
-   participation: 'getStatsParticipation',
-   punchCard: 'getStatsPunchCard',
-   stargazers: 'getStargazers',
-   watchers: 'getWatchers'
+   getPage(1);
 };
 
 /**
- * Convenience method to create GitHub credentials as necessary and authenticate the gitHubAPI instance passing back
- * the instance of the API.
+ * Returns a predicate testing branch names against the `branches` option of `getOrgRepoBranchProtection`. Strings
+ * match whole branch names where `*` matches any characters. Without `branches` null is returned.
  *
- * @param {object}         githubAPI - An instance of the GitHub API.
- * @param {string|object}  credential - A string of containing a public access token or username:password or an
- *                                       existing GitHub object hash credential.
+ * @param {string|RegExp|Array<string|RegExp>|undefined} branches - The branch names / patterns.
  *
- * @returns {object} GitHub API authenticated for the given credentials.
+ * @returns {function|null}
  */
-const s_AUTHENTICATE = (githubAPI, credential) =>
+const s_GET_BRANCH_MATCHER = (branches) =>
 {
-   githubAPI.authenticate(s_CREATE_CREDENTIALS(credential));
-   return githubAPI;
+   if (typeof branches === 'undefined') { return null; }
+
+   const patterns = Array.isArray(branches) ? branches : [branches];
+
+   /* istanbul ignore if */
+   if (!patterns.every((pattern) => { return typeof pattern === 'string' || pattern instanceof RegExp; }))
+   {
+      throw new TypeError(
+       `s_GET_BRANCH_MATCHER error: 'options.branches' is not a 'string', 'RegExp' or 'Array<string|RegExp>'.`);
+   }
+
+   const regexes = patterns.map((pattern) =>
+   {
+      if (pattern instanceof RegExp) { return pattern; }
+
+      return new RegExp(`^${pattern.split('*').map((part) =>
+      {
+         return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }).join('.*')}$`);
+   });
+
+   return (name) => { return regexes.some((regex) => { return regex.test(name); }); };
 };
 
 /**
- * Creates and verifies a GitHub login credential from a string that contains a public access token or a
- * username:password pattern. If an existing object hash is passed in it is validated for correctness.
+ * Returns the access records of the collaborators of all repos of an organization sorted by user name. Each record is
+ * the collaborator tagged by `affiliation` ('owner', 'member' or 'outside') along with `repos` containing the name and
+ * GitHub `permissions` of each repo the collaborator has access to.
  *
- * @param {string}   tokenOrPass - A string that contains a public access token or a username:password pattern.
- * @returns {*}
+ * @param {object}         org - A raw org containing `repos` with `collaborators`.
+ * @param {Array<object>}  members - The raw members of the org.
+ * @param {Array<object>}  admins - The raw members of the org with the admin role; IE the owners.
+ *
+ * @returns {Array<object>}
  */
-const s_CREATE_CREDENTIALS = (tokenOrPass) =>
+const s_GET_COLLABORATOR_ACCESS = (org, members, admins) =>
 {
-   let credential;
+   const affiliations = {};
 
-   // Create credentials object hash
-   /* istanbul ignore else */
-   if (typeof tokenOrPass === 'string')
-   {
-      /* istanbul ignore if */
-      if (tokenOrPass === '') { throw new TypeError(`s_CREATE_CREDENTIALS error: 'tokenOrPass' is an empty string.`); }
+   if (org.type === 'User') { affiliations[org.login] = 'owner'; }
 
-      const splitIndex = tokenOrPass.indexOf(':');
+   for (let cntr = 0; cntr < members.length; cntr++) { affiliations[members[cntr].login] = 'member'; }
+   for (let cntr = 0; cntr < admins.length; cntr++) { affiliations[admins[cntr].login] = 'owner'; }
 
-      // Treat as username:password if tokenOrPass includes `:`.
-      /* istanbul ignore if */
-      if (splitIndex >= 0)
-      {
-         const partials = tokenOrPass.split(':', 2);
-         credential = { type: 'basic', username: partials[0], password: partials[1] };
-      }
-      else
-      {
-         credential = { type: 'oauth', token: tokenOrPass };
-      }
-   }
-   else if (typeof tokenOrPass === 'object')  // Treat tokenOrPass as an already defined credential object hash.
-   {
-      credential = tokenOrPass;
-   }
-   else
-   {
-      throw new TypeError(`s_CREATE_CREDENTIALS error: 'tokenOrPass' is not an 'object' or a 'string'.`);
-   }
+   const access = [];
+   const accessByUser = {};
 
-   // Perform validation of the created credential.
-   /* istanbul ignore if */
-   if (typeof credential !== 'object')
-   {
-      throw new TypeError(
-       `s_CREATE_CREDENTIALS error: credentials were not created from 'tokenOrPass': ${tokenOrPass}`);
-   }
-   else
+   const repos = Array.isArray(org.repos) ? org.repos : [];
+
+   for (let cntr = 0; cntr < repos.length; cntr++)
    {
-      /* istanbul ignore else */
-      if (credential.type === 'basic')
-      {
-         /* istanbul ignore if */
-         if (typeof credential.username === 'undefined' || credential.password === null || credential.username === '')
-         {
-            throw new TypeError(`s_CREATE_CREDENTIALS error: 'credential.username' is undefined or empty.`);
-         }
+      const repo = repos[cntr];
 
-         /* istanbul ignore if */
-         if (typeof credential.password === 'undefined' || credential.password === null || credential.password === '')
-         {
-            throw new TypeError(`s_CREATE_CREDENTIALS error: 'credential.password' is undefined or empty.`);
-         }
-      }
-      else if (credential.type === 'oauth')
+      if (!Array.isArray(repo.collaborators)) { continue; }
+
+      for (let cntr2 = 0; cntr2 < repo.collaborators.length; cntr2++)
       {
-         /* istanbul ignore if */
-         if (typeof credential.token === 'undefined' || credential.token === null || credential.token === '')
+         const user = repo.collaborators[cntr2];
+
+         if (!accessByUser.hasOwnProperty(user.login))
          {
-            throw new TypeError(`s_CREATE_CREDENTIALS error: 'credential.username' is undefined or empty.`);
+            const affiliation = affiliations.hasOwnProperty(user.login) ? affiliations[user.login] : 'outside';
+
+            accessByUser[user.login] = Object.assign({}, user, { affiliation, repos: [] });
+
+            // Permissions are stored by repo.
+            delete accessByUser[user.login].permissions;
+
+            access.push(accessByUser[user.login]);
          }
-      }
-      else
-      {
-         throw new TypeError(`s_CREATE_CREDENTIALS error: missing or unknown credential type: ${credential.type}`);
+
+         accessByUser[user.login].repos.push({ name: repo.name, permissions: user.permissions });
       }
    }
 
-   return credential;
+   // Sort by user name.
+   access.sort((a, b) => { return a.login.localeCompare(b.login); });
+
+   return access;
 };
 
 /**
- * If `options` includes a `repoFiles` entry that is an array of file paths these files will be requested from
- * `https://raw.githubusercontent.com/${repo.full_path}/${repo.default_branch}/${filePath}`. The requested file is
- * relative to the default branch (usually `master`) for all repos. Usually this request for JS repos will be for
- * `package.json`. Each repo will have the results stored in a hash entry `repo_files` which has entries under each
- * file path containing a hash including `statusCode` and `body`. Valid requests will have a `statusCode` of 200.
- * Usually invalid requests that don't exist will have a 404 statusCode. `body` is the text of the requested file.
+ * Returns the request parameters and a predicate testing issues / pull requests against the `state`, `labels`,
+ * `assignee` and `since` options of a query. The GitHub API only filters pull requests by state, so every filter is
+ * also applied by the predicate. `since` is compared against `updated_at`. Pull requests are requested by the last
+ * update; most recent first, so `isLastPage` stops pagination once a page reaches pull requests updated before `since`.
+ *
+ * @param {object}   options - Optional parameters which potentially contains the filters.
  *
- * @param {object}   userAgent - A header object containing a user agent string; usually from `_userAgent`.
- * @param {Array}    promises - An array of promises to push file request Promises.
- * @param {Array}    repos - An array of repos to resolve requests against for all `repoFiles`.
- * @param {object}   options - Optional parameters which potentially contains the `repoFiles` array.
- * @param {object}   optionsURL - Optional URL parameters which potentially contains `rawUrlPrefix` string.
+ * @returns {{params: object, pullParams: object, isLastPage: function, filter: function}}
  */
-const s_CREATE_REPO_FILE_PROMISES = (userAgent, promises, repos, options = {}, optionsURL = {}) =>
+const s_GET_ISSUE_FILTER = (options = {}) =>
 {
+   const state = typeof options.state === 'undefined' ? 'open' : options.state;
+
    /* istanbul ignore if */
-   if (typeof options !== 'object')
+   if (['open', 'closed', 'all'].indexOf(state) < 0)
    {
-      throw new TypeError(`s_CREATE_REPO_FILE_PROMISES error: 'options' is not an 'object'.`);
+      throw new TypeError(`s_GET_ISSUE_FILTER error: 'options.state' is not 'open', 'closed' or 'all'.`);
    }
 
+   const labels = typeof options.labels === 'undefined' ? [] :
+    Array.isArray(options.labels) ? options.labels : [options.labels];
+
    /* istanbul ignore if */
-   if (typeof optionsURL !== 'object')
+   if (!labels.every((label) => { return typeof label === 'string'; }))
    {
-      throw new TypeError(`s_CREATE_REPO_FILE_PROMISES error: 'optionsURL' is not an 'object'.`);
+      throw new TypeError(`s_GET_ISSUE_FILTER error: 'options.labels' is not a 'string' or 'Array<string>'.`);
    }
 
-   // If there are no files to process exit early.
-   if (typeof options.repoFiles === 'undefined') { return; }
+   const assignee = options.assignee;
 
    /* istanbul ignore if */
-   if (typeof userAgent !== 'object')
+   if (typeof assignee !== 'undefined' && typeof assignee !== 'string')
    {
-      throw new TypeError(`s_CREATE_REPO_FILE_PROMISES error: 'userAgent' is not an 'object'.`);
+      throw new TypeError(`s_GET_ISSUE_FILTER error: 'options.assignee' is not a 'string'.`);
    }
 
+   const since = typeof options.since === 'undefined' ? null :
+    options.since instanceof Date ? options.since.getTime() : Date.parse(options.since);
+
    /* istanbul ignore if */
-   if (!Array.isArray(promises))
+   if (since !== null && isNaN(since))
    {
-      throw new TypeError(`s_CREATE_REPO_FILE_PROMISES error: 'promises' is not an 'array'.`);
+      throw new TypeError(`s_GET_ISSUE_FILTER error: 'options.since' is not a 'Date' or ISO 8601 'string'.`);
    }
 
-   /* istanbul ignore if */
-   if (!Array.isArray(repos))
+   const params = { state };
+
+   if (labels.length > 0) { params.labels = labels.join(','); }
+   if (typeof assignee === 'string') { params.assignee = assignee; }
+   if (since !== null) { params.since = new Date(since).toISOString(); }
+
+   return {
+      params,
+      pullParams: { state, sort: 'updated', direction: 'desc' },
+      isLastPage: (pageResults) =>
+      {
+         return since !== null && pageResults.length > 0 &&
+          Date.parse(pageResults[pageResults.length - 1].updated_at) < since;
+      },
+      filter: (issue) =>
+      {
+         const issueLabels = Array.isArray(issue.labels) ? issue.labels.map((label) => { return label.name; }) : [];
+         const assignees = Array.isArray(issue.assignees) ? issue.assignees.map((user) => { return user.login; }) : [];
+
+         if (state !== 'all' && issue.state !== state) { return false; }
+
+         if (!labels.every((label) => { return issueLabels.indexOf(label) >= 0; })) { return false; }
+
+         if (assignee === 'none' && assignees.length > 0) { return false; }
+         if (assignee === '*' && assignees.length === 0) { return false; }
+
+         if (typeof assignee === 'string' && assignee !== 'none' && assignee !== '*' &&
+          assignees.indexOf(assignee) < 0)
+         {
+            return false;
+         }
+
+         if (since !== null && !(Date.parse(issue.updated_at) >= since)) { return false; }
+
+         return true;
+      }
+   };
+};
+
+/**
+ * Returns all issues or pull requests across all organizations flattened from `getOrgRepoIssues` /
+ * `getOrgRepoPullRequests` and sorted by the date of the last update; most recent first.
+ *
+ * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+ * @param {object}            options - Optional parameters.
+ * @param {string}            category - The category to return; 'issues' or 'pulls'.
+ *
+ * @returns {Promise}
+ */
+const s_GET_ISSUES = (githubInspect, options, category) =>
+{
+   // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+   const innerOptions = s_CREATE_INNER_OPTIONS(options);
+   const errors = innerOptions._errors;
+
+   // Fail early if rate limit is reached or user authentication fails.
+   return s_IS_RATE_LIMIT_REACHED(githubInspect, innerOptions).then(() =>
    {
-      throw new TypeError(`s_CREATE_REPO_FILE_PROMISES error: 'repos' is not an 'array'.`);
-   }
+      return s_GET_ORG_REPO_ISSUES(githubInspect, innerOptions, category).then((orgs) =>
+      {
+         const issues = [];
+
+         for (let cntr = 0; cntr < orgs.length; cntr++)
+         {
+            const repos = orgs[cntr].repos;
+
+            for (let cntr2 = 0; cntr2 < repos.length; cntr2++)
+            {
+               if (Array.isArray(repos[cntr2][category])) { issues.push(...repos[cntr2][category]); }
+            }
+         }
+
+         // Sort by last update.
+         issues.sort((a, b) => { return b.updated_at.localeCompare(a.updated_at); });
+
+         return s_CREATE_RESULTS(githubInspect, [category], issues, options, errors);
+      });
+   }).catch((err) =>
+   {
+      throw s_NORMALIZE_PARTIAL_RESULTS(githubInspect, err, ['orgs', 'repos', category], true, options);
+   });
+};
+
+/**
+ * Returns the log function for a query which receives a level ('debug', 'info', 'warn' or 'error') and an event object
+ * hash. `options.verbose` overrides the verbose setting of GitHubInspectOrgs.
+ *
+ * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+ * @param {object}            options - Optional parameters which potentially contains `verbose`.
+ *
+ * @returns {function}
+ */
+const s_GET_LOG = (githubInspect, options = {}) =>
+{
+   const verbose = typeof options.verbose === 'boolean' ? options.verbose : githubInspect._verbose;
+
+   return (level, event) => { s_LOG(githubInspect, level, event, verbose); };
+};
+
+/**
+ * Returns the minimum permission level of collaborators from the `minPermission` option or null when not provided.
+ *
+ * @param {object}   options - Optional parameters which potentially contains `minPermission`.
+ *
+ * @returns {string|null} - 'admin', 'push', 'pull' or null.
+ */
+const s_GET_MIN_PERMISSION = (options = {}) =>
+{
+   if (typeof options.minPermission === 'undefined') { return null; }
 
    /* istanbul ignore if */
-   if (!Array.isArray(options.repoFiles))
+   if (['admin', 'push', 'pull'].indexOf(options.minPermission) < 0)
    {
-      throw new TypeError(`s_CREATE_REPO_FILE_PROMISES error: 'options.repoFiles' is not an 'array'.`);
+      throw new TypeError(`s_GET_MIN_PERMISSION error: 'options.minPermission' is not 'admin', 'push' or 'pull'.`);
    }
 
-   if (options.repoFiles.length === 0) { return; }
+   return options.minPermission;
+};
 
-   for (let cntr = 0; cntr < repos.length; cntr++)
-   {
-      const repo = repos[cntr];
-      repo.repo_files = {};
+/**
+ * Returns the normalize options of a query adding the per-call `fields` option to the normalize options of the
+ * instance.
+ *
+ * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+ * @param {object}            options - Optional parameters.
+ *
+ * @returns {object}
+ */
+const s_GET_NORMALIZE_OPTIONS = (githubInspect, options = {}) =>
+{
+   if (typeof options.fields === 'undefined') { return githubInspect._normalizeOptions; }
 
-      for (let cntr2 = 0; cntr2 < options.repoFiles.length; cntr2++)
+   return Object.assign({}, githubInspect._normalizeOptions, { fields: options.fields });
+};
+
+/**
+ * Returns all issues or pull requests by repo by organization across all organizations. Issues are requested from
+ * the issues API which also lists pull requests, so pull requests are excluded from `issues`.
+ *
+ * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+ * @param {object}            options - Optional parameters.
+ * @param {string}            category - The category added to each repo; 'issues' or 'pulls'.
+ *
+ * @returns {Promise}
+ */
+const s_GET_ORG_REPO_ISSUES = (githubInspect, options, category) =>
+{
+   // If no explicit option to create normalized data is available default to true.
+   const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
+
+   // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+   const innerOptions = s_CREATE_INNER_OPTIONS(options);
+   const errors = innerOptions._errors;
+   const log = s_GET_LOG(githubInspect, options);
+
+   const githubAPIPool = githubInspect._githubAPIPool;
+
+   const issueFilter = s_GET_ISSUE_FILTER(options);
+
+   // Pull requests are sorted by the last update, so pagination stops once `since` is reached.
+   const pageOptions = category === 'issues' ? s_GET_PAGE_OPTIONS(githubInspect, options) :
+    Object.assign(s_GET_PAGE_OPTIONS(githubInspect, options), { isLastPage: issueFilter.isLastPage });
+
+   const requestQueue = s_GET_REQUEST_QUEUE(githubInspect, options);
+   const tracker = s_CREATE_STREAM_TRACKER(githubInspect, options, normalize, ['orgs', 'repos', category]);
+
+   // Fail early if rate limit is reached or user authentication fails.
+   return s_IS_RATE_LIMIT_REACHED(githubInspect, innerOptions).then(() =>
+   {
+      return githubInspect.getOrgRepos(innerOptions).then((orgs) =>
       {
-         const filePath = options.repoFiles[cntr2];
+         const promises = [];
+
+         for (let cntr = 0; cntr < orgs.length; cntr++)
+         {
+            const org = orgs[cntr];
+
+            tracker.expect(org, org.repos);
+
+            for (let cntr2 = 0; cntr2 < org.repos.length; cntr2++)
+            {
+               const repo = org.repos[cntr2];
+
+               (function(org, repo)
+               {
+                  promises.push(new Promise((resolve, reject) =>
+                  {
+                     const github = s_AUTHENTICATE(githubAPIPool, org._credential);
+
+                     const apiFunction = category === 'issues' ? github.issues.repoIssues :
+                      github.pullRequests.getAll;
+
+                     const params = Object.assign({ repo: repo.name, user: org.login }, category === 'issues' ?
+                      issueFilter.params : issueFilter.pullParams);
+
+                     s_GET_ALL_PAGES(github, apiFunction, params, pageOptions, requestQueue, (err, issues) =>
+                     {
+                        /* istanbul ignore if */
+                        if (RateLimitScheduler.isRateLimitError(err))
+                        {
+                           reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                        }
+                        else if (err)
+                        {
+                           s_ADD_ERROR(errors, err, { owner: org._owner, org: org.login, repo: repo.name }, log);
+                           tracker.complete(org, repo);
+                           resolve(err);
+                        }
+                        else
+                        {
+                           repo[category] = issues.filter((issue) =>
+                           {
+                              if (category === 'issues' && typeof issue.pull_request === 'object') { return false; }
+
+                              return issueFilter.filter(issue);
+                           });
+
+                           // Sort by issue number; most recent first.
+                           repo[category].sort((a, b) => { return b.number - a.number; });
+
+                           tracker.complete(org, repo);
+                           resolve(repo[category]);
+                        }
+                     });
+                  }));
+               })(org, repo);
+            }
+         }
 
-         (function(repo, filePath)
+         return Promise.all(promises).then(() =>
          {
-            promises.push(new Promise((resolve) =>
-            {
-               const options =
-               {
-                  url: `${optionsURL.rawUrlPrefix}${repo.full_name}/${repo.default_branch}/${filePath}`,
-                  headers: userAgent
-               };
+            // Strip any temporary private data stored in `orgs` when returning normalized data.
+            if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
 
-               request(options, (error, response, body) =>
-               {
-                  repo.repo_files[filePath] = { statusCode: response.statusCode, body };
-                  resolve();
-               });
-            }));
-         })(repo, filePath);
-      }
-   }
+            return normalize ? s_CREATE_RESULTS(githubInspect, ['orgs', 'repos', category], orgs, options, errors) :
+             orgs;
+         });
+      });
+   }).catch((err) =>
+   {
+      throw s_NORMALIZE_PARTIAL_RESULTS(githubInspect, err, ['orgs', 'repos', category], normalize, options);
+   });
 };
 
 /**
@@ -2156,15 +4661,20 @@ const s_GET_ORG_REPOS_AUTH = (githubInspect, options = {}) =>
    // If no explicit option to create normalized data is available default to true.
    const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
 
-   const verbose = typeof options.verbose === 'boolean' ? options.verbose : githubInspect._verbose;
+   // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+   const innerOptions = s_CREATE_INNER_OPTIONS(options);
+   const errors = innerOptions._errors;
+   const log = s_GET_LOG(githubInspect, options);
 
-   // Prevents nested queries from generating intermediate normalized data.
-   options.normalize = false;
+   const pageOptions = s_GET_PAGE_OPTIONS(githubInspect, options);
+   const repoFilter = s_GET_REPO_FILTER(options);
+   const requestQueue = s_GET_REQUEST_QUEUE(githubInspect, options);
+   const tracker = s_CREATE_STREAM_TRACKER(githubInspect, options, normalize, ['orgs', 'repos']);
 
    // Fail early if rate limit is reached or user authentication fails.
-   return s_IS_RATE_LIMIT_REACHED(githubInspect, options).then(() =>
+   return s_IS_RATE_LIMIT_REACHED(githubInspect, innerOptions).then(() =>
    {
-      return s_GET_ORG_TEAMS_AUTH(githubInspect, options).then((orgs) =>
+      return s_GET_ORG_TEAMS_AUTH(githubInspect, innerOptions).then((orgs) =>
       {
          const promises = [];
 
@@ -2181,20 +4691,21 @@ const s_GET_ORG_REPOS_AUTH = (githubInspect, options = {}) =>
 
                (function(org, team)
                {
-                  promises.push(new Promise((resolve) =>
+                  promises.push(new Promise((resolve, reject) =>
                   {
-                     const github = s_AUTHENTICATE(githubInspect._githubAPI, org._credential);
+                     const github = s_AUTHENTICATE(githubInspect._githubAPIPool, org._credential);
 
-                     github.orgs.getTeamRepos({ org: org.login, id: team.id }, (err, repos) =>
+                     s_GET_ALL_PAGES(github, github.orgs.getTeamRepos, { org: org.login, id: team.id },
+                      pageOptions, requestQueue, (err, repos) =>
                      {
                         /* istanbul ignore if */
-                        if (err)
+                        if (RateLimitScheduler.isRateLimitError(err))
                         {
-                           if (verbose)
-                           {
-                              console.log(`Skipping team '${team.name}'`
-                               + `as provided organization credential for owner '${org._owner}' does not have access.`);
-                           }
+                           reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                        }
+                        else if (err)
+                        {
+                           s_ADD_ERROR(errors, err, { owner: org._owner, org: org.login, team: team.name }, log);
                            resolve(err);
                         }
                         else
@@ -2203,7 +4714,8 @@ const s_GET_ORG_REPOS_AUTH = (githubInspect, options = {}) =>
                            {
                               const repo = repos[cntr3];
 
-                              if (typeof duplicateReject[repo.name] === 'undefined')
+                              // Skip filtered repos before any further requests are made for each repo.
+                              if (typeof duplicateReject[repo.name] === 'undefined' && repoFilter(repo))
                               {
                                  org.repos.push(repo);
                                  duplicateReject[repo.name] = 1;
@@ -2227,17 +4739,18 @@ const s_GET_ORG_REPOS_AUTH = (githubInspect, options = {}) =>
                orgs[cntr].repos.sort((a, b) => { return a.name.localeCompare(b.name); });
 
                // Processes any file download requests from options.repoFiles
-               s_CREATE_REPO_FILE_PROMISES(githubInspect._userAgent, innerPromises, orgs[cntr].repos, options,
-                githubInspect._optionsURL);
+               s_CREATE_REPO_FILE_PROMISES(githubInspect._transport, requestQueue, githubInspect._userAgent,
+                innerPromises, orgs[cntr].repos, options, githubInspect._normalizeOptions);
             }
 
             return Promise.all(innerPromises).then(() =>
             {
+               for (let cntr = 0; cntr < orgs.length; cntr++) { tracker.completeAll(orgs[cntr], orgs[cntr].repos); }
+
                // Strip any temporary private data stored in `orgs` when returning normalized data.
                if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
 
-               return normalize ? { normalized: GitHubNormalize.normalizeCategories(['orgs', 'repos'], orgs,
-                githubInspect._optionsURL), raw: orgs } : orgs;
+               return normalize ? s_CREATE_RESULTS(githubInspect, ['orgs', 'repos'], orgs, options, errors) : orgs;
             });
          });
       });
@@ -2263,15 +4776,19 @@ const s_GET_ORG_TEAMS_AUTH = (githubInspect, options = {}) =>
    // If no explicit option to create normalized data is available default to true.
    const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
 
-   const verbose = typeof options.verbose === 'boolean' ? options.verbose : githubInspect._verbose;
+   // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+   const innerOptions = s_CREATE_INNER_OPTIONS(options);
+   const errors = innerOptions._errors;
+   const log = s_GET_LOG(githubInspect, options);
 
-   // Prevents nested queries from generating intermediate normalized data.
-   options.normalize = false;
+   const pageOptions = s_GET_PAGE_OPTIONS(githubInspect, options);
+   const requestQueue = s_GET_REQUEST_QUEUE(githubInspect, options);
+   const tracker = s_CREATE_STREAM_TRACKER(githubInspect, options, normalize, ['orgs', 'teams']);
 
    // Fail early if rate limit is reached or user authentication fails.
-   return s_IS_RATE_LIMIT_REACHED(githubInspect, options).then(() =>
+   return s_IS_RATE_LIMIT_REACHED(githubInspect, innerOptions).then(() =>
    {
-      return s_GET_ORGS_AUTH(githubInspect, options).then((orgs) =>
+      return s_GET_ORGS_AUTH(githubInspect, innerOptions).then((orgs) =>
       {
          const promises = [];
          const innerPromises = [];
@@ -2283,20 +4800,21 @@ const s_GET_ORG_TEAMS_AUTH = (githubInspect, options = {}) =>
 
             (function(org)
             {
-               promises.push(new Promise((resolve) =>
+               promises.push(new Promise((resolve, reject) =>
                {
-                  const github = s_AUTHENTICATE(githubInspect._githubAPI, org._credential);
+                  const github = s_AUTHENTICATE(githubInspect._githubAPIPool, org._credential);
 
-                  github.orgs.getTeams({ org: org.login }, (err, teams) =>
+                  s_GET_ALL_PAGES(github, github.orgs.getTeams, { org: org.login },
+                   pageOptions, requestQueue, (err, teams) =>
                   {
                      /* istanbul ignore if */
-                     if (err)
+                     if (RateLimitScheduler.isRateLimitError(err))
                      {
-                        if (verbose)
-                        {
-                           console.log(`Skipping organization '${org.login}'`
-                            + ` as provided organization credential for owner '${org._owner}' does not have access.`);
-                        }
+                        reject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                     }
+                     else if (err)
+                     {
+                        s_ADD_ERROR(errors, err, { owner: org._owner, org: org.login }, log);
                         resolve(err);
                      }
                      else
@@ -2305,143 +4823,520 @@ const s_GET_ORG_TEAMS_AUTH = (githubInspect, options = {}) =>
                         {
                            const team = teams[cntr2];
 
-                           (function(org, team)
-                           {
-                              innerPromises.push(new Promise((innerResolve) =>
-                              {
-                                 const github = s_AUTHENTICATE(githubInspect._githubAPI, org._credential);
+                           (function(org, team)
+                           {
+                              innerPromises.push(new Promise((innerResolve, innerReject) =>
+                              {
+                                 const github = s_AUTHENTICATE(githubInspect._githubAPIPool, org._credential);
+
+                                 s_QUEUE_REQUEST(requestQueue, github.orgs.getTeamMember,
+                                 {
+                                    org: org.login,
+                                    user: org._auth_user.login,
+                                    id: team.id
+                                 },
+                                 (err) =>
+                                 {
+                                    /* istanbul ignore if */
+                                    if (RateLimitScheduler.isRateLimitError(err))
+                                    {
+                                       innerReject(s_ADD_PARTIAL_RESULTS(err, orgs));
+                                       return;
+                                    }
+
+                                    // A `404` response indicates the user is not a team member.
+                                    if (!err) { org.teams.push(team); }
+                                    else if (err.code !== 404)
+                                    {
+                                       s_ADD_ERROR(errors, err, { owner: org._owner, org: org.login, team: team.name },
+                                        log);
+                                    }
+
+                                    innerResolve();
+                                 });
+                              }));
+                           })(org, team);
+                        }
+
+                        resolve();
+                     }
+                  });
+               }));
+            })(org);
+         }
+
+         return Promise.all(promises).then(() =>
+         {
+            return Promise.all(innerPromises).then(() =>
+            {
+               // Sort by team name.
+               for (let cntr = 0; cntr < orgs.length; cntr++)
+               {
+                  orgs[cntr].teams.sort((a, b) => { return a.name.localeCompare(b.name); });
+
+                  tracker.completeAll(orgs[cntr]);
+               }
+
+               // Strip any temporary private data stored in `orgs` when returning normalized data.
+               if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
+
+               return normalize ? s_CREATE_RESULTS(githubInspect, ['orgs', 'teams'], orgs, options, errors) : orgs;
+            });
+         });
+      });
+   });
+};
+
+/**
+ * Retrieves the organizations of an organization entry. Explicitly named organizations (`orgs`) are each requested
+ * directly and an organization which can not be retrieved is skipped and added to `errors`. Otherwise organizations are
+ * discovered from `/user/orgs` of the credential (`userOrgs`) which includes private memberships or from the public
+ * organization memberships of the owner. Only organizations that pass the `regex` test are returned.
+ *
+ * @param {GitHubAPIPool}  githubAPIPool - The pool of GitHub API clients.
+ * @param {object}         organization - A verified organization entry.
+ * @param {object}         pageOptions - The page options of the query.
+ * @param {RequestQueue}   requestQueue - The request queue of the query.
+ * @param {Array<object>}  errors - The errors of the query.
+ * @param {function}       log - The log function of the query.
+ * @param {function}       callback - Invoked with `(err, orgs)`.
+ */
+const s_GET_ORGANIZATION_ORGS = (githubAPIPool, organization, pageOptions, requestQueue, errors, log, callback) =>
+{
+   const github = s_AUTHENTICATE(githubAPIPool, organization.credential);
+
+   const filter = (orgs) =>
+   {
+      return orgs.filter((org) => { return typeof org.login === 'string' && organization.regex.test(org.login); });
+   };
+
+   if (organization.orgs === null)
+   {
+      const apiFunction = organization.userOrgs ? github.user.getOrgs : github.orgs.getFromUser;
+      const params = organization.userOrgs ? {} : { user: organization.owner };
+
+      s_GET_ALL_PAGES(github, apiFunction, params, pageOptions, requestQueue, (err, orgs) =>
+      {
+         if (err) { callback(err); }
+         else { callback(null, filter(orgs)); }
+      });
+
+      return;
+   }
+
+   const results = [];
+
+   let done = false, pending = organization.orgs.length;
+
+   if (pending === 0) { callback(null, []); return; }
+
+   for (let cntr = 0; cntr < organization.orgs.length; cntr++)
+   {
+      (function(orgName, index)
+      {
+         s_QUEUE_REQUEST(requestQueue, github.orgs.get, { org: orgName }, (err, org) =>
+         {
+            if (done) { return; }
+
+            /* istanbul ignore if */
+            if (RateLimitScheduler.isRateLimitError(err))
+            {
+               done = true;
+               callback(err);
+               return;
+            }
+
+            if (err) { s_ADD_ERROR(errors, err, { owner: organization.owner, org: orgName }, log); }
+            else { results[index] = org; }
+
+            if (--pending === 0)
+            {
+               done = true;
+               callback(null, filter(results.filter((entry) => { return typeof entry === 'object'; })));
+            }
+         });
+      })(organization.orgs[cntr], cntr);
+   }
+};
+
+/**
+ * Provides the module private version of `getOrgs` for a given user credentials. Please see `getOrgs`
+ * documentation for an example of query results.
+ *
+ * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+ * @param {object}            options - Optional parameters.
+ * @returns {Promise}
+ */
+const s_GET_ORGS_AUTH = (githubInspect, options = {}) =>
+{
+   /* istanbul ignore if */
+   if (typeof options !== 'object') { throw new TypeError(`s_GET_ORGS_AUTH error: 'options' is not an 'object'.`); }
+
+   /* istanbul ignore if */
+   if (typeof options.credential !== 'string')
+   {
+      throw new TypeError(`s_GET_ORGS_AUTH error: 'options.credential' is required or is not a 'string'.`);
+   }
+
+   // If no explicit option to create normalized data is available default to true.
+   const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
+
+   // Nested queries receive a copy of `options` which collects the errors of all skipped items.
+   const innerOptions = s_CREATE_INNER_OPTIONS(options);
+   const errors = innerOptions._errors;
+   const log = s_GET_LOG(githubInspect, options);
+
+   const requestQueue = s_GET_REQUEST_QUEUE(githubInspect, options);
+   const tracker = s_CREATE_STREAM_TRACKER(githubInspect, options, normalize, ['orgs']);
+
+   // Fail early if rate limit is reached or user authentication fails.
+   return s_IS_RATE_LIMIT_REACHED(githubInspect, innerOptions).then(() =>
+   {
+      return new Promise((resolve, reject) =>
+      {
+         githubInspect.getUserFromCredential(innerOptions).then((user) =>
+         {
+            /* istanbul ignore if */
+            if (user === null)
+            {
+               reject('s_GET_ORGS_AUTH error: user authentication failed.');
+            }
+            else
+            {
+               // To avoid a loop we must not pass options and simply pass in a directives to not normalize data and
+               // to skip the rate limit check.
+               githubInspect.getOrgs(
+               {
+                  normalize: false,
+                  skipRateLimitCheck: true,
+                  _errors: errors,
+                  concurrency: options.concurrency,
+                  maxPages: options.maxPages,
+                  perPage: options.perPage
+               }).then((orgs) =>
+               {
+                  const promises = [];
+                  const results = [];
+
+                  for (let cntr = 0; cntr < orgs.length; cntr++)
+                  {
+                     const org = orgs[cntr];
+
+                     (function(org)
+                     {
+                        promises.push(new Promise((innerResolve, innerReject) =>
+                        {
+                           const github = s_AUTHENTICATE(githubInspect._githubAPIPool, org._credential);
+
+                           s_QUEUE_REQUEST(requestQueue, github.orgs.getMember, { org: org.login, user: user.login },
+                            (err, result) =>
+                           {
+                              /* istanbul ignore if */
+                              if (RateLimitScheduler.isRateLimitError(err))
+                              {
+                                 innerReject(s_ADD_PARTIAL_RESULTS(err, results));
+                                 return;
+                              }
+
+                              if (result && result.meta && result.meta.status &&
+                               result.meta.status === '204 No Content')
+                              {
+                                 org._auth_user = user;
+                                 results.push(org);
+
+                                 tracker.expect(org);
+                              }
+                              else if (err && err.code !== 404)
+                              {
+                                 // A `404` response indicates the user is not an organization member.
+                                 s_ADD_ERROR(errors, err, { owner: org._owner, org: org.login }, log);
+                              }
+
+                              innerResolve();   // Required for Promise.all[] to resolve below.
+                           });
+                        }));
+                     })(org);
+                  }
+
+                  Promise.all(promises).then(() =>
+                  {
+                     // Sort by org name.
+                     results.sort((a, b) => { return a.login.localeCompare(b.login); });
+
+                     // Strip any temporary private data stored in `orgs` when returning normalized data.
+                     if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(results); }
+
+                     resolve(normalize ? s_CREATE_RESULTS(githubInspect, ['orgs'], results, options, errors) : results);
+                  }).catch(reject);
+               }).catch(reject);
+            }
+         }).catch(reject);
+      });
+   });
+};
+
+/**
+ * Resolves the pagination options for a query where `options.maxPages` and `options.perPage` override the defaults
+ * provided to the GitHubInspectOrgs constructor.
+ *
+ * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+ * @param {object}            options - Optional parameters.
+ *
+ * @returns {{maxPages: number, perPage: number}}
+ */
+const s_GET_PAGE_OPTIONS = (githubInspect, options = {}) =>
+{
+   /* istanbul ignore if */
+   if (typeof options.perPage !== 'undefined' && !s_IS_VALID_PER_PAGE(options.perPage))
+   {
+      throw new TypeError(`s_GET_PAGE_OPTIONS error: 'options.perPage' is not an 'integer' between 1 and 100.`);
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.maxPages !== 'undefined' && !s_IS_VALID_MAX_PAGES(options.maxPages))
+   {
+      throw new TypeError(`s_GET_PAGE_OPTIONS error: 'options.maxPages' is not a positive 'integer' or '0'.`);
+   }
+
+   return {
+      maxPages: typeof options.maxPages === 'number' ? options.maxPages : githubInspect._pageOptions.maxPages,
+      perPage: typeof options.perPage === 'number' ? options.perPage : githubInspect._pageOptions.perPage
+   };
+};
+
+/**
+ * Returns whether the results of a query include `raw` data. `options.raw` overrides the raw setting of
+ * GitHubInspectOrgs.
+ *
+ * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+ * @param {object}            options - Optional parameters which potentially contains `raw`.
+ *
+ * @returns {boolean}
+ */
+const s_GET_RAW = (githubInspect, options = {}) =>
+{
+   /* istanbul ignore if */
+   if (typeof options.raw !== 'undefined' && typeof options.raw !== 'boolean')
+   {
+      throw new TypeError(`s_GET_RAW error: 'options.raw' is not a 'boolean'.`);
+   }
+
+   return typeof options.raw === 'boolean' ? options.raw : githubInspect._raw;
+};
+
+/**
+ * Returns a predicate testing repos against the `repoFilter` option of a query; see `GitHubInspectOrgs` for the
+ * supported filters. Without `repoFilter` all repos pass.
+ *
+ * @param {object}   options - Optional parameters which potentially contains `repoFilter`.
+ *
+ * @returns {function}
+ */
+const s_GET_REPO_FILTER = (options = {}) =>
+{
+   const repoFilter = options.repoFilter;
+
+   if (typeof repoFilter === 'undefined') { return () => true; }
+
+   /* istanbul ignore if */
+   if (typeof repoFilter !== 'object' || repoFilter === null)
+   {
+      throw new TypeError(`s_GET_REPO_FILTER error: 'options.repoFilter' is not an 'object'.`);
+   }
+
+   const include = s_TO_REGEX(repoFilter.include, 'include');
+   const exclude = s_TO_REGEX(repoFilter.exclude, 'exclude');
+
+   const topics = s_TO_STRING_ARRAY(repoFilter.topics, 'topics');
+   const excludeTopics = s_TO_STRING_ARRAY(repoFilter.excludeTopics, 'excludeTopics');
+
+   const languages = s_TO_STRING_ARRAY(repoFilter.languages, 'languages', true);
+   const excludeLanguages = s_TO_STRING_ARRAY(repoFilter.excludeLanguages, 'excludeLanguages', true);
+
+   const flags = ['archived', 'fork', 'private'];
+
+   for (let cntr = 0; cntr < flags.length; cntr++)
+   {
+      /* istanbul ignore if */
+      if (typeof repoFilter[flags[cntr]] !== 'undefined' && typeof repoFilter[flags[cntr]] !== 'boolean')
+      {
+         throw new TypeError(`s_GET_REPO_FILTER error: 'options.repoFilter.${flags[cntr]}' is not a 'boolean'.`);
+      }
+   }
+
+   /* istanbul ignore if */
+   if (typeof repoFilter.pushedWithinDays !== 'undefined' &&
+    (typeof repoFilter.pushedWithinDays !== 'number' || !(repoFilter.pushedWithinDays >= 0)))
+   {
+      throw new TypeError(`s_GET_REPO_FILTER error: 'options.repoFilter.pushedWithinDays' is not a positive 'number'.`);
+   }
+
+   const pushedAfter = typeof repoFilter.pushedWithinDays === 'number' ?
+    Date.now() - repoFilter.pushedWithinDays * 86400000 : null;
+
+   return (repo) =>
+   {
+      if (include !== null && !include.test(repo.name)) { return false; }
+      if (exclude !== null && exclude.test(repo.name)) { return false; }
+
+      for (let cntr = 0; cntr < flags.length; cntr++)
+      {
+         const flag = flags[cntr];
 
-                                 github.orgs.getTeamMember(
-                                 {
-                                    org: org.login,
-                                    user: org._auth_user.login,
-                                    id: team.id
-                                 },
-                                 (err) =>
-                                 {
-                                    /* istanbul ignore if */
-                                    if (err) { /* ... */ }
-                                    else { org.teams.push(team); }
-                                    innerResolve();
-                                 });
-                              }));
-                           })(org, team);
-                        }
+         if (typeof repoFilter[flag] === 'boolean' && repoFilter[flag] !== !!repo[flag]) { return false; }
+      }
 
-                        resolve();
-                     }
-                  });
-               }));
-            })(org);
-         }
+      const repoTopics = Array.isArray(repo.topics) ? repo.topics : [];
 
-         return Promise.all(promises).then(() =>
-         {
-            return Promise.all(innerPromises).then(() =>
-            {
-               // Sort by team name.
-               for (let cntr = 0; cntr < orgs.length; cntr++)
-               {
-                  orgs[cntr].teams.sort((a, b) => { return a.name.localeCompare(b.name); });
-               }
+      if (topics !== null && !repoTopics.some((topic) => { return topics.indexOf(topic) >= 0; })) { return false; }
+      if (excludeTopics !== null && repoTopics.some((topic) => { return excludeTopics.indexOf(topic) >= 0; }))
+      {
+         return false;
+      }
 
-               // Strip any temporary private data stored in `orgs` when returning normalized data.
-               if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(orgs); }
+      const language = typeof repo.language === 'string' ? repo.language.toLowerCase() : null;
 
-               return normalize ? { normalized: GitHubNormalize.normalizeCategories(['orgs', 'teams'], orgs,
-                githubInspect._optionsURL), raw: orgs } : orgs;
-            });
-         });
-      });
-   });
+      if (languages !== null && languages.indexOf(language) < 0) { return false; }
+      if (excludeLanguages !== null && excludeLanguages.indexOf(language) >= 0) { return false; }
+
+      if (pushedAfter !== null && !(Date.parse(repo.pushed_at) >= pushedAfter)) { return false; }
+
+      return true;
+   };
 };
 
 /**
- * Provides the module private version of `getOrgs` for a given user credentials. Please see `getOrgs`
- * documentation for an example of query results.
+ * Returns the request queue for a query. When `options.concurrency` is provided a request queue bounding only the
+ * requests of the query is created otherwise the shared request queue of GitHubInspectOrgs is returned.
+ *
+ * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+ * @param {object}            options - Optional parameters which potentially contains `concurrency`.
+ *
+ * @returns {RequestQueue}
+ */
+const s_GET_REQUEST_QUEUE = (githubInspect, options = {}) =>
+{
+   if (typeof options.concurrency === 'undefined') { return githubInspect._requestQueue; }
+
+   /* istanbul ignore if */
+   if (!RequestQueue.isValidConcurrency(options.concurrency))
+   {
+      throw new TypeError(`s_GET_REQUEST_QUEUE error: 'options.concurrency' is not a positive 'integer' or '0'.`);
+   }
+
+   return new RequestQueue({ concurrency: options.concurrency });
+};
+
+/**
+ * Resolves the repo statistics retry options for a query where `options.statsBackoff` and `options.statsMaxAttempts`
+ * override the defaults of GitHubInspectOrgs.
  *
  * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
  * @param {object}            options - Optional parameters.
- * @returns {Promise}
+ *
+ * @returns {{backoff: number, maxAttempts: number}}
  */
-const s_GET_ORGS_AUTH = (githubInspect, options = {}) =>
+const s_GET_STATS_OPTIONS = (githubInspect, options = {}) =>
 {
    /* istanbul ignore if */
-   if (typeof options !== 'object') { throw new TypeError(`s_GET_ORGS_AUTH error: 'options' is not an 'object'.`); }
+   if (typeof options.statsBackoff !== 'undefined' && !s_IS_VALID_STATS_BACKOFF(options.statsBackoff))
+   {
+      throw new TypeError(`s_GET_STATS_OPTIONS error: 'options.statsBackoff' is not a positive 'integer' or '0'.`);
+   }
 
    /* istanbul ignore if */
-   if (typeof options.credential !== 'string')
+   if (typeof options.statsMaxAttempts !== 'undefined' && !s_IS_VALID_STATS_MAX_ATTEMPTS(options.statsMaxAttempts))
    {
-      throw new TypeError(`s_GET_ORGS_AUTH error: 'options.credential' is required or is not a 'string'.`);
+      throw new TypeError(`s_GET_STATS_OPTIONS error: 'options.statsMaxAttempts' is not a positive 'integer'.`);
    }
 
-   // If no explicit option to create normalized data is available default to true.
-   const normalize = typeof options.normalize === 'boolean' ? options.normalize : true;
+   return {
+      backoff: typeof options.statsBackoff === 'number' ? options.statsBackoff : githubInspect._statsOptions.backoff,
+      maxAttempts: typeof options.statsMaxAttempts === 'number' ? options.statsMaxAttempts :
+       githubInspect._statsOptions.maxAttempts
+   };
+};
 
-   // Prevents nested queries from generating intermediate normalized data.
-   options.normalize = false;
+/**
+ * Retrieves the user accounts listed in the `users` entries of the organizations configuration. Each user account is
+ * the raw GitHub user data (`type` is 'User') storing `_credential` and `_owner` like organizations. User accounts that
+ * can not be retrieved are skipped and added to `errors`.
+ *
+ * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+ * @param {RequestQueue}      requestQueue - The request queue of the query.
+ * @param {Array<object>}     errors - The errors of the query.
+ * @param {function}          log - The log function of the query.
+ *
+ * @returns {Promise<Array<object>>}
+ */
+const s_GET_USER_ACCOUNTS = (githubInspect, requestQueue, errors, log) =>
+{
+   const promises = [];
+   const users = [];
 
-   // Fail early if rate limit is reached or user authentication fails.
-   return s_IS_RATE_LIMIT_REACHED(githubInspect, options).then(() =>
+   for (let cntr = 0; cntr < githubInspect._organizations.length; cntr++)
    {
-      return new Promise((resolve, reject) =>
+      const organization = githubInspect._organizations[cntr];
+
+      for (let cntr2 = 0; cntr2 < organization.users.length; cntr2++)
       {
-         githubInspect.getUserFromCredential(options).then((user) =>
+         (function(organization, userName)
          {
-            /* istanbul ignore if */
-            if (user === null)
-            {
-               reject('s_GET_ORGS_AUTH error: user authentication failed.');
-            }
-            else
+            promises.push(new Promise((resolve, reject) =>
             {
-               // To avoid a loop we must not pass options and simply pass in a directives to not normalize data and
-               // to skip the rate limit check.
-               githubInspect.getOrgs({ normalize: false, skipRateLimitCheck: true }).then((orgs) =>
-               {
-                  const promises = [];
-                  const results = [];
+               const github = s_AUTHENTICATE(githubInspect._githubAPIPool, organization.credential);
 
-                  for (let cntr = 0; cntr < orgs.length; cntr++)
+               s_QUEUE_REQUEST(requestQueue, github.user.getFrom, { user: userName }, (err, user) =>
+               {
+                  /* istanbul ignore if */
+                  if (RateLimitScheduler.isRateLimitError(err))
                   {
-                     const org = orgs[cntr];
-
-                     (function(org)
-                     {
-                        promises.push(new Promise((innerResolve) =>
-                        {
-                           const github = s_AUTHENTICATE(githubInspect._githubAPI, org._credential);
+                     reject(s_ADD_PARTIAL_RESULTS(err, users));
+                  }
+                  else if (err || user.type !== 'User')
+                  {
+                     s_ADD_ERROR(errors, err || `'${userName}' is not a user account.`,
+                      { owner: organization.owner, org: userName }, log);
+                     resolve();
+                  }
+                  else
+                  {
+                     user._credential = organization.credential;
+                     user._owner = organization.owner;
+                     users.push(user);
+                     resolve();
+                  }
+               });
+            }));
+         })(organization, organization.users[cntr2]);
+      }
+   }
 
-                           github.orgs.getMember({ org: org.login, user: user.login }, (err, result) =>
-                           {
-                              if (result && result.meta && result.meta.status &&
-                               result.meta.status === '204 No Content')
-                              {
-                                 org._auth_user = user;
-                                 results.push(org);
-                              }
+   return Promise.all(promises).then(() => { return users; });
+};
 
-                              innerResolve();   // Required for Promise.all[] to resolve below.
-                           });
-                        }));
-                     })(org);
-                  }
+/**
+ * Returns true if the given value is an object hash of functions; IE the `normalizers` option.
+ *
+ * @param {*}        value - Value to test.
+ * @param {boolean}  allowArrays - When true arrays of functions are also valid; IE the `fieldExtensions` option.
+ *
+ * @returns {boolean}
+ */
+const s_IS_FUNCTION_HASH = (value, allowArrays) =>
+{
+   if (typeof value !== 'object' || value === null || Array.isArray(value)) { return false; }
 
-                  Promise.all(promises).then(() =>
-                  {
-                     // Sort by org name.
-                     results.sort((a, b) => { return a.login.localeCompare(b.login); });
+   return Object.keys(value).every((key) =>
+   {
+      const entry = value[key];
 
-                     // Strip any temporary private data stored in `orgs` when returning normalized data.
-                     if (normalize) { s_STRIP_PRIVATE_ORGS_DATA(results); }
+      if (allowArrays && Array.isArray(entry))
+      {
+         return entry.every((fn) => { return typeof fn === 'function'; });
+      }
 
-                     resolve(normalize ? { normalized: GitHubNormalize.normalizeCategories(['orgs'], results,
-                      githubInspect._optionsURL), raw: results } : results);
-                  });
-               });
-            }
-         });
-      });
+      return typeof entry === 'function';
    });
 };
 
@@ -2467,6 +5362,8 @@ const s_IS_RATE_LIMIT_REACHED = (githubInspect, options = {}) =>
       return Promise.resolve(false);
    }
 
+   const requestQueue = s_GET_REQUEST_QUEUE(githubInspect, options);
+
    return new Promise((resolve, reject) =>
    {
       const promises = [];
@@ -2479,25 +5376,20 @@ const s_IS_RATE_LIMIT_REACHED = (githubInspect, options = {}) =>
          {
             promises.push(new Promise((innerResolve) =>
             {
-               const github = s_AUTHENTICATE(githubInspect._githubAPI, organization.credential);
+               const github = s_AUTHENTICATE(githubInspect._githubAPIPool, organization.credential);
 
-               github.misc.rateLimit({}, (err, res) =>
+               s_QUEUE_REQUEST(requestQueue, github.misc.rateLimit, {}, (err, res) =>
                {
                   /* istanbul ignore if */
                   if (err) { reject(`s_IS_RATE_LIMIT_REACHED: unknown error - ${err}`); }
                   else
                   {
+                     // When `onRateLimit` is 'wait' requests are held by the rate limit scheduler until reset.
                      if (typeof res === 'object' && res.resources && res.resources.core &&
-                      res.resources.core.remaining)
+                      typeof res.resources.core.remaining === 'number' && res.resources.core.remaining <= 0 &&
+                       githubInspect._rateLimitScheduler.onRateLimit === 'fail')
                      {
-                        const remaining = res.resources.core.remaining;
-
-                        /* istanbul ignore if */
-                        if (remaining <= 0)
-                        {
-                           reject(`GitHub API rate limit reached for organization owner: '${organization.owner}`
-                            + `'; please try again at: '${new Date(res.resources.core.reset * 1000)}.`);
-                        }
+                        reject(RateLimitScheduler.createRateLimitError(res.resources.core));
                      }
 
                      innerResolve();
@@ -2515,6 +5407,168 @@ const s_IS_RATE_LIMIT_REACHED = (githubInspect, options = {}) =>
    });
 };
 
+/**
+ * Returns true if the given repo statistics results are pending; GitHub responds with `202 Accepted` while statistics
+ * are generated.
+ *
+ * @param {*}  results - Results of a repo statistics request.
+ *
+ * @returns {boolean}
+ */
+const s_IS_STATS_PENDING = (results) =>
+{
+   return typeof results === 'object' && results !== null && !Array.isArray(results) &&
+    typeof results.meta === 'object' && typeof results.meta.status === 'string' &&
+     results.meta.status.startsWith('202');
+};
+
+/**
+ * Returns true if the given value is a valid `logger` option; an object with `debug`, `info`, `warn` and `error`
+ * functions.
+ *
+ * @param {*}  logger - Value to test.
+ *
+ * @returns {boolean}
+ */
+const s_IS_VALID_LOGGER = (logger) =>
+{
+   return typeof logger === 'object' && logger !== null && ['debug', 'info', 'warn', 'error'].every((level) =>
+   {
+      return typeof logger[level] === 'function';
+   });
+};
+
+/**
+ * Returns true if the given value is a valid `maxPages` option; an integer greater than or equal to `0`.
+ *
+ * @param {*}  maxPages - Value to test.
+ *
+ * @returns {boolean}
+ */
+const s_IS_VALID_MAX_PAGES = (maxPages) =>
+{
+   return Number.isInteger(maxPages) && maxPages >= 0;
+};
+
+/**
+ * Returns true if the given value is a valid `perPage` option; an integer between 1 and 100 which is the maximum page
+ * size supported by GitHub.
+ *
+ * @param {*}  perPage - Value to test.
+ *
+ * @returns {boolean}
+ */
+const s_IS_VALID_PER_PAGE = (perPage) =>
+{
+   return Number.isInteger(perPage) && perPage >= 1 && perPage <= 100;
+};
+
+/**
+ * Returns true if the given value is a valid `statsBackoff` option; an integer greater than or equal to `0`.
+ *
+ * @param {*}  statsBackoff - Value to test.
+ *
+ * @returns {boolean}
+ */
+const s_IS_VALID_STATS_BACKOFF = (statsBackoff) =>
+{
+   return Number.isInteger(statsBackoff) && statsBackoff >= 0;
+};
+
+/**
+ * Returns true if the given value is a valid `statsMaxAttempts` option; an integer greater than or equal to `1`.
+ *
+ * @param {*}  statsMaxAttempts - Value to test.
+ *
+ * @returns {boolean}
+ */
+const s_IS_VALID_STATS_MAX_ATTEMPTS = (statsMaxAttempts) =>
+{
+   return Number.isInteger(statsMaxAttempts) && statsMaxAttempts >= 1;
+};
+
+/**
+ * Sends an event to the logger of GitHubInspectOrgs. Without a logger the message of all events except `debug` events
+ * is written to the console when verbose.
+ *
+ * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+ * @param {string}            level - One of 'debug', 'info', 'warn' or 'error'.
+ * @param {object}            event - An event object hash containing `type` and `message`.
+ * @param {boolean}           verbose - Whether the message is written to the console without a logger.
+ */
+const s_LOG = (githubInspect, level, event, verbose) =>
+{
+   if (githubInspect._logger !== null) { githubInspect._logger[level](event); }
+   else if (verbose && level !== 'debug') { console.log(event.message); }
+};
+
+/**
+ * Merges the GitHub `permissions` of a collaborator for two repos to the permissions granted by either.
+ *
+ * @param {object}   permissions - The permissions of a collaborator; IE `{ admin: false, push: true, pull: true }`.
+ * @param {object}   otherPermissions - The permissions of the collaborator for another repo.
+ *
+ * @returns {object}
+ */
+const s_MERGE_PERMISSIONS = (permissions, otherPermissions) =>
+{
+   if (typeof otherPermissions !== 'object' || otherPermissions === null) { return permissions; }
+   if (typeof permissions !== 'object' || permissions === null) { return otherPermissions; }
+
+   return {
+      admin: !!(permissions.admin || otherPermissions.admin),
+      push: !!(permissions.push || otherPermissions.push),
+      pull: !!(permissions.pull || otherPermissions.pull)
+   };
+};
+
+/**
+ * Normalizes the partial results of a rate limit error when `normalize` is true. `partial` becomes an object hash
+ * containing `normalized` and `raw` data in the same format as the resolved results of the query; `raw` is omitted
+ * when the `raw` option is false.
+ *
+ * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+ * @param {*}                 error - An error.
+ * @param {Array<string>}     categories - The categories of the query to normalize.
+ * @param {boolean}           normalize - Indicates whether the query normalizes results.
+ * @param {object}            [options] - Optional parameters of the query; IE `fields`.
+ *
+ * @returns {*}
+ */
+const s_NORMALIZE_PARTIAL_RESULTS = (githubInspect, error, categories, normalize, options = {}) =>
+{
+   if (normalize && RateLimitScheduler.isRateLimitError(error) && Array.isArray(error.partial))
+   {
+      const raw = error.partial;
+
+      if (categories[0] === 'orgs') { s_STRIP_PRIVATE_ORGS_DATA(raw); }
+
+      error.partial = s_CREATE_RESULTS(githubInspect, categories, raw, options);
+   }
+
+   return error;
+};
+
+/**
+ * Sends a single GitHub API request through the request queue.
+ *
+ * @param {RequestQueue}   requestQueue - Bounds the requests in flight; from `s_GET_REQUEST_QUEUE`.
+ * @param {function}       apiFunction - A GitHub API function; IE `github.orgs.getMember`.
+ * @param {object}         params - Parameters passed to `apiFunction`.
+ * @param {function}       callback - Invoked with `(err, result)`.
+ */
+const s_QUEUE_REQUEST = (requestQueue, apiFunction, params, callback) =>
+{
+   requestQueue.enqueue((done) =>
+   {
+      apiFunction(params, (err, result) =>
+      {
+         done();
+         callback(err, result);
+      });
+   });
+};
+
 /**
  * Strips any temporary private entries starting with `_` from all organization entries.
  *
@@ -2533,4 +5587,51 @@ const s_STRIP_PRIVATE_ORGS_DATA = (orgs) =>
          if (key.startsWith('_')) { delete org[key]; }
       }
    }
-};
\ No newline at end of file
+};
+
+/**
+ * Converts a `repoFilter` regular expression option to a RegExp.
+ *
+ * @param {RegExp|string|undefined} value - The option value.
+ * @param {string}                  name - The option name.
+ *
+ * @returns {RegExp|null} Null when the option is not provided.
+ */
+const s_TO_REGEX = (value, name) =>
+{
+   if (typeof value === 'undefined') { return null; }
+   if (value instanceof RegExp) { return value; }
+
+   /* istanbul ignore if */
+   if (typeof value !== 'string')
+   {
+      throw new TypeError(`s_TO_REGEX error: 'options.repoFilter.${name}' is not a 'RegExp' or 'string'.`);
+   }
+
+   return new RegExp(value);
+};
+
+/**
+ * Converts a `repoFilter` string or array of strings option to an array of strings.
+ *
+ * @param {string|Array<string>|undefined}   value - The option value.
+ * @param {string}                           name - The option name.
+ * @param {boolean}                          lowerCase - When true the strings are converted to lower case.
+ *
+ * @returns {Array<string>|null} Null when the option is not provided.
+ */
+const s_TO_STRING_ARRAY = (value, name, lowerCase = false) =>
+{
+   if (typeof value === 'undefined') { return null; }
+
+   const values = Array.isArray(value) ? value : [value];
+
+   /* istanbul ignore if */
+   if (!values.every((entry) => { return typeof entry === 'string'; }))
+   {
+      throw new TypeError(
+       `s_TO_STRING_ARRAY error: 'options.repoFilter.${name}' is not a 'string' or 'Array<string>'.`);
+   }
+
+   return lowerCase ? values.map((entry) => { return entry.toLowerCase(); }) : values;
+};
@@ -1,5 +1,21 @@
+import NormalizedSchema    from './schema/NormalizedSchema.js';
+import SchemaValidator     from './schema/SchemaValidator.js';
+
 /**
- * GitHubNormalize
+ * GitHubNormalize -- Normalizes raw GitHub query results. The shape of normalized data depends on the category chain
+ * stored in `categories`; IE `orgs:repos:collaborators`. The JSON Schema of each chain is available from `getSchema`
+ * and `validate` checks normalized data against it. The record schemas are defined in `NormalizedSchema`.
+ *
+ * Each category is normalized by the normalizer registered for it. New categories are added by `registerCategory` and
+ * fields are added to the records of any category by `addFieldExtension`:
+ * ```
+ * GitHubNormalize.registerCategory('milestones', (milestone) => { return { title: milestone.title }; });
+ *
+ * GitHubNormalize.addFieldExtension('repos', (repo) => { return { language: repo.language }; });
+ * ```
+ *
+ * The registry is global. The `normalizers` / `fieldExtensions` options of `normalizeCategories` (provided by the
+ * `GitHubInspectOrgs` options of the same name) override the normalizer / add field extensions for a single instance.
  */
 export default class GitHubNormalize
 {
@@ -11,8 +27,20 @@ export default class GitHubNormalize
     * @param {object}         options - Optional parameters:
     * ```
     * (string) hostUrlPrefix - Sets the normalized GitHub host URL; default (https://github.com/).
+    * (object) normalizers - Object hash of category to a function replacing the registered normalizer.
+    * (object) fieldExtensions - Object hash of category to a function or array of functions adding fields to each
+    *                            normalized record after the registered field extensions.
+    * (object) fields - Object hash of category to an array of dotted paths selecting the fields of each normalized
+    *                   record. A path is resolved against the normalized record when it contains the first key of
+    *                   the path and otherwise against the raw data; IE `{ repos: ['name', 'license.spdx_id'] }`.
+    * (boolean) release - When true each raw record is removed from `raw` as soon as it is normalized, so raw data
+    *                     that is not referenced elsewhere is garbage collected during normalization; `raw` is empty
+    *                     afterward.
     * ```
     *
+    * A raw record containing a `_normalized` entry has already been normalized and the `_normalized` record is used
+    * as is.
+    *
     * @returns {{}}
     */
    static normalizeCategories(categories, raw, options = {})
@@ -32,18 +60,55 @@ export default class GitHubNormalize
          throw new TypeError(`normalizeCategories error: 'options' is not an 'object'.`);
       }
 
+      /* istanbul ignore if */
+      if (typeof options.fields !== 'undefined' && !s_IS_VALID_FIELDS(options.fields))
+      {
+         throw new TypeError(`normalizeCategories error: 'options.fields' is not an 'object' of 'Array<string>'.`);
+      }
+
       return s_DEPTH_NORMALIZE(categories, raw, 0, options,
       {
          scm: 'github',
          categories: categories.join(':'),
-         timestamp: new Date()
+         timestamp: new Date().toISOString()
       });
    }
 
    /**
-    * Returns a function that normalizes the given category of data.
+    * Adds a field extension to a category. Field extensions are invoked with `(raw, normalized, options)` after the
+    * normalizer of the category and the returned object hash is merged into the normalized record:
+    * ```
+    * GitHubNormalize.addFieldExtension('repos', (repo) =>
+    * {
+    *    return { language: repo.language, topics: repo.topics || [], open_issues_count: repo.open_issues_count };
+    * });
+    * ```
+    *
+    * @param {string}   category - A registered category.
+    * @param {function} fieldExtension - Returns the fields to add to a normalized record.
+    */
+   static addFieldExtension(category, fieldExtension)
+   {
+      /* istanbul ignore if */
+      if (!s_CATEGORIES.hasOwnProperty(category))
+      {
+         throw new TypeError(`addFieldExtension error: 'category' is not a registered category: ${category}`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof fieldExtension !== 'function')
+      {
+         throw new TypeError(`addFieldExtension error: 'fieldExtension' is not a 'function'.`);
+      }
+
+      s_CATEGORIES[category].fieldExtensions.push(fieldExtension);
+   }
+
+   /**
+    * Returns a function that normalizes the given category of data including all field extensions.
     *
-    * @param {string}   category - One of the following data categories to normalize:
+    * @param {string}   category - One of the following built-in data categories to normalize or a category added by
+    *                              `registerCategory`:
     * ```
     * 'authors'
     * 'collaborators'
@@ -57,16 +122,260 @@ export default class GitHubNormalize
     * 'stats'
     * 'teams'
     * ```
+    * @param {object}   options - Optional `normalizers` / `fieldExtensions` overrides; see `normalizeCategories`.
+    *
     * @returns {function}
     */
-   static getNormalizedFunction(category)
+   static getNormalizedFunction(category, options = {})
+   {
+      return s_GET_NORMALIZE_FUNCTION(category, options);
+   }
+
+   /**
+    * Returns true if a category is registered.
+    *
+    * @param {string}   category - A category name.
+    *
+    * @returns {boolean}
+    */
+   static hasCategory(category)
+   {
+      return s_CATEGORIES.hasOwnProperty(category);
+   }
+
+   /**
+    * Registers a new category of normalized data; IE `milestones` or `deployments`. The normalizer is invoked with
+    * `(raw, options)` for each raw entry and returns the normalized record. An optional JSON Schema of the record is
+    * used by `getSchema` / `validate`; by default any object is valid.
+    *
+    * @param {string}   category - A category name which is not already registered.
+    * @param {function} normalizer - Returns the normalized record of a raw entry.
+    * @param {object}   [schema={ type: 'object' }] - The JSON Schema of the normalized record.
+    */
+   static registerCategory(category, normalizer, schema = { type: 'object' })
+   {
+      /* istanbul ignore if */
+      if (typeof category !== 'string' || !(/^[A-Za-z_][A-Za-z0-9_-]*$/).test(category))
+      {
+         throw new TypeError(`registerCategory error: 'category' is not a valid category name.`);
+      }
+
+      /* istanbul ignore if */
+      if (s_CATEGORIES.hasOwnProperty(category) || NormalizedSchema.definitions.hasOwnProperty(category))
+      {
+         throw new Error(`registerCategory error: category '${category}' is already registered.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof normalizer !== 'function')
+      {
+         throw new TypeError(`registerCategory error: 'normalizer' is not a 'function'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof schema !== 'object' || schema === null)
+      {
+         throw new TypeError(`registerCategory error: 'schema' is not an 'object'.`);
+      }
+
+      s_CATEGORIES[category] = { normalizer, record: category, schema, fieldExtensions: [], builtin: false };
+   }
+
+   /**
+    * Removes a field extension added by `addFieldExtension`.
+    *
+    * @param {string}   category - A registered category.
+    * @param {function} fieldExtension - A field extension to remove.
+    *
+    * @returns {boolean} - True if the field extension was removed.
+    */
+   static removeFieldExtension(category, fieldExtension)
+   {
+      if (!s_CATEGORIES.hasOwnProperty(category)) { return false; }
+
+      const fieldExtensions = s_CATEGORIES[category].fieldExtensions;
+      const index = fieldExtensions.indexOf(fieldExtension);
+
+      if (index >= 0) { fieldExtensions.splice(index, 1); }
+
+      return index >= 0;
+   }
+
+   /**
+    * Unregisters a category added by `registerCategory`. Built-in categories can not be unregistered.
+    *
+    * @param {string}   category - A category name.
+    *
+    * @returns {boolean} - True if the category was unregistered.
+    */
+   static unregisterCategory(category)
+   {
+      if (!s_CATEGORIES.hasOwnProperty(category) || s_CATEGORIES[category].builtin) { return false; }
+
+      delete s_CATEGORIES[category];
+
+      return true;
+   }
+
+   /**
+    * Returns the category chains of the normalized data produced by `GitHubInspectOrgs` queries.
+    *
+    * @returns {Array<string>}
+    */
+   static get categoryChains()
+   {
+      return s_CATEGORY_CHAINS.slice();
+   }
+
+   /**
+    * Returns the JSON Schema of normalized data for a category chain. The schema is serializable by `JSON.stringify`.
+    *
+    * @param {string|Array<string>} categories - A category chain; IE `orgs:repos` or `['orgs', 'repos']`.
+    *
+    * @returns {object}
+    */
+   static getSchema(categories)
+   {
+      if (typeof categories === 'string') { categories = categories.split(':'); }
+
+      /* istanbul ignore if */
+      if (!Array.isArray(categories) || categories.length === 0)
+      {
+         throw new TypeError(`getSchema error: 'categories' is not a 'string' or 'array'.`);
+      }
+
+      return s_CREATE_SCHEMA(categories);
+   }
+
+   /**
+    * Validates normalized data against the JSON Schema of its category chain.
+    *
+    * @param {object}   normalized - Normalized data.
+    *
+    * @returns {Array<string>} - The validation errors prefixed by the path of the invalid value; empty when valid.
+    */
+   static validate(normalized)
    {
-      return s_GET_NORMALIZE_FUNCTION(category);
+      /* istanbul ignore if */
+      if (typeof normalized !== 'object' || normalized === null)
+      {
+         throw new TypeError(`validate error: 'normalized' is not an 'object'.`);
+      }
+
+      if (typeof normalized.categories !== 'string') { return [`categories: is not a 'string'.`]; }
+
+      const categories = normalized.categories.split(':');
+
+      for (let cntr = 0; cntr < categories.length; cntr++)
+      {
+         if (!s_CATEGORIES.hasOwnProperty(categories[cntr]))
+         {
+            return [`categories: unknown category '${categories[cntr]}'.`];
+         }
+      }
+
+      return SchemaValidator.validate(s_CREATE_SCHEMA(categories), normalized);
    }
 }
 
 // Module private ---------------------------------------------------------------------------------------------------
 
+/**
+ * Defines the category chains of the normalized data produced by `GitHubInspectOrgs` queries.
+ * @type {Array<string>}
+ */
+const s_CATEGORY_CHAINS =
+[
+   'admins',
+   'collaborators',
+   'contributors',
+   'issues',
+   'members',
+   'orgs',
+   'orgs:access',
+   'orgs:members',
+   'orgs:repos',
+   'orgs:repos:collaborators',
+   'orgs:repos:contributors',
+   'orgs:repos:issues',
+   'orgs:repos:protection',
+   'orgs:repos:pulls',
+   'orgs:repos:releases',
+   'orgs:repos:stats',
+   'orgs:teams',
+   'orgs:teams:members',
+   'owners',
+   'owners:orgs',
+   'owners:ratelimit',
+   'pulls',
+   'users'
+];
+
+/**
+ * Creates the JSON Schema of normalized data for a category chain. Each category is an array of its record type where
+ * the record of a parent category optionally contains the array of the next category.
+ *
+ * @param {Array<string>}  categories - A category chain.
+ *
+ * @returns {object}
+ */
+const s_CREATE_SCHEMA = (categories) =>
+{
+   const chain = categories.join(':');
+
+   const definitions = JSON.parse(JSON.stringify(NormalizedSchema.definitions));
+
+   // Adds the record schemas of registered categories.
+   for (const category in s_CATEGORIES)
+   {
+      if (s_CATEGORIES.hasOwnProperty(category) && !s_CATEGORIES[category].builtin)
+      {
+         definitions[s_CATEGORIES[category].record] = JSON.parse(JSON.stringify(s_CATEGORIES[category].schema));
+      }
+   }
+
+   let items;
+
+   // Builds the nested item schemas starting from the innermost category.
+   for (let cntr = categories.length; --cntr >= 0;)
+   {
+      const entry = s_CATEGORIES[categories[cntr]];
+
+      if (typeof entry !== 'object') { throw new Error(`Unknown category: ${categories[cntr]}`); }
+
+      if (typeof items === 'undefined')
+      {
+         items = { $ref: `#/definitions/${entry.record}` };
+      }
+      else
+      {
+         const parentItems = JSON.parse(JSON.stringify(definitions[entry.record]));
+
+         if (typeof parentItems.properties !== 'object') { parentItems.properties = {}; }
+
+         parentItems.properties[categories[cntr + 1]] = { type: 'array', items };
+
+         items = parentItems;
+      }
+   }
+
+   return {
+      $schema: NormalizedSchema.$schema,
+      id: `${NormalizedSchema.id}/${chain}`,
+      title: `GitHubInspectOrgs normalized '${chain}'`,
+      type: 'object',
+      required: ['scm', 'categories', 'timestamp', categories[0]],
+      properties:
+      {
+         scm: { 'type': 'string', 'enum': ['github'] },
+         categories: { 'type': 'string', 'enum': [chain] },
+         timestamp: { type: 'string' },
+         [categories[0]]: { type: 'array', items }
+      },
+      definitions
+   };
+};
+
 /**
  * Provides a recursive function to normalize results.
  *
@@ -76,6 +385,7 @@ export default class GitHubNormalize
  * @param {object}         options - Optional parameters.
  * ```
  * (string) hostUrlPrefix - Sets the normalized GitHub host URL; default (https://github.com/).
+ * (boolean) release - When true each raw record is removed from `data` once normalized.
  * ```
  * @param {{}}             root - Initial object.
  *
@@ -86,7 +396,7 @@ const s_DEPTH_NORMALIZE = (categories, data, depth, options, root) =>
    const category = categories[depth];
    const nextCategory = categories.length > depth ? categories[depth + 1] : undefined;
 
-   const normalizeFunction = s_GET_NORMALIZE_FUNCTION(category);
+   const normalizeFunction = s_GET_NORMALIZE_FUNCTION(category, options);
 
    const normalized = root ? root : {};
 
@@ -94,64 +404,243 @@ const s_DEPTH_NORMALIZE = (categories, data, depth, options, root) =>
 
    for (let cntr = 0; cntr < data.length; cntr++)
    {
-      const results = normalizeFunction(data[cntr], options);
-
-      if (nextCategory && Array.isArray(data[cntr][nextCategory]))
+      // A raw record normalized ahead of time by a query holds its normalized record in `_normalized`.
+      if (typeof data[cntr]._normalized === 'object')
       {
-         const nextResults = s_DEPTH_NORMALIZE(categories, data[cntr][nextCategory], depth + 1, options);
-         results[nextCategory] = nextResults ? nextResults[nextCategory] : [];
+         normalized[category].push(data[cntr]._normalized);
+      }
+      else
+      {
+         const results = normalizeFunction(data[cntr], options);
+
+         if (nextCategory && Array.isArray(data[cntr][nextCategory]))
+         {
+            const nextResults = s_DEPTH_NORMALIZE(categories, data[cntr][nextCategory], depth + 1, options);
+            results[nextCategory] = nextResults ? nextResults[nextCategory] : [];
+         }
+
+         normalized[category].push(results);
       }
 
-      normalized[category].push(results);
+      // Releases the raw record, so it is garbage collected unless referenced elsewhere.
+      if (options.release) { data[cntr] = null; }
    }
 
+   if (options.release) { data.length = 0; }
+
    return normalized;
 };
 
-const s_GET_NORMALIZE_FUNCTION = (category) =>
+/**
+ * Returns the full repo name of an issue or pull request from the base repo of a pull request or the repository URL
+ * of an issue.
+ *
+ * @param {object}   issue - Issue or pull request.
+ *
+ * @returns {string}
+ */
+const s_GET_ISSUE_REPO = (issue) =>
 {
-   let normalizeFunction;
+   if (issue.base && issue.base.repo && issue.base.repo.full_name) { return issue.base.repo.full_name; }
+
+   if (typeof issue.repository_url === 'string')
+   {
+      return issue.repository_url.split('/').slice(-2).join('/');
+   }
+
+   return '';
+};
+
+/**
+ * Returns the normalize function of a category which invokes the normalizer of the category followed by all field
+ * extensions. The `normalizers` / `fieldExtensions` of `options` override / extend the registered ones.
+ *
+ * @param {string}   category - A registered category.
+ * @param {object}   options - Optional parameters.
+ *
+ * @returns {function}
+ */
+const s_GET_NORMALIZE_FUNCTION = (category, options = {}) =>
+{
+   const entry = s_CATEGORIES[category];
+   const normalizers = typeof options.normalizers === 'object' && options.normalizers !== null ?
+    options.normalizers : {};
+
+   /* istanbul ignore if */
+   if (typeof entry !== 'object' && typeof normalizers[category] !== 'function')
+   {
+      throw new Error(`Unknown category: ${category}`);
+   }
+
+   const normalizer = typeof normalizers[category] === 'function' ? normalizers[category] : entry.normalizer;
 
-   switch (category)
+   let fieldExtensions = typeof entry === 'object' ? entry.fieldExtensions : [];
+
+   if (typeof options.fieldExtensions === 'object' && options.fieldExtensions !== null &&
+    typeof options.fieldExtensions[category] !== 'undefined')
    {
-      case 'authors':
-      case 'collaborators':
-      case 'contributors':
-      case 'members':
-      case 'users':
-         normalizeFunction = s_NORMALIZE_USER;
-         break;
-
-      case 'orgs':
-         normalizeFunction = s_NORMALIZE_ORG;
-         break;
-
-      case 'owners':
-         normalizeFunction = s_NORMALIZE_OWNER;
-         break;
-
-      case 'ratelimit':
-         normalizeFunction = s_NORMALIZE_RATE_LIMIT;
-         break;
-
-      case 'repos':
-         normalizeFunction = s_NORMALIZE_REPO;
-         break;
-
-      case 'stats':
-         normalizeFunction = s_NORMALIZE_STATS;
-         break;
-
-      case 'teams':
-         normalizeFunction = s_NORMALIZE_TEAM;
-         break;
-
-      /* istanbul ignore next */
-      default:
-         throw new Error(`Unknown category: ${category}`);
+      fieldExtensions = fieldExtensions.concat(options.fieldExtensions[category]);
    }
 
-   return normalizeFunction;
+   const fields = typeof options.fields === 'object' && options.fields !== null &&
+    Array.isArray(options.fields[category]) ? options.fields[category] : null;
+
+   if (fieldExtensions.length === 0 && fields === null) { return normalizer; }
+
+   return (raw, normalizeOptions) =>
+   {
+      const normalized = normalizer(raw, normalizeOptions);
+
+      for (let cntr = 0; cntr < fieldExtensions.length; cntr++)
+      {
+         const extensionFields = fieldExtensions[cntr](raw, normalized, normalizeOptions);
+
+         if (typeof extensionFields === 'object' && extensionFields !== null)
+         {
+            Object.assign(normalized, extensionFields);
+         }
+      }
+
+      return fields !== null ? s_PROJECT_FIELDS(raw, normalized, fields) : normalized;
+   };
+};
+
+/**
+ * Returns the highest permission level of the `permissions` GitHub returns for a repo collaborator.
+ *
+ * @param {object}   permissions - The collaborator permissions; IE `{ admin: false, push: true, pull: true }`.
+ *
+ * @returns {string} - 'admin', 'push', 'pull' or an empty string when unknown.
+ */
+const s_GET_PERMISSION = (permissions) =>
+{
+   if (typeof permissions !== 'object' || permissions === null) { return ''; }
+
+   if (permissions.admin) { return 'admin'; }
+   if (permissions.push) { return 'push'; }
+   if (permissions.pull) { return 'pull'; }
+
+   return '';
+};
+
+/**
+ * Returns true if the given value is a valid `fields` option; an object hash of category to an array of strings.
+ *
+ * @param {*}  fields - Value to test.
+ *
+ * @returns {boolean}
+ */
+const s_IS_VALID_FIELDS = (fields) =>
+{
+   if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) { return false; }
+
+   return Object.keys(fields).every((category) =>
+   {
+      return Array.isArray(fields[category]) && fields[category].every((field) =>
+      {
+         return typeof field === 'string' && field !== '';
+      });
+   });
+};
+
+/**
+ * Returns a normalized version of the access of a collaborator to the repos of an organization. `affiliation` is
+ * 'owner', 'member' or 'outside' and each repo is reduced to its name and the highest permission level held.
+ *
+ * @param {object}   access - Collaborator to parse containing `affiliation` and `repos` with GitHub `permissions`.
+ * @returns {
+ * {
+ *    name: string,
+ *    id: number,
+ *    url: string,
+ *    avatar_url: string,
+ *    affiliation: string,
+ *    repos: Array<{name: string, permission: string}>
+ * }}
+ */
+const s_NORMALIZE_ACCESS = (access) =>
+{
+   const normalized = s_NORMALIZE_USER(access);
+
+   normalized.affiliation = access.affiliation ? access.affiliation : '';
+
+   normalized.repos = Array.isArray(access.repos) ? access.repos.map((repo) =>
+   {
+      return { name: repo.name ? repo.name : '', permission: s_GET_PERMISSION(repo.permissions) };
+   }) : [];
+
+   return normalized;
+};
+
+/**
+ * Returns a normalized version of a repo admin. `repos` contains the full names of the repos the user administers.
+ *
+ * @param {object}   admin - User to parse containing `repos`.
+ * @returns {{name: string, id: number, url: string, avatar_url: string, repos: Array<string>}}
+ */
+const s_NORMALIZE_ADMIN = (admin) =>
+{
+   const normalized = s_NORMALIZE_USER(admin);
+
+   normalized.repos = Array.isArray(admin.repos) ? admin.repos : [];
+
+   return normalized;
+};
+
+/**
+ * Returns a normalized version of a GitHub repo collaborator. `permission` is the highest permission level held
+ * ('admin', 'push' or 'pull') and is only included when GitHub returns the permissions of the collaborator.
+ *
+ * @param {object}   collaborator - Collaborator to parse.
+ * @returns {{name: string, id: number, url: string, avatar_url: string, permission: string}}
+ */
+const s_NORMALIZE_COLLABORATOR = (collaborator) =>
+{
+   const normalized = s_NORMALIZE_USER(collaborator);
+
+   const permission = s_GET_PERMISSION(collaborator.permissions);
+
+   if (permission !== '') { normalized.permission = permission; }
+
+   return normalized;
+};
+
+/**
+ * Returns a normalized version of a GitHub issue. Labels and assignees are reduced to their names.
+ *
+ * @param {object}   issue - Issue to parse.
+ * @returns {
+ * {
+ *    number: number,
+ *    title: string,
+ *    url: string,
+ *    repo: string,
+ *    state: string,
+ *    user: {name: string, id: number, url: string, avatar_url: string},
+ *    labels: Array<string>,
+ *    assignees: Array<string>,
+ *    comments: number,
+ *    created_at: string,
+ *    updated_at: string,
+ *    closed_at: string
+ * }}
+ */
+const s_NORMALIZE_ISSUE = (issue) =>
+{
+   return {
+      number: issue.number ? issue.number : -1,
+      title: issue.title ? issue.title : '',
+      url: issue.html_url ? issue.html_url : '',
+      repo: s_GET_ISSUE_REPO(issue),
+      state: issue.state ? issue.state : '',
+      user: s_NORMALIZE_USER(issue.user ? issue.user : {}),
+      labels: Array.isArray(issue.labels) ? issue.labels.map((label) => { return label.name; }) : [],
+      assignees: Array.isArray(issue.assignees) ? issue.assignees.map((user) => { return user.login; }) : [],
+      comments: issue.comments ? issue.comments : 0,
+      created_at: issue.created_at ? issue.created_at : '',
+      updated_at: issue.updated_at ? issue.updated_at : '',
+      closed_at: issue.closed_at ? issue.closed_at : ''
+   };
 };
 
 /**
@@ -163,19 +652,25 @@ const s_GET_NORMALIZE_FUNCTION = (category) =>
  * (string) hostUrlPrefix - Sets the normalized GitHub host URL; default (https://github.com/).
  * ```
  *
- * @returns {{name: string, id: number, url: string, avatar_url: string, description: string}}
+ * @returns {{name: string, id: number, url: string, avatar_url: string, description: string, is_user: boolean}}
  */
 const s_NORMALIZE_ORG = (org, options) =>
 {
    const orgName = org.login ? org.login : '';
 
-   return {
+   const normalized =
+   {
       name: orgName,
       id: org.id ? org.id : -1,
       url: `${options.hostUrlPrefix}${orgName}`,
       avatar_url: org.avatar_url ? org.avatar_url : '',
       description: org.description ? org.description : ''
    };
+
+   // User accounts listed in the `users` entries are marked to tell them apart from organizations.
+   if (org.type === 'User') { normalized.is_user = true; }
+
+   return normalized;
 };
 
 /**
@@ -196,6 +691,103 @@ const s_NORMALIZE_OWNER = (owner, options) =>
    return { name: ownerName, url: `${options.hostUrlPrefix}${ownerName}` };
 };
 
+/**
+ * Returns a normalized version of the protection settings of a repo branch as a flat report. A branch passes when it
+ * is protected, requires reviews and requires status checks.
+ *
+ * @param {object}   branch - Branch to parse containing `name`, `default` and the GitHub `protection` settings or null
+ *                            when the branch is not protected.
+ * @returns {
+ * {
+ *    branch: string,
+ *    is_default: boolean,
+ *    protected: boolean,
+ *    requires_reviews: boolean,
+ *    required_review_count: number,
+ *    dismisses_stale_reviews: boolean,
+ *    requires_status_checks: boolean,
+ *    status_checks: Array<string>,
+ *    strict_status_checks: boolean,
+ *    enforces_admins: boolean,
+ *    pass: boolean
+ * }}
+ */
+const s_NORMALIZE_PROTECTION = (branch) =>
+{
+   const protection = typeof branch.protection === 'object' && branch.protection !== null ? branch.protection : null;
+
+   const reviews = protection !== null && protection.required_pull_request_reviews ?
+    protection.required_pull_request_reviews : null;
+
+   const statusChecks = protection !== null && protection.required_status_checks ?
+    protection.required_status_checks : null;
+
+   const normalized =
+   {
+      'branch': branch.name ? branch.name : '',
+      'is_default': branch.default ? branch.default : false,
+      'protected': protection !== null,
+      'requires_reviews': reviews !== null,
+      'required_review_count': reviews !== null && reviews.required_approving_review_count ?
+       reviews.required_approving_review_count : 0,
+      'dismisses_stale_reviews': reviews !== null && reviews.dismiss_stale_reviews ? reviews.dismiss_stale_reviews :
+       false,
+      'requires_status_checks': statusChecks !== null,
+      'status_checks': statusChecks !== null && Array.isArray(statusChecks.contexts) ? statusChecks.contexts : [],
+      'strict_status_checks': statusChecks !== null && statusChecks.strict ? statusChecks.strict : false,
+      'enforces_admins': protection !== null && protection.enforce_admins ? !!protection.enforce_admins.enabled : false
+   };
+
+   normalized.pass = normalized.protected && normalized.requires_reviews && normalized.requires_status_checks;
+
+   return normalized;
+};
+
+/**
+ * Returns a normalized version of a GitHub pull request. Labels and assignees are reduced to their names and the
+ * head / base are reduced to their branch names.
+ *
+ * @param {object}   pull - Pull request to parse.
+ * @returns {
+ * {
+ *    number: number,
+ *    title: string,
+ *    url: string,
+ *    repo: string,
+ *    state: string,
+ *    user: {name: string, id: number, url: string, avatar_url: string},
+ *    labels: Array<string>,
+ *    assignees: Array<string>,
+ *    head: string,
+ *    base: string,
+ *    merged: boolean,
+ *    created_at: string,
+ *    updated_at: string,
+ *    closed_at: string,
+ *    merged_at: string
+ * }}
+ */
+const s_NORMALIZE_PULL = (pull) =>
+{
+   return {
+      number: pull.number ? pull.number : -1,
+      title: pull.title ? pull.title : '',
+      url: pull.html_url ? pull.html_url : '',
+      repo: s_GET_ISSUE_REPO(pull),
+      state: pull.state ? pull.state : '',
+      user: s_NORMALIZE_USER(pull.user ? pull.user : {}),
+      labels: Array.isArray(pull.labels) ? pull.labels.map((label) => { return label.name; }) : [],
+      assignees: Array.isArray(pull.assignees) ? pull.assignees.map((user) => { return user.login; }) : [],
+      head: pull.head && pull.head.ref ? pull.head.ref : '',
+      base: pull.base && pull.base.ref ? pull.base.ref : '',
+      merged: pull.merged_at ? true : false,
+      created_at: pull.created_at ? pull.created_at : '',
+      updated_at: pull.updated_at ? pull.updated_at : '',
+      closed_at: pull.closed_at ? pull.closed_at : '',
+      merged_at: pull.merged_at ? pull.merged_at : ''
+   };
+};
+
 /**
  * Returns a normalized version of a GitHub rate limit API response. The reset time is converted to milliseconds to
  * be compatible with JS Date usage.
@@ -224,7 +816,49 @@ const s_NORMALIZE_RATE_LIMIT = (ratelimit) =>
 };
 
 /**
- * Returns a normalized version of a GitHub repo.
+ * Returns a normalized version of a GitHub release. `latest` marks the most recently published release which is not
+ * a draft or prerelease and `ahead_by` is only included for the latest release when the commits the default branch
+ * is ahead of its tag are known.
+ *
+ * @param {object}   release - Release to parse.
+ * @returns {
+ * {
+ *    name: string,
+ *    id: number,
+ *    tag: string,
+ *    url: string,
+ *    draft: boolean,
+ *    prerelease: boolean,
+ *    latest: boolean,
+ *    author: {name: string, id: number, url: string, avatar_url: string},
+ *    created_at: string,
+ *    published_at: string,
+ *    ahead_by: number
+ * }}
+ */
+const s_NORMALIZE_RELEASE = (release) =>
+{
+   const normalized =
+   {
+      name: release.name ? release.name : '',
+      id: release.id ? release.id : -1,
+      tag: release.tag_name ? release.tag_name : '',
+      url: release.html_url ? release.html_url : '',
+      draft: release.draft ? release.draft : false,
+      prerelease: release.prerelease ? release.prerelease : false,
+      latest: release.latest ? release.latest : false,
+      author: s_NORMALIZE_USER(release.author ? release.author : {}),
+      created_at: release.created_at ? release.created_at : '',
+      published_at: release.published_at ? release.published_at : ''
+   };
+
+   if (typeof release.ahead_by === 'number') { normalized.ahead_by = release.ahead_by; }
+
+   return normalized;
+};
+
+/**
+ * Returns a normalized version of a GitHub repo. `tags` is only included when requested by `getOrgRepoReleases`.
  *
  * @param {object}   repo - Repo to parse.
  * @returns {
@@ -244,12 +878,14 @@ const s_NORMALIZE_RATE_LIMIT = (ratelimit) =>
  *    clone_url: string,
  *    stargazers_count: number,
  *    watchers_count: number,
- *    default_branch: string
+ *    default_branch: string,
+ *    tags: Array<{name: string, sha: string}>
  * }}
  */
 const s_NORMALIZE_REPO = (repo) =>
 {
-   return {
+   const normalized =
+   {
       'name': repo.name ? repo.name : '',
       'full_name': repo.full_name ? repo.full_name : '',
       'id': repo.id ? repo.id : -1,
@@ -268,12 +904,23 @@ const s_NORMALIZE_REPO = (repo) =>
       'watchers_count': repo.watchers_count ? repo.watchers_count : 0,
       'default_branch': repo.default_branch ? repo.default_branch : ''
    };
+
+   if (Array.isArray(repo.tags))
+   {
+      normalized.tags = repo.tags.map((tag) =>
+      {
+         return { name: tag.name ? tag.name : '', sha: tag.commit && tag.commit.sha ? tag.commit.sha : '' };
+      });
+   }
+
+   return normalized;
 };
 
 /**
  * Returns a normalized version of a GitHub repo stats.
  *
- * Normalizes contributor, stargazer, and watchers users.
+ * Normalizes contributor, stargazer, and watchers users. `_resultsPending` is only included when GitHub did not
+ * generate the stats after all requests.
  *
  * @param {object}   stats - Repository stats to parse.
  * @returns {{}}
@@ -282,6 +929,8 @@ const s_NORMALIZE_STATS = (stats) =>
 {
    const normStats = {};
 
+   if (stats._resultsPending) { normStats._resultsPending = true; }
+
    if (stats.codeFrequency) { normStats.codeFrequency = stats.codeFrequency; }
    if (stats.commitActivity) { normStats.commitActivity = stats.commitActivity; }
    if (stats.participation) { normStats.participation = stats.participation; }
@@ -361,4 +1010,79 @@ const s_NORMALIZE_USER = (user) =>
       url: user.html_url ? user.html_url : '',
       avatar_url: user.avatar_url ? user.avatar_url : ''
    };
-};
\ No newline at end of file
+};
+
+/**
+ * Returns a record only containing the selected fields. Each field is a dotted path resolved against the normalized
+ * record when it contains the first key of the path and otherwise against the raw data. Nested paths create nested
+ * object hashes and missing values are `null`.
+ *
+ * @param {object}         raw - The raw data of the record.
+ * @param {object}         normalized - The normalized record.
+ * @param {Array<string>}  fields - The dotted paths of the selected fields.
+ *
+ * @returns {object}
+ */
+const s_PROJECT_FIELDS = (raw, normalized, fields) =>
+{
+   const projected = {};
+
+   for (let cntr = 0; cntr < fields.length; cntr++)
+   {
+      const keys = fields[cntr].split('.');
+
+      let value = normalized.hasOwnProperty(keys[0]) ? normalized : raw;
+
+      for (let cntr2 = 0; cntr2 < keys.length; cntr2++)
+      {
+         value = typeof value === 'object' && value !== null && typeof value[keys[cntr2]] !== 'undefined' ?
+          value[keys[cntr2]] : null;
+      }
+
+      let target = projected;
+
+      for (let cntr2 = 0; cntr2 < keys.length - 1; cntr2++)
+      {
+         if (typeof target[keys[cntr2]] !== 'object' || target[keys[cntr2]] === null) { target[keys[cntr2]] = {}; }
+
+         target = target[keys[cntr2]];
+      }
+
+      target[keys[keys.length - 1]] = value;
+   }
+
+   return projected;
+};
+
+/**
+ * Stores the registered categories. Each entry contains the `normalizer`, the `record` type / `schema` of
+ * `getSchema`, the `fieldExtensions` added by `addFieldExtension` and `builtin` which is true for built-in
+ * categories. The record schemas of built-in categories are defined in `NormalizedSchema`.
+ *
+ * @type {object}
+ */
+const s_CATEGORIES = {};
+
+[
+   ['access', s_NORMALIZE_ACCESS, 'access'],
+   ['admins', s_NORMALIZE_ADMIN, 'admin'],
+   ['authors', s_NORMALIZE_USER, 'user'],
+   ['collaborators', s_NORMALIZE_COLLABORATOR, 'collaborator'],
+   ['contributors', s_NORMALIZE_USER, 'user'],
+   ['issues', s_NORMALIZE_ISSUE, 'issue'],
+   ['members', s_NORMALIZE_USER, 'user'],
+   ['orgs', s_NORMALIZE_ORG, 'org'],
+   ['owners', s_NORMALIZE_OWNER, 'owner'],
+   ['protection', s_NORMALIZE_PROTECTION, 'protection'],
+   ['pulls', s_NORMALIZE_PULL, 'pull'],
+   ['ratelimit', s_NORMALIZE_RATE_LIMIT, 'ratelimit'],
+   ['releases', s_NORMALIZE_RELEASE, 'release'],
+   ['repos', s_NORMALIZE_REPO, 'repo'],
+   ['stats', s_NORMALIZE_STATS, 'stats'],
+   ['teams', s_NORMALIZE_TEAM, 'team'],
+   ['users', s_NORMALIZE_USER, 'user']
+].forEach((entry) =>
+{
+   s_CATEGORIES[entry[0]] =
+    { normalizer: entry[1], record: entry[2], schema: null, fieldExtensions: [], builtin: true };
+});
@@ -0,0 +1,299 @@
+'use strict';
+
+/**
+ * RateLimitScheduler -- Budgets all GitHub API requests per credential. The `X-RateLimit-Limit`,
+ * `X-RateLimit-Remaining` and `X-RateLimit-Reset` headers of every response update the rate limit state of the
+ * credential that sent the request. Requests in flight count against the remaining budget, so a burst of concurrent
+ * requests does not exceed the rate limit.
+ *
+ * When the budget of a credential is exhausted or GitHub rejects a request for exceeding the rate limit the behavior
+ * depends on `onRateLimit`:
+ * ```
+ * 'wait' - Requests are held until the rate limit resets and are then sent; the default.
+ * 'fail' - Requests immediately fail with a rate limit error; see `isRateLimitError`.
+ * ```
+ *
+ * A rate limit error is an `Error` with `name` set to `RateLimitError` and a `rateLimit` object hash containing
+ * `limit`, `remaining` and `reset` (milliseconds since epoch). GitHubInspectOrgs adds `partial` containing the results
+ * received before the rate limit was reached.
+ */
+export default class RateLimitScheduler
+{
+   /**
+    * Initializes the rate limit scheduler.
+    *
+    * @param {object}   options - Optional parameters including the following:
+    * ```
+    * (function)  log - Invoked with a level and a `rate-limit` event object hash when requests are held or fail.
+    * (string)    onRateLimit - Either 'wait' or 'fail'; default ('wait').
+    * ```
+    */
+   constructor(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`ctor error: 'options' is not an 'object'.`); }
+
+      /* istanbul ignore if */
+      if (typeof options.onRateLimit !== 'undefined' && !RateLimitScheduler.isValidOnRateLimit(options.onRateLimit))
+      {
+         throw new TypeError(`ctor error: 'options.onRateLimit' is not 'wait' or 'fail'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.log !== 'undefined' && typeof options.log !== 'function')
+      {
+         throw new TypeError(`ctor error: 'options.log' is not a 'function'.`);
+      }
+
+      /**
+       * Invoked with a level and an event object hash when requests are held or fail.
+       *
+       * @type {function}
+       * @private
+       */
+      this._log = options.log || (() => {});
+
+      /**
+       * Either 'wait' or 'fail'.
+       *
+       * @type {string}
+       * @private
+       */
+      this._onRateLimit = options.onRateLimit || 'wait';
+
+      /**
+       * Stores the rate limit state indexed by credential key.
+       *
+       * @type {object}
+       * @private
+       */
+      this._states = {};
+   }
+
+   /**
+    * Creates a rate limit error.
+    *
+    * @param {object}   rateLimit - An object hash containing `limit`, `remaining` and `reset` (seconds since epoch) as
+    *                               reported by GitHub.
+    *
+    * @returns {Error}
+    */
+   static createRateLimitError(rateLimit)
+   {
+      const reset = rateLimit.reset * 1000;
+
+      const error = new Error(`GitHub API rate limit reached; please try again at: '${new Date(reset)}'.`);
+
+      error.name = 'RateLimitError';
+      error.rateLimit = { limit: rateLimit.limit, remaining: rateLimit.remaining, reset };
+
+      return error;
+   }
+
+   /**
+    * Returns true if the given error is a rate limit error.
+    *
+    * @param {*}  error - Error to test.
+    *
+    * @returns {boolean}
+    */
+   static isRateLimitError(error)
+   {
+      return error instanceof Error && error.name === 'RateLimitError';
+   }
+
+   /**
+    * Returns true if the given value is a valid `onRateLimit` option.
+    *
+    * @param {*}  onRateLimit - Value to test.
+    *
+    * @returns {boolean}
+    */
+   static isValidOnRateLimit(onRateLimit)
+   {
+      return onRateLimit === 'wait' || onRateLimit === 'fail';
+   }
+
+   /**
+    * Returns either 'wait' or 'fail'.
+    *
+    * @returns {string}
+    */
+   get onRateLimit()
+   {
+      return this._onRateLimit;
+   }
+
+   /**
+    * Returns the last known rate limit for a credential key or undefined if no response is received yet.
+    *
+    * @param {string}   key - A credential key.
+    *
+    * @returns {{limit: number, remaining: number, reset: number}|undefined}
+    */
+   getRateLimit(key)
+   {
+      const state = this._states[key];
+
+      if (typeof state === 'undefined' || state.remaining === null) { return void 0; }
+
+      return { limit: state.limit, remaining: state.remaining, reset: state.reset };
+   }
+
+   /**
+    * Sends a request for a credential when the rate limit budget allows. The response headers update the rate limit
+    * state of the credential.
+    *
+    * @param {string}   key - A credential key.
+    * @param {function} send - Sends the request; invoked with a callback receiving `(err, response)`.
+    * @param {function} callback - Invoked with `(err, response)`.
+    * @param {boolean}  exempt - When true the request is sent regardless of the budget; IE `/rate_limit` requests.
+    */
+   schedule(key, send, callback, exempt = false)
+   {
+      const state = s_GET_STATE(this, key);
+
+      if (!exempt && s_IS_LIMITED(state))
+      {
+         if (this._onRateLimit === 'fail') { s_FAIL(this, state, callback); }
+         else { s_WAIT_FOR_RESET(this, state, () => { this.schedule(key, send, callback, exempt); }); }
+
+         return;
+      }
+
+      state.inFlight++;
+
+      send((err, response) =>
+      {
+         state.inFlight--;
+
+         if (!err) { s_UPDATE_STATE(state, response.headers); }
+
+         // GitHub rejected the request for exceeding the rate limit.
+         if (!err && !exempt && response.statusCode === 403 && state.remaining === 0)
+         {
+            if (this._onRateLimit === 'fail') { s_FAIL(this, state, callback); }
+            else { s_WAIT_FOR_RESET(this, state, () => { this.schedule(key, send, callback, exempt); }); }
+
+            return;
+         }
+
+         callback(err, response);
+      });
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Additional delay in milliseconds after the reported reset time before held requests are sent.
+ * @type {number}
+ */
+const s_RESET_DELAY = 1000;
+
+/**
+ * Fails a request with a rate limit error.
+ *
+ * @param {RateLimitScheduler}   scheduler - The scheduler.
+ * @param {object}               state - The rate limit state of a credential.
+ * @param {function}             callback - Invoked with the rate limit error.
+ */
+const s_FAIL = (scheduler, state, callback) =>
+{
+   const error = RateLimitScheduler.createRateLimitError(state);
+
+   scheduler._log('warn', Object.assign({ type: 'rate-limit', message: error.message, action: 'fail' },
+    error.rateLimit));
+
+   callback(error);
+};
+
+/**
+ * Returns the rate limit state for a credential key creating it as necessary.
+ *
+ * @param {RateLimitScheduler}   scheduler - The scheduler.
+ * @param {string}               key - A credential key.
+ *
+ * @returns {object}
+ */
+const s_GET_STATE = (scheduler, key) =>
+{
+   if (typeof scheduler._states[key] === 'undefined')
+   {
+      scheduler._states[key] = { limit: null, remaining: null, reset: 0, inFlight: 0, held: [], timer: null };
+   }
+
+   return scheduler._states[key];
+};
+
+/**
+ * Returns true if the remaining budget minus all requests in flight is exhausted and the rate limit has not reset.
+ *
+ * @param {object}   state - The rate limit state of a credential.
+ *
+ * @returns {boolean}
+ */
+const s_IS_LIMITED = (state) =>
+{
+   if (state.remaining === null) { return false; }
+
+   return state.remaining - state.inFlight <= 0 && Date.now() < state.reset * 1000;
+};
+
+/**
+ * Updates the rate limit state from the `X-RateLimit-*` response headers.
+ *
+ * @param {object}   state - The rate limit state of a credential.
+ * @param {object}   headers - Response headers.
+ */
+const s_UPDATE_STATE = (state, headers = {}) =>
+{
+   const limit = parseInt(headers['x-ratelimit-limit'], 10);
+   const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+   const reset = parseInt(headers['x-ratelimit-reset'], 10);
+
+   if (Number.isInteger(limit)) { state.limit = limit; }
+   if (Number.isInteger(remaining)) { state.remaining = remaining; }
+   if (Number.isInteger(reset)) { state.reset = reset; }
+};
+
+/**
+ * Holds a request until the rate limit of the credential resets. All held requests are resumed together. A `rate-limit`
+ * event is logged once each time requests start to be held.
+ *
+ * @param {RateLimitScheduler}   scheduler - The scheduler.
+ * @param {object}               state - The rate limit state of a credential.
+ * @param {function}             resume - Invoked after the rate limit resets.
+ */
+const s_WAIT_FOR_RESET = (scheduler, state, resume) =>
+{
+   state.held.push(resume);
+
+   if (state.timer !== null) { return; }
+
+   const delay = Math.max(state.reset * 1000 - Date.now(), 0) + s_RESET_DELAY;
+
+   scheduler._log('warn',
+   {
+      type: 'rate-limit',
+      message: `GitHub API rate limit reached; holding requests for ${delay}ms until: `
+       + `'${new Date(state.reset * 1000)}'.`,
+      action: 'wait',
+      limit: state.limit,
+      remaining: state.remaining,
+      reset: state.reset * 1000,
+      delay
+   });
+
+   state.timer = setTimeout(() =>
+   {
+      const held = state.held;
+
+      // The budget is unknown until the next response is received.
+      state.remaining = null;
+      state.held = [];
+      state.timer = null;
+
+      for (let cntr = 0; cntr < held.length; cntr++) { held[cntr](); }
+   }, delay);
+};
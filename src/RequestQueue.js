@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * RequestQueue -- Bounds the amount of requests in flight. Each task is started when fewer than `concurrency` tasks are
+ * active otherwise it is queued and started in order once an active task completes. A `concurrency` of `0` starts all
+ * tasks immediately.
+ *
+ * A task is a function which sends a request and invokes the `done` callback it receives once the response is received:
+ * ```
+ * requestQueue.enqueue((done) =>
+ * {
+ *    github.repos.getContributors(params, (err, contributors) =>
+ *    {
+ *       done();
+ *       // Process response.
+ *    });
+ * });
+ * ```
+ */
+export default class RequestQueue
+{
+   /**
+    * Initializes the request queue.
+    *
+    * @param {object}   options - Optional parameters including the following:
+    * ```
+    * (integer)   concurrency - Maximum amount of active tasks; default (0) is unbounded.
+    * ```
+    */
+   constructor(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`ctor error: 'options' is not an 'object'.`); }
+
+      /* istanbul ignore if */
+      if (typeof options.concurrency !== 'undefined' && !RequestQueue.isValidConcurrency(options.concurrency))
+      {
+         throw new TypeError(`ctor error: 'options.concurrency' is not a positive 'integer' or '0'.`);
+      }
+
+      /**
+       * The amount of tasks started and not done.
+       *
+       * @type {number}
+       * @private
+       */
+      this._active = 0;
+
+      /**
+       * Maximum amount of active tasks where `0` is unbounded.
+       *
+       * @type {number}
+       * @private
+       */
+      this._concurrency = typeof options.concurrency === 'number' ? options.concurrency : 0;
+
+      /**
+       * Tasks waiting to be started.
+       *
+       * @type {Array<function>}
+       * @private
+       */
+      this._pending = [];
+   }
+
+   /**
+    * Returns true if the given value is a valid `concurrency` option; an integer greater than or equal to `0`.
+    *
+    * @param {*}  concurrency - Value to test.
+    *
+    * @returns {boolean}
+    */
+   static isValidConcurrency(concurrency)
+   {
+      return Number.isInteger(concurrency) && concurrency >= 0;
+   }
+
+   /**
+    * Returns the amount of tasks started and not done.
+    *
+    * @returns {number}
+    */
+   get active()
+   {
+      return this._active;
+   }
+
+   /**
+    * Returns the maximum amount of active tasks where `0` is unbounded.
+    *
+    * @returns {number}
+    */
+   get concurrency()
+   {
+      return this._concurrency;
+   }
+
+   /**
+    * Returns the amount of tasks waiting to be started.
+    *
+    * @returns {number}
+    */
+   get pending()
+   {
+      return this._pending.length;
+   }
+
+   /**
+    * Starts the given task immediately if the concurrency bound allows otherwise queues it.
+    *
+    * @param {function} task - Invoked with a `done` callback which must be invoked once when the task completes.
+    */
+   enqueue(task)
+   {
+      /* istanbul ignore if */
+      if (typeof task !== 'function') { throw new TypeError(`enqueue error: 'task' is not a 'function'.`); }
+
+      this._pending.push(task);
+
+      s_START_TASKS(this);
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Starts pending tasks in order while the concurrency bound allows.
+ *
+ * @param {RequestQueue}   requestQueue - The request queue.
+ */
+const s_START_TASKS = (requestQueue) =>
+{
+   while (requestQueue._pending.length > 0 &&
+    (requestQueue._concurrency === 0 || requestQueue._active < requestQueue._concurrency))
+   {
+      const task = requestQueue._pending.shift();
+
+      let done = false;
+
+      requestQueue._active++;
+
+      task(() =>
+      {
+         /* istanbul ignore if */
+         if (done) { return; }
+
+         done = true;
+
+         requestQueue._active--;
+
+         s_START_TASKS(requestQueue);
+      });
+   }
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+import fs      from 'fs';
+import path    from 'path';
+
+/**
+ * FileCache -- Stores cached GitHub API responses as JSON files in a directory, so the cache is shared across process
+ * restarts; IE periodic polling by a dashboard or a CLI run from `cron`. Each entry is written to `<key>.json`. See
+ * `MemoryCache` for the cache interface and entry format.
+ *
+ * ```
+ * import GitHubInspectOrgs  from 'typhonjs-github-inspect-orgs';
+ * import FileCache          from 'typhonjs-github-inspect-orgs/dist/cache/FileCache.js';
+ *
+ * const githubInspect = new GitHubInspectOrgs(
+ * {
+ *    organizations: [{ credential: <GITHUB PUBLIC TOKEN>, owner: 'typhonjs-test', regex: '^test' }],
+ *    cache: new FileCache({ directory: './.github-cache' })
+ * });
+ * ```
+ *
+ * Please note that cached entries contain the response bodies of private organization data that the credential has
+ * access to, so created directories are only accessible by the user running the queries (`0700`) and entries are only
+ * readable by that user (`0600`).
+ */
+export default class FileCache
+{
+   /**
+    * Stores the cache directory.
+    *
+    * @param {object}   options - Defines an object hash of required parameters including the following:
+    * ```
+    * Required:
+    * (string)    directory - The directory storing cached entries which is created as necessary.
+    * ```
+    */
+   constructor(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`ctor error: 'options' is not an 'object'.`); }
+
+      /* istanbul ignore if */
+      if (typeof options.directory !== 'string')
+      {
+         throw new TypeError(`ctor error: 'options.directory' is not a 'string'.`);
+      }
+
+      /**
+       * The directory storing cached entries.
+       *
+       * @type {string}
+       * @private
+       */
+      this._directory = path.resolve(options.directory);
+   }
+
+   /**
+    * Returns the directory storing cached entries.
+    *
+    * @returns {string}
+    */
+   get directory()
+   {
+      return this._directory;
+   }
+
+   /**
+    * Returns the cached entry for a key.
+    *
+    * @param {string}   key - A cache key.
+    * @param {function} callback - Invoked with `(err, entry)`.
+    */
+   get(key, callback)
+   {
+      fs.readFile(s_GET_FILE_PATH(this, key), 'utf-8', (err, data) =>
+      {
+         if (err) { callback(err.code === 'ENOENT' ? null : err); return; }
+
+         let entry;
+
+         try { entry = JSON.parse(data); }
+         catch (parseErr) { callback(parseErr); return; }
+
+         callback(null, entry);
+      });
+   }
+
+   /**
+    * Stores the entry for a key creating the cache directory as necessary.
+    *
+    * @param {string}   key - A cache key.
+    * @param {object}   entry - The cache entry.
+    * @param {function} callback - Invoked with `(err)`.
+    */
+   set(key, entry, callback)
+   {
+      /* istanbul ignore if */
+      if (typeof entry !== 'object') { throw new TypeError(`set error: 'entry' is not an 'object'.`); }
+
+      const filePath = s_GET_FILE_PATH(this, key);
+
+      // Entries are written to a temporary file and renamed, so a concurrent `get` never reads a partial entry.
+      const tempPath = `${filePath}.${process.pid}.${s_TEMP_COUNTER++}.tmp`;
+
+      s_MAKE_DIRECTORY(this._directory, (err) =>
+      {
+         if (err) { callback(err); return; }
+
+         fs.writeFile(tempPath, JSON.stringify(entry), { encoding: 'utf-8', mode: 0o600 }, (writeErr) =>
+         {
+            if (writeErr) { callback(writeErr); return; }
+
+            fs.rename(tempPath, filePath, callback);
+         });
+      });
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Distinguishes the temporary files of concurrent writes.
+ * @type {number}
+ */
+let s_TEMP_COUNTER = 0;
+
+/**
+ * Returns the file path of a cache key.
+ *
+ * @param {FileCache}   fileCache - The file cache.
+ * @param {string}      key - A cache key.
+ *
+ * @returns {string}
+ */
+const s_GET_FILE_PATH = (fileCache, key) =>
+{
+   /* istanbul ignore if */
+   if (typeof key !== 'string' || !(/^[0-9a-zA-Z_-]+$/).test(key))
+   {
+      throw new TypeError(`s_GET_FILE_PATH error: 'key' is not a valid file name: ${key}`);
+   }
+
+   return path.join(fileCache._directory, `${key}.json`);
+};
+
+/**
+ * Creates a directory and any missing parent directories which are only accessible by the current user.
+ *
+ * @param {string}   directory - The directory to create.
+ * @param {function} callback - Invoked with `(err)`.
+ */
+const s_MAKE_DIRECTORY = (directory, callback) =>
+{
+   fs.mkdir(directory, 0o700, (err) =>
+   {
+      if (!err || err.code === 'EEXIST') { callback(null); }
+      else if (err.code === 'ENOENT' && path.dirname(directory) !== directory)
+      {
+         s_MAKE_DIRECTORY(path.dirname(directory), (parentErr) =>
+         {
+            if (parentErr) { callback(parentErr); }
+            else { s_MAKE_DIRECTORY(directory, callback); }
+         });
+      }
+      else { callback(err); }
+   });
+};
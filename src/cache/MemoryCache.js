@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * MemoryCache -- Stores cached GitHub API responses in memory for the lifetime of the process.
+ *
+ * GitHubInspectOrgs stores the body of every successful GitHub API `GET` response along with its `ETag` /
+ * `Last-Modified` headers in the cache provided by the `cache` option. Subsequent requests for the same URL and
+ * credential are sent with `If-None-Match` / `If-Modified-Since` and a `304 Not Modified` response which does not count
+ * against the GitHub rate limit is answered from the cache.
+ *
+ * A cache is any object that provides the following methods where `key` is a hex string:
+ * ```
+ * get(key, callback) - Invokes `callback` with `(err, entry)` where entry is undefined when not cached.
+ * set(key, entry, callback) - Stores the entry and invokes `callback` with `(err)`.
+ * ```
+ *
+ * Each entry is an object hash containing `etag`, `lastModified`, `statusCode`, `headers` and `body` (string).
+ * Errors returned by a cache are ignored and the request is sent without a conditional header.
+ *
+ * ```
+ * import GitHubInspectOrgs  from 'typhonjs-github-inspect-orgs';
+ * import MemoryCache        from 'typhonjs-github-inspect-orgs/dist/cache/MemoryCache.js';
+ *
+ * const githubInspect = new GitHubInspectOrgs(
+ * {
+ *    organizations: [{ credential: <GITHUB PUBLIC TOKEN>, owner: 'typhonjs-test', regex: '^test' }],
+ *    cache: new MemoryCache()
+ * });
+ * ```
+ */
+export default class MemoryCache
+{
+   /**
+    * Initializes the entries.
+    */
+   constructor()
+   {
+      /**
+       * Stores the cached entries indexed by key.
+       *
+       * @type {object}
+       * @private
+       */
+      this._entries = {};
+   }
+
+   /**
+    * Returns the number of cached entries.
+    *
+    * @returns {number}
+    */
+   get size()
+   {
+      return Object.keys(this._entries).length;
+   }
+
+   /**
+    * Removes all cached entries.
+    */
+   clear()
+   {
+      this._entries = {};
+   }
+
+   /**
+    * Returns the cached entry for a key.
+    *
+    * @param {string}   key - A cache key.
+    * @param {function} callback - Invoked with `(err, entry)`.
+    */
+   get(key, callback)
+   {
+      const entry = this._entries[key];
+
+      // Entries are copied, so callers can not modify the cache.
+      callback(null, typeof entry === 'undefined' ? void 0 : JSON.parse(entry));
+   }
+
+   /**
+    * Stores the entry for a key.
+    *
+    * @param {string}   key - A cache key.
+    * @param {object}   entry - The cache entry.
+    * @param {function} callback - Invoked with `(err)`.
+    */
+   set(key, entry, callback)
+   {
+      /* istanbul ignore if */
+      if (typeof entry !== 'object') { throw new TypeError(`set error: 'entry' is not an 'object'.`); }
+
+      this._entries[key] = JSON.stringify(entry);
+
+      callback(null);
+   }
+}
@@ -0,0 +1,620 @@
+'use strict';
+
+import path                from 'path';
+
+import ConfigLoader        from '../ConfigLoader.js';
+import GitHubInspectOrgs   from '../GitHubInspectOrgs.js';
+
+/**
+ * GitHubInspectOrgsCLI -- Provides the `github-inspect-orgs` command line interface exposing each compound query of
+ * `GitHubInspectOrgs` as a subcommand printing the normalized results as JSON, a table or CSV.
+ *
+ * ```
+ * github-inspect-orgs <command> [options]
+ *
+ * github-inspect-orgs repos --config ./github-inspect-orgs.json --repo-files package.json
+ * github-inspect-orgs stats --categories all --format csv
+ * github-inspect-orgs ratelimit --format table
+ * ```
+ *
+ * The configuration is loaded from a JSON / YAML / JS file provided by `--config` or the `GITHUB_INSPECT_ORGS_CONFIG`
+ * environment variable. The file contains either the options of the `GitHubInspectOrgs` constructor or just the
+ * `organizations` array and supports `${ENV_VAR}` / `file:` references. See `ConfigLoader` for further details.
+ *
+ * An organization entry may also be provided by environment variables which is added to the `organizations` of the
+ * configuration file when both are available:
+ * ```
+ * GITHUB_INSPECT_ORGS_CREDENTIAL - A GitHub public access token that has `public_repo` and `read:org`.
+ * GITHUB_INSPECT_ORGS_OWNER - The associated GitHub user name who owns one or more organizations.
+ * GITHUB_INSPECT_ORGS_REGEX - A regular expression to scrape for all organizations from the owner account that match.
+ * GITHUB_INSPECT_ORGS_ORGS - Comma separated organizations requested directly instead of being discovered.
+ * GITHUB_INSPECT_ORGS_USERS - Comma separated user accounts whose repos are included.
+ * ```
+ *
+ * Supported options:
+ * ```
+ * --assignee <login>   - Limits issues / pulls to an assignee; 'none' for unassigned or '*' for assigned.
+ * --branches <list>    - Comma separated branch names / `*` patterns of `protection`; default (default branch).
+ * --categories <list>  - Comma separated repo statistic categories of `stats` or `all`; default (all).
+ * --config, -c <path>  - The JSON / YAML / JS configuration file.
+ * --credential <token> - Limits the results to the organizations / repos that the credential has access to.
+ * --format, -f <type>  - Either 'json', 'table' or 'csv'; default ('json').
+ * --help, -h           - Prints the usage.
+ * --labels <list>      - Comma separated label names that issues / pulls must all have.
+ * --min-permission <level> - Limits collaborators to 'admin', 'push' or 'pull' permission or higher.
+ * --repo-files <list>  - Comma separated file paths requested from each repo in repo oriented commands.
+ * --since <date>       - Limits issues / pulls to those updated at or after an ISO 8601 date.
+ * --state <state>      - Limits issues / pulls to 'open', 'closed' or 'all'; default ('open').
+ * --tags               - Includes the tags of each repo in `releases`.
+ * --verbose            - Writes the message of log events to stderr.
+ * ```
+ *
+ * The table and CSV formats list one row for each entry of the innermost category; IE each repo of `repos`. The
+ * columns contain the scalar fields of the entry and its parent entries prefixed by category; IE `orgs.name` and
+ * `repos.name`. Nested objects are flattened by dotted keys; IE `ratelimit.core.remaining`.
+ */
+export default class GitHubInspectOrgsCLI
+{
+   /**
+    * Stores the process environment and output streams.
+    *
+    * @param {object}   options - Optional parameters.
+    * ```
+    * (string)    cwd - The directory relative configuration paths are resolved from; default (process.cwd()).
+    * (object)    env - The environment variables; default (process.env).
+    * (object)    stderr - A stream receiving errors and log messages; default (process.stderr).
+    * (object)    stdout - A stream receiving the results; default (process.stdout).
+    * ```
+    */
+   constructor(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`ctor error: 'options' is not an 'object'.`); }
+
+      /**
+       * The directory relative configuration paths are resolved from.
+       *
+       * @type {string}
+       * @private
+       */
+      this._cwd = typeof options.cwd === 'string' ? options.cwd : process.cwd();
+
+      /**
+       * The environment variables.
+       *
+       * @type {object}
+       * @private
+       */
+      this._env = typeof options.env === 'object' ? options.env : process.env;
+
+      /**
+       * A stream receiving errors and log messages.
+       *
+       * @type {object}
+       * @private
+       */
+      this._stderr = typeof options.stderr === 'object' ? options.stderr : process.stderr;
+
+      /**
+       * A stream receiving the results.
+       *
+       * @type {object}
+       * @private
+       */
+      this._stdout = typeof options.stdout === 'object' ? options.stdout : process.stdout;
+   }
+
+   /**
+    * Returns the subcommands mapped to the `GitHubInspectOrgs` method invoked.
+    *
+    * @returns {object}
+    */
+   static get commands()
+   {
+      return Object.assign({}, s_COMMANDS);
+   }
+
+   /**
+    * Parses command line arguments.
+    *
+    * @param {Array<string>}  argv - The command line arguments without the node executable and script path.
+    *
+    * @returns {{command: string, options: object}} - The command is null when not provided.
+    */
+   static parseArgs(argv)
+   {
+      /* istanbul ignore if */
+      if (!Array.isArray(argv)) { throw new TypeError(`parseArgs error: 'argv' is not an 'array'.`); }
+
+      const options = { format: 'json', help: false, verbose: false };
+
+      let command = null;
+
+      for (let cntr = 0; cntr < argv.length; cntr++)
+      {
+         let arg = argv[cntr];
+         let value;
+
+         // Supports `--flag=value` in addition to `--flag value`.
+         const equalIndex = arg.startsWith('--') ? arg.indexOf('=') : -1;
+
+         if (equalIndex >= 0)
+         {
+            value = arg.substring(equalIndex + 1);
+            arg = arg.substring(0, equalIndex);
+         }
+
+         const flag = s_FLAG_ALIASES[arg] || arg;
+
+         if (!flag.startsWith('-'))
+         {
+            if (command !== null) { throw new Error(`Unexpected argument: '${arg}'.`); }
+
+            command = arg;
+            continue;
+         }
+
+         const option = s_OPTIONS[flag];
+
+         if (typeof option === 'undefined') { throw new Error(`Unknown option: '${arg}'.`); }
+
+         if (option.type === 'boolean')
+         {
+            options[option.key] = true;
+            continue;
+         }
+
+         if (typeof value === 'undefined')
+         {
+            if (cntr + 1 >= argv.length) { throw new Error(`Option '${arg}' requires a value.`); }
+
+            value = argv[++cntr];
+         }
+
+         if (option.type === 'list')
+         {
+            const list = value.split(',').map((entry) => { return entry.trim(); }).filter((entry) =>
+            {
+               return entry !== '';
+            });
+
+            options[option.key] = Array.isArray(options[option.key]) ? options[option.key].concat(list) : list;
+         }
+         else
+         {
+            options[option.key] = value;
+         }
+      }
+
+      if (s_FORMATS.indexOf(options.format) < 0)
+      {
+         throw new Error(`Unknown format: '${options.format}'; expected one of ${s_FORMATS.join(', ')}.`);
+      }
+
+      return { command, options };
+   }
+
+   /**
+    * Runs a subcommand writing the results to `stdout`.
+    *
+    * @param {Array<string>}  argv - The command line arguments without the node executable and script path.
+    *
+    * @returns {Promise<number>} - The process exit code.
+    */
+   run(argv = [])
+   {
+      let parsed;
+
+      try { parsed = GitHubInspectOrgsCLI.parseArgs(argv); }
+      catch (err) { return Promise.resolve(s_FAIL(this, err)); }
+
+      const { command, options } = parsed;
+
+      if (options.help || command === null || command === 'help')
+      {
+         this._stdout.write(s_USAGE);
+         return Promise.resolve(command === null && !options.help ? 1 : 0);
+      }
+
+      const methodName = s_COMMANDS[command];
+
+      if (typeof methodName === 'undefined')
+      {
+         return Promise.resolve(s_FAIL(this, new Error(`Unknown command: '${command}'; see '--help'.`)));
+      }
+
+      let githubInspect;
+
+      try
+      {
+         githubInspect = new GitHubInspectOrgs(s_LOAD_CONFIG(this, options));
+      }
+      catch (err)
+      {
+         return Promise.resolve(s_FAIL(this, err));
+      }
+
+      return Promise.resolve().then(() =>
+      {
+         return githubInspect[methodName](s_GET_QUERY_OPTIONS(command, options));
+      }).then((data) =>
+      {
+         if (data === null)
+         {
+            throw new Error(`Authentication failed for the credential.`);
+         }
+
+         this._stdout.write(s_FORMAT(data.normalized, options.format));
+
+         // With `--verbose` skipped items are already written by the log events.
+         if (Array.isArray(data.errors) && !options.verbose)
+         {
+            for (let cntr = 0; cntr < data.errors.length; cntr++)
+            {
+               const error = data.errors[cntr];
+
+               const item = [error.owner, error.org, error.repo, error.team].filter((entry) =>
+               {
+                  return entry !== null;
+               }).join('/');
+
+               this._stderr.write(`Skipped '${item}': ${error.message}\n`);
+            }
+         }
+
+         return 0;
+      }).catch((err) =>
+      {
+         return s_FAIL(this, err);
+      });
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the subcommands mapped to the `GitHubInspectOrgs` method invoked.
+ * @type {object}
+ */
+const s_COMMANDS =
+{
+   'access': 'getOrgCollaboratorAccess',
+   'admins': 'getAdmins',
+   'collaborators': 'getCollaborators',
+   'contributors': 'getContributors',
+   'issues': 'getIssues',
+   'members': 'getMembers',
+   'org-members': 'getOrgMembers',
+   'orgs': 'getOrgs',
+   'owner-orgs': 'getOwnerOrgs',
+   'owners': 'getOwners',
+   'protection': 'getOrgRepoBranchProtection',
+   'pulls': 'getPullRequests',
+   'ratelimit': 'getOwnerRateLimits',
+   'releases': 'getOrgRepoReleases',
+   'repo-collaborators': 'getOrgRepoCollaborators',
+   'repo-contributors': 'getOrgRepoContributors',
+   'repo-issues': 'getOrgRepoIssues',
+   'repo-pulls': 'getOrgRepoPullRequests',
+   'repos': 'getOrgRepos',
+   'stats': 'getOrgRepoStats',
+   'team-members': 'getOrgTeamMembers',
+   'teams': 'getOrgTeams',
+   'user': 'getUserFromCredential'
+};
+
+/**
+ * Defines the environment variables providing an organization entry.
+ * @type {object}
+ */
+const s_ENV_ORGANIZATION =
+{
+   credential: 'GITHUB_INSPECT_ORGS_CREDENTIAL',
+   owner: 'GITHUB_INSPECT_ORGS_OWNER',
+   regex: 'GITHUB_INSPECT_ORGS_REGEX',
+   orgs: 'GITHUB_INSPECT_ORGS_ORGS',
+   users: 'GITHUB_INSPECT_ORGS_USERS'
+};
+
+/**
+ * Defines the short flags mapped to the long flag.
+ * @type {object}
+ */
+const s_FLAG_ALIASES = { '-c': '--config', '-f': '--format', '-h': '--help' };
+
+/**
+ * Defines the supported output formats.
+ * @type {Array<string>}
+ */
+const s_FORMATS = ['json', 'table', 'csv'];
+
+/**
+ * Defines the supported flags mapped to the parsed option key and type.
+ * @type {object}
+ */
+const s_OPTIONS =
+{
+   '--assignee': { key: 'assignee', type: 'string' },
+   '--branches': { key: 'branches', type: 'list' },
+   '--categories': { key: 'categories', type: 'list' },
+   '--config': { key: 'config', type: 'string' },
+   '--credential': { key: 'credential', type: 'string' },
+   '--format': { key: 'format', type: 'string' },
+   '--help': { key: 'help', type: 'boolean' },
+   '--labels': { key: 'labels', type: 'list' },
+   '--min-permission': { key: 'minPermission', type: 'string' },
+   '--repo-files': { key: 'repoFiles', type: 'list' },
+   '--since': { key: 'since', type: 'string' },
+   '--state': { key: 'state', type: 'string' },
+   '--tags': { key: 'tags', type: 'boolean' },
+   '--verbose': { key: 'verbose', type: 'boolean' }
+};
+
+/**
+ * Defines the usage printed by `--help`.
+ * @type {string}
+ */
+const s_USAGE = `Usage: github-inspect-orgs <command> [options]
+
+Commands:
+${Object.keys(s_COMMANDS).map((command) => { return `  ${command}`; }).join('\n')}
+
+Options:
+  --assignee <login>    Limits issues / pulls to an assignee; 'none' for unassigned or '*' for assigned.
+  --branches <list>     Comma separated branch names / '*' patterns of 'protection'; default (default branch).
+  --categories <list>   Comma separated repo statistic categories of 'stats' or 'all'; default (all).
+  --config, -c <path>   The JSON / YAML / JS configuration file; default ($GITHUB_INSPECT_ORGS_CONFIG).
+  --credential <token>  Limits the results to the organizations / repos the credential has access to.
+  --format, -f <type>   Either 'json', 'table' or 'csv'; default ('json').
+  --help, -h            Prints this usage.
+  --labels <list>       Comma separated label names that issues / pulls must all have.
+  --min-permission <level>
+                        Limits collaborators to 'admin', 'push' or 'pull' permission or higher.
+  --repo-files <list>   Comma separated file paths requested from each repo in repo oriented commands.
+  --since <date>        Limits issues / pulls to those updated at or after an ISO 8601 date.
+  --state <state>       Limits issues / pulls to 'open', 'closed' or 'all'; default ('open').
+  --tags                Includes the tags of each repo in 'releases'.
+  --verbose             Writes the message of log events to stderr.
+
+Environment variables providing an organization entry:
+${Object.keys(s_ENV_ORGANIZATION).map((key) => { return `  ${s_ENV_ORGANIZATION[key]}`; }).join('\n')}
+`;
+
+/**
+ * Writes the message of an error to `stderr`.
+ *
+ * @param {GitHubInspectOrgsCLI} cli - The CLI instance.
+ * @param {Error}                error - The error.
+ *
+ * @returns {number} - The process exit code.
+ */
+const s_FAIL = (cli, error) =>
+{
+   cli._stderr.write(`github-inspect-orgs error: ${error instanceof Error ? error.message : error}\n`);
+
+   return 1;
+};
+
+/**
+ * Flattens an entry of normalized data to the scalar fields prefixed by `prefix`. Arrays are skipped and nested
+ * objects are flattened by dotted keys.
+ *
+ * @param {object}   entry - An entry of normalized data.
+ * @param {string}   prefix - The key prefix.
+ * @param {object}   row - The row receiving the fields.
+ *
+ * @returns {object}
+ */
+const s_FLATTEN = (entry, prefix, row) =>
+{
+   for (const key in entry)
+   {
+      if (!entry.hasOwnProperty(key)) { continue; }
+
+      const value = entry[key];
+
+      if (Array.isArray(value)) { continue; }
+
+      if (typeof value === 'object' && value !== null && !(value instanceof Date))
+      {
+         s_FLATTEN(value, `${prefix}.${key}`, row);
+      }
+      else
+      {
+         row[`${prefix}.${key}`] = value instanceof Date ? value.toISOString() : value;
+      }
+   }
+
+   return row;
+};
+
+/**
+ * Returns the rows of normalized data with one row for each entry of the innermost category.
+ *
+ * @param {object}         entry - The normalized data or an entry of it.
+ * @param {Array<string>}  categories - The remaining categories to walk.
+ * @param {object}         row - The fields of parent entries.
+ * @param {Array<object>}  rows - The rows.
+ *
+ * @returns {Array<object>}
+ */
+const s_FLATTEN_ROWS = (entry, categories, row, rows) =>
+{
+   const category = categories[0];
+   const entries = Array.isArray(entry[category]) ? entry[category] : [];
+
+   // Parent entries without children are still listed.
+   if (entries.length === 0) { rows.push(row); }
+
+   for (let cntr = 0; cntr < entries.length; cntr++)
+   {
+      const childRow = s_FLATTEN(entries[cntr], category, Object.assign({}, row));
+
+      if (categories.length > 1) { s_FLATTEN_ROWS(entries[cntr], categories.slice(1), childRow, rows); }
+      else { rows.push(childRow); }
+   }
+
+   return rows;
+};
+
+/**
+ * Formats normalized data.
+ *
+ * @param {object}   normalized - Normalized data.
+ * @param {string}   format - Either 'json', 'table' or 'csv'.
+ *
+ * @returns {string}
+ */
+const s_FORMAT = (normalized, format) =>
+{
+   if (format === 'json') { return `${JSON.stringify(normalized, null, 2)}\n`; }
+
+   const rows = s_FLATTEN_ROWS(normalized, normalized.categories.split(':'), {}, []);
+
+   const columns = [];
+
+   for (let cntr = 0; cntr < rows.length; cntr++)
+   {
+      for (const column in rows[cntr])
+      {
+         if (rows[cntr].hasOwnProperty(column) && columns.indexOf(column) < 0) { columns.push(column); }
+      }
+   }
+
+   const lines = [columns].concat(rows.map((row) =>
+   {
+      return columns.map((column) =>
+      {
+         const value = row[column];
+         return typeof value === 'undefined' || value === null ? '' : String(value);
+      });
+   }));
+
+   if (format === 'csv')
+   {
+      return lines.map((line) =>
+      {
+         return line.map((value) =>
+         {
+            return (/[",\r\n]/).test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+         }).join(',');
+      }).join('\n').concat('\n');
+   }
+
+   const widths = columns.map((column, index) =>
+   {
+      return lines.reduce((width, line) => { return Math.max(width, line[index].length); }, 0);
+   });
+
+   lines.splice(1, 0, widths.map((width) => { return '-'.repeat(width); }));
+
+   return lines.map((line) =>
+   {
+      return line.map((value, index) => { return value + ' '.repeat(widths[index] - value.length); }).join('  ')
+       .replace(/\s+$/, '');
+   }).join('\n').concat('\n');
+};
+
+/**
+ * Returns the query options of a subcommand.
+ *
+ * @param {string}   command - The subcommand.
+ * @param {object}   options - The parsed command line options.
+ *
+ * @returns {object}
+ */
+const s_GET_QUERY_OPTIONS = (command, options) =>
+{
+   const queryOptions = {};
+
+   if (typeof options.credential === 'string') { queryOptions.credential = options.credential; }
+   if (Array.isArray(options.repoFiles)) { queryOptions.repoFiles = options.repoFiles; }
+
+   if (command === 'stats') { queryOptions.categories = options.categories || ['all']; }
+   if (command === 'releases' && options.tags === true) { queryOptions.tags = true; }
+   if (command === 'protection' && Array.isArray(options.branches)) { queryOptions.branches = options.branches; }
+
+   // Collaborator filters.
+   if (typeof options.minPermission === 'string') { queryOptions.minPermission = options.minPermission; }
+
+   // Issue / pull request filters.
+   if (typeof options.assignee === 'string') { queryOptions.assignee = options.assignee; }
+   if (Array.isArray(options.labels)) { queryOptions.labels = options.labels; }
+   if (typeof options.since === 'string') { queryOptions.since = options.since; }
+   if (typeof options.state === 'string') { queryOptions.state = options.state; }
+
+   return queryOptions;
+};
+
+/**
+ * Loads the `GitHubInspectOrgs` options from the configuration file and environment variables.
+ *
+ * @param {GitHubInspectOrgsCLI} cli - The CLI instance.
+ * @param {object}               options - The parsed command line options.
+ *
+ * @returns {object}
+ */
+const s_LOAD_CONFIG = (cli, options) =>
+{
+   const configPath = options.config || cli._env.GITHUB_INSPECT_ORGS_CONFIG;
+
+   let basePath = cli._cwd;
+   let config = {};
+
+   if (typeof configPath === 'string' && configPath !== '')
+   {
+      const resolvedPath = path.resolve(cli._cwd, configPath);
+
+      basePath = path.dirname(resolvedPath);
+      config = ConfigLoader.read(resolvedPath);
+
+      if (Array.isArray(config)) { config = { organizations: config }; }
+
+      if (typeof config !== 'object' || config === null)
+      {
+         throw new Error(`Configuration '${resolvedPath}' is not an 'object' or 'Array'.`);
+      }
+
+      config = Object.assign({}, config);
+   }
+
+   const organization = {};
+
+   for (const key in s_ENV_ORGANIZATION)
+   {
+      const value = cli._env[s_ENV_ORGANIZATION[key]];
+
+      if (typeof value !== 'string' || value === '') { continue; }
+
+      organization[key] = key === 'orgs' || key === 'users' ? value.split(',').map((entry) =>
+      {
+         return entry.trim();
+      }).filter((entry) => { return entry !== ''; }) : value;
+   }
+
+   if (Object.keys(organization).length > 0)
+   {
+      config.organizations = (Array.isArray(config.organizations) ? config.organizations : []).concat(organization);
+   }
+
+   if (!Array.isArray(config.organizations))
+   {
+      throw new Error(`No organizations configured; provide '--config' or GITHUB_INSPECT_ORGS_* variables.`);
+   }
+
+   if (options.verbose && typeof config.logger === 'undefined')
+   {
+      config.logger =
+      {
+         debug: () => {},
+         info: (event) => { cli._stderr.write(`${event.message}\n`); },
+         warn: (event) => { cli._stderr.write(`${event.message}\n`); },
+         error: (event) => { cli._stderr.write(`${event.message}\n`); }
+      };
+   }
+
+   // Only normalized data is printed, so raw data is released as it is normalized.
+   if (typeof config.raw === 'undefined') { config.raw = false; }
+
+   return ConfigLoader.load(config, { basePath, env: cli._env });
+};
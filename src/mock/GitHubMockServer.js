@@ -0,0 +1,1889 @@
+'use strict';
+
+import crypto        from 'crypto';
+import fs            from 'fs';
+import http          from 'http';
+import querystring   from 'querystring';
+import url           from 'url';
+
+/**
+ * GitHubMockServer -- Provides a local HTTP server that mimics the subset of the GitHub API and
+ * `raw.githubusercontent.com` queried by GitHubInspectOrgs. All responses are created from a JSON seed describing
+ * users, organizations, teams and repos, so the entire `GitHubInspectOrgs` surface may run end-to-end without network
+ * access. Point the `host`, `pathPrefix`, `protocol` and `rawUrlPrefix` options of GitHubInspectOrgs at the server
+ * which is easily accomplished with `getInspectOptions`:
+ * ```
+ * import GitHubInspectOrgs  from 'typhonjs-github-inspect-orgs';
+ * import GitHubMockServer   from 'typhonjs-github-inspect-orgs/dist/mock/GitHubMockServer.js';
+ *
+ * const mockServer = new GitHubMockServer({ seed: './seed.json' });
+ *
+ * mockServer.start().then(() =>
+ * {
+ *    const githubInspect = new GitHubInspectOrgs(mockServer.getInspectOptions(
+ *    {
+ *       organizations: [{ credential: 'owner-token', owner: 'typhonjs-test', regex: '^test' }]
+ *    }));
+ *
+ *    return githubInspect.getOrgRepos();
+ * }).then((data) => mockServer.stop());
+ * ```
+ *
+ * The seed is an object hash containing `users` and `orgs` arrays:
+ * ```
+ * users:
+ *    (string)          login - User name.
+ *    (integer)         id - User ID.
+ *    (string)          avatar_url - Optional avatar URL.
+ *    (string)          token - Optional access token authenticating as this user.
+ *    (string)          password - Optional password authenticating as this user with basic authentication.
+ *    (Array<object>)   repos - Object hashes describing the repos owned by the user in the same format as `orgs`.
+ *
+ * orgs:
+ *    (string)          login - Organization name.
+ *    (integer)         id - Organization ID.
+ *    (string)          avatar_url - Optional avatar URL.
+ *    (string)          description - Optional description.
+ *    (Array<*>)        members - User names or object hashes containing `login`, `role` ('admin' or 'member';
+ *                                default 'member') and `public` (default true).
+ *    (Array<object>)   teams - Object hashes containing `name`, `id`, `privacy`, `permission`, `description`,
+ *                              `members` (Array of user names) and `repos` (Array of repo names).
+ *    (Array<object>)   repos - Object hashes containing the GitHub repo fields to return (`name`, `id`, `description`,
+ *                              `private`, `fork`, `created_at`, `default_branch`, etc.) and the following:
+ *       (Array<string>)   branches - Branch names; default (the default branch).
+ *       (Array<*>)        collaborators - User names or object hashes containing `login` and `permissions`.
+ *       (object)          compare - Hash of `<base>...<head>` to an object hash containing the `ahead_by` /
+ *                                   `behind_by` commit counts; comparisons which are not listed are identical.
+ *       (Array<object>)   contributors - Object hashes containing `login` and `contributions`.
+ *       (object)          files - Hash of `<branch>/<file path>` to file contents served as raw files.
+ *       (Array<object>)   issues - Object hashes containing `number`, `title`, `state` ('open' or 'closed'; default
+ *                                  'open'), `user`, `labels` (Array of label names), `assignees` (Array of user
+ *                                  names), `comments`, `created_at`, `updated_at` and `closed_at`.
+ *       (object)          protection - Hash of branch name to the protection settings of the branch containing
+ *                                      `required_status_checks` (`strict`, `contexts`),
+ *                                      `required_pull_request_reviews` (`dismiss_stale_reviews`,
+ *                                      `required_approving_review_count`) and `enforce_admins` (boolean).
+ *       (Array<object>)   pulls - Object hashes containing the fields of `issues` along with `head` / `base` branch
+ *                                 names and `merged_at`. Like GitHub pull requests are also listed as issues.
+ *       (Array<object>)   releases - Object hashes containing `id`, `name`, `tag_name`, `draft`, `prerelease`,
+ *                                    `author` (user name), `created_at` and `published_at`.
+ *       (Array<string>)   stargazers - User names.
+ *       (object)          stats - Hash of `code_frequency`, `commit_activity`, `contributors`, `participation` and
+ *                                 `punch_card` statistics; default (empty arrays).
+ *       (integer)         statsPending - Amount of requests of each statistic answered with `202 Accepted` before
+ *                                        the statistic is served; default (0).
+ *       (integer)         statsStatus - Error status of all statistic requests; IE `403` or `404` when the statistics
+ *                                       are not available.
+ *       (Array<object>)   tags - Object hashes containing `name` and `sha`.
+ *       (Array<string>)   watchers - User names.
+ * ```
+ *
+ * Requests are authenticated by `Authorization: token <token>`, basic authentication or an `access_token` query
+ * parameter. Unknown credentials receive a `401` response. Private repos and organization data that requires
+ * membership are only returned to authorized users. All list responses are paginated with `page` / `per_page` and
+ * provide a `Link` header. Each credential has a rate limit budget reported by `X-RateLimit-*` headers and
+ * `/rate_limit`; requests past the budget receive a `403` response. Successful API responses contain an `ETag` header
+ * and requests with a matching `If-None-Match` header receive a `304 Not Modified` response which does not count
+ * against the rate limit.
+ */
+export default class GitHubMockServer
+{
+   /**
+    * Loads the seed and initializes the server options.
+    *
+    * @param {object}   options - Defines an object hash of required and optional parameters including the following:
+    * ```
+    * Required:
+    * (object|string)   seed - The seed object hash or file path of a JSON seed file.
+    *
+    * Optional:
+    * (string)    hostUrlPrefix - The GitHub host URL used for `html_url` and clone URLs; default
+    *                             ('https://github.com/').
+    * (string)    pathPrefix - Path prefix of all API end points; IE `/api/v3`; default ('').
+    * (integer)   rateLimit - Rate limit budget of each credential; default (5000).
+    * (integer)   rateLimitReset - Seconds until the rate limit budget of each credential is renewed; default (3600).
+    * (string)    rawPathPrefix - Path prefix of all raw file requests; default ('/raw').
+    * ```
+    */
+   constructor(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`ctor error: 'options' is not an 'object'.`); }
+
+      let seed = options.seed;
+
+      if (typeof seed === 'string') { seed = JSON.parse(fs.readFileSync(seed, 'utf-8')); }
+
+      /* istanbul ignore if */
+      if (typeof seed !== 'object' || seed === null)
+      {
+         throw new TypeError(`ctor error: 'options.seed' is not an 'object' or a 'string'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.rateLimit !== 'undefined' && (!Number.isInteger(options.rateLimit) || options.rateLimit < 0))
+      {
+         throw new TypeError(`ctor error: 'options.rateLimit' is not a positive 'integer'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.rateLimitReset !== 'undefined' &&
+       (!Number.isInteger(options.rateLimitReset) || options.rateLimitReset < 1))
+      {
+         throw new TypeError(`ctor error: 'options.rateLimitReset' is not a positive 'integer'.`);
+      }
+
+      /**
+       * The GitHub host URL used for `html_url` and clone URLs.
+       *
+       * @type {string}
+       * @private
+       */
+      this._hostUrlPrefix = options.hostUrlPrefix || 'https://github.com/';
+
+      /**
+       * Path prefix of all API end points.
+       *
+       * @type {string}
+       * @private
+       */
+      this._pathPrefix = s_TRIM_PATH(options.pathPrefix);
+
+      /**
+       * Rate limit budget of each credential.
+       *
+       * @type {number}
+       * @private
+       */
+      this._rateLimit = typeof options.rateLimit === 'number' ? options.rateLimit : 5000;
+
+      /**
+       * Seconds until the rate limit budget of each credential is renewed.
+       *
+       * @type {number}
+       * @private
+       */
+      this._rateLimitReset = typeof options.rateLimitReset === 'number' ? options.rateLimitReset : 3600;
+
+      /**
+       * Stores the rate limit state indexed by user name or `anonymous`.
+       *
+       * @type {object}
+       * @private
+       */
+      this._rateLimits = {};
+
+      /**
+       * Path prefix of all raw file requests.
+       *
+       * @type {string}
+       * @private
+       */
+      this._rawPathPrefix = typeof options.rawPathPrefix === 'string' ? s_TRIM_PATH(options.rawPathPrefix) : '/raw';
+
+      /**
+       * All requests received.
+       *
+       * @type {Array<{method: string, url: string, login: string}>}
+       * @private
+       */
+      this._requests = [];
+
+      /**
+       * Seed data indexed for lookup.
+       *
+       * @type {object}
+       * @private
+       */
+      this._data = s_CREATE_DATA(seed);
+
+      /**
+       * The HTTP server while started.
+       *
+       * @type {http.Server}
+       * @private
+       */
+      this._server = null;
+
+      /**
+       * Stores the amount of statistics requests received indexed by `<owner>/<repo>/<category>`.
+       *
+       * @type {object}
+       * @private
+       */
+      this._statsRequests = {};
+
+      /**
+       * Open sockets indexed by connection ID which are destroyed when the server is stopped.
+       *
+       * @type {object}
+       * @private
+       */
+      this._sockets = {};
+   }
+
+   /**
+    * Returns the host and port of the started server; IE `127.0.0.1:50000`.
+    *
+    * @returns {string}
+    */
+   get host()
+   {
+      return `127.0.0.1:${this.port}`;
+   }
+
+   /**
+    * Returns the port of the started server or `0` if not started.
+    *
+    * @returns {number}
+    */
+   get port()
+   {
+      return this._server !== null ? this._server.address().port : 0;
+   }
+
+   /**
+    * Returns all requests received.
+    *
+    * @returns {Array<{method: string, url: string, login: string}>}
+    */
+   get requests()
+   {
+      return this._requests;
+   }
+
+   /**
+    * Returns the URL and host options that point GitHubInspectOrgs at the started server merged with any given
+    * options.
+    *
+    * @param {object}   options - Additional GitHubInspectOrgs options; IE `organizations`.
+    *
+    * @returns {object}
+    */
+   getInspectOptions(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object')
+      {
+         throw new TypeError(`getInspectOptions error: 'options' is not an 'object'.`);
+      }
+
+      return Object.assign(
+      {
+         host: this.host,
+         hostUrlPrefix: this._hostUrlPrefix,
+         pathPrefix: this._pathPrefix,
+         protocol: 'http',
+         rawUrlPrefix: `http://${this.host}${this._rawPathPrefix}/`
+      }, options);
+   }
+
+   /**
+    * Clears all received requests and restores the rate limit budget of all credentials and pending statistics.
+    */
+   reset()
+   {
+      this._requests = [];
+      this._rateLimits = {};
+      this._statsRequests = {};
+   }
+
+   /**
+    * Starts the server on the given port of the loopback interface.
+    *
+    * @param {number}   port - Port to listen on; default (0) uses any free port.
+    *
+    * @returns {Promise} -- Resolves with this GitHubMockServer.
+    */
+   start(port = 0)
+   {
+      /* istanbul ignore if */
+      if (this._server !== null) { return Promise.reject(new Error('start error: server is already started.')); }
+
+      return new Promise((resolve, reject) =>
+      {
+         let socketID = 0;
+
+         const server = http.createServer((request, response) => { s_HANDLE_REQUEST(this, request, response); });
+
+         server.on('connection', (socket) =>
+         {
+            const id = socketID++;
+
+            this._sockets[id] = socket;
+            socket.on('close', () => { delete this._sockets[id]; });
+         });
+
+         server.once('error', reject);
+
+         server.listen(port, '127.0.0.1', () =>
+         {
+            this._server = server;
+            resolve(this);
+         });
+      });
+   }
+
+   /**
+    * Stops the server closing any open connections.
+    *
+    * @returns {Promise}
+    */
+   stop()
+   {
+      if (this._server === null) { return Promise.resolve(); }
+
+      return new Promise((resolve) =>
+      {
+         const server = this._server;
+
+         this._server = null;
+
+         server.close(() => { resolve(); });
+
+         const socketIDs = Object.keys(this._sockets);
+
+         for (let cntr = 0; cntr < socketIDs.length; cntr++) { this._sockets[socketIDs[cntr]].destroy(); }
+
+         this._sockets = {};
+      });
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Seed repo fields which describe associated data rather than repo fields returned by the GitHub API.
+ *
+ * @type {string[]}
+ */
+const s_SEED_ONLY_REPO_FIELDS = ['branches', 'collaborators', 'compare', 'contributors', 'files', 'issues',
+ 'protection', 'pulls', 'releases', 'stargazers', 'stats', 'statsPending', 'statsStatus',
+ 'tags', 'watchers'];
+
+/**
+ * Returns true if the given user may read the repo.
+ *
+ * @param {object}   owner - Seed organization or user owning the repo.
+ * @param {object}   repo - Seed repo.
+ * @param {string}   login - Authenticated user name or null.
+ *
+ * @returns {boolean}
+ */
+const s_CAN_READ_REPO = (owner, repo, login) =>
+{
+   if (!repo.private) { return true; }
+
+   if (login === null) { return false; }
+
+   return owner.login === login || s_IS_ORG_MEMBER(owner, login) || s_FIND_COLLABORATOR(repo, login) !== null;
+};
+
+/**
+ * Creates the indexed seed data. Organization members and repo collaborators are expanded to object hashes.
+ *
+ * @param {object}   seed - The seed object hash.
+ *
+ * @returns {object}
+ */
+const s_CREATE_DATA = (seed) =>
+{
+   const data = { credentials: {}, orgs: {}, repos: {}, teams: {}, users: {} };
+
+   const users = Array.isArray(seed.users) ? seed.users : [];
+   const orgs = Array.isArray(seed.orgs) ? seed.orgs : [];
+
+   for (let cntr = 0; cntr < users.length; cntr++)
+   {
+      const user = Object.assign({ repos: [] }, users[cntr]);
+
+      /* istanbul ignore if */
+      if (typeof user.login !== 'string')
+      {
+         throw new TypeError(`s_CREATE_DATA error: 'seed.users.login' is not a 'string' at index: ${cntr}`);
+      }
+
+      if (typeof user.token === 'string') { data.credentials[user.token] = user.login; }
+      if (typeof user.password === 'string') { data.credentials[`${user.login}:${user.password}`] = user.login; }
+
+      data.users[user.login] = user;
+
+      s_INDEX_REPOS(data, user);
+   }
+
+   for (let cntr = 0; cntr < orgs.length; cntr++)
+   {
+      const org = Object.assign({ members: [], repos: [], teams: [] }, orgs[cntr]);
+
+      /* istanbul ignore if */
+      if (typeof org.login !== 'string')
+      {
+         throw new TypeError(`s_CREATE_DATA error: 'seed.orgs.login' is not a 'string' at index: ${cntr}`);
+      }
+
+      org.members = org.members.map((member) =>
+      {
+         return Object.assign({ 'role': 'member', 'public': true },
+          typeof member === 'string' ? { login: member } : member);
+      });
+
+      org.teams = org.teams.map((team) => { return Object.assign({ members: [], repos: [] }, team); });
+
+      for (let cntr2 = 0; cntr2 < org.teams.length; cntr2++)
+      {
+         data.teams[org.teams[cntr2].id] = { org, team: org.teams[cntr2] };
+      }
+
+      data.orgs[org.login] = org;
+
+      s_INDEX_REPOS(data, org);
+   }
+
+   return data;
+};
+
+/**
+ * Compiles a route path such as `/orgs/:org/members` to a regular expression capturing each `:param`.
+ *
+ * @param {string}   method - HTTP method.
+ * @param {string}   path - Route path.
+ * @param {function} handler - Route handler invoked with `(mock, request)`.
+ * @param {object}   flags - Optional flags including the following:
+ * ```
+ * (boolean)   paginated - Whether list responses are paginated; default (true).
+ * (boolean)   rateLimited - Whether the route counts against the rate limit; default (true).
+ * ```
+ *
+ * @returns {{method: string, regex: RegExp, params: string[], handler: function, paginated: boolean,
+ *  rateLimited: boolean}}
+ */
+const s_CREATE_ROUTE = (method, path, handler, flags = {}) =>
+{
+   const params = [];
+
+   const pattern = path.replace(/:([a-z_]+)/g, (match, param) =>
+   {
+      params.push(param);
+      return '([^/]+)';
+   });
+
+   return {
+      method,
+      regex: new RegExp(`^${pattern}/?$`),
+      params,
+      handler,
+      paginated: typeof flags.paginated === 'boolean' ? flags.paginated : true,
+      rateLimited: typeof flags.rateLimited === 'boolean' ? flags.rateLimited : true
+   };
+};
+
+/**
+ * Creates the response for an error.
+ *
+ * @param {number}   statusCode - HTTP status code.
+ * @param {string}   message - Error message.
+ *
+ * @returns {{statusCode: number, body: object}}
+ */
+const s_ERROR = (statusCode, message) =>
+{
+   return { statusCode, body: { message, documentation_url: 'https://developer.github.com/v3' } };
+};
+
+/**
+ * Returns the collaborator entry of a repo for the given user or null.
+ *
+ * @param {object}   repo - Seed repo.
+ * @param {string}   login - User name.
+ *
+ * @returns {object|null}
+ */
+const s_FIND_COLLABORATOR = (repo, login) =>
+{
+   for (let cntr = 0; cntr < repo.collaborators.length; cntr++)
+   {
+      if (repo.collaborators[cntr].login === login) { return repo.collaborators[cntr]; }
+   }
+
+   return null;
+};
+
+/**
+ * Returns the organization member entry for the given user or null.
+ *
+ * @param {object}   org - Seed organization.
+ * @param {string}   login - User name.
+ *
+ * @returns {object|null}
+ */
+const s_FIND_ORG_MEMBER = (org, login) =>
+{
+   if (!Array.isArray(org.members)) { return null; }
+
+   for (let cntr = 0; cntr < org.members.length; cntr++)
+   {
+      if (org.members[cntr].login === login) { return org.members[cntr]; }
+   }
+
+   return null;
+};
+
+/**
+ * Returns the branch names of a seed repo; by default only the default branch.
+ *
+ * @param {object}   repo - Seed repo.
+ *
+ * @returns {Array<string>}
+ */
+const s_GET_BRANCHES = (repo) =>
+{
+   return Array.isArray(repo.branches) ? repo.branches : [repo.default_branch || 'master'];
+};
+
+/**
+ * Returns the rate limit state for the given key creating or renewing it as necessary. Anonymous requests have a
+ * budget of `60`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {string}            key - User name or `anonymous`.
+ *
+ * @returns {{limit: number, remaining: number, reset: number}}
+ */
+const s_GET_RATE_LIMIT = (mock, key) =>
+{
+   const rateLimit = mock._rateLimits[key];
+
+   if (typeof rateLimit === 'undefined' || Date.now() >= rateLimit.reset * 1000)
+   {
+      const limit = key === 'anonymous' ? Math.min(60, mock._rateLimit) : mock._rateLimit;
+
+      mock._rateLimits[key] = { limit, remaining: limit, reset: Math.floor(Date.now() / 1000) + mock._rateLimitReset };
+   }
+
+   return mock._rateLimits[key];
+};
+
+/**
+ * Returns the indexed repo for the route params `owner` / `repo` if it exists and is readable by the requesting
+ * user. Otherwise a `404` error response is returned.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {{owner: object, repo: object}|{statusCode: number, body: object}}
+ */
+const s_GET_REPO = (mock, request) =>
+{
+   const entry = mock._data.repos[`${request.params.owner}/${request.params.repo}`];
+
+   if (typeof entry === 'undefined' || !s_CAN_READ_REPO(entry.owner, entry.repo, request.login))
+   {
+      return s_ERROR(404, 'Not Found');
+   }
+
+   return entry;
+};
+
+/**
+ * Returns the user name of the credential sent with a request; `null` for anonymous requests or `undefined` for
+ * unknown credentials.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {http.IncomingMessage} request - The HTTP request.
+ * @param {object}            query - The parsed query.
+ *
+ * @returns {string|null|undefined}
+ */
+const s_GET_REQUEST_LOGIN = (mock, request, query) =>
+{
+   let credential;
+
+   const authorization = request.headers.authorization;
+
+   if (typeof authorization === 'string')
+   {
+      const partials = authorization.split(' ');
+
+      credential = partials[0].toLowerCase() === 'basic' ? new Buffer(partials[1] || '', 'base64').toString('utf-8') :
+       partials[1];
+   }
+   else if (typeof query.access_token === 'string')
+   {
+      credential = query.access_token;
+   }
+
+   if (typeof credential === 'undefined') { return null; }
+
+   return mock._data.credentials[credential];
+};
+
+/**
+ * Returns the team for the route param `id` if it exists and the requesting user is a member of the organization of
+ * the team. Otherwise a `404` error response is returned.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {{org: object, team: object}|{statusCode: number, body: object}}
+ */
+const s_GET_TEAM = (mock, request) =>
+{
+   const entry = mock._data.teams[request.params.id];
+
+   if (typeof entry === 'undefined' || !s_IS_ORG_MEMBER(entry.org, request.login)) { return s_ERROR(404, 'Not Found'); }
+
+   return entry;
+};
+
+/**
+ * Handles `GET /orgs/:org`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_ORG = (mock, request) =>
+{
+   const org = mock._data.orgs[request.params.org];
+
+   if (typeof org === 'undefined') { return s_ERROR(404, 'Not Found'); }
+
+   return { statusCode: 200, body: s_ORG_JSON(mock, org) };
+};
+
+/**
+ * Handles `GET /orgs/:org/members/:user`. Organization members may check any membership while others may only check
+ * public membership.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_ORG_MEMBER = (mock, request) =>
+{
+   const org = mock._data.orgs[request.params.org];
+
+   if (typeof org === 'undefined') { return s_ERROR(404, 'Not Found'); }
+
+   const member = s_FIND_ORG_MEMBER(org, request.params.user);
+
+   if (member === null || (!member.public && !s_IS_ORG_MEMBER(org, request.login)))
+   {
+      return s_ERROR(404, 'Not Found');
+   }
+
+   return { statusCode: 204 };
+};
+
+/**
+ * Handles `GET /orgs/:org/members`. Organization members receive all members while others receive public members.
+ * The `role` query parameter ('all', 'admin' or 'member'; default 'all') filters members by role.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_ORG_MEMBERS = (mock, request) =>
+{
+   const org = mock._data.orgs[request.params.org];
+
+   if (typeof org === 'undefined') { return s_ERROR(404, 'Not Found'); }
+
+   const isMember = s_IS_ORG_MEMBER(org, request.login);
+
+   const role = request.query.role || 'all';
+
+   const members = org.members.filter((member) =>
+   {
+      return (isMember || member.public) && (role === 'all' || member.role === role);
+   });
+
+   return { statusCode: 200, body: members.map((member) => { return s_USER_JSON(mock, member.login); }) };
+};
+
+/**
+ * Handles `GET /orgs/:org/repos` returning all repos readable by the requesting user.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_ORG_REPOS = (mock, request) =>
+{
+   const org = mock._data.orgs[request.params.org];
+
+   if (typeof org === 'undefined') { return s_ERROR(404, 'Not Found'); }
+
+   const repos = org.repos.filter((repo) => { return s_CAN_READ_REPO(org, repo, request.login); });
+
+   return { statusCode: 200, body: repos.map((repo) => { return s_REPO_JSON(mock, org, repo); }) };
+};
+
+/**
+ * Handles `GET /orgs/:org/teams`; only available to organization members.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_ORG_TEAMS = (mock, request) =>
+{
+   const org = mock._data.orgs[request.params.org];
+
+   if (typeof org === 'undefined' || !s_IS_ORG_MEMBER(org, request.login)) { return s_ERROR(404, 'Not Found'); }
+
+   return { statusCode: 200, body: org.teams.map((team) => { return s_TEAM_JSON(team); }) };
+};
+
+/**
+ * Handles `GET /rate_limit` which does not count against the rate limit.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_RATE_LIMIT = (mock, request) =>
+{
+   const core = Object.assign({}, s_GET_RATE_LIMIT(mock, request.login || 'anonymous'));
+
+   const search = { limit: 30, remaining: 30, reset: Math.floor(Date.now() / 1000) + 60 };
+
+   return { statusCode: 200, body: { resources: { core, search }, rate: core } };
+};
+
+/**
+ * Serves a raw file for `<rawPathPrefix>/:owner/:repo/<branch>/<file path>`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {string}            pathname - The request path without `rawPathPrefix`.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_RAW_FILE = (mock, pathname) =>
+{
+   const notFound = { statusCode: 404, body: 'Not Found', headers: { 'content-type': 'text/plain; charset=utf-8' } };
+
+   const partials = pathname.split('/').filter((partial) => { return partial !== ''; });
+
+   if (partials.length < 3) { return notFound; }
+
+   const entry = mock._data.repos[`${partials[0]}/${partials[1]}`];
+
+   if (typeof entry === 'undefined' || entry.repo.private) { return notFound; }
+
+   const files = typeof entry.repo.files === 'object' ? entry.repo.files : {};
+
+   const filePath = partials.slice(2).map((partial) => { return decodeURIComponent(partial); }).join('/');
+
+   if (typeof files[filePath] !== 'string') { return notFound; }
+
+   return { statusCode: 200, body: files[filePath], headers: { 'content-type': 'text/plain; charset=utf-8' } };
+};
+
+/**
+ * Handles `GET /repos/:owner/:repo`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_REPO = (mock, request) =>
+{
+   const entry = s_GET_REPO(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   return { statusCode: 200, body: s_REPO_JSON(mock, entry.owner, entry.repo) };
+};
+
+/**
+ * Handles `GET /repos/:owner/:repo/branches/:branch/protection`; only available to repo admins. Branches without
+ * protection respond with `404 Branch not protected` like GitHub.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_REPO_BRANCH_PROTECTION = (mock, request) =>
+{
+   const entry = s_GET_REPO(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   const branch = decodeURIComponent(request.params.branch);
+   const collaborator = request.login !== null ? s_FIND_COLLABORATOR(entry.repo, request.login) : null;
+
+   if (entry.owner.login !== request.login && !s_IS_ORG_ADMIN(entry.owner, request.login) &&
+    (collaborator === null || !collaborator.permissions.admin))
+   {
+      return s_ERROR(403, 'Must have admin rights to Repository.');
+   }
+
+   if (s_GET_BRANCHES(entry.repo).indexOf(branch) < 0) { return s_ERROR(404, 'Branch not found'); }
+
+   const protection = typeof entry.repo.protection === 'object' ? entry.repo.protection[branch] : void 0;
+
+   if (typeof protection !== 'object') { return s_ERROR(404, 'Branch not protected'); }
+
+   const url = `https://api.github.com/repos/${entry.owner.login}/${entry.repo.name}/branches/${branch}/protection`;
+   const body = { url };
+
+   if (typeof protection.required_status_checks === 'object')
+   {
+      body.required_status_checks =
+      {
+         url: `${url}/required_status_checks`,
+         strict: protection.required_status_checks.strict || false,
+         contexts: protection.required_status_checks.contexts || []
+      };
+   }
+
+   if (typeof protection.required_pull_request_reviews === 'object')
+   {
+      body.required_pull_request_reviews =
+      {
+         url: `${url}/required_pull_request_reviews`,
+         dismiss_stale_reviews: protection.required_pull_request_reviews.dismiss_stale_reviews || false,
+         required_approving_review_count: protection.required_pull_request_reviews.required_approving_review_count || 1
+      };
+   }
+
+   body.enforce_admins = { url: `${url}/enforce_admins`, enabled: protection.enforce_admins || false };
+
+   return { statusCode: 200, body };
+};
+
+/**
+ * Handles `GET /repos/:owner/:repo/branches`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_REPO_BRANCHES = (mock, request) =>
+{
+   const entry = s_GET_REPO(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   const protection = typeof entry.repo.protection === 'object' ? entry.repo.protection : {};
+
+   return {
+      statusCode: 200,
+      body: s_GET_BRANCHES(entry.repo).map((branch) =>
+      {
+         return { 'name': branch, 'commit': { sha: '' }, 'protected': protection.hasOwnProperty(branch) };
+      })
+   };
+};
+
+/**
+ * Handles `GET /repos/:owner/:repo/collaborators`; only available to organization admins and collaborators with
+ * push access.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_REPO_COLLABORATORS = (mock, request) =>
+{
+   const entry = s_GET_REPO(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   const collaborator = request.login !== null ? s_FIND_COLLABORATOR(entry.repo, request.login) : null;
+
+   if (entry.owner.login !== request.login && !s_IS_ORG_ADMIN(entry.owner, request.login) &&
+    (collaborator === null || !collaborator.permissions.push))
+   {
+      return s_ERROR(403, 'Must have push access to view repository collaborators.');
+   }
+
+   return {
+      statusCode: 200,
+      body: entry.repo.collaborators.map((collaborator) =>
+      {
+         return Object.assign(s_USER_JSON(mock, collaborator.login), { permissions: collaborator.permissions });
+      })
+   };
+};
+
+/**
+ * Handles `GET /repos/:owner/:repo/compare/:base...:head`. The base and head must be a tag, a release tag or the
+ * default branch of the repo.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_REPO_COMPARE = (mock, request) =>
+{
+   const entry = s_GET_REPO(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   const repo = entry.repo;
+   const refs = [repo.default_branch || 'master'];
+
+   if (Array.isArray(repo.tags)) { refs.push(...repo.tags.map((tag) => { return tag.name; })); }
+   if (Array.isArray(repo.releases)) { refs.push(...repo.releases.map((release) => { return release.tag_name; })); }
+
+   const basehead = decodeURIComponent(request.params.basehead);
+   const index = basehead.indexOf('...');
+
+   if (index < 0 || refs.indexOf(basehead.substring(0, index)) < 0 || refs.indexOf(basehead.substring(index + 3)) < 0)
+   {
+      return s_ERROR(404, 'Not Found');
+   }
+
+   const compare = typeof repo.compare === 'object' && typeof repo.compare[basehead] === 'object' ?
+    repo.compare[basehead] : {};
+
+   const aheadBy = compare.ahead_by || 0;
+   const behindBy = compare.behind_by || 0;
+
+   let status = 'identical';
+
+   if (aheadBy > 0) { status = behindBy > 0 ? 'diverged' : 'ahead'; }
+   else if (behindBy > 0) { status = 'behind'; }
+
+   return {
+      statusCode: 200,
+      body: { status, ahead_by: aheadBy, behind_by: behindBy, total_commits: aheadBy }
+   };
+};
+
+/**
+ * Handles `GET /repos/:owner/:repo/contributors`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_REPO_CONTRIBUTORS = (mock, request) =>
+{
+   const entry = s_GET_REPO(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   const contributors = Array.isArray(entry.repo.contributors) ? entry.repo.contributors : [];
+
+   return {
+      statusCode: 200,
+      body: contributors.map((contributor) =>
+      {
+         return Object.assign(s_USER_JSON(mock, contributor.login), { contributions: contributor.contributions || 0 });
+      })
+   };
+};
+
+/**
+ * Handles `GET /repos/:owner/:repo/issues` supporting the `state`, `labels`, `assignee` and `since` filters of the
+ * GitHub API. Pull requests are included with a `pull_request` entry like the GitHub API.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_REPO_ISSUES = (mock, request) =>
+{
+   const entry = s_GET_REPO(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   const query = request.query;
+
+   const labels = typeof query.labels === 'string' && query.labels !== '' ? query.labels.split(',') : [];
+   const state = query.state || 'open';
+
+   // The GitHub client serializes dates as JSON strings.
+   const since = typeof query.since === 'string' ? Date.parse(query.since.replace(/"/g, '')) : NaN;
+
+   const issues = (Array.isArray(entry.repo.issues) ? entry.repo.issues : []).map((issue) =>
+   {
+      return s_ISSUE_JSON(mock, entry.owner, entry.repo, issue);
+   });
+
+   const pulls = (Array.isArray(entry.repo.pulls) ? entry.repo.pulls : []).map((pull) =>
+   {
+      const issueJSON = s_ISSUE_JSON(mock, entry.owner, entry.repo, pull);
+
+      issueJSON.pull_request = { html_url: issueJSON.html_url };
+
+      return issueJSON;
+   });
+
+   return {
+      statusCode: 200,
+      body: issues.concat(pulls).filter((issue) =>
+      {
+         const assignees = issue.assignees.map((assignee) => { return assignee.login; });
+
+         if (state !== 'all' && issue.state !== state) { return false; }
+
+         if (!labels.every((label) => { return issue.labels.some((entry) => { return entry.name === label; }); }))
+         {
+            return false;
+         }
+
+         if (query.assignee === 'none' && assignees.length > 0) { return false; }
+         if (query.assignee === '*' && assignees.length === 0) { return false; }
+
+         if (typeof query.assignee === 'string' && query.assignee !== 'none' && query.assignee !== '*' &&
+          assignees.indexOf(query.assignee) < 0)
+         {
+            return false;
+         }
+
+         return isNaN(since) || Date.parse(issue.updated_at) >= since;
+      }).sort((a, b) => { return b.number - a.number; })
+   };
+};
+
+/**
+ * Handles `GET /repos/:owner/:repo/pulls` supporting the `state` filter and the `sort` / `direction` order of the
+ * GitHub API. Like GitHub pull requests are sorted by creation; most recent first unless `sort` is `updated`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_REPO_PULLS = (mock, request) =>
+{
+   const entry = s_GET_REPO(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   const fullName = `${entry.owner.login}/${entry.repo.name}`;
+   const state = request.query.state || 'open';
+
+   const sortUpdated = request.query.sort === 'updated';
+   const direction = (request.query.direction || (sortUpdated ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+
+   const pulls = (Array.isArray(entry.repo.pulls) ? entry.repo.pulls : []).map((pull) =>
+   {
+      return Object.assign(s_ISSUE_JSON(mock, entry.owner, entry.repo, pull),
+      {
+         head: { ref: pull.head || 'patch', repo: { full_name: fullName } },
+         base: { ref: pull.base || 'master', repo: { full_name: fullName } },
+         merged_at: pull.merged_at || null
+      });
+   });
+
+   return {
+      statusCode: 200,
+      body: pulls.filter((pull) => { return state === 'all' || pull.state === state; }).sort((a, b) =>
+      {
+         return direction * (sortUpdated ? a.updated_at.localeCompare(b.updated_at) : a.number - b.number);
+      })
+   };
+};
+
+/**
+ * Handles `GET /repos/:owner/:repo/releases`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_REPO_RELEASES = (mock, request) =>
+{
+   const entry = s_GET_REPO(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   const fullName = `${entry.owner.login}/${entry.repo.name}`;
+   const releases = Array.isArray(entry.repo.releases) ? entry.repo.releases : [];
+
+   return {
+      statusCode: 200,
+      body: releases.map((release) =>
+      {
+         return {
+            id: release.id,
+            name: release.name || release.tag_name,
+            tag_name: release.tag_name,
+            target_commitish: entry.repo.default_branch || 'master',
+            html_url: `${mock._hostUrlPrefix}${fullName}/releases/tag/${release.tag_name}`,
+            draft: release.draft || false,
+            prerelease: release.prerelease || false,
+            author: s_USER_JSON(mock, release.author || entry.owner.login),
+            created_at: release.created_at || '2016-01-01T00:00:00Z',
+            published_at: release.draft ? null : release.published_at || release.created_at || '2016-01-01T00:00:00Z',
+            body: release.body || ''
+         };
+      })
+   };
+};
+
+/**
+ * Handles `GET /repos/:owner/:repo/stargazers`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_REPO_STARGAZERS = (mock, request) =>
+{
+   const entry = s_GET_REPO(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   const stargazers = Array.isArray(entry.repo.stargazers) ? entry.repo.stargazers : [];
+
+   return { statusCode: 200, body: stargazers.map((login) => { return s_USER_JSON(mock, login); }) };
+};
+
+/**
+ * Handles `GET /repos/:owner/:repo/stats/:category`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_REPO_STATS = (mock, request) =>
+{
+   const entry = s_GET_REPO(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   const category = request.params.category;
+
+   if (['code_frequency', 'commit_activity', 'contributors', 'participation', 'punch_card'].indexOf(category) < 0)
+   {
+      return s_ERROR(404, 'Not Found');
+   }
+
+   if (typeof entry.repo.statsStatus === 'number')
+   {
+      return s_ERROR(entry.repo.statsStatus, entry.repo.statsStatus === 403 ? 'Forbidden' : 'Not Found');
+   }
+
+   // GitHub responds with `202 Accepted` while statistics are generated.
+   const statsKey = `${request.params.owner}/${request.params.repo}/${category}`;
+
+   mock._statsRequests[statsKey] = (mock._statsRequests[statsKey] || 0) + 1;
+
+   if (mock._statsRequests[statsKey] <= (entry.repo.statsPending || 0)) { return { statusCode: 202, body: {} }; }
+
+   const stats = typeof entry.repo.stats === 'object' ? entry.repo.stats : {};
+
+   // Like GitHub participation is an object hash of weekly commit counts while other categories are arrays.
+   const empty = category === 'participation' ? { all: [], owner: [] } : [];
+
+   return { statusCode: 200, body: typeof stats[category] !== 'undefined' ? stats[category] : empty };
+};
+
+/**
+ * Handles `GET /repos/:owner/:repo/tags`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_REPO_TAGS = (mock, request) =>
+{
+   const entry = s_GET_REPO(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   const fullName = `${entry.owner.login}/${entry.repo.name}`;
+   const tags = Array.isArray(entry.repo.tags) ? entry.repo.tags : [];
+
+   return {
+      statusCode: 200,
+      body: tags.map((tag) =>
+      {
+         return {
+            name: tag.name,
+            commit: { sha: tag.sha, url: `https://api.github.com/repos/${fullName}/commits/${tag.sha}` },
+            zipball_url: `https://api.github.com/repos/${fullName}/zipball/${tag.name}`,
+            tarball_url: `https://api.github.com/repos/${fullName}/tarball/${tag.name}`
+         };
+      })
+   };
+};
+
+/**
+ * Handles `GET /repos/:owner/:repo/watchers` and `GET /repos/:owner/:repo/subscribers`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_REPO_WATCHERS = (mock, request) =>
+{
+   const entry = s_GET_REPO(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   const watchers = Array.isArray(entry.repo.watchers) ? entry.repo.watchers : [];
+
+   return { statusCode: 200, body: watchers.map((login) => { return s_USER_JSON(mock, login); }) };
+};
+
+/**
+ * Dispatches a HTTP request to the raw file handler or the matching API route handler and writes the response.
+ *
+ * @param {GitHubMockServer}     mock - The mock server.
+ * @param {http.IncomingMessage} request - The HTTP request.
+ * @param {http.ServerResponse}  response - The HTTP response.
+ */
+const s_HANDLE_REQUEST = (mock, request, response) =>
+{
+   const parsedURL = url.parse(request.url, true);
+   const method = request.method.toUpperCase();
+
+   let pathname = parsedURL.pathname;
+
+   // Raw files are not authenticated or rate limited.
+   if (pathname.indexOf(`${mock._rawPathPrefix}/`) === 0)
+   {
+      mock._requests.push({ method, url: request.url, login: null });
+
+      s_WRITE_RESPONSE(response, method === 'GET' ?
+       s_HANDLE_RAW_FILE(mock, pathname.substr(mock._rawPathPrefix.length)) :
+        { statusCode: 404, body: 'Not Found', headers: { 'content-type': 'text/plain; charset=utf-8' } });
+      return;
+   }
+
+   const login = s_GET_REQUEST_LOGIN(mock, request, parsedURL.query);
+
+   mock._requests.push({ method, url: request.url, login: typeof login === 'string' ? login : null });
+
+   if (typeof login === 'undefined')
+   {
+      s_WRITE_RESPONSE(response, s_ERROR(401, 'Bad credentials'));
+      return;
+   }
+
+   if (mock._pathPrefix !== '')
+   {
+      if (pathname.indexOf(`${mock._pathPrefix}/`) !== 0)
+      {
+         s_WRITE_RESPONSE(response, s_ERROR(404, 'Not Found'));
+         return;
+      }
+
+      pathname = pathname.substr(mock._pathPrefix.length);
+   }
+
+   let params, route;
+
+   for (let cntr = 0; cntr < s_ROUTES.length; cntr++)
+   {
+      const match = s_ROUTES[cntr].regex.exec(pathname);
+
+      if (s_ROUTES[cntr].method === method && match !== null)
+      {
+         route = s_ROUTES[cntr];
+         params = {};
+
+         for (let cntr2 = 0; cntr2 < route.params.length; cntr2++)
+         {
+            params[route.params[cntr2]] = decodeURIComponent(match[cntr2 + 1]);
+         }
+         break;
+      }
+   }
+
+   if (typeof route === 'undefined')
+   {
+      s_WRITE_RESPONSE(response, s_ERROR(404, 'Not Found'));
+      return;
+   }
+
+   const rateLimit = s_GET_RATE_LIMIT(mock, login || 'anonymous');
+
+   let result;
+
+   // Conditional requests for unchanged responses do not count against the rate limit.
+   if (route.rateLimited && typeof request.headers['if-none-match'] === 'string')
+   {
+      result = s_HANDLE_ROUTE(mock, route, request, parsedURL, params, login);
+
+      if (result.headers.etag === request.headers['if-none-match'])
+      {
+         s_WRITE_RESPONSE(response, { statusCode: 304, headers: { etag: result.headers.etag } }, rateLimit);
+         return;
+      }
+   }
+
+   if (route.rateLimited)
+   {
+      if (rateLimit.remaining <= 0)
+      {
+         s_WRITE_RESPONSE(response, s_ERROR(403, `API rate limit exceeded for ${login || 'anonymous'}.`), rateLimit);
+         return;
+      }
+
+      rateLimit.remaining--;
+   }
+
+   if (typeof result === 'undefined') { result = s_HANDLE_ROUTE(mock, route, request, parsedURL, params, login); }
+
+   s_WRITE_RESPONSE(response, result, rateLimit);
+};
+
+/**
+ * Invokes the handler of a route paginating list responses. Successful responses receive an `ETag` header created
+ * from the body and `Link` header.
+ *
+ * @param {GitHubMockServer}     mock - The mock server.
+ * @param {object}               route - The matching route.
+ * @param {http.IncomingMessage} request - The HTTP request.
+ * @param {object}               parsedURL - The parsed request URL.
+ * @param {object}               params - The route parameters.
+ * @param {string|null}          login - The authenticated user name or null when anonymous.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_ROUTE = (mock, route, request, parsedURL, params, login) =>
+{
+   const result = route.handler(mock, { method: route.method, params, query: parsedURL.query, login });
+
+   result.headers = result.headers || {};
+
+   // Paginate all list responses.
+   if (route.paginated && result.statusCode === 200 && Array.isArray(result.body))
+   {
+      s_PAGINATE(result, request, parsedURL);
+   }
+
+   if (result.statusCode === 200)
+   {
+      result.headers.etag = `"${crypto.createHash('sha1').update(
+       `${JSON.stringify(result.body)}${result.headers.link || ''}`).digest('hex')}"`;
+   }
+
+   return result;
+};
+
+/**
+ * Handles `GET /teams/:id`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_TEAM = (mock, request) =>
+{
+   const entry = s_GET_TEAM(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   return { statusCode: 200, body: s_TEAM_JSON(entry.team) };
+};
+
+/**
+ * Handles `GET /teams/:id/members/:user`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_TEAM_MEMBER = (mock, request) =>
+{
+   const entry = s_GET_TEAM(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   return entry.team.members.indexOf(request.params.user) >= 0 ? { statusCode: 204 } : s_ERROR(404, 'Not Found');
+};
+
+/**
+ * Handles `GET /teams/:id/members`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_TEAM_MEMBERS = (mock, request) =>
+{
+   const entry = s_GET_TEAM(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   return { statusCode: 200, body: entry.team.members.map((login) => { return s_USER_JSON(mock, login); }) };
+};
+
+/**
+ * Handles `GET /teams/:id/repos`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_TEAM_REPOS = (mock, request) =>
+{
+   const entry = s_GET_TEAM(mock, request);
+
+   if (typeof entry.statusCode === 'number') { return entry; }
+
+   const repos = [];
+
+   for (let cntr = 0; cntr < entry.team.repos.length; cntr++)
+   {
+      const repoEntry = mock._data.repos[`${entry.org.login}/${entry.team.repos[cntr]}`];
+
+      if (typeof repoEntry !== 'undefined') { repos.push(s_REPO_JSON(mock, entry.org, repoEntry.repo)); }
+   }
+
+   return { statusCode: 200, body: repos };
+};
+
+/**
+ * Handles `GET /user` returning the authenticated user.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_USER = (mock, request) =>
+{
+   if (request.login === null) { return s_ERROR(401, 'Requires authentication'); }
+
+   return { statusCode: 200, body: s_USER_JSON(mock, request.login) };
+};
+
+/**
+ * Handles `GET /user/orgs` returning all organizations of the authenticated user including private memberships.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_USER_ORGS = (mock, request) =>
+{
+   if (request.login === null) { return s_ERROR(401, 'Requires authentication'); }
+
+   const orgs = [];
+   const orgNames = Object.keys(mock._data.orgs);
+
+   for (let cntr = 0; cntr < orgNames.length; cntr++)
+   {
+      const org = mock._data.orgs[orgNames[cntr]];
+
+      if (s_FIND_ORG_MEMBER(org, request.login) !== null) { orgs.push(s_ORG_JSON(mock, org)); }
+   }
+
+   return { statusCode: 200, body: orgs };
+};
+
+/**
+ * Handles `GET /users/:user` for users and organizations.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_USERS = (mock, request) =>
+{
+   if (typeof mock._data.users[request.params.user] !== 'undefined')
+   {
+      return { statusCode: 200, body: s_USER_JSON(mock, request.params.user) };
+   }
+
+   if (typeof mock._data.orgs[request.params.user] !== 'undefined')
+   {
+      return { statusCode: 200, body: s_ORG_JSON(mock, mock._data.orgs[request.params.user]) };
+   }
+
+   return s_ERROR(404, 'Not Found');
+};
+
+/**
+ * Handles `GET /users/:user/orgs` returning the organizations where the user is a public member.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_USERS_ORGS = (mock, request) =>
+{
+   if (typeof mock._data.users[request.params.user] === 'undefined') { return s_ERROR(404, 'Not Found'); }
+
+   const orgs = [];
+   const orgNames = Object.keys(mock._data.orgs);
+
+   for (let cntr = 0; cntr < orgNames.length; cntr++)
+   {
+      const org = mock._data.orgs[orgNames[cntr]];
+      const member = s_FIND_ORG_MEMBER(org, request.params.user);
+
+      if (member !== null && member.public) { orgs.push(s_ORG_JSON(mock, org)); }
+   }
+
+   return { statusCode: 200, body: orgs };
+};
+
+/**
+ * Handles `GET /users/:user/repos` returning the public repos of a user.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            request - The parsed request.
+ *
+ * @returns {object}
+ */
+const s_HANDLE_USERS_REPOS = (mock, request) =>
+{
+   const user = mock._data.users[request.params.user];
+
+   if (typeof user === 'undefined') { return s_ERROR(404, 'Not Found'); }
+
+   const repos = user.repos.filter((repo) => { return !repo.private; });
+
+   return { statusCode: 200, body: repos.map((repo) => { return s_REPO_JSON(mock, user, repo); }) };
+};
+
+/**
+ * Indexes the repos of a seed organization or user expanding all collaborators to object hashes with permissions.
+ *
+ * @param {object}   data - Indexed seed data.
+ * @param {object}   owner - Seed organization or user.
+ */
+const s_INDEX_REPOS = (data, owner) =>
+{
+   owner.repos = owner.repos.map((repo) =>
+   {
+      const indexedRepo = Object.assign({ collaborators: [] }, repo);
+
+      indexedRepo.collaborators = indexedRepo.collaborators.map((collaborator) =>
+      {
+         const login = typeof collaborator === 'string' ? collaborator : collaborator.login;
+         const admin = login === owner.login || s_IS_ORG_ADMIN(owner, login);
+
+         return Object.assign({ login, permissions: { admin, push: true, pull: true } },
+          typeof collaborator === 'object' ? collaborator : {});
+      });
+
+      data.repos[`${owner.login}/${indexedRepo.name}`] = { owner, repo: indexedRepo };
+
+      return indexedRepo;
+   });
+};
+
+/**
+ * Returns true if the given user is an organization admin.
+ *
+ * @param {object}   org - Seed organization or user.
+ * @param {string}   login - User name or null.
+ *
+ * @returns {boolean}
+ */
+const s_IS_ORG_ADMIN = (org, login) =>
+{
+   const member = login !== null ? s_FIND_ORG_MEMBER(org, login) : null;
+
+   return member !== null && member.role === 'admin';
+};
+
+/**
+ * Returns true if the given user is an organization member.
+ *
+ * @param {object}   org - Seed organization or user.
+ * @param {string}   login - User name or null.
+ *
+ * @returns {boolean}
+ */
+const s_IS_ORG_MEMBER = (org, login) =>
+{
+   return login !== null && s_FIND_ORG_MEMBER(org, login) !== null;
+};
+
+/**
+ * Creates the GitHub API JSON for an issue or pull request.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            owner - Seed organization or user owning the repo.
+ * @param {object}            repo - Seed repo.
+ * @param {object}            issue - Seed issue or pull request.
+ *
+ * @returns {object}
+ */
+const s_ISSUE_JSON = (mock, owner, repo, issue) =>
+{
+   const fullName = `${owner.login}/${repo.name}`;
+   const assignees = Array.isArray(issue.assignees) ? issue.assignees : [];
+   const labels = Array.isArray(issue.labels) ? issue.labels : [];
+
+   return {
+      number: issue.number,
+      title: issue.title || '',
+      state: issue.state || 'open',
+      html_url: `${mock._hostUrlPrefix}${fullName}/${Array.isArray(repo.pulls) && repo.pulls.indexOf(issue) >= 0 ?
+       'pull' : 'issues'}/${issue.number}`,
+      repository_url: `https://api.github.com/repos/${fullName}`,
+      user: s_USER_JSON(mock, issue.user || owner.login),
+      labels: labels.map((name) => { return { name, color: 'ededed' }; }),
+      assignee: assignees.length > 0 ? s_USER_JSON(mock, assignees[0]) : null,
+      assignees: assignees.map((login) => { return s_USER_JSON(mock, login); }),
+      comments: issue.comments || 0,
+      created_at: issue.created_at || '2016-01-01T00:00:00Z',
+      updated_at: issue.updated_at || issue.created_at || '2016-01-01T00:00:00Z',
+      closed_at: issue.closed_at || null,
+      body: issue.body || ''
+   };
+};
+
+/**
+ * Creates the GitHub API JSON for an organization.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            org - Seed organization.
+ *
+ * @returns {object}
+ */
+const s_ORG_JSON = (mock, org) =>
+{
+   return {
+      login: org.login,
+      id: org.id,
+      avatar_url: org.avatar_url || '',
+      description: org.description || '',
+      html_url: `${mock._hostUrlPrefix}${org.login}`,
+      type: 'Organization'
+   };
+};
+
+/**
+ * Slices a list response to the requested page and adds a `Link` header with `first`, `prev`, `next` and `last`
+ * relations as appropriate. The default page size is `30` and the maximum page size is `100`.
+ *
+ * @param {object}               result - The list response to paginate.
+ * @param {http.IncomingMessage} request - The HTTP request.
+ * @param {object}               parsedURL - The parsed request URL.
+ */
+const s_PAGINATE = (result, request, parsedURL) =>
+{
+   const perPage = Math.min(Math.max(parseInt(parsedURL.query.per_page, 10) || 30, 1), 100);
+   const page = Math.max(parseInt(parsedURL.query.page, 10) || 1, 1);
+   const lastPage = Math.max(Math.ceil(result.body.length / perPage), 1);
+
+   result.body = result.body.slice((page - 1) * perPage, page * perPage);
+
+   if (lastPage === 1) { return; }
+
+   const pageURL = (pageNumber) =>
+   {
+      const query = querystring.stringify(Object.assign({}, parsedURL.query, { page: pageNumber, per_page: perPage }));
+
+      return `<http://${request.headers.host}${parsedURL.pathname}?${query}>`;
+   };
+
+   const links = [];
+
+   if (page < lastPage)
+   {
+      links.push(`${pageURL(page + 1)}; rel="next"`);
+      links.push(`${pageURL(lastPage)}; rel="last"`);
+   }
+
+   if (page > 1)
+   {
+      links.push(`${pageURL(1)}; rel="first"`);
+      links.push(`${pageURL(page - 1)}; rel="prev"`);
+   }
+
+   result.headers = Object.assign({}, result.headers, { link: links.join(', ') });
+};
+
+/**
+ * Creates the GitHub API JSON for a repo. Any fields of the seed repo are returned along with generated URL fields
+ * that are not provided by the seed.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {object}            owner - Seed organization or user owning the repo.
+ * @param {object}            repo - Seed repo.
+ *
+ * @returns {object}
+ */
+const s_REPO_JSON = (mock, owner, repo) =>
+{
+   const fullName = `${owner.login}/${repo.name}`;
+   const hostURL = url.parse(mock._hostUrlPrefix);
+
+   const repoJSON =
+   {
+      'name': repo.name,
+      'full_name': fullName,
+      'owner': typeof mock._data.orgs[owner.login] !== 'undefined' ? s_ORG_JSON(mock, owner) :
+       s_USER_JSON(mock, owner.login),
+      'private': false,
+      'html_url': `${mock._hostUrlPrefix}${fullName}`,
+      'description': '',
+      'fork': false,
+      'git_url': `git://${hostURL.host}/${fullName}.git`,
+      'ssh_url': `git@${hostURL.host}:${fullName}.git`,
+      'clone_url': `${mock._hostUrlPrefix}${fullName}.git`,
+      'stargazers_count': Array.isArray(repo.stargazers) ? repo.stargazers.length : 0,
+      'watchers_count': Array.isArray(repo.watchers) ? repo.watchers.length : 0,
+      'default_branch': 'master'
+   };
+
+   const fieldNames = Object.keys(repo);
+
+   for (let cntr = 0; cntr < fieldNames.length; cntr++)
+   {
+      const fieldName = fieldNames[cntr];
+
+      if (s_SEED_ONLY_REPO_FIELDS.indexOf(fieldName) < 0) { repoJSON[fieldName] = repo[fieldName]; }
+   }
+
+   return repoJSON;
+};
+
+/**
+ * Creates the GitHub API JSON for a team.
+ *
+ * @param {object}   team - Seed team.
+ *
+ * @returns {object}
+ */
+const s_TEAM_JSON = (team) =>
+{
+   return {
+      name: team.name,
+      id: team.id,
+      slug: team.slug || team.name,
+      description: team.description || '',
+      privacy: team.privacy || 'closed',
+      permission: team.permission || 'pull'
+   };
+};
+
+/**
+ * Removes any trailing `/` from a path prefix and ensures a leading `/` unless the path prefix is empty.
+ *
+ * @param {string}   pathPrefix - Path prefix to trim.
+ *
+ * @returns {string}
+ */
+const s_TRIM_PATH = (pathPrefix) =>
+{
+   const trimmed = typeof pathPrefix === 'string' ? pathPrefix.replace(/\/+$/, '') : '';
+
+   return trimmed === '' || trimmed[0] === '/' ? trimmed : `/${trimmed}`;
+};
+
+/**
+ * Creates the GitHub API JSON for a user. Unknown users are returned with an ID of `-1`.
+ *
+ * @param {GitHubMockServer}  mock - The mock server.
+ * @param {string}            login - User name.
+ *
+ * @returns {object}
+ */
+const s_USER_JSON = (mock, login) =>
+{
+   const user = mock._data.users[login] || { login, id: -1 };
+
+   return {
+      login: user.login,
+      id: user.id,
+      avatar_url: user.avatar_url || '',
+      html_url: `${mock._hostUrlPrefix}${user.login}`,
+      type: 'User',
+      site_admin: false
+   };
+};
+
+/**
+ * Writes a handler response. Object bodies are sent as JSON and every API response receives a `Status` header along
+ * with the `X-RateLimit-*` headers of the requesting credential.
+ *
+ * @param {http.ServerResponse}  response - The HTTP response.
+ * @param {object}               result - The handler response containing `statusCode`, `body` and `headers`.
+ * @param {object}               rateLimit - Optional rate limit state of the requesting credential.
+ */
+const s_WRITE_RESPONSE = (response, result, rateLimit) =>
+{
+   const headers = { status: `${result.statusCode} ${http.STATUS_CODES[result.statusCode]}` };
+
+   if (typeof rateLimit === 'object')
+   {
+      headers['x-ratelimit-limit'] = `${rateLimit.limit}`;
+      headers['x-ratelimit-remaining'] = `${rateLimit.remaining}`;
+      headers['x-ratelimit-reset'] = `${rateLimit.reset}`;
+   }
+
+   let body = '';
+
+   // `204 No Content` responses do not have a body or content type.
+   if (typeof result.body !== 'undefined')
+   {
+      headers['content-type'] = 'application/json; charset=utf-8';
+      body = typeof result.body === 'string' ? result.body : JSON.stringify(result.body);
+   }
+
+   Object.assign(headers, result.headers);
+
+   response.writeHead(result.statusCode, headers);
+   response.end(body);
+};
+
+/**
+ * Defines all API routes. The routes are defined last as each route references its handler.
+ *
+ * @type {Array<object>}
+ */
+const s_ROUTES =
+[
+   s_CREATE_ROUTE('GET', '/orgs/:org', s_HANDLE_ORG),
+   s_CREATE_ROUTE('GET', '/orgs/:org/members', s_HANDLE_ORG_MEMBERS),
+   s_CREATE_ROUTE('GET', '/orgs/:org/members/:user', s_HANDLE_ORG_MEMBER),
+   s_CREATE_ROUTE('GET', '/orgs/:org/repos', s_HANDLE_ORG_REPOS),
+   s_CREATE_ROUTE('GET', '/orgs/:org/teams', s_HANDLE_ORG_TEAMS),
+   s_CREATE_ROUTE('GET', '/rate_limit', s_HANDLE_RATE_LIMIT, { rateLimited: false }),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo', s_HANDLE_REPO),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo/branches', s_HANDLE_REPO_BRANCHES),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo/branches/:branch/protection', s_HANDLE_REPO_BRANCH_PROTECTION,
+    { paginated: false }),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo/collaborators', s_HANDLE_REPO_COLLABORATORS),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo/compare/:basehead', s_HANDLE_REPO_COMPARE, { paginated: false }),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo/contributors', s_HANDLE_REPO_CONTRIBUTORS),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo/issues', s_HANDLE_REPO_ISSUES),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo/pulls', s_HANDLE_REPO_PULLS),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo/releases', s_HANDLE_REPO_RELEASES),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo/stargazers', s_HANDLE_REPO_STARGAZERS),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo/stats/:category', s_HANDLE_REPO_STATS, { paginated: false }),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo/subscribers', s_HANDLE_REPO_WATCHERS),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo/tags', s_HANDLE_REPO_TAGS),
+   s_CREATE_ROUTE('GET', '/repos/:owner/:repo/watchers', s_HANDLE_REPO_WATCHERS),
+   s_CREATE_ROUTE('GET', '/teams/:id', s_HANDLE_TEAM),
+   s_CREATE_ROUTE('GET', '/teams/:id/members', s_HANDLE_TEAM_MEMBERS),
+   s_CREATE_ROUTE('GET', '/teams/:id/members/:user', s_HANDLE_TEAM_MEMBER),
+   s_CREATE_ROUTE('GET', '/teams/:id/repos', s_HANDLE_TEAM_REPOS),
+   s_CREATE_ROUTE('GET', '/user', s_HANDLE_USER),
+   s_CREATE_ROUTE('GET', '/user/orgs', s_HANDLE_USER_ORGS),
+   s_CREATE_ROUTE('GET', '/users/:user', s_HANDLE_USERS),
+   s_CREATE_ROUTE('GET', '/users/:user/orgs', s_HANDLE_USERS_ORGS),
+   s_CREATE_ROUTE('GET', '/users/:user/repos', s_HANDLE_USERS_REPOS)
+];
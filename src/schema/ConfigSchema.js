@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Defines the JSON Schema of the `GitHubInspectOrgs` configuration loaded by `GitHubInspectOrgs.fromConfig`. Options
+ * which are not serializable (`cache`, `fieldExtensions`, `logger`, `normalizers` and `transport`) are only
+ * available from JS configuration files.
+ *
+ * @type {object}
+ */
+const ConfigSchema =
+{
+   $schema: 'http://json-schema.org/draft-04/schema#',
+   id: 'typhonjs-github-inspect-orgs/config',
+   title: 'GitHubInspectOrgs configuration',
+   type: 'object',
+   required: ['organizations'],
+   additionalProperties: false,
+   properties:
+   {
+      cache: { type: 'object' },
+      concurrency: { type: 'integer', minimum: 0 },
+      debug: { type: 'boolean' },
+      fieldExtensions: { type: 'object' },
+      host: { type: 'string', minLength: 1 },
+      hostUrlPrefix: { type: 'string' },
+      logger: { type: 'object' },
+      maxPages: { type: 'integer', minimum: 0 },
+      normalizers: { type: 'object' },
+      onRateLimit: { 'type': 'string', 'enum': ['wait', 'fail'] },
+      organizations: { type: 'array', minItems: 1, items: { $ref: '#/definitions/organization' } },
+      pathPrefix: { type: 'string' },
+      perPage: { type: 'integer', minimum: 1, maximum: 100 },
+      protocol: { 'type': 'string', 'enum': ['http', 'https'] },
+      raw: { type: 'boolean' },
+      rawUrlPrefix: { type: 'string' },
+      statsBackoff: { type: 'integer', minimum: 0 },
+      statsMaxAttempts: { type: 'integer', minimum: 1 },
+      timeout: { type: 'integer', minimum: 0 },
+      transport: { type: 'object' },
+      ['user-agent']: { type: 'string' },
+      verbose: { type: 'boolean' }
+   },
+   definitions:
+   {
+      organization:
+      {
+         type: 'object',
+         required: ['credential', 'owner'],
+         additionalProperties: false,
+         properties:
+         {
+            credential: { type: 'string', minLength: 1 },
+            owner: { type: 'string', minLength: 1 },
+            regex: { type: 'string' },
+            orgs: { type: 'array', items: { type: 'string', minLength: 1 } },
+            userOrgs: { type: 'boolean' },
+            users: { type: 'array', items: { type: 'string', minLength: 1 } }
+         }
+      }
+   }
+};
+
+export default ConfigSchema;
@@ -0,0 +1,322 @@
+'use strict';
+
+/**
+ * Defines the JSON Schema definitions of every normalized record type produced by `GitHubNormalize`. The schema of a
+ * category chain returned by `GitHubNormalize.getSchema` references these definitions; IE `#/definitions/repo`.
+ *
+ * Records may contain additional fields, so required fields are guaranteed while new fields can be added without
+ * breaking validation. Nested categories (IE `repos` of an org in the `orgs:repos` chain) are added to the record
+ * schema of the parent category by `GitHubNormalize.getSchema`.
+ *
+ * @type {object}
+ */
+const NormalizedSchema =
+{
+   $schema: 'http://json-schema.org/draft-04/schema#',
+   id: 'typhonjs-github-inspect-orgs/normalized',
+   title: 'GitHubInspectOrgs normalized records',
+   definitions:
+   {
+      access:
+      {
+         type: 'object',
+         required: ['name', 'id', 'url', 'avatar_url', 'affiliation', 'repos'],
+         properties:
+         {
+            name: { type: 'string' },
+            id: { type: 'integer' },
+            url: { type: 'string' },
+            avatar_url: { type: 'string' },
+            affiliation: { 'type': 'string', 'enum': ['owner', 'member', 'outside'] },
+            repos:
+            {
+               type: 'array',
+               items:
+               {
+                  type: 'object',
+                  required: ['name', 'permission'],
+                  properties:
+                  {
+                     name: { type: 'string' },
+                     permission: { 'type': 'string', 'enum': ['admin', 'push', 'pull'] }
+                  }
+               }
+            }
+         }
+      },
+
+      admin:
+      {
+         type: 'object',
+         required: ['name', 'id', 'url', 'avatar_url', 'repos'],
+         properties:
+         {
+            name: { type: 'string' },
+            id: { type: 'integer' },
+            url: { type: 'string' },
+            avatar_url: { type: 'string' },
+            repos: { type: 'array', items: { type: 'string' } }
+         }
+      },
+
+      collaborator:
+      {
+         type: 'object',
+         required: ['name', 'id', 'url', 'avatar_url'],
+         properties:
+         {
+            name: { type: 'string' },
+            id: { type: 'integer' },
+            url: { type: 'string' },
+            avatar_url: { type: 'string' },
+            permission: { 'type': 'string', 'enum': ['admin', 'push', 'pull'] }
+         }
+      },
+
+      issue:
+      {
+         type: 'object',
+         required: ['number', 'title', 'url', 'repo', 'state', 'user', 'labels', 'assignees', 'comments',
+          'created_at', 'updated_at', 'closed_at'],
+         properties:
+         {
+            number: { type: 'integer' },
+            title: { type: 'string' },
+            url: { type: 'string' },
+            repo: { type: 'string' },
+            state: { type: 'string' },
+            user: { $ref: '#/definitions/user' },
+            labels: { type: 'array', items: { type: 'string' } },
+            assignees: { type: 'array', items: { type: 'string' } },
+            comments: { type: 'integer', minimum: 0 },
+            created_at: { type: 'string' },
+            updated_at: { type: 'string' },
+            closed_at: { type: 'string' }
+         }
+      },
+
+      org:
+      {
+         type: 'object',
+         required: ['name', 'id', 'url', 'avatar_url', 'description'],
+         properties:
+         {
+            name: { type: 'string' },
+            id: { type: 'integer' },
+            url: { type: 'string' },
+            avatar_url: { type: 'string' },
+            description: { type: 'string' },
+            is_user: { type: 'boolean' }
+         }
+      },
+
+      owner:
+      {
+         type: 'object',
+         required: ['name', 'url'],
+         properties:
+         {
+            name: { type: 'string' },
+            url: { type: 'string' }
+         }
+      },
+
+      protection:
+      {
+         type: 'object',
+         required: ['branch', 'is_default', 'protected', 'requires_reviews', 'required_review_count',
+          'dismisses_stale_reviews', 'requires_status_checks', 'status_checks', 'strict_status_checks',
+          'enforces_admins', 'pass'],
+         properties:
+         {
+            'branch': { type: 'string' },
+            'is_default': { type: 'boolean' },
+            'protected': { type: 'boolean' },
+            'requires_reviews': { type: 'boolean' },
+            'required_review_count': { type: 'integer', minimum: 0 },
+            'dismisses_stale_reviews': { type: 'boolean' },
+            'requires_status_checks': { type: 'boolean' },
+            'status_checks': { type: 'array', items: { type: 'string' } },
+            'strict_status_checks': { type: 'boolean' },
+            'enforces_admins': { type: 'boolean' },
+            'pass': { type: 'boolean' }
+         }
+      },
+
+      pull:
+      {
+         type: 'object',
+         required: ['number', 'title', 'url', 'repo', 'state', 'user', 'labels', 'assignees', 'head', 'base',
+          'merged', 'created_at', 'updated_at', 'closed_at', 'merged_at'],
+         properties:
+         {
+            number: { type: 'integer' },
+            title: { type: 'string' },
+            url: { type: 'string' },
+            repo: { type: 'string' },
+            state: { type: 'string' },
+            user: { $ref: '#/definitions/user' },
+            labels: { type: 'array', items: { type: 'string' } },
+            assignees: { type: 'array', items: { type: 'string' } },
+            head: { type: 'string' },
+            base: { type: 'string' },
+            merged: { type: 'boolean' },
+            created_at: { type: 'string' },
+            updated_at: { type: 'string' },
+            closed_at: { type: 'string' },
+            merged_at: { type: 'string' }
+         }
+      },
+
+      ratelimit:
+      {
+         type: 'object',
+         required: ['core', 'search'],
+         properties:
+         {
+            core: { $ref: '#/definitions/ratelimitResource' },
+            search: { $ref: '#/definitions/ratelimitResource' }
+         }
+      },
+
+      ratelimitResource:
+      {
+         type: 'object',
+         required: ['limit', 'remaining', 'reset'],
+         properties:
+         {
+            limit: { type: 'integer', minimum: 0 },
+            remaining: { type: 'integer', minimum: 0 },
+            reset: { type: 'integer', minimum: 0 }
+         }
+      },
+
+      release:
+      {
+         type: 'object',
+         required: ['name', 'id', 'tag', 'url', 'draft', 'prerelease', 'latest', 'author', 'created_at',
+          'published_at'],
+         properties:
+         {
+            name: { type: 'string' },
+            id: { type: 'integer' },
+            tag: { type: 'string' },
+            url: { type: 'string' },
+            draft: { type: 'boolean' },
+            prerelease: { type: 'boolean' },
+            latest: { type: 'boolean' },
+            author: { $ref: '#/definitions/user' },
+            created_at: { type: 'string' },
+            published_at: { type: 'string' },
+            ahead_by: { type: 'integer', minimum: 0 }
+         }
+      },
+
+      repo:
+      {
+         type: 'object',
+         required: ['name', 'full_name', 'id', 'url', 'description', 'private', 'repo_files', 'fork', 'created_at',
+          'updated_at', 'pushed_at', 'git_url', 'ssh_url', 'clone_url', 'stargazers_count', 'watchers_count',
+          'default_branch'],
+         properties:
+         {
+            'name': { type: 'string' },
+            'full_name': { type: 'string' },
+            'id': { type: 'integer' },
+            'url': { type: 'string' },
+            'description': { type: 'string' },
+            'private': { type: 'boolean' },
+            'repo_files': { type: 'object', additionalProperties: { $ref: '#/definitions/repoFile' } },
+            'fork': { type: 'boolean' },
+            'created_at': { type: 'string' },
+            'updated_at': { type: 'string' },
+            'pushed_at': { type: 'string' },
+            'git_url': { type: 'string' },
+            'ssh_url': { type: 'string' },
+            'clone_url': { type: 'string' },
+            'stargazers_count': { type: 'integer', minimum: 0 },
+            'watchers_count': { type: 'integer', minimum: 0 },
+            'default_branch': { type: 'string' },
+            'tags': { type: 'array', items: { $ref: '#/definitions/tag' } }
+         }
+      },
+
+      repoFile:
+      {
+         type: 'object',
+         required: ['statusCode', 'body'],
+         properties:
+         {
+            statusCode: { type: 'integer' },
+            body: { type: 'string' }
+         }
+      },
+
+      stats:
+      {
+         type: 'object',
+         properties:
+         {
+            _resultsPending: { type: 'boolean' },
+            codeFrequency: { type: 'array', items: { type: 'array', items: { type: 'integer' } } },
+            commitActivity: { type: 'array', items: { type: 'object' } },
+            participation: { type: 'object' },
+            punchCard: { type: 'array', items: { type: 'array', items: { type: 'integer' } } },
+
+            // Contributors remain an object while GitHub generates the statistics.
+            contributors:
+            {
+               type: ['array', 'object'],
+               items:
+               {
+                  type: 'object',
+                  properties: { author: { $ref: '#/definitions/user' } }
+               }
+            },
+
+            stargazers: { type: 'array', items: { $ref: '#/definitions/user' } },
+            watchers: { type: 'array', items: { $ref: '#/definitions/user' } }
+         }
+      },
+
+      tag:
+      {
+         type: 'object',
+         required: ['name', 'sha'],
+         properties:
+         {
+            name: { type: 'string' },
+            sha: { type: 'string' }
+         }
+      },
+
+      team:
+      {
+         type: 'object',
+         required: ['name', 'id', 'privacy', 'permission', 'description'],
+         properties:
+         {
+            name: { type: 'string' },
+            id: { type: 'integer' },
+            privacy: { type: 'string' },
+            permission: { type: 'string' },
+            description: { type: 'string' }
+         }
+      },
+
+      user:
+      {
+         type: 'object',
+         required: ['name', 'id', 'url', 'avatar_url'],
+         properties:
+         {
+            name: { type: 'string' },
+            id: { type: 'integer' },
+            url: { type: 'string' },
+            avatar_url: { type: 'string' }
+         }
+      }
+   }
+};
+
+export default NormalizedSchema;
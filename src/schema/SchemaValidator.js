@@ -0,0 +1,257 @@
+'use strict';
+
+/**
+ * SchemaValidator -- Validates data against a JSON Schema (http://json-schema.org/) supporting the subset of keywords
+ * used by the schemas of `typhonjs-github-inspect-orgs`:
+ * ```
+ * $ref, additionalProperties, anyOf, enum, items, maximum, minimum, minItems, minLength, properties, required, type
+ * ```
+ *
+ * `$ref` only resolves local references of the root schema; IE `#/definitions/org`. Besides the JSON types `type`
+ * accepts 'function' for configuration values which are not serializable; IE a logger function.
+ *
+ * Each error is a string prefixed by the path of the invalid value; IE `organizations[0].credential: is not a
+ * 'string'.`
+ */
+export default class SchemaValidator
+{
+   /**
+    * Validates data against a JSON Schema.
+    *
+    * @param {object}   schema - A JSON Schema.
+    * @param {*}        data - The data to validate.
+    * @param {string}   [rootPath=''] - The path prefixed to errors.
+    *
+    * @returns {Array<string>} - The validation errors; empty when the data is valid.
+    */
+   static validate(schema, data, rootPath = '')
+   {
+      /* istanbul ignore if */
+      if (typeof schema !== 'object' || schema === null)
+      {
+         throw new TypeError(`validate error: 'schema' is not an 'object'.`);
+      }
+
+      const errors = [];
+
+      s_VALIDATE(schema, schema, data, rootPath, errors);
+
+      return errors;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns the JSON type of a value.
+ *
+ * @param {*}  value - A value.
+ *
+ * @returns {string}
+ */
+const s_GET_TYPE = (value) =>
+{
+   if (value === null) { return 'null'; }
+   if (Array.isArray(value)) { return 'array'; }
+   if (value instanceof RegExp) { return 'regexp'; }
+   if (value instanceof Date) { return 'date'; }
+
+   return typeof value;
+};
+
+/**
+ * Returns true if a value matches a JSON type.
+ *
+ * @param {*}        value - A value.
+ * @param {string}   type - A JSON type.
+ *
+ * @returns {boolean}
+ */
+const s_IS_TYPE = (value, type) =>
+{
+   const valueType = s_GET_TYPE(value);
+
+   switch (type)
+   {
+      case 'integer':
+         return Number.isInteger(value);
+
+      case 'number':
+         return valueType === 'number' && Number.isFinite(value);
+
+      default:
+         return valueType === type;
+   }
+};
+
+/**
+ * Joins a property to a path.
+ *
+ * @param {string}         path - The path of the parent value.
+ * @param {string|number}  key - A property name or array index.
+ *
+ * @returns {string}
+ */
+const s_JOIN_PATH = (path, key) =>
+{
+   if (typeof key === 'number') { return `${path}[${key}]`; }
+
+   return path === '' ? key : `${path}.${key}`;
+};
+
+/**
+ * Resolves a local `$ref` of the root schema.
+ *
+ * @param {object}   rootSchema - The root schema.
+ * @param {string}   ref - A local reference; IE `#/definitions/org`.
+ *
+ * @returns {object}
+ */
+const s_RESOLVE_REF = (rootSchema, ref) =>
+{
+   /* istanbul ignore if */
+   if (typeof ref !== 'string' || !ref.startsWith('#'))
+   {
+      throw new TypeError(`validate error: '$ref' is not a local reference: ${ref}`);
+   }
+
+   let schema = rootSchema;
+
+   const keys = ref.substring(1).split('/').filter((key) => { return key !== ''; });
+
+   for (let cntr = 0; cntr < keys.length; cntr++)
+   {
+      schema = typeof schema === 'object' && schema !== null ? schema[keys[cntr]] : void 0;
+   }
+
+   /* istanbul ignore if */
+   if (typeof schema !== 'object' || schema === null)
+   {
+      throw new TypeError(`validate error: '$ref' could not be resolved: ${ref}`);
+   }
+
+   return schema;
+};
+
+/**
+ * Validates a value against a schema adding errors to `errors`.
+ *
+ * @param {object}         rootSchema - The root schema resolving `$ref`.
+ * @param {object}         schema - The schema of the value.
+ * @param {*}              value - The value to validate.
+ * @param {string}         path - The path of the value.
+ * @param {Array<string>}  errors - The validation errors.
+ */
+const s_VALIDATE = (rootSchema, schema, value, path, errors) =>
+{
+   if (typeof schema.$ref === 'string')
+   {
+      s_VALIDATE(rootSchema, s_RESOLVE_REF(rootSchema, schema.$ref), value, path, errors);
+      return;
+   }
+
+   const prefix = path === '' ? '' : `${path}: `;
+
+   if (typeof schema.type !== 'undefined')
+   {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+      if (!types.some((type) => { return s_IS_TYPE(value, type); }))
+      {
+         errors.push(`${prefix}is not ${types.map((type) =>
+         {
+            return `${(/^[aeiou]/).test(type) ? 'an' : 'a'} '${type}'`;
+         }).join(' or ')}.`);
+         return;
+      }
+   }
+
+   if (Array.isArray(schema.enum) && schema.enum.indexOf(value) < 0)
+   {
+      errors.push(`${prefix}is not one of ${schema.enum.map((entry) => { return `'${entry}'`; }).join(', ')}.`);
+   }
+
+   if (Array.isArray(schema.anyOf))
+   {
+      const anyErrors = schema.anyOf.map((anySchema) =>
+      {
+         const schemaErrors = [];
+         s_VALIDATE(rootSchema, anySchema, value, path, schemaErrors);
+         return schemaErrors;
+      });
+
+      // Reports the errors of the closest schema.
+      if (anyErrors.every((schemaErrors) => { return schemaErrors.length > 0; }))
+      {
+         anyErrors.sort((a, b) => { return a.length - b.length; });
+         errors.push(...anyErrors[0]);
+      }
+   }
+
+   if (typeof value === 'number')
+   {
+      if (typeof schema.minimum === 'number' && value < schema.minimum)
+      {
+         errors.push(`${prefix}is less than ${schema.minimum}.`);
+      }
+
+      if (typeof schema.maximum === 'number' && value > schema.maximum)
+      {
+         errors.push(`${prefix}is greater than ${schema.maximum}.`);
+      }
+   }
+
+   if (typeof value === 'string' && typeof schema.minLength === 'number' && value.length < schema.minLength)
+   {
+      errors.push(`${prefix}is shorter than ${schema.minLength} characters.`);
+   }
+
+   if (Array.isArray(value))
+   {
+      if (typeof schema.minItems === 'number' && value.length < schema.minItems)
+      {
+         errors.push(`${prefix}has fewer than ${schema.minItems} items.`);
+      }
+
+      if (typeof schema.items === 'object')
+      {
+         for (let cntr = 0; cntr < value.length; cntr++)
+         {
+            s_VALIDATE(rootSchema, schema.items, value[cntr], s_JOIN_PATH(path, cntr), errors);
+         }
+      }
+   }
+
+   if (s_GET_TYPE(value) === 'object')
+   {
+      const properties = typeof schema.properties === 'object' ? schema.properties : {};
+
+      if (Array.isArray(schema.required))
+      {
+         for (let cntr = 0; cntr < schema.required.length; cntr++)
+         {
+            const key = schema.required[cntr];
+
+            if (typeof value[key] === 'undefined') { errors.push(`${s_JOIN_PATH(path, key)}: is required.`); }
+         }
+      }
+
+      for (const key in value)
+      {
+         if (!value.hasOwnProperty(key) || typeof value[key] === 'undefined') { continue; }
+
+         if (properties.hasOwnProperty(key))
+         {
+            s_VALIDATE(rootSchema, properties[key], value[key], s_JOIN_PATH(path, key), errors);
+         }
+         else if (schema.additionalProperties === false)
+         {
+            errors.push(`${s_JOIN_PATH(path, key)}: is not a supported property.`);
+         }
+         else if (typeof schema.additionalProperties === 'object')
+         {
+            s_VALIDATE(rootSchema, schema.additionalProperties, value[key], s_JOIN_PATH(path, key), errors);
+         }
+      }
+   }
+};
@@ -0,0 +1,256 @@
+'use strict';
+
+import crypto   from 'crypto';
+import fs       from 'fs';
+import url      from 'url';
+
+/**
+ * Cassette -- Stores request / response pairs recorded by `RecordTransport` and served back by `ReplayTransport`.
+ *
+ * A cassette is a JSON file containing an `interactions` array. Each interaction is an object hash containing a
+ * `request` (`method`, `url`, `auth`) and a `response` (`statusCode`, `headers`, `body`). Credentials are never
+ * written to a cassette. Any `access_token`, `client_id` or `client_secret` query parameters are removed from the URL
+ * and the `Authorization` header is replaced by `auth` which is the alias of the credential provided in `aliases`. If
+ * a credential has no alias a truncated SHA-256 hash of the credential is stored instead. Providing aliases allows
+ * a cassette recorded with real credentials to be replayed with placeholder credentials that share the same aliases.
+ *
+ * When the same request is recorded more than once the responses are served back in recorded order and the last
+ * response is repeated once all responses have been served.
+ */
+export default class Cassette
+{
+   /**
+    * Creates a cassette for the given file path.
+    *
+    * @param {string}   filePath - The file path of the cassette JSON file.
+    * @param {object}   aliases - An optional hash of credential (token or `username:password`) to alias name.
+    */
+   constructor(filePath, aliases = {})
+   {
+      /* istanbul ignore if */
+      if (typeof filePath !== 'string') { throw new TypeError(`ctor error: 'filePath' is not a 'string'.`); }
+
+      /* istanbul ignore if */
+      if (typeof aliases !== 'object') { throw new TypeError(`ctor error: 'aliases' is not an 'object'.`); }
+
+      /**
+       * The file path of the cassette JSON file.
+       *
+       * @type {string}
+       * @private
+       */
+      this._filePath = filePath;
+
+      /**
+       * A hash of credential to alias name.
+       *
+       * @type {object}
+       * @private
+       */
+      this._aliases = aliases;
+
+      /**
+       * All recorded interactions.
+       *
+       * @type {Array<object>}
+       * @private
+       */
+      this._interactions = [];
+
+      /**
+       * Tracks the amount of times each interaction key has been played back.
+       *
+       * @type {object}
+       * @private
+       */
+      this._playCounts = {};
+   }
+
+   /**
+    * Returns the recorded interactions.
+    *
+    * @returns {Array<object>}
+    */
+   get interactions()
+   {
+      return this._interactions;
+   }
+
+   /**
+    * Returns true if the cassette file exists.
+    *
+    * @returns {boolean}
+    */
+   exists()
+   {
+      try
+      {
+         fs.accessSync(this._filePath, fs.R_OK);
+         return true;
+      }
+      catch (err)
+      {
+         return false;
+      }
+   }
+
+   /**
+    * Loads all interactions from the cassette file.
+    *
+    * @returns {Cassette}
+    */
+   load()
+   {
+      const data = JSON.parse(fs.readFileSync(this._filePath, 'utf-8'));
+
+      /* istanbul ignore if */
+      if (!Array.isArray(data.interactions))
+      {
+         throw new TypeError(`load error: 'interactions' is not an 'array' in cassette: ${this._filePath}`);
+      }
+
+      this._interactions = data.interactions;
+      this._playCounts = {};
+
+      return this;
+   }
+
+   /**
+    * Returns the next recorded response for the given request options or undefined if no response is recorded.
+    *
+    * @param {object}   requestOptions - A transport request options hash.
+    *
+    * @returns {object|undefined}
+    */
+   playback(requestOptions)
+   {
+      const request = this.serializeRequest(requestOptions);
+      const key = s_GET_KEY(request);
+
+      const responses = [];
+
+      for (let cntr = 0; cntr < this._interactions.length; cntr++)
+      {
+         const interaction = this._interactions[cntr];
+
+         if (s_GET_KEY(interaction.request) === key) { responses.push(interaction.response); }
+      }
+
+      if (responses.length === 0) { return void 0; }
+
+      const playCount = this._playCounts[key] || 0;
+
+      this._playCounts[key] = playCount + 1;
+
+      return responses[Math.min(playCount, responses.length - 1)];
+   }
+
+   /**
+    * Adds an interaction for the given request options and transport response.
+    *
+    * @param {object}   requestOptions - A transport request options hash.
+    * @param {object}   response - A transport response containing `statusCode`, `headers` and `body`.
+    */
+   record(requestOptions, response)
+   {
+      this._interactions.push(
+      {
+         request: this.serializeRequest(requestOptions),
+         response: { statusCode: response.statusCode, headers: response.headers, body: response.body }
+      });
+   }
+
+   /**
+    * Writes all interactions to the cassette file.
+    */
+   save()
+   {
+      fs.writeFileSync(this._filePath, JSON.stringify({ interactions: this._interactions }, null, 1), 'utf-8');
+   }
+
+   /**
+    * Returns the credential free version of a transport request options hash stored in a cassette.
+    *
+    * @param {object}   requestOptions - A transport request options hash.
+    *
+    * @returns {{method: string, url: string, auth: string}}
+    */
+   serializeRequest(requestOptions)
+   {
+      return {
+         method: (requestOptions.method || 'GET').toUpperCase(),
+         url: s_STRIP_URL_CREDENTIALS(requestOptions.url),
+         auth: s_GET_AUTH_ALIAS(requestOptions, this._aliases)
+      };
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns the alias for the credential of a request. The credential is parsed from the `Authorization` header or any
+ * `access_token` query parameter.
+ *
+ * @param {object}   requestOptions - A transport request options hash.
+ * @param {object}   aliases - A hash of credential to alias name.
+ *
+ * @returns {string}
+ */
+const s_GET_AUTH_ALIAS = (requestOptions, aliases) =>
+{
+   let credential;
+
+   const headers = requestOptions.headers || {};
+   const authorization = headers.authorization || headers.Authorization;
+
+   if (typeof authorization === 'string')
+   {
+      const partials = authorization.split(' ');
+
+      credential = partials[0].toLowerCase() === 'basic' ? new Buffer(partials[1], 'base64').toString('utf-8') :
+       partials[1];
+   }
+   else
+   {
+      const query = url.parse(requestOptions.url, true).query;
+
+      if (typeof query.access_token === 'string') { credential = query.access_token; }
+   }
+
+   if (typeof credential === 'undefined') { return 'anonymous'; }
+
+   if (typeof aliases[credential] === 'string') { return aliases[credential]; }
+
+   return `sha256:${crypto.createHash('sha256').update(credential).digest('hex').substr(0, 12)}`;
+};
+
+/**
+ * Returns the key matching recorded requests.
+ *
+ * @param {object}   request - A serialized request.
+ *
+ * @returns {string}
+ */
+const s_GET_KEY = (request) =>
+{
+   return `${request.method} ${request.url} ${request.auth}`;
+};
+
+/**
+ * Removes any credential query parameters from a URL.
+ *
+ * @param {string}   requestURL - URL to strip.
+ *
+ * @returns {string}
+ */
+const s_STRIP_URL_CREDENTIALS = (requestURL) =>
+{
+   const parsedURL = url.parse(requestURL, true);
+
+   delete parsedURL.search;
+   delete parsedURL.query.access_token;
+   delete parsedURL.query.client_id;
+   delete parsedURL.query.client_secret;
+
+   return url.format(parsedURL);
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+import request  from 'request';
+
+/**
+ * HTTPTransport -- The default transport of GitHubInspectOrgs which sends all requests over the network via `request`.
+ *
+ * A transport is any object that provides a `request` method accepting the following request options hash and a
+ * callback invoked with `(err, response)`:
+ * ```
+ * (string)    method - The HTTP method; IE `GET`.
+ * (string)    url - The complete URL of the request.
+ * (object)    headers - The request headers.
+ * (string)    body - Optional request body.
+ * (integer)   timeout - Optional timeout in milliseconds.
+ * ```
+ *
+ * The response passed to the callback is an object hash containing `statusCode`, `headers` and `body` (string).
+ * `err` is only set when no response is received; HTTP error status codes are returned as a response.
+ */
+export default class HTTPTransport
+{
+   /**
+    * Sends a request over the network.
+    *
+    * @param {object}   requestOptions - The request options hash described above.
+    * @param {function} callback - Invoked with `(err, response)`.
+    */
+   request(requestOptions, callback)
+   {
+      /* istanbul ignore if */
+      if (typeof requestOptions !== 'object')
+      {
+         throw new TypeError(`request error: 'requestOptions' is not an 'object'.`);
+      }
+
+      request(
+      {
+         method: requestOptions.method || 'GET',
+         url: requestOptions.url,
+         headers: requestOptions.headers,
+         body: requestOptions.body,
+         timeout: requestOptions.timeout
+      },
+      (err, response, body) =>
+      {
+         /* istanbul ignore if */
+         if (err) { callback(err); }
+         else
+         {
+            callback(null, { statusCode: response.statusCode, headers: response.headers, body });
+         }
+      });
+   }
+}
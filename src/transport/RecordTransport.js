@@ -0,0 +1,146 @@
+'use strict';
+
+import Cassette      from './Cassette.js';
+import HTTPTransport from './HTTPTransport.js';
+
+/**
+ * RecordTransport -- Wraps another transport and records every request / response pair to a cassette which may be
+ * served back by `ReplayTransport`. Recorded pairs are kept in memory and the cassette file is written once by `save`
+ * rather than after each response. Any pairs which are not saved when the process exits are written on exit.
+ *
+ * ```
+ * import GitHubInspectOrgs  from 'typhonjs-github-inspect-orgs';
+ * import RecordTransport    from 'typhonjs-github-inspect-orgs/dist/transport/RecordTransport.js';
+ *
+ * const transport = new RecordTransport(
+ * {
+ *    cassette: './cassette.json',
+ *    aliases: { <GITHUB PUBLIC TOKEN>: 'owner' }
+ * });
+ *
+ * const githubInspect = new GitHubInspectOrgs(
+ * {
+ *    organizations: [{ credential: <GITHUB PUBLIC TOKEN>, owner: 'typhonjs-test', regex: '^test' }],
+ *    transport
+ * });
+ *
+ * githubInspect.getOrgRepos().then(() => { transport.save(); });
+ * ```
+ */
+export default class RecordTransport
+{
+   /**
+    * Creates the cassette to record to.
+    *
+    * @param {object}   options - Defines an object hash of required and optional parameters including the following:
+    * ```
+    * Required:
+    * (string)    cassette - The file path of the cassette JSON file to write.
+    *
+    * Optional:
+    * (object)    aliases - A hash of credential (token or `username:password`) to alias name stored instead of the
+    *                       credential.
+    * (object)    transport - The transport which sends the requests; default (HTTPTransport).
+    * ```
+    */
+   constructor(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`ctor error: 'options' is not an 'object'.`); }
+
+      /* istanbul ignore if */
+      if (typeof options.cassette !== 'string')
+      {
+         throw new TypeError(`ctor error: 'options.cassette' is not a 'string'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.transport !== 'undefined' && typeof options.transport.request !== 'function')
+      {
+         throw new TypeError(`ctor error: 'options.transport' does not have a 'request' function.`);
+      }
+
+      /**
+       * The cassette which stores all recorded interactions.
+       *
+       * @type {Cassette}
+       * @private
+       */
+      this._cassette = new Cassette(options.cassette, options.aliases);
+
+      /**
+       * The transport which sends the requests.
+       *
+       * @type {object}
+       * @private
+       */
+      this._transport = options.transport || new HTTPTransport();
+
+      /**
+       * Indicates that interactions are recorded since the cassette file was last written.
+       *
+       * @type {boolean}
+       * @private
+       */
+      this._unsaved = false;
+
+      /**
+       * Writes unsaved interactions when the process exits; registered while there are unsaved interactions.
+       *
+       * @type {function}
+       * @private
+       */
+      this._saveOnExit = () => { this.save(); };
+   }
+
+   /**
+    * Returns the cassette which stores all recorded interactions.
+    *
+    * @returns {Cassette}
+    */
+   get cassette()
+   {
+      return this._cassette;
+   }
+
+   /**
+    * Sends the request with the wrapped transport and records the response. The cassette file is not written until
+    * `save` is invoked or the process exits.
+    *
+    * @param {object}   requestOptions - A transport request options hash; see `HTTPTransport`.
+    * @param {function} callback - Invoked with `(err, response)`.
+    */
+   request(requestOptions, callback)
+   {
+      this._transport.request(requestOptions, (err, response) =>
+      {
+         /* istanbul ignore else */
+         if (!err)
+         {
+            this._cassette.record(requestOptions, response);
+
+            if (!this._unsaved)
+            {
+               this._unsaved = true;
+               process.once('exit', this._saveOnExit);
+            }
+         }
+
+         callback(err, response);
+      });
+   }
+
+   /**
+    * Writes all recorded interactions to the cassette file. Invoke once recording completes; IE after the last query.
+    */
+   save()
+   {
+      if (this._unsaved)
+      {
+         this._unsaved = false;
+         process.removeListener('exit', this._saveOnExit);
+      }
+
+      this._cassette.save();
+   }
+}
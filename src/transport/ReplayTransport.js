@@ -0,0 +1,91 @@
+'use strict';
+
+import Cassette   from './Cassette.js';
+
+/**
+ * ReplayTransport -- Serves the request / response pairs of a cassette file recorded by `RecordTransport` without
+ * sending any requests over the network. Requests are matched by HTTP method, URL and credential alias. A request that
+ * was not recorded fails with an error.
+ *
+ * ```
+ * import GitHubInspectOrgs  from 'typhonjs-github-inspect-orgs';
+ * import ReplayTransport    from 'typhonjs-github-inspect-orgs/dist/transport/ReplayTransport.js';
+ *
+ * const githubInspect = new GitHubInspectOrgs(
+ * {
+ *    organizations: [{ credential: 'placeholder', owner: 'typhonjs-test', regex: '^test' }],
+ *    transport: new ReplayTransport({ cassette: './cassette.json', aliases: { placeholder: 'owner' } })
+ * });
+ * ```
+ */
+export default class ReplayTransport
+{
+   /**
+    * Loads the cassette to replay.
+    *
+    * @param {object}   options - Defines an object hash of required and optional parameters including the following:
+    * ```
+    * Required:
+    * (string)    cassette - The file path of the cassette JSON file to replay.
+    *
+    * Optional:
+    * (object)    aliases - A hash of credential (token or `username:password`) to the alias name stored when recorded.
+    * ```
+    */
+   constructor(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`ctor error: 'options' is not an 'object'.`); }
+
+      /* istanbul ignore if */
+      if (typeof options.cassette !== 'string')
+      {
+         throw new TypeError(`ctor error: 'options.cassette' is not a 'string'.`);
+      }
+
+      /**
+       * The cassette which stores all recorded interactions.
+       *
+       * @type {Cassette}
+       * @private
+       */
+      this._cassette = new Cassette(options.cassette, options.aliases).load();
+   }
+
+   /**
+    * Returns the cassette which stores all recorded interactions.
+    *
+    * @returns {Cassette}
+    */
+   get cassette()
+   {
+      return this._cassette;
+   }
+
+   /**
+    * Serves the recorded response for the request.
+    *
+    * @param {object}   requestOptions - A transport request options hash; see `HTTPTransport`.
+    * @param {function} callback - Invoked with `(err, response)`.
+    */
+   request(requestOptions, callback)
+   {
+      const response = this._cassette.playback(requestOptions);
+
+      // Always respond asynchronously like a network request.
+      process.nextTick(() =>
+      {
+         if (typeof response === 'undefined')
+         {
+            const request = this._cassette.serializeRequest(requestOptions);
+
+            callback(new Error(`ReplayTransport error: no recorded response for '${request.method} ${request.url}' `
+             + `with credential '${request.auth}'.`));
+         }
+         else
+         {
+            callback(null, { statusCode: response.statusCode, headers: response.headers, body: response.body });
+         }
+      });
+   }
+}
@@ -0,0 +1,172 @@
+'use strict';
+
+import { assert }          from 'chai';
+import fs                  from 'fs';
+import os                  from 'os';
+import path                from 'path';
+
+import GitHubInspectOrgs   from '../../src/GitHubInspectOrgs';
+import FileCache           from '../../src/cache/FileCache';
+import MemoryCache         from '../../src/cache/MemoryCache';
+import GitHubMockServer    from '../../src/mock/GitHubMockServer';
+
+/**
+ * Path of the GitHubMockServer seed.
+ * @type {string}
+ */
+const s_MOCK_SEED_PATH = path.resolve(__dirname, '../fixture/github-mock-seed.json');
+
+/**
+ * This series of tests confirm that `MemoryCache` / `FileCache` store GitHub API responses and that repeated queries
+ * send conditional requests answered with `304 Not Modified` which do not count against the rate limit.
+ *
+ * @test {MemoryCache}
+ * @test {FileCache}
+ */
+describe('Cache', () =>
+{
+   const cacheDirectory = path.join(os.tmpdir(), `typhonjs-github-inspect-orgs-cache-${process.pid}`, 'nested');
+
+   let mockServer;
+
+   before(() =>
+   {
+      mockServer = new GitHubMockServer({ seed: s_MOCK_SEED_PATH });
+
+      return mockServer.start();
+   });
+
+   after(() =>
+   {
+      const parentDirectory = path.dirname(cacheDirectory);
+
+      try
+      {
+         fs.readdirSync(cacheDirectory).forEach((file) => { fs.unlinkSync(path.join(cacheDirectory, file)); });
+         fs.rmdirSync(cacheDirectory);
+         fs.rmdirSync(parentDirectory);
+      }
+      catch (err) { /* ... */ }
+
+      return mockServer.stop();
+   });
+
+   beforeEach(() => { mockServer.reset(); });
+
+   /**
+    * Creates a GitHubInspectOrgs instance pointed at the mock server.
+    *
+    * @param {object}   options - Additional options.
+    *
+    * @returns {GitHubInspectOrgs}
+    */
+   const createInspect = (options = {}) =>
+   {
+      return new GitHubInspectOrgs(mockServer.getInspectOptions(Object.assign(
+      {
+         organizations: [{ credential: 'owner-token', owner: 'typhonjs-test', regex: '^test' }]
+      }, options)));
+   };
+
+   /**
+    * Returns the remaining core rate limit of the owner.
+    *
+    * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+    *
+    * @returns {Promise<number>}
+    */
+   const getRemaining = (githubInspect) =>
+   {
+      return githubInspect.getOwnerRateLimits().then((data) =>
+      {
+         return data.normalized.owners[0].ratelimit[0].core.remaining;
+      });
+   };
+
+   /**
+    * Test that a repeated query with a memory cache returns the same results without counting against the rate limit.
+    */
+   it('getOrgRepos (MemoryCache)', () =>
+   {
+      const cache = new MemoryCache();
+      const events = [];
+
+      const githubInspect = createInspect(
+      {
+         cache,
+         logger: { debug: (event) => { events.push(event); }, error: () => {}, info: () => {}, warn: () => {} }
+      });
+
+      let first, remaining;
+
+      return githubInspect.getOrgRepos().then((data) =>
+      {
+         first = data;
+
+         assert(cache.size > 0);
+
+         return getRemaining(githubInspect);
+      }).then((result) =>
+      {
+         remaining = result;
+         events.length = 0;
+
+         return githubInspect.getOrgRepos();
+      }).then((data) =>
+      {
+         assert(JSON.stringify(data.raw) === JSON.stringify(first.raw));
+         assert(data.normalized.orgs.length === first.normalized.orgs.length);
+
+         // Rate limit checks are never cached.
+         const timings = events.filter((event) =>
+         {
+            return event.type === 'request-timing' && !(/\/rate_limit$/).test(event.endpoint);
+         });
+
+         assert(timings.length > 0);
+         assert(timings.every((event) => { return event.cached && event.status === 304; }));
+
+         return getRemaining(githubInspect);
+      }).then((result) =>
+      {
+         assert(result === remaining);
+      });
+   });
+
+   /**
+    * Test that a file cache is shared by separate GitHubInspectOrgs instances.
+    */
+   it('getOrgs (FileCache)', () =>
+   {
+      let first, remaining;
+
+      return createInspect({ cache: new FileCache({ directory: cacheDirectory }) }).getOrgs().then((data) =>
+      {
+         first = data;
+
+         assert(fs.readdirSync(cacheDirectory).length > 0);
+
+         // Cached entries are only accessible by the current user.
+         const entryPath = path.join(cacheDirectory, fs.readdirSync(cacheDirectory)[0]);
+
+         assert((fs.statSync(path.dirname(cacheDirectory)).mode & 0o777) === 0o700);
+         assert((fs.statSync(cacheDirectory).mode & 0o777) === 0o700);
+         assert((fs.statSync(entryPath).mode & 0o777) === 0o600);
+
+         return getRemaining(createInspect());
+      }).then((result) =>
+      {
+         remaining = result;
+
+         return createInspect({ cache: new FileCache({ directory: cacheDirectory }) }).getOrgs();
+      }).then((data) =>
+      {
+         assert(JSON.stringify(data.normalized.orgs) === JSON.stringify(first.normalized.orgs));
+
+         return getRemaining(createInspect());
+      }).then((result) =>
+      {
+         assert(result === remaining);
+      });
+   });
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+import { assert }          from 'chai';
+import fs                  from 'fs';
+import os                  from 'os';
+import path                from 'path';
+
+import GitHubInspectOrgs   from '../../src/GitHubInspectOrgs';
+import GitHubMockServer    from '../../src/mock/GitHubMockServer';
+
+/**
+ * Path of the GitHubMockServer seed.
+ * @type {string}
+ */
+const s_MOCK_SEED_PATH = path.resolve(__dirname, '../fixture/github-mock-seed.json');
+
+/**
+ * This series of tests confirm that `GitHubInspectOrgs.fromConfig` loads JSON / YAML / JS configuration files,
+ * resolves `${ENV_VAR}` / `file:` references and reports invalid configurations.
+ *
+ * @test {ConfigLoader}
+ */
+describe('ConfigLoader', () =>
+{
+   const configDirectory = path.join(os.tmpdir(), `typhonjs-github-inspect-orgs-config-${process.pid}`);
+
+   let mockServer;
+
+   before(() =>
+   {
+      fs.mkdirSync(configDirectory);
+
+      mockServer = new GitHubMockServer({ seed: s_MOCK_SEED_PATH });
+
+      return mockServer.start();
+   });
+
+   after(() =>
+   {
+      fs.readdirSync(configDirectory).forEach((file) => { fs.unlinkSync(path.join(configDirectory, file)); });
+      fs.rmdirSync(configDirectory);
+
+      return mockServer.stop();
+   });
+
+   /**
+    * Writes a file to the configuration directory.
+    *
+    * @param {string}   fileName - The file name.
+    * @param {string}   data - The file contents.
+    *
+    * @returns {string} - The file path.
+    */
+   const writeFile = (fileName, data) =>
+   {
+      const filePath = path.join(configDirectory, fileName);
+
+      fs.writeFileSync(filePath, data);
+
+      return filePath;
+   };
+
+   /**
+    * Returns the normalized organization names of a GitHubInspectOrgs instance.
+    *
+    * @param {GitHubInspectOrgs} githubInspect - An instance of GitHubInspectOrgs.
+    *
+    * @returns {Promise<string>}
+    */
+   const getOrgNames = (githubInspect) =>
+   {
+      return githubInspect.getOrgs().then((data) =>
+      {
+         return data.normalized.orgs.map((org) => { return org.name; }).join(',');
+      });
+   };
+
+   /**
+    * Test that YAML / JSON / JS configuration files resolve environment variables and credential files.
+    */
+   it('fromConfig (YAML / JSON / JS)', () =>
+   {
+      const inspectOptions = mockServer.getInspectOptions();
+
+      writeFile('token.owner', 'owner-token\n');
+
+      const yamlPath = writeFile('config.yml', [
+         `host: ${inspectOptions.host}`,
+         `protocol: http`,
+         `organizations:`,
+         `  - credential: \${TEST_INSPECT_TOKEN}`,
+         `    owner: typhonjs-test`,
+         `    regex: ^test`
+      ].join('\n'));
+
+      const jsonPath = writeFile('config.json', JSON.stringify(Object.assign(inspectOptions,
+      {
+         organizations: [{ credential: 'file:./token.owner', owner: 'typhonjs-test', orgs: ['test-org-typhonjs2'] }]
+      })));
+
+      const jsPath = writeFile('config.js', `module.exports = ${JSON.stringify(
+      [
+         { credential: 'owner-token', owner: 'typhonjs-test', regex: '^test' }
+      ])};`);
+
+      const env = { TEST_INSPECT_TOKEN: 'owner-token' };
+
+      return Promise.all(
+      [
+         getOrgNames(GitHubInspectOrgs.fromConfig(yamlPath, { env })),
+         getOrgNames(GitHubInspectOrgs.fromConfig(jsonPath)),
+         getOrgNames(GitHubInspectOrgs.fromConfig(Object.assign(mockServer.getInspectOptions(),
+         {
+            organizations: [{ credential: '${TEST_INSPECT_TOKEN}', owner: 'typhonjs-test', regex: '2$' }]
+         }), { env }))
+      ]).then((results) =>
+      {
+         assert.deepEqual(results,
+          ['test-org-typhonjs,test-org-typhonjs2', 'test-org-typhonjs2', 'test-org-typhonjs2']);
+
+         // A JS configuration only containing the organizations array.
+         assert(GitHubInspectOrgs.fromConfig(jsPath).getOwners() instanceof Promise);
+      });
+   });
+
+   /**
+    * Test that invalid configurations throw a `ConfigError` listing every invalid value.
+    */
+   it('fromConfig (errors)', () =>
+   {
+      const getErrors = (config) =>
+      {
+         try { GitHubInspectOrgs.fromConfig(config, { env: {} }); }
+         catch (err)
+         {
+            assert(err.name === 'ConfigError');
+            return err.errors;
+         }
+
+         return null;
+      };
+
+      assert.deepEqual(getErrors({ organizations: [{ owner: 'typhonjs-test', regex: '^test' }], perPage: 200 }),
+      [
+         'organizations[0].credential: is required.',
+         'perPage: is greater than 100.'
+      ]);
+
+      assert.deepEqual(getErrors([{ credential: '${MISSING_TOKEN}', owner: 'typhonjs-test', reggex: '^test' }]),
+      [
+         'organizations[0].credential: environment variable \'MISSING_TOKEN\' is not set.',
+         'organizations[0].credential: is shorter than 1 characters.',
+         'organizations[0].reggex: is not a supported property.'
+      ]);
+
+      assert.deepEqual(getErrors([{ credential: 'file:./missing.token', owner: 'typhonjs-test', orgs: 'test' }]),
+      [
+         `organizations[0].credential: could not read credential file '${path.resolve('./missing.token')}'.`,
+         'organizations[0].orgs: is not an \'array\'.'
+      ]);
+
+      assert.deepEqual(getErrors({ organizations: [{ credential: 'token', owner: 'typhonjs-test' }] }),
+      [
+         'organizations[0]: requires \'regex\', \'orgs\' or \'users\'.'
+      ]);
+
+      assert.throws(() => { GitHubInspectOrgs.fromConfig(writeFile('invalid.json', '{')); }, /could not load/);
+   });
+});
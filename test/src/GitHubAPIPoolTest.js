@@ -0,0 +1,71 @@
+'use strict';
+
+import { assert }          from 'chai';
+
+import GitHubAPIPool       from '../../src/GitHubAPIPool';
+
+/**
+ * This series of tests confirm that GitHubAPIPool isolates authentication state per credential.
+ *
+ * @test {GitHubAPIPool}
+ */
+describe('GitHubAPIPool', () =>
+{
+   const apiOptions =
+   {
+      version: '3.0.0',
+      protocol: 'https',
+      host: 'api.github.com',
+      pathPrefix: '',
+      headers: { 'user-agent': 'typhonjs-github-inspect-orgs' }
+   };
+
+   /**
+    * Test that the same credential resolves the same client.
+    */
+   it('getAPI (same credential)', () =>
+   {
+      const pool = new GitHubAPIPool(apiOptions);
+
+      const github1 = pool.getAPI({ type: 'oauth', token: 'token1' });
+      const github2 = pool.getAPI({ type: 'oauth', token: 'token1' });
+
+      assert(github1 === github2);
+      assert(pool.size === 1);
+   });
+
+   /**
+    * Test that different credentials resolve isolated clients that retain their own authentication.
+    */
+   it('getAPI (different credentials)', () =>
+   {
+      const pool = new GitHubAPIPool(apiOptions);
+
+      const github1 = pool.getAPI({ type: 'oauth', token: 'token1' });
+      const github2 = pool.getAPI({ type: 'oauth', token: 'token2' });
+      const github3 = pool.getAPI({ type: 'basic', username: 'user', password: 'pass' });
+
+      assert(github1 !== github2);
+      assert(github2 !== github3);
+      assert(pool.size === 3);
+
+      assert(github1.auth.token === 'token1');
+      assert(github2.auth.token === 'token2');
+      assert(github3.auth.username === 'user');
+   });
+
+   /**
+    * Test that clients do not share the options hash passed to the GitHub API.
+    */
+   it('getAPI (isolated options)', () =>
+   {
+      const pool = new GitHubAPIPool(apiOptions);
+
+      const github1 = pool.getAPI({ type: 'oauth', token: 'token1' });
+      const github2 = pool.getAPI({ type: 'oauth', token: 'token2' });
+
+      assert(github1.config !== github2.config);
+      assert(github1.config.headers !== github2.config.headers);
+      assert(apiOptions.pathPrefix === '');
+   });
+});
@@ -0,0 +1,203 @@
+'use strict';
+
+import { assert }             from 'chai';
+import fs                     from 'fs';
+import os                     from 'os';
+import path                   from 'path';
+
+import GitHubInspectOrgsCLI   from '../../src/cli/GitHubInspectOrgsCLI';
+import GitHubMockServer       from '../../src/mock/GitHubMockServer';
+
+/**
+ * Path of the GitHubMockServer seed.
+ * @type {string}
+ */
+const s_MOCK_SEED_PATH = path.resolve(__dirname, '../fixture/github-mock-seed.json');
+
+/**
+ * This series of tests confirm that `GitHubInspectOrgsCLI` parses command line arguments, loads the configuration
+ * from a file or environment variables and prints the normalized results of each subcommand.
+ *
+ * @test {GitHubInspectOrgsCLI}
+ */
+describe('GitHubInspectOrgsCLI', () =>
+{
+   const configPath = path.join(os.tmpdir(), `typhonjs-github-inspect-orgs-cli-${process.pid}.json`);
+
+   let mockServer;
+
+   before(() =>
+   {
+      mockServer = new GitHubMockServer({ seed: s_MOCK_SEED_PATH });
+
+      return mockServer.start().then(() =>
+      {
+         fs.writeFileSync(configPath, JSON.stringify(mockServer.getInspectOptions(
+         {
+            organizations: [{ credential: 'owner-token', owner: 'typhonjs-test', regex: '^test' }]
+         })));
+      });
+   });
+
+   after(() =>
+   {
+      try { fs.unlinkSync(configPath); }
+      catch (err) { /* ... */ }
+
+      return mockServer.stop();
+   });
+
+   beforeEach(() => { mockServer.reset(); });
+
+   /**
+    * Runs the CLI collecting the output written to `stdout` and `stderr`.
+    *
+    * @param {Array<string>}  argv - The command line arguments.
+    * @param {object}         env - The environment variables.
+    *
+    * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>}
+    */
+   const runCLI = (argv, env = {}) =>
+   {
+      const output = { stdout: '', stderr: '' };
+
+      const cli = new GitHubInspectOrgsCLI(
+      {
+         env,
+         stdout: { write: (chunk) => { output.stdout += chunk; } },
+         stderr: { write: (chunk) => { output.stderr += chunk; } }
+      });
+
+      return cli.run(argv).then((exitCode) =>
+      {
+         output.exitCode = exitCode;
+         return output;
+      });
+   };
+
+   /**
+    * Test argument parsing.
+    */
+   it('parseArgs', () =>
+   {
+      const parsed = GitHubInspectOrgsCLI.parseArgs(['stats', '-c', 'config.json', '--categories=participation',
+       '--repo-files', 'package.json,README.md', '--format', 'csv', '--verbose']);
+
+      assert(parsed.command === 'stats');
+      assert(parsed.options.config === 'config.json');
+      assert(parsed.options.format === 'csv');
+      assert(parsed.options.verbose === true);
+      assert.deepEqual(parsed.options.categories, ['participation']);
+      assert.deepEqual(parsed.options.repoFiles, ['package.json', 'README.md']);
+
+      assert.throws(() => { GitHubInspectOrgsCLI.parseArgs(['repos', '--unknown']); }, /Unknown option/);
+      assert.throws(() => { GitHubInspectOrgsCLI.parseArgs(['repos', '--format', 'xml']); }, /Unknown format/);
+      assert.throws(() => { GitHubInspectOrgsCLI.parseArgs(['repos', '--config']); }, /requires a value/);
+   });
+
+   /**
+    * Test that the normalized results are printed as JSON.
+    */
+   it('repos (json)', () =>
+   {
+      return runCLI(['repos', '--config', configPath, '--repo-files', 'package.json']).then((output) =>
+      {
+         assert(output.exitCode === 0);
+         assert(output.stderr === '');
+
+         const normalized = JSON.parse(output.stdout);
+
+         assert(normalized.categories === 'orgs:repos');
+         assert(normalized.orgs.length === 2);
+         assert(typeof normalized.orgs[0].repos[0].repo_files['package.json'] === 'object');
+      });
+   });
+
+   /**
+    * Test that the normalized results are printed as a table and CSV with one row for each innermost entry.
+    */
+   it('repos (table / csv)', () =>
+   {
+      return runCLI(['repos', '-c', configPath, '-f', 'table']).then((output) =>
+      {
+         assert(output.exitCode === 0);
+
+         const lines = output.stdout.trim().split('\n');
+
+         assert((/^orgs\.name\s+orgs\.id/).test(lines[0]));
+         assert((/^-+\s+-+/).test(lines[1]));
+         assert(lines.length === 6);
+
+         return runCLI(['repos', '-c', configPath, '-f', 'csv']);
+      }).then((output) =>
+      {
+         assert(output.exitCode === 0);
+
+         const lines = output.stdout.trim().split('\n');
+         const columns = lines[0].split(',');
+
+         assert(columns.indexOf('orgs.name') === 0);
+         assert(columns.indexOf('repos.name') > 0);
+         assert(lines.length === 5);
+         assert(lines[1].split(',')[columns.indexOf('repos.name')] === 'test-repo1');
+      });
+   });
+
+   /**
+    * Test that an organization entry is loaded from environment variables and nested objects are flattened.
+    */
+   it('ratelimit (environment variables)', () =>
+   {
+      const hostConfigPath = configPath.replace(/\.json$/, '-host.json');
+
+      fs.writeFileSync(hostConfigPath, JSON.stringify(mockServer.getInspectOptions()));
+
+      return runCLI(['ratelimit', '-f', 'csv'],
+      {
+         GITHUB_INSPECT_ORGS_CONFIG: hostConfigPath,
+         GITHUB_INSPECT_ORGS_CREDENTIAL: 'owner-token',
+         GITHUB_INSPECT_ORGS_OWNER: 'typhonjs-test',
+         GITHUB_INSPECT_ORGS_REGEX: '^test'
+      }).then((output) =>
+      {
+         fs.unlinkSync(hostConfigPath);
+
+         assert(output.exitCode === 0);
+
+         const lines = output.stdout.trim().split('\n');
+
+         assert(lines[0].split(',').indexOf('ratelimit.core.remaining') >= 0);
+         assert(lines[1].indexOf('typhonjs-test') === 0);
+      });
+   });
+
+   /**
+    * Test that usage and configuration errors set a failing exit code.
+    */
+   it('errors', () =>
+   {
+      return runCLI(['--help']).then((output) =>
+      {
+         assert(output.exitCode === 0);
+         assert(output.stdout.indexOf('Usage: github-inspect-orgs') === 0);
+
+         return runCLI(['unknown', '-c', configPath]);
+      }).then((output) =>
+      {
+         assert(output.exitCode === 1);
+         assert((/Unknown command: 'unknown'/).test(output.stderr));
+
+         return runCLI(['orgs']);
+      }).then((output) =>
+      {
+         assert(output.exitCode === 1);
+         assert((/No organizations configured/).test(output.stderr));
+
+         return runCLI(['user', '-c', configPath, '--credential', 'unknown-token']);
+      }).then((output) =>
+      {
+         assert(output.exitCode === 1);
+         assert((/Authentication failed/).test(output.stderr));
+      });
+   });
+});
@@ -0,0 +1,1158 @@
+'use strict';
+
+import { assert }          from 'chai';
+
+import GitHubInspectOrgs   from '../../src/GitHubInspectOrgs';
+import GitHubMockServer    from '../../src/mock/GitHubMockServer';
+
+/**
+ * This series of tests confirm that GitHubMockServer serves the GitHub API surface queried by GitHubInspectOrgs from a
+ * seed including pagination, a path prefix, authentication, private repos and rate limits.
+ *
+ * @test {GitHubMockServer}
+ */
+describe('GitHubMockServer', () =>
+{
+   let mockServer;
+
+   before(() =>
+   {
+      mockServer = new GitHubMockServer({ seed: s_SEED, pathPrefix: '/api/v3', rateLimit: 50 });
+
+      return mockServer.start();
+   });
+
+   after(() => { return mockServer.stop(); });
+
+   beforeEach(() => { mockServer.reset(); });
+
+   /**
+    * Creates a GitHubInspectOrgs instance pointed at the mock server.
+    *
+    * @param {object}   options - Additional options.
+    *
+    * @returns {GitHubInspectOrgs}
+    */
+   const createInspect = (options = {}) =>
+   {
+      return new GitHubInspectOrgs(mockServer.getInspectOptions(Object.assign(
+      {
+         organizations: [{ credential: 'owner-token', owner: 'mock-owner', regex: '^mock' }]
+      }, options)));
+   };
+
+   /**
+    * Test that list queries walk all pages of the `Link` header served under the path prefix.
+    */
+   it('getOrgRepos (pagination / pathPrefix)', () =>
+   {
+      return createInspect({ perPage: 1 }).getOrgRepos({ repoFiles: ['package.json'] }).then((data) =>
+      {
+         const repos = data.normalized.orgs[0].repos;
+
+         assert(repos.length === 3);
+         assert(repos[0].name === 'mock-private');
+         assert(repos[0].private === true);
+         assert(repos[1].url === 'https://github.com/mock-org/mock-repo1');
+         assert(repos[1].repo_files['package.json'].body === '{"name":"mock-repo1"}');
+         assert(repos[2].repo_files['package.json'].statusCode === 404);
+
+         const repoRequests = mockServer.requests.filter((request) =>
+         {
+            return request.url.indexOf('/api/v3/orgs/mock-org/repos') === 0;
+         });
+
+         assert(repoRequests.length === 3);
+      });
+   });
+
+   /**
+    * Test that `maxPages` caps the pages requested by following the `Link` header and `perPage` sets the page size.
+    */
+   it('getOrgRepos (perPage / maxPages)', () =>
+   {
+      const githubInspect = createInspect({ perPage: 1, maxPages: 2 });
+
+      /**
+       * Returns the URLs of the repo requests of mock-org.
+       *
+       * @returns {Array<string>}
+       */
+      const getRepoURLs = () =>
+      {
+         return mockServer.requests.filter((request) =>
+         {
+            return request.url.indexOf('/api/v3/orgs/mock-org/repos') === 0;
+         }).map((request) => { return request.url; });
+      };
+
+      return githubInspect.getOrgRepos().then((data) =>
+      {
+         // The last page containing mock-private is not requested.
+         assert.deepEqual(data.normalized.orgs[0].repos.map((repo) => { return repo.name; }),
+          ['mock-repo1', 'mock-repo2']);
+
+         assert.deepEqual(getRepoURLs(),
+         [
+            '/api/v3/orgs/mock-org/repos?page=1&per_page=1',
+            '/api/v3/orgs/mock-org/repos?page=2&per_page=1'
+         ]);
+
+         mockServer.reset();
+
+         // The query options override the instance page options; `0` requests all pages.
+         return githubInspect.getOrgRepos({ perPage: 2, maxPages: 0 });
+      }).then((data) =>
+      {
+         assert(data.normalized.orgs[0].repos.length === 3);
+
+         assert.deepEqual(getRepoURLs(),
+         [
+            '/api/v3/orgs/mock-org/repos?page=1&per_page=2',
+            '/api/v3/orgs/mock-org/repos?page=2&per_page=2'
+         ]);
+      });
+   });
+
+   /**
+    * Test that private repos are only served to organization members.
+    */
+   it('getOrgRepos (private repos)', () =>
+   {
+      const githubInspect = createInspect(
+      {
+         organizations: [{ credential: 'outside-token', owner: 'mock-owner', regex: '^mock' }]
+      });
+
+      return githubInspect.getOrgRepos().then((data) =>
+      {
+         const repos = data.normalized.orgs[0].repos;
+
+         assert(repos.length === 2);
+         assert(repos[0].name === 'mock-repo1');
+      });
+   });
+
+   /**
+    * Test that repos skipped due to a failed request are listed in `errors`.
+    */
+   it('getOrgRepoCollaborators (errors)', () =>
+   {
+      const githubInspect = createInspect(
+      {
+         organizations: [{ credential: 'outside-token', owner: 'mock-owner', regex: '^mock' }]
+      });
+
+      return githubInspect.getOrgRepoCollaborators().then((data) =>
+      {
+         assert(data.errors.length === 2);
+
+         const error = data.errors.filter((entry) => { return entry.repo === 'mock-repo1'; })[0];
+
+         assert(error.owner === 'mock-owner');
+         assert(error.org === 'mock-org');
+         assert(error.repo === 'mock-repo1');
+         assert(error.team === null);
+         assert(error.endpoint === 'GET /api/v3/repos/mock-org/mock-repo1/collaborators');
+         assert(error.status === 403);
+         assert(error.message === 'Must have push access to view repository collaborators.');
+      });
+   });
+
+   /**
+    * Test that the logger receives structured skip and request timing events.
+    */
+   it('getOrgRepoCollaborators (logger)', () =>
+   {
+      const logger = new RecordingLogger();
+
+      const githubInspect = createInspect(
+      {
+         logger,
+         organizations: [{ credential: 'outside-token', owner: 'mock-owner', regex: '^mock' }]
+      });
+
+      return githubInspect.getOrgRepoCollaborators().then(() =>
+      {
+         const skips = logger.events.filter((entry) => { return entry.event.type === 'skip'; });
+
+         assert(skips.length === 2);
+         assert(skips[0].level === 'warn');
+
+         const skip = skips.filter((entry) => { return entry.event.repo === 'mock-repo1'; })[0].event;
+
+         assert(skip.owner === 'mock-owner');
+         assert(skip.org === 'mock-org');
+         assert(skip.status === 403);
+         assert(skip.error === 'Must have push access to view repository collaborators.');
+         assert(skip.message === `Skipping repo 'mock-org/mock-repo1' as `
+          + `'GET /api/v3/repos/mock-org/mock-repo1/collaborators' failed with status 403: `
+           + 'Must have push access to view repository collaborators.');
+
+         const timings = logger.events.filter((entry) => { return entry.event.type === 'request-timing'; });
+
+         assert(timings.length === mockServer.requests.length);
+         assert(timings[0].level === 'debug');
+         assert(timings[0].event.status === 200);
+         assert(Number.isInteger(timings[0].event.duration));
+      });
+   });
+
+   /**
+    * Test that requests sent in debug mode are logged as debug events.
+    */
+   it('getOrgs (debug)', () =>
+   {
+      const logger = new RecordingLogger();
+      const githubInspect = createInspect({ debug: true, logger });
+
+      return githubInspect.getOrgs().then(() =>
+      {
+         const requests = logger.events.filter((entry) => { return entry.event.type === 'request'; });
+
+         assert(requests.length === mockServer.requests.length);
+         assert(requests[0].level === 'debug');
+         assert(requests[0].event.endpoint === 'GET /api/v3/rate_limit');
+         assert(requests[0].event.message === 'REQUEST: GET /api/v3/rate_limit');
+      });
+   });
+
+   /**
+    * Test that only pending statistics are requested again and are marked pending when never generated.
+    */
+   it('getOrgRepoStats (202 Accepted)', () =>
+   {
+      const logger = new RecordingLogger();
+      const githubInspect = createInspect({ logger, statsBackoff: 1 });
+
+      return githubInspect.getOrgRepoStats({ categories: ['participation'], statsMaxAttempts: 3 }).then((data) =>
+      {
+         const repos = data.normalized.orgs[0].repos;
+
+         assert(repos[0].name === 'mock-private');
+         assert(repos[0].stats[0]._resultsPending === true);
+
+         assert(typeof repos[1].stats[0]._resultsPending === 'undefined');
+
+         assert(typeof repos[2].stats[0]._resultsPending === 'undefined');
+         assert(repos[2].stats[0].participation.all[0] === 1);
+
+         const statsRequests = mockServer.requests.filter((request) => { return request.url.indexOf('/stats/') >= 0; });
+
+         // One request for mock-repo1 and three requests for both pending repos.
+         assert(statsRequests.length === 7);
+
+         const retries = logger.events.filter((entry) => { return entry.event.type === 'retry'; });
+
+         // Both pending repos are requested again twice.
+         assert(retries.length === 4);
+         assert(retries[0].level === 'info');
+         assert(retries[0].event.category === 'participation');
+         assert(retries[0].event.maxAttempts === 3);
+      });
+   });
+
+   /**
+    * Test that repos whose statistics can not be requested are reported in `errors` rather than failing the query.
+    */
+   it('getOrgRepoStats (errors)', () =>
+   {
+      const githubInspect = createInspect(
+      {
+         organizations:
+         [
+            { credential: 'owner-token', owner: 'mock-owner', regex: '^mock', users: ['mock-outside'] }
+         ],
+         statsBackoff: 1
+      });
+
+      const repoFilter = { exclude: '^mock-private$' };
+
+      return githubInspect.getOrgRepoStats({ categories: ['participation'], repoFilter }).then((data) =>
+      {
+         assert(data.errors.length === 1);
+         assert(data.errors[0].org === 'mock-outside');
+         assert(data.errors[0].repo === 'outside-repo');
+         assert(data.errors[0].endpoint === 'GET /api/v3/repos/mock-outside/outside-repo/stats/participation');
+         assert(data.errors[0].status === 404);
+
+         const orgs = data.normalized.orgs;
+
+         assert(orgs[0].repos[1].stats[0].participation.all[0] === 1);
+         assert(orgs[1].repos[0].name === 'outside-repo');
+         assert(typeof orgs[1].repos[0].stats[0].participation === 'undefined');
+      });
+   });
+
+   /**
+    * Test that filtered repos are skipped before the fan-out requests of each repo.
+    */
+   it('getOrgRepoContributors (repoFilter)', () =>
+   {
+      const githubInspect = createInspect();
+
+      const filters =
+      [
+         { include: '^mock-repo' },
+         { exclude: /1$/ },
+         { fork: false },
+         { 'private': true },
+         { topics: 'typhonjs' },
+         { excludeTopics: ['typhonjs'] },
+         { languages: ['javascript'] },
+         { excludeLanguages: 'JavaScript' },
+         { pushedWithinDays: 30 },
+         { 'fork': false, 'private': false, 'languages': 'JavaScript' }
+      ];
+
+      const expected =
+      [
+         'mock-repo1,mock-repo2',
+         'mock-private,mock-repo2',
+         'mock-private,mock-repo1',
+         'mock-private',
+         'mock-repo1',
+         'mock-private,mock-repo2',
+         'mock-repo1,mock-repo2',
+         'mock-private',
+         'mock-repo1',
+         'mock-repo1'
+      ];
+
+      return Promise.all(filters.map((repoFilter) =>
+      {
+         return githubInspect.getOrgRepos({ repoFilter }).then((data) =>
+         {
+            return data.normalized.orgs[0].repos.map((repo) => { return repo.name; }).join(',');
+         });
+      })).then((results) =>
+      {
+         assert.deepEqual(results, expected);
+
+         mockServer.reset();
+
+         return githubInspect.getOrgRepoContributors({ repoFilter: { 'fork': false, 'private': false } });
+      }).then((data) =>
+      {
+         assert(data.normalized.orgs[0].repos.length === 1);
+
+         const contributorRequests = mockServer.requests.filter((request) =>
+         {
+            return request.url.indexOf('/contributors') >= 0;
+         });
+
+         // Only the contributors of mock-repo1 are requested.
+         assert(contributorRequests.length === 1);
+         assert(contributorRequests[0].url.indexOf('/repos/mock-org/mock-repo1/contributors') >= 0);
+      });
+   });
+
+   /**
+    * Test that results only contain normalized data when the `raw` option is false.
+    */
+   it('getOrgRepos (raw)', () =>
+   {
+      const githubInspect = createInspect({ raw: false });
+
+      return Promise.all(
+      [
+         githubInspect.getOrgRepos({ repoFiles: ['package.json'] }),
+         githubInspect.getOrgRepos({ raw: true, repoFiles: ['package.json'] }),
+         githubInspect.getOwners(),
+         githubInspect.getUserFromCredential({ credential: 'owner-token' })
+      ]).then((results) =>
+      {
+         assert.deepEqual(Object.keys(results[0]), ['normalized', 'errors']);
+         assert.deepEqual(Object.keys(results[1]), ['normalized', 'raw', 'errors']);
+
+         results[0].normalized.timestamp = results[1].normalized.timestamp;
+
+         assert.deepEqual(results[0].normalized, results[1].normalized);
+         assert(results[0].normalized.orgs[0].repos[1].repo_files['package.json'].body === '{"name":"mock-repo1"}');
+
+         assert.deepEqual(Object.keys(results[2]), ['normalized']);
+         assert.deepEqual(Object.keys(results[3]), ['normalized']);
+      });
+   });
+
+   /**
+    * Test that the raw data of each repo is released as soon as the repo completes when `raw` is false.
+    */
+   it('getOrgRepoStats (raw)', () =>
+   {
+      const rawRepos = [];
+
+      // Records each raw repo and verifies that all previously normalized repos are released.
+      const fieldExtensions =
+      {
+         repos: (repo) =>
+         {
+            for (let cntr = 0; cntr < rawRepos.length; cntr++)
+            {
+               assert.deepEqual(Object.keys(rawRepos[cntr]), ['_normalized']);
+            }
+
+            rawRepos.push(repo);
+
+            return {};
+         }
+      };
+
+      const githubInspect = createInspect({ fieldExtensions, raw: false, statsBackoff: 1 });
+
+      return githubInspect.getOrgRepoStats({ categories: ['participation'] }).then((results) =>
+      {
+         const repos = results.normalized.orgs[0].repos;
+
+         // Each repo is normalized once.
+         assert(rawRepos.length === 3);
+
+         assert(repos[2].name === 'mock-repo2');
+         assert(repos[2].stats[0].participation.all[0] === 1);
+
+         // The released raw repos hold the normalized records of the results.
+         for (let cntr = 0; cntr < rawRepos.length; cntr++)
+         {
+            assert(repos.indexOf(rawRepos[cntr]._normalized) >= 0);
+            assert(typeof rawRepos[cntr].stats === 'undefined');
+         }
+      });
+   });
+
+   /**
+    * Test that `stream` emits the normalized record of each org and repo as it completes.
+    */
+   it('stream', () =>
+   {
+      const githubInspect = createInspect();
+
+      /**
+       * Collects the events of a streamed query.
+       *
+       * @param {string}   query - The name of a query.
+       * @param {object}   options - Optional parameters of the query.
+       *
+       * @returns {Promise<{orgs: Array<object>, repos: Array<object>, results: object}>}
+       */
+      const collect = (query, options = {}) =>
+      {
+         return new Promise((resolve, reject) =>
+         {
+            const orgs = [];
+            const repos = [];
+
+            githubInspect.stream(query, options)
+             .on('org', (org, categories) => { orgs.push({ org, categories }); })
+             .on('repo', (repo, orgName) => { repos.push({ repo, orgName }); })
+             .on('end', (results) => { resolve({ orgs, repos, results }); })
+             .on('error', reject);
+         });
+      };
+
+      const options = { raw: false };
+
+      return Promise.all(
+      [
+         collect('getOrgRepoContributors', options),
+         collect('getOrgTeamMembers'),
+         collect('getCollaborators')
+      ]).then((streams) =>
+      {
+         const contributors = streams[0];
+         const normalizedOrgs = contributors.results.normalized.orgs;
+
+         assert(normalizedOrgs.length > 0);
+         assert(contributors.orgs.length === normalizedOrgs.length);
+         assert(contributors.orgs[0].categories === 'orgs:repos:contributors');
+
+         for (let cntr = 0; cntr < normalizedOrgs.length; cntr++)
+         {
+            const streamed = contributors.orgs.filter((entry) =>
+            {
+               return entry.org.name === normalizedOrgs[cntr].name;
+            });
+
+            assert.deepEqual(streamed[0].org, normalizedOrgs[cntr]);
+         }
+
+         const repo = normalizedOrgs[0].repos[1];
+         const streamedRepo = contributors.repos.filter((entry) => { return entry.repo.name === repo.name; })[0];
+
+         assert(contributors.repos.length === normalizedOrgs[0].repos.length);
+         assert(streamedRepo.orgName === normalizedOrgs[0].name);
+         assert.deepEqual(streamedRepo.repo, repo);
+
+         const teamMembers = streams[1];
+
+         assert(teamMembers.orgs.length > 0);
+         assert(teamMembers.repos.length === 0);
+         assert.deepEqual(teamMembers.orgs.map((entry) => { return entry.org; }), teamMembers.results.normalized.orgs);
+
+         // Flattened queries only emit 'end'.
+         assert(streams[2].orgs.length === 0);
+         assert(Array.isArray(streams[2].results.normalized.collaborators));
+
+         // The options of the caller are not modified.
+         assert.deepEqual(options, { raw: false });
+
+         assert.throws(() => { githubInspect.stream('getUnknown'); }, TypeError);
+      });
+   });
+
+   /**
+    * Test that a reused options object is not modified, so each query normalizes results and reports its own errors.
+    */
+   it('getOrgRepoContributors (reused options)', () =>
+   {
+      const githubInspect = createInspect(
+      {
+         organizations: [{ credential: 'owner-token', owner: 'mock-owner', orgs: ['mock-org', 'missing-org'] }]
+      });
+
+      const options = { repoFilter: { include: '^mock-repo' } };
+
+      return githubInspect.getOrgRepoContributors(options).then((first) =>
+      {
+         assert(first.errors.length === 1);
+         assert(first.errors[0].org === 'missing-org');
+
+         return githubInspect.getOrgRepoContributors(options).then((second) =>
+         {
+            assert.deepEqual(options, { repoFilter: { include: '^mock-repo' } });
+
+            assert(second.normalized.categories === 'orgs:repos:contributors');
+            assert(second.normalized.orgs[0].repos.length === 2);
+
+            assert(first.errors.length === 1);
+            assert(second.errors.length === 1);
+            assert(second.errors !== first.errors);
+         });
+      });
+   });
+
+   /**
+    * Test that organization entries either discover organizations or name them explicitly.
+    */
+   it('getOrgs (orgs / userOrgs)', () =>
+   {
+      const getOrgNames = (organization) =>
+      {
+         return createInspect({ organizations: [organization] }).getOrgs().then((data) =>
+         {
+            return data.normalized.orgs.map((org) => { return org.name; }).join(',');
+         });
+      };
+
+      return Promise.all(
+      [
+         getOrgNames({ credential: 'owner-token', owner: 'mock-owner', regex: '^mock' }),
+         getOrgNames({ credential: 'owner-token', owner: 'mock-owner', regex: '^mock', userOrgs: true }),
+         getOrgNames({ credential: 'owner-token', owner: 'mock-owner', orgs: ['mock-secret', 'mock-org'] }),
+         getOrgNames({ credential: 'owner-token', owner: 'mock-owner', orgs: ['mock-secret', 'mock-org'],
+          regex: 'secret' })
+      ]).then((results) =>
+      {
+         assert.deepEqual(results, ['mock-org', 'mock-org,mock-secret', 'mock-org,mock-secret', 'mock-secret']);
+
+         return createInspect(
+         {
+            organizations: [{ credential: 'owner-token', owner: 'mock-owner', orgs: ['mock-secret', 'mock-missing'] }]
+         }).getOwnerOrgs();
+      }).then((data) =>
+      {
+         assert(data.normalized.owners[0].orgs.length === 1);
+         assert(data.normalized.owners[0].orgs[0].name === 'mock-secret');
+
+         assert(data.errors.length === 1);
+         assert(data.errors[0].org === 'mock-missing');
+         assert(data.errors[0].status === 404);
+      });
+   });
+
+   /**
+    * Test that the repos of user accounts join the organization repos and are marked as user accounts.
+    */
+   it('getOrgRepoContributors (users)', () =>
+   {
+      const githubInspect = createInspect(
+      {
+         organizations:
+         [
+            { credential: 'owner-token', owner: 'mock-owner', regex: '^mock', users: ['mock-outside', 'mock-missing'] }
+         ]
+      });
+
+      return githubInspect.getOrgRepos().then((data) =>
+      {
+         assert.deepEqual(data.normalized.orgs.map((org) => { return org.name; }), ['mock-org', 'mock-outside']);
+         assert(typeof data.normalized.orgs[0].is_user === 'undefined');
+         assert(data.normalized.orgs[1].is_user === true);
+         assert(data.normalized.orgs[1].repos.length === 1);
+         assert(data.normalized.orgs[1].repos[0].name === 'outside-repo');
+
+         assert(data.errors.length === 1);
+         assert(data.errors[0].org === 'mock-missing');
+         assert(data.errors[0].status === 404);
+
+         return githubInspect.getOrgs();
+      }).then((data) =>
+      {
+         // Organization queries do not include user accounts.
+         assert.deepEqual(data.normalized.orgs.map((org) => { return org.name; }), ['mock-org']);
+
+         return githubInspect.getOrgRepoContributors();
+      }).then((data) =>
+      {
+         const contributors = data.normalized.orgs[1].repos[0].contributors;
+
+         assert(contributors.length === 1);
+         assert(contributors[0].name === 'mock-outside');
+
+         return githubInspect.getContributors();
+      }).then((data) =>
+      {
+         assert(data.normalized.contributors.some((contributor) => { return contributor.name === 'mock-outside'; }));
+      });
+   });
+
+   /**
+    * Test that issues and pull requests are filtered by state, labels, assignee and since.
+    */
+   it('getOrgRepoIssues / getOrgRepoPullRequests (filters)', () =>
+   {
+      const githubInspect = createInspect();
+
+      const getNumbers = (data, category) =>
+      {
+         return data.normalized.orgs[0].repos[1][category].map((issue) => { return issue.number; });
+      };
+
+      return Promise.all(
+      [
+         githubInspect.getOrgRepoIssues(),
+         githubInspect.getOrgRepoIssues({ state: 'all', labels: 'bug' }),
+         githubInspect.getOrgRepoIssues({ assignee: 'none' }),
+         githubInspect.getOrgRepoIssues({ since: new Date('2016-02-15T00:00:00Z') }),
+         githubInspect.getOrgRepoPullRequests({ state: 'all' }),
+         githubInspect.getOrgRepoPullRequests({ state: 'all', labels: ['bug'], since: '2016-03-01T00:00:00Z' })
+      ]).then((results) =>
+      {
+         assert(results[0].normalized.categories === 'orgs:repos:issues');
+         assert.deepEqual(getNumbers(results[0], 'issues'), [2, 1]);
+         assert.deepEqual(getNumbers(results[1], 'issues'), [3, 1]);
+         assert.deepEqual(getNumbers(results[2], 'issues'), [2]);
+         assert.deepEqual(getNumbers(results[3], 'issues'), [1]);
+         assert.deepEqual(getNumbers(results[4], 'pulls'), [5, 4]);
+         assert.deepEqual(getNumbers(results[5], 'pulls'), [4]);
+
+         const issue = results[0].normalized.orgs[0].repos[1].issues[1];
+
+         assert(issue.repo === 'mock-org/mock-repo1');
+         assert(issue.user.name === 'mock-outside');
+         assert.deepEqual(issue.labels, ['bug']);
+         assert.deepEqual(issue.assignees, ['mock-owner']);
+         assert(issue.comments === 2);
+
+         const pull = results[4].normalized.orgs[0].repos[1].pulls[0];
+
+         assert(pull.merged === true);
+         assert(pull.head === 'patch' && pull.base === 'master');
+         assert(results[4].normalized.orgs[0].repos[1].pulls[1].head === 'fix-parser');
+      });
+   });
+
+   /**
+    * Test that `since` is sent with issue requests and stops the pagination of pull requests sorted by the last update.
+    */
+   it('getOrgRepoIssues / getOrgRepoPullRequests (since)', () =>
+   {
+      const githubInspect = createInspect({ perPage: 1 });
+      const repoFilter = { include: '^mock-repo1$' };
+
+      /**
+       * Returns the requests of a list endpoint of mock-repo1.
+       *
+       * @param {string}   endpoint - The endpoint of mock-repo1; IE 'issues' or 'pulls'.
+       *
+       * @returns {Array<object>}
+       */
+      const getRequests = (endpoint) =>
+      {
+         return mockServer.requests.filter((request) =>
+         {
+            return request.url.indexOf(`/api/v3/repos/mock-org/mock-repo1/${endpoint}?`) === 0;
+         });
+      };
+
+      return githubInspect.getOrgRepoIssues({ repoFilter, since: '2016-02-15T00:00:00Z' }).then((data) =>
+      {
+         assert.deepEqual(data.normalized.orgs[0].repos[0].issues.map((issue) => { return issue.number; }), [1]);
+
+         const issueRequests = getRequests('issues');
+
+         assert(issueRequests.length > 0);
+         assert(issueRequests.every((request) => { return request.url.indexOf('since=') > 0; }));
+
+         return githubInspect.getOrgRepoPullRequests({ repoFilter, state: 'all', since: '2016-03-05T00:00:00Z' });
+      }).then((data) =>
+      {
+         assert(data.normalized.orgs[0].repos[0].pulls.length === 0);
+
+         const pullRequests = getRequests('pulls');
+
+         // The first page is updated before `since`, so the second page is not requested.
+         assert(pullRequests.length === 1);
+         assert(pullRequests[0].url.indexOf('sort=updated') > 0);
+         assert(pullRequests[0].url.indexOf('direction=desc') > 0);
+
+         return githubInspect.getOrgRepoPullRequests({ repoFilter, state: 'all', since: '2016-03-01T00:00:00Z' });
+      }).then((data) =>
+      {
+         assert.deepEqual(data.normalized.orgs[0].repos[0].pulls.map((pull) => { return pull.number; }), [4]);
+
+         // Both pages are requested as the first page is updated after `since`.
+         assert(getRequests('pulls').length === 3);
+      });
+   });
+
+   /**
+    * Test that issues and pull requests are flattened across all repos and sorted by the last update.
+    */
+   it('getIssues / getPullRequests', () =>
+   {
+      const githubInspect = createInspect();
+
+      return Promise.all(
+      [
+         githubInspect.getIssues({ state: 'all' }),
+         githubInspect.getPullRequests({ state: 'all' })
+      ]).then((results) =>
+      {
+         assert(results[0].normalized.categories === 'issues');
+         assert.deepEqual(results[0].normalized.issues.map((issue) => { return issue.number; }), [1, 3, 2]);
+
+         assert(results[1].normalized.categories === 'pulls');
+         assert.deepEqual(results[1].normalized.pulls.map((pull) => { return pull.number; }), [4, 5]);
+      });
+   });
+
+   /**
+    * Test that the latest release contains the commits the default branch is ahead of its tag.
+    */
+   it('getOrgRepoReleases (tags)', () =>
+   {
+      const githubInspect = createInspect();
+
+      return Promise.all(
+      [
+         githubInspect.getOrgRepoReleases(),
+         githubInspect.getOrgRepoReleases({ tags: true, repoFilter: { include: '^mock-repo1$' } })
+      ]).then((results) =>
+      {
+         const repos = results[0].normalized.orgs[0].repos;
+
+         assert(results[0].normalized.categories === 'orgs:repos:releases');
+         assert.deepEqual(repos[1].releases.map((release) => { return release.tag; }),
+          ['0.3.0', '0.3.0-beta', '0.2.0', '0.1.0']);
+
+         const latest = repos[1].releases.filter((release) => { return release.latest; });
+
+         assert(latest.length === 1);
+         assert(latest[0].tag === '0.2.0');
+         assert(latest[0].ahead_by === 4);
+         assert(repos[1].releases[0].draft && repos[1].releases[0].published_at === '');
+
+         // Repos without releases and without requested tags.
+         assert.deepEqual(repos[0].releases, []);
+         assert(typeof repos[1].tags === 'undefined');
+
+         assert.deepEqual(results[1].normalized.orgs[0].repos[0].tags,
+          [{ name: '0.1.0', sha: 'aaa' }, { name: '0.2.0', sha: 'bbb' }, { name: '0.3.0-beta', sha: 'ccc' }]);
+      });
+   });
+
+   /**
+    * Test that the protection settings of the default branch or the selected branches are reported.
+    */
+   it('getOrgRepoBranchProtection (branches)', () =>
+   {
+      const githubInspect = createInspect();
+
+      return Promise.all(
+      [
+         githubInspect.getOrgRepoBranchProtection(),
+         githubInspect.getOrgRepoBranchProtection({ branches: ['release/*', /^feat/], repoFilter: { include: '1$' } })
+      ]).then((results) =>
+      {
+         const repos = results[0].normalized.orgs[0].repos;
+
+         assert(results[0].normalized.categories === 'orgs:repos:protection');
+         assert.deepEqual(results[0].errors, []);
+
+         assert.deepEqual(repos[1].protection,
+         [{
+            'branch': 'master',
+            'is_default': true,
+            'protected': true,
+            'requires_reviews': true,
+            'required_review_count': 2,
+            'dismisses_stale_reviews': false,
+            'requires_status_checks': true,
+            'status_checks': ['ci'],
+            'strict_status_checks': true,
+            'enforces_admins': false,
+            'pass': true
+         }]);
+
+         // Branches without protection fail.
+         assert(repos[2].protection.length === 1);
+         assert(!repos[2].protection[0].protected && !repos[2].protection[0].pass);
+
+         const protection = results[1].normalized.orgs[0].repos[0].protection;
+
+         assert.deepEqual(protection.map((branch) => { return branch.branch; }), ['feature', 'release/1.0']);
+         assert(!protection[0].protected);
+         assert(protection[1].protected && protection[1].enforces_admins && !protection[1].pass);
+      });
+   });
+
+   /**
+    * Test that repo collaborators are tagged as owners, members or outside collaborators along with their repos.
+    */
+   it('getOrgCollaboratorAccess', () =>
+   {
+      return Promise.all(
+      [
+         createInspect().getOrgCollaboratorAccess(),
+         createInspect(
+         {
+            organizations: [{ credential: 'outside-token', owner: 'mock-outside', users: ['mock-outside'] }]
+         }).getOrgCollaboratorAccess(),
+         createInspect(
+         {
+            organizations: [{ credential: 'owner-token', owner: 'mock-owner', orgs: ['mock-org', 'missing-org'] }]
+         }).getOrgCollaboratorAccess()
+      ]).then((results) =>
+      {
+         assert(results[0].normalized.categories === 'orgs:access');
+         assert.deepEqual(results[0].errors, []);
+
+         const access = results[0].normalized.orgs[0].access.map((user) =>
+         {
+            return { name: user.name, affiliation: user.affiliation, repos: user.repos };
+         });
+
+         assert.deepEqual(access,
+         [
+            { name: 'mock-member', affiliation: 'member', repos: [{ name: 'mock-repo1', permission: 'push' }] },
+            { name: 'mock-outside', affiliation: 'outside', repos: [{ name: 'mock-repo1', permission: 'pull' }] },
+            { name: 'mock-owner', affiliation: 'owner', repos: [{ name: 'mock-repo1', permission: 'admin' }] }
+         ]);
+
+         // The user owning a user account is the owner and all other collaborators are outside collaborators.
+         const userAccess = results[1].normalized.orgs[0].access;
+
+         assert(results[1].normalized.orgs[0].is_user === true);
+         assert.deepEqual(userAccess.map((user) => { return `${user.name}:${user.affiliation}`; }),
+          ['mock-member:outside', 'mock-outside:owner']);
+         assert(userAccess[1].repos[0].permission === 'admin');
+
+         // Organizations are only requested once, so a missing organization is reported once.
+         assert(results[2].errors.length === 1);
+         assert(results[2].errors[0].org === 'missing-org');
+         assert(results[2].errors[0].status === 404);
+         assert(results[2].normalized.orgs[0].access.length === 3);
+      });
+   });
+
+   /**
+    * Test that collaborators contain their permission level and are filtered by a minimum permission level.
+    */
+   it('getOrgRepoCollaborators (minPermission) / getAdmins', () =>
+   {
+      const githubInspect = createInspect(
+      {
+         organizations:
+         [
+            { credential: 'owner-token', owner: 'mock-owner', regex: '^mock' },
+            { credential: 'outside-token', owner: 'mock-outside', users: ['mock-outside'] }
+         ]
+      });
+
+      /**
+       * Returns `<name>:<permission>` of each collaborator.
+       *
+       * @param {Array<object>}  collaborators - Normalized collaborators.
+       *
+       * @returns {Array<string>}
+       */
+      const getPermissions = (collaborators) =>
+      {
+         return collaborators.map((user) => { return `${user.name}:${user.permission}`; });
+      };
+
+      const adminOptions = {};
+
+      const missingOrgInspect = createInspect(
+      {
+         organizations: [{ credential: 'owner-token', owner: 'mock-owner', orgs: ['mock-org', 'missing-org'] }]
+      });
+
+      return Promise.all(
+      [
+         githubInspect.getOrgRepoCollaborators(),
+         githubInspect.getOrgRepoCollaborators({ minPermission: 'push' }),
+         githubInspect.getCollaborators({ minPermission: 'push' }),
+         githubInspect.getAdmins(adminOptions),
+         missingOrgInspect.getAdmins()
+      ]).then((results) =>
+      {
+         assert.deepEqual(getPermissions(results[0].normalized.orgs[0].repos[1].collaborators),
+          ['mock-member:push', 'mock-outside:pull', 'mock-owner:admin']);
+
+         assert.deepEqual(getPermissions(results[1].normalized.orgs[0].repos[1].collaborators),
+          ['mock-member:push', 'mock-owner:admin']);
+
+         // The highest permission level of any repo is kept.
+         assert.deepEqual(getPermissions(results[2].normalized.collaborators),
+          ['mock-member:push', 'mock-outside:admin', 'mock-owner:admin']);
+
+         assert(results[3].normalized.categories === 'admins');
+         const admins = results[3].normalized.admins.map((user) => { return { name: user.name, repos: user.repos }; });
+
+         assert.deepEqual(admins,
+         [
+            { name: 'mock-outside', repos: ['mock-outside/outside-repo'] },
+            { name: 'mock-owner', repos: ['mock-org/mock-repo1'] }
+         ]);
+
+         // The options of the caller are not modified.
+         assert(typeof adminOptions.minPermission === 'undefined');
+
+         // The errors of the nested query are reported.
+         assert(results[4].errors.length === 1);
+         assert(results[4].errors[0].org === 'missing-org');
+
+         mockServer.reset();
+
+         return createInspect().getAdmins();
+      }).then(() =>
+      {
+         const rateLimitRequests = mockServer.requests.filter((request) =>
+         {
+            return request.url.indexOf('/api/v3/rate_limit') === 0;
+         });
+
+         // The rate limit is only checked once for the single organization entry.
+         assert(rateLimitRequests.length === 1);
+      });
+   });
+
+   /**
+    * Test that unknown credentials fail authentication.
+    */
+   it('getUserFromCredential (unknown credential)', () =>
+   {
+      return createInspect().getUserFromCredential({ credential: 'unknown-token' }).then((data) =>
+      {
+         assert(data === null);
+      });
+   });
+
+   /**
+    * Test that the rate limit budget of each credential is reported.
+    */
+   it('getOwnerRateLimits (rate limit)', () =>
+   {
+      const githubInspect = createInspect();
+
+      return githubInspect.getOrgs().then(() =>
+      {
+         return githubInspect.getOwnerRateLimits();
+      }).then((data) =>
+      {
+         const core = data.normalized.owners[0].ratelimit[0].core;
+
+         // The rate limit checks are not counted; only the organizations list request is.
+         assert(core.limit === 50);
+         assert(core.remaining === 49);
+      });
+   });
+});
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * A seed with one organization containing two public repos and a private repo and an organization where the
+ * membership of the owner is private. `mock-repo1` contains issues, pull requests and an outside collaborator. The
+ * statistics of `mock-repo2` are generated after two requests and the statistics of `mock-private` are not generated
+ * in time.
+ * @type {object}
+ */
+const s_SEED =
+{
+   users:
+   [
+      { login: 'mock-owner', id: 1, token: 'owner-token' },
+      {
+         login: 'mock-outside',
+         id: 2,
+         token: 'outside-token',
+         repos:
+         [{
+            name: 'outside-repo',
+            id: 200,
+            collaborators: ['mock-outside', 'mock-member'],
+            contributors: [{ login: 'mock-outside', contributions: 3 }],
+            statsStatus: 404
+         }]
+      },
+      { login: 'mock-member', id: 3, token: 'member-token' }
+   ],
+   orgs:
+   [
+      {
+         login: 'mock-org',
+         id: 10,
+         description: 'A mock organization',
+         members: [{ login: 'mock-owner', role: 'admin' }, { login: 'mock-member', role: 'member' }],
+         repos:
+         [
+            {
+               name: 'mock-repo1',
+               id: 100,
+               language: 'JavaScript',
+               topics: ['typhonjs'],
+               pushed_at: new Date().toISOString(),
+               collaborators:
+               [
+                  'mock-owner',
+                  'mock-member',
+                  { login: 'mock-outside', permissions: { admin: false, push: false, pull: true } }
+               ],
+               files: { 'master/package.json': '{"name":"mock-repo1"}' },
+               issues:
+               [
+                  {
+                     number: 1,
+                     title: 'Parser fails on empty files',
+                     user: 'mock-outside',
+                     labels: ['bug'],
+                     assignees: ['mock-owner'],
+                     comments: 2,
+                     updated_at: '2016-03-01T00:00:00Z'
+                  },
+                  { number: 2, title: 'Add YAML support', user: 'mock-outside', labels: ['enhancement'] },
+                  {
+                     number: 3,
+                     title: 'Fix typo',
+                     state: 'closed',
+                     labels: ['bug'],
+                     updated_at: '2016-02-01T00:00:00Z',
+                     closed_at: '2016-02-01T00:00:00Z'
+                  }
+               ],
+               releases:
+               [
+                  { id: 1000, tag_name: '0.1.0', published_at: '2016-02-01T00:00:00Z' },
+                  { id: 1001, tag_name: '0.2.0', published_at: '2016-03-01T00:00:00Z' },
+                  { id: 1002, tag_name: '0.3.0-beta', prerelease: true, published_at: '2016-03-05T00:00:00Z' },
+                  { id: 1003, tag_name: '0.3.0', draft: true, created_at: '2016-03-10T00:00:00Z' }
+               ],
+               tags: [{ name: '0.1.0', sha: 'aaa' }, { name: '0.2.0', sha: 'bbb' }, { name: '0.3.0-beta', sha: 'ccc' }],
+               compare: { '0.2.0...master': { ahead_by: 4 } },
+               branches: ['feature', 'master', 'release/1.0'],
+               protection:
+               {
+                  'master':
+                  {
+                     required_status_checks: { strict: true, contexts: ['ci'] },
+                     required_pull_request_reviews: { required_approving_review_count: 2 }
+                  },
+                  'release/1.0': { enforce_admins: true }
+               },
+               pulls:
+               [
+                  {
+                     number: 4,
+                     title: 'Fix parser',
+                     user: 'mock-outside',
+                     labels: ['bug'],
+                     head: 'fix-parser',
+                     updated_at: '2016-03-02T00:00:00Z'
+                  },
+                  {
+                     number: 5,
+                     title: 'Update docs',
+                     state: 'closed',
+                     updated_at: '2016-02-15T00:00:00Z',
+                     closed_at: '2016-02-15T00:00:00Z',
+                     merged_at: '2016-02-15T00:00:00Z'
+                  }
+               ]
+            },
+            {
+               name: 'mock-repo2',
+               id: 101,
+               fork: true,
+               language: 'JavaScript',
+               pushed_at: '2016-02-14T03:01:24Z',
+               stats: { participation: { all: [1], owner: [0] } },
+               statsPending: 2
+            },
+            { 'name': 'mock-private', 'id': 102, 'private': true, 'statsPending': 10 }
+         ]
+      },
+      {
+         login: 'mock-secret',
+         id: 11,
+         members: [{ 'login': 'mock-owner', 'role': 'admin', 'public': false }]
+      }
+   ]
+};
+
+/**
+ * Provides a logger which records all log events.
+ */
+class RecordingLogger
+{
+   /**
+    * Initializes the recorded events.
+    */
+   constructor()
+   {
+      /**
+       * Recorded `{ level, event }` entries.
+       * @type {Array<object>}
+       */
+      this.events = [];
+   }
+
+   /**
+    * Records a debug event.
+    *
+    * @param {object}   event - A log event.
+    */
+   debug(event) { this.events.push({ level: 'debug', event }); }
+
+   /**
+    * Records an error event.
+    *
+    * @param {object}   event - A log event.
+    */
+   error(event) { this.events.push({ level: 'error', event }); }
+
+   /**
+    * Records an info event.
+    *
+    * @param {object}   event - A log event.
+    */
+   info(event) { this.events.push({ level: 'info', event }); }
+
+   /**
+    * Records a warn event.
+    *
+    * @param {object}   event - A log event.
+    */
+   warn(event) { this.events.push({ level: 'warn', event }); }
+}
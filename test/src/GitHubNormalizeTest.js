@@ -0,0 +1,259 @@
+'use strict';
+
+import { assert }          from 'chai';
+import path                from 'path';
+
+import GitHubInspectOrgs   from '../../src/GitHubInspectOrgs';
+import GitHubNormalize     from '../../src/GitHubNormalize';
+import GitHubMockServer    from '../../src/mock/GitHubMockServer';
+
+/**
+ * Path of the GitHubMockServer seed.
+ * @type {string}
+ */
+const s_MOCK_SEED_PATH = path.resolve(__dirname, '../fixture/github-mock-seed.json');
+
+/**
+ * This series of tests confirm that the normalized data of every query is valid against the JSON Schema of its
+ * category chain and that `GitHubNormalize.validate` reports invalid data.
+ *
+ * @test {GitHubNormalize}
+ */
+describe('GitHubNormalize', () =>
+{
+   let mockServer;
+
+   before(() =>
+   {
+      mockServer = new GitHubMockServer({ seed: s_MOCK_SEED_PATH });
+
+      return mockServer.start();
+   });
+
+   after(() => { return mockServer.stop(); });
+
+   /**
+    * Test that the normalized data of every query is valid.
+    */
+   it('validate (all queries)', () =>
+   {
+      const githubInspect = new GitHubInspectOrgs(mockServer.getInspectOptions(
+      {
+         organizations: [{ credential: 'owner-token', owner: 'typhonjs-test', regex: '^test' }]
+      }));
+
+      const queries =
+      [
+         githubInspect.getAdmins(),
+         githubInspect.getCollaborators(),
+         githubInspect.getContributors(),
+         githubInspect.getIssues(),
+         githubInspect.getMembers(),
+         githubInspect.getOrgCollaboratorAccess(),
+         githubInspect.getOrgMembers(),
+         githubInspect.getOrgRepos({ repoFiles: ['package.json'] }),
+         githubInspect.getOrgRepoBranchProtection(),
+         githubInspect.getOrgRepoCollaborators(),
+         githubInspect.getOrgRepoContributors(),
+         githubInspect.getOrgRepoIssues(),
+         githubInspect.getOrgRepoPullRequests(),
+         githubInspect.getOrgRepoReleases({ tags: true }),
+         githubInspect.getOrgRepoStats({ categories: ['all'] }),
+         githubInspect.getOrgs(),
+         githubInspect.getOrgTeams(),
+         githubInspect.getOrgTeamMembers(),
+         githubInspect.getOwnerOrgs(),
+         githubInspect.getOwnerRateLimits(),
+         githubInspect.getOwners(),
+         githubInspect.getPullRequests(),
+         githubInspect.getUserFromCredential({ credential: 'user-token' })
+      ];
+
+      return Promise.all(queries).then((results) =>
+      {
+         const chains = results.map((data) =>
+         {
+            assert.deepEqual(GitHubNormalize.validate(data.normalized), [], data.normalized.categories);
+
+            return data.normalized.categories;
+         });
+
+         assert.deepEqual(chains.sort(), GitHubNormalize.categoryChains);
+      });
+   });
+
+   /**
+    * Test that invalid normalized data is reported by the path of each invalid value.
+    */
+   it('validate (errors)', () =>
+   {
+      const normalized = GitHubNormalize.normalizeCategories(['orgs', 'teams'],
+       [{ login: 'test-org', id: 1, teams: [{ name: 'team', id: 2 }] }], { hostUrlPrefix: 'https://github.com/' });
+
+      assert.deepEqual(GitHubNormalize.validate(normalized), []);
+
+      // The timestamp is a JSON string.
+      assert(normalized.timestamp === new Date(normalized.timestamp).toISOString());
+
+      normalized.timestamp = new Date(normalized.timestamp);
+      normalized.orgs[0].id = '1';
+      delete normalized.orgs[0].teams[0].privacy;
+
+      assert.deepEqual(GitHubNormalize.validate(normalized),
+      [
+         'timestamp: is not a \'string\'.',
+         'orgs[0].id: is not an \'integer\'.',
+         'orgs[0].teams[0].privacy: is required.'
+      ]);
+
+      normalized.categories = 'orgs:unknown';
+
+      assert.deepEqual(GitHubNormalize.validate(normalized), ['categories: unknown category \'unknown\'.']);
+   });
+
+   /**
+    * Test that registered categories and field extensions are normalized and validated.
+    */
+   it('registerCategory / addFieldExtension', () =>
+   {
+      const fieldExtension = (repo) => { return { language: repo.language || null }; };
+
+      GitHubNormalize.registerCategory('milestones', (milestone) =>
+      {
+         return { title: milestone.title, state: milestone.state };
+      },
+      {
+         type: 'object',
+         required: ['title', 'state'],
+         properties: { title: { type: 'string' }, state: { type: 'string' } }
+      });
+
+      GitHubNormalize.addFieldExtension('repos', fieldExtension);
+
+      try
+      {
+         const normalized = GitHubNormalize.normalizeCategories(['repos', 'milestones'],
+          [{ name: 'repo', id: 1, language: 'JavaScript', milestones: [{ title: 'Release 1', state: 'open' }] }]);
+
+         assert(normalized.repos[0].language === 'JavaScript');
+         assert.deepEqual(normalized.repos[0].milestones, [{ title: 'Release 1', state: 'open' }]);
+         assert.deepEqual(GitHubNormalize.validate(normalized), []);
+
+         normalized.repos[0].milestones[0].state = 1;
+
+         assert.deepEqual(GitHubNormalize.validate(normalized),
+          ['repos[0].milestones[0].state: is not a \'string\'.']);
+
+         assert.throws(() => { GitHubNormalize.registerCategory('repos', () => {}); }, /already registered/);
+      }
+      finally
+      {
+         assert(GitHubNormalize.removeFieldExtension('repos', fieldExtension));
+         assert(GitHubNormalize.unregisterCategory('milestones'));
+      }
+
+      assert(!GitHubNormalize.hasCategory('milestones'));
+      assert(!GitHubNormalize.unregisterCategory('repos'));
+      const normalized = GitHubNormalize.normalizeCategories(['repos'], [{ name: 'repo', language: 'JavaScript' }]);
+
+      assert(typeof normalized.repos[0].language === 'undefined');
+   });
+
+   /**
+    * Test that normalizers and field extensions are overridden for a single GitHubInspectOrgs instance.
+    */
+   it('normalizers / fieldExtensions (instance)', () =>
+   {
+      const githubInspect = new GitHubInspectOrgs(mockServer.getInspectOptions(
+      {
+         organizations: [{ credential: 'owner-token', owner: 'typhonjs-test', regex: '^test' }],
+         normalizers: { orgs: (org) => { return { name: org.login.toUpperCase() }; } },
+         fieldExtensions: { repos: [(repo, normalized) => { return { name_length: normalized.name.length }; }] }
+      }));
+
+      return githubInspect.getOrgRepos().then((data) =>
+      {
+         assert(data.normalized.orgs[0].name === 'TEST-ORG-TYPHONJS');
+         assert(data.normalized.orgs[0].repos[0].name_length === data.normalized.orgs[0].repos[0].name.length);
+
+         return new GitHubInspectOrgs(mockServer.getInspectOptions(
+         {
+            organizations: [{ credential: 'owner-token', owner: 'typhonjs-test', regex: '^test' }]
+         })).getOrgRepos();
+      }).then((data) =>
+      {
+         // Other instances use the registered normalizers.
+         assert(data.normalized.orgs[0].name === 'test-org-typhonjs');
+         assert(typeof data.normalized.orgs[0].repos[0].name_length === 'undefined');
+      });
+   });
+
+   /**
+    * Test that `fields` selects the normalized and raw fields of each category of the chain.
+    */
+   it('fields', () =>
+   {
+      const githubInspect = new GitHubInspectOrgs(mockServer.getInspectOptions(
+      {
+         organizations: [{ credential: 'owner-token', owner: 'typhonjs-test', regex: '^test' }]
+      }));
+
+      const fields = { repos: ['name', 'owner.login', 'license.spdx_id'], contributors: ['name', 'contributions'] };
+
+      return githubInspect.getOrgRepoContributors({ fields }).then((data) =>
+      {
+         const repo = data.normalized.orgs[1].repos[1];
+
+         assert.deepEqual(repo,
+         {
+            name: 'test-repo-blah2',
+            owner: { login: 'test-org-typhonjs2' },
+            license: { spdx_id: null },
+            contributors: [{ name: 'typhonjs-test', contributions: 1 }]
+         });
+
+         // Categories without fields are not projected.
+         assert(typeof data.normalized.orgs[0].url === 'string');
+
+         const normalized = GitHubNormalize.normalizeCategories(['repos'],
+          [{ name: 'repo', license: { spdx_id: 'MPL-2.0' } }], { fields: { repos: ['license.spdx_id'] } });
+
+         assert.deepEqual(normalized.repos, [{ license: { spdx_id: 'MPL-2.0' } }]);
+
+         assert.throws(() =>
+         {
+            GitHubNormalize.normalizeCategories(['repos'], [], { fields: { repos: 'name' } });
+         }, /'options.fields' is not an 'object'/);
+      });
+   });
+
+   /**
+    * Test that `release` removes each raw record once normalized.
+    */
+   it('release', () =>
+   {
+      const raw = [{ login: 'test-org', id: 1, teams: [{ name: 'team', id: 2 }] }];
+      const teams = raw[0].teams;
+
+      const normalized = GitHubNormalize.normalizeCategories(['orgs', 'teams'], raw, { release: true });
+
+      assert(normalized.orgs[0].name === 'test-org');
+      assert(normalized.orgs[0].teams[0].name === 'team');
+      assert(raw.length === 0);
+      assert(teams.length === 0);
+   });
+
+   /**
+    * Test that the schema of each category chain is serializable.
+    */
+   it('getSchema', () =>
+   {
+      const schema = JSON.parse(JSON.stringify(GitHubNormalize.getSchema('orgs:repos:stats')));
+
+      assert(schema.properties.categories.enum[0] === 'orgs:repos:stats');
+      assert(schema.properties.orgs.items.properties.repos.items.properties.stats.items.$ref === '#/definitions/stats');
+      assert(typeof schema.definitions.user === 'object');
+
+      assert.throws(() => { GitHubNormalize.getSchema(['orgs', 'unknown']); }, /Unknown category/);
+   });
+});
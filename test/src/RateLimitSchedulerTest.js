@@ -0,0 +1,149 @@
+'use strict';
+
+import { assert }          from 'chai';
+
+import GitHubInspectOrgs   from '../../src/GitHubInspectOrgs';
+import RateLimitScheduler  from '../../src/RateLimitScheduler';
+import GitHubMockServer    from '../../src/mock/GitHubMockServer';
+
+/**
+ * This series of tests confirm that RateLimitScheduler budgets requests per credential and that GitHubInspectOrgs
+ * either waits for the rate limit to reset or fails with a rate limit error carrying partial results.
+ *
+ * @test {RateLimitScheduler}
+ */
+describe('RateLimitScheduler', () =>
+{
+   let mockServer;
+
+   before(() =>
+   {
+      // The budget of one request only covers the organizations list request of `getOrgRepos`.
+      mockServer = new GitHubMockServer({ seed: s_SEED, rateLimit: 1, rateLimitReset: 1 });
+
+      return mockServer.start();
+   });
+
+   after(() => { return mockServer.stop(); });
+
+   beforeEach(() => { mockServer.reset(); });
+
+   /**
+    * Creates a GitHubInspectOrgs instance pointed at the mock server.
+    *
+    * @param {object}   options - Additional options.
+    *
+    * @returns {GitHubInspectOrgs}
+    */
+   const createInspect = (options = {}) =>
+   {
+      return new GitHubInspectOrgs(mockServer.getInspectOptions(Object.assign(
+      {
+         organizations: [{ credential: 'owner-token', owner: 'mock-owner', regex: '^mock' }]
+      }, options)));
+   };
+
+   /**
+    * Test that requests in flight count against the remaining budget.
+    */
+   it('schedule (budget)', () =>
+   {
+      const scheduler = new RateLimitScheduler({ onRateLimit: 'fail' });
+      const reset = `${Math.floor(Date.now() / 1000) + 3600}`;
+
+      const send = (callback) =>
+      {
+         setTimeout(() =>
+         {
+            callback(null, { statusCode: 200, headers: { 'x-ratelimit-limit': '2', 'x-ratelimit-remaining': '1',
+             'x-ratelimit-reset': reset } });
+         }, 10);
+      };
+
+      return new Promise((resolve) => { scheduler.schedule('key', send, resolve); }).then(() =>
+      {
+         assert(scheduler.getRateLimit('key').remaining === 1);
+
+         const results = [];
+
+         return Promise.all([0, 1].map(() =>
+         {
+            return new Promise((resolve) =>
+            {
+               scheduler.schedule('key', send, (err) => { results.push(err); resolve(); });
+            });
+         })).then(() =>
+         {
+            // The second request exceeds the budget as the first request is in flight.
+            assert(results.length === 2);
+            assert(RateLimitScheduler.isRateLimitError(results[0]));
+            assert(results[1] === null);
+            assert(typeof scheduler.getRateLimit('other') === 'undefined');
+         });
+      });
+   });
+
+   /**
+    * Test that `onRateLimit: 'fail'` rejects with a rate limit error containing the results received so far.
+    */
+   it('getOrgRepos (onRateLimit: fail)', () =>
+   {
+      const events = [];
+      const record = (event) => { events.push(event); };
+
+      const githubInspect = createInspect(
+      {
+         logger: { debug: () => {}, error: record, info: record, warn: record },
+         onRateLimit: 'fail'
+      });
+
+      return githubInspect.getOrgRepos().then(() => { throw new Error('Expected rejection.'); }, (err) =>
+      {
+         assert(events.length === 1);
+         assert(events[0].type === 'rate-limit');
+         assert(events[0].action === 'fail');
+         assert(events[0].message === err.message);
+
+         assert(RateLimitScheduler.isRateLimitError(err));
+         assert(err.rateLimit.limit === 1);
+         assert(err.rateLimit.remaining === 0);
+
+         assert(err.partial.raw.length === 1);
+         assert(err.partial.normalized.categories === 'orgs:repos');
+         assert(err.partial.normalized.orgs[0].name === 'mock-org');
+         assert(typeof err.partial.raw[0]._credential === 'undefined');
+      });
+   });
+
+   /**
+    * Test that `onRateLimit: 'wait'` holds requests until the rate limit resets.
+    */
+   it('getOrgRepos (onRateLimit: wait)', () =>
+   {
+      return createInspect().getOrgRepos().then((data) =>
+      {
+         assert(data.normalized.orgs[0].repos.length === 1);
+         assert(data.normalized.orgs[0].repos[0].name === 'mock-repo1');
+      });
+   });
+});
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * A seed with one organization containing one repo.
+ * @type {object}
+ */
+const s_SEED =
+{
+   users: [{ login: 'mock-owner', id: 1, token: 'owner-token' }],
+   orgs:
+   [
+      {
+         login: 'mock-org',
+         id: 10,
+         members: [{ login: 'mock-owner', role: 'admin' }],
+         repos: [{ name: 'mock-repo1', id: 100 }]
+      }
+   ]
+};
@@ -0,0 +1,173 @@
+'use strict';
+
+import { assert }          from 'chai';
+import path                from 'path';
+
+import GitHubInspectOrgs   from '../../src/GitHubInspectOrgs';
+import RequestQueue        from '../../src/RequestQueue';
+import GitHubMockServer    from '../../src/mock/GitHubMockServer';
+import HTTPTransport       from '../../src/transport/HTTPTransport';
+
+/**
+ * Path of the GitHubMockServer seed.
+ * @type {string}
+ */
+const s_MOCK_SEED_PATH = path.resolve(__dirname, '../fixture/github-mock-seed.json');
+
+/**
+ * This series of tests confirm that RequestQueue bounds the tasks in flight and that the GitHubInspectOrgs
+ * `concurrency` option bounds all GitHub API and raw file requests of fan-out queries.
+ *
+ * @test {RequestQueue}
+ */
+describe('RequestQueue', () =>
+{
+   let mockServer;
+
+   before(() =>
+   {
+      mockServer = new GitHubMockServer({ seed: s_MOCK_SEED_PATH });
+
+      return mockServer.start();
+   });
+
+   after(() => { return mockServer.stop(); });
+
+   /**
+    * Creates a GitHubInspectOrgs instance pointed at the mock server sending requests through a transport which counts
+    * the requests in flight.
+    *
+    * @param {object}   options - Additional options.
+    *
+    * @returns {{githubInspect: GitHubInspectOrgs, transport: CountingTransport}}
+    */
+   const createInspect = (options = {}) =>
+   {
+      const transport = new CountingTransport();
+
+      const githubInspect = new GitHubInspectOrgs(mockServer.getInspectOptions(Object.assign(
+      {
+         organizations: [{ credential: 'owner-token', owner: 'typhonjs-test', regex: '^test' }],
+         transport
+      }, options)));
+
+      return { githubInspect, transport };
+   };
+
+   /**
+    * Test that tasks are started in order and no more than `concurrency` tasks are active.
+    */
+   it('enqueue (concurrency)', () =>
+   {
+      const requestQueue = new RequestQueue({ concurrency: 2 });
+      const started = [];
+
+      let maxActive = 0;
+
+      return Promise.all([0, 1, 2, 3, 4].map((index) =>
+      {
+         return new Promise((resolve) =>
+         {
+            requestQueue.enqueue((done) =>
+            {
+               started.push(index);
+               maxActive = Math.max(maxActive, requestQueue.active);
+
+               setTimeout(() => { done(); resolve(); }, 5);
+            });
+         });
+      })).then(() =>
+      {
+         assert(maxActive === 2);
+         assert(started.join(',') === '0,1,2,3,4');
+         assert(requestQueue.active === 0);
+         assert(requestQueue.pending === 0);
+      });
+   });
+
+   /**
+    * Test that the constructor `concurrency` option bounds the stats requests of all repos.
+    */
+   it('getOrgRepoStats (concurrency)', () =>
+   {
+      const { githubInspect, transport } = createInspect({ concurrency: 2 });
+
+      return githubInspect.getOrgRepoStats({ categories: ['all'] }).then((data) =>
+      {
+         assert(data.normalized.orgs.length === 2);
+         assert(transport.requests > 20);
+         assert(transport.maxActive === 2);
+      });
+   });
+
+   /**
+    * Test that the per-call `concurrency` option bounds the raw file requests.
+    */
+   it('getOrgRepos (per-call concurrency / repoFiles)', () =>
+   {
+      const { githubInspect, transport } = createInspect();
+
+      return githubInspect.getOrgRepos({ concurrency: 1, repoFiles: ['package.json'] }).then((data) =>
+      {
+         assert(data.normalized.orgs[0].repos[0].repo_files['package.json'].statusCode === 200);
+         assert(transport.maxActive === 1);
+      });
+   });
+});
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Provides a transport which sends requests through HTTPTransport and counts the requests in flight.
+ */
+class CountingTransport
+{
+   /**
+    * Initializes the counters.
+    */
+   constructor()
+   {
+      /**
+       * Requests in flight.
+       * @type {number}
+       */
+      this.active = 0;
+
+      /**
+       * Maximum requests in flight.
+       * @type {number}
+       */
+      this.maxActive = 0;
+
+      /**
+       * Total requests sent.
+       * @type {number}
+       */
+      this.requests = 0;
+
+      /**
+       * The transport sending the requests.
+       * @type {HTTPTransport}
+       */
+      this.transport = new HTTPTransport();
+   }
+
+   /**
+    * Sends a request through HTTPTransport.
+    *
+    * @param {object}   requestOptions - A transport request options hash.
+    * @param {function} callback - Invoked with `(err, response)`.
+    */
+   request(requestOptions, callback)
+   {
+      this.active++;
+      this.requests++;
+      this.maxActive = Math.max(this.maxActive, this.active);
+
+      this.transport.request(requestOptions, (err, response) =>
+      {
+         this.active--;
+         callback(err, response);
+      });
+   }
+}
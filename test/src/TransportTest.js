@@ -0,0 +1,217 @@
+'use strict';
+
+import { assert }          from 'chai';
+import fs                  from 'fs';
+import os                  from 'os';
+import path                from 'path';
+import url                 from 'url';
+
+import GitHubInspectOrgs   from '../../src/GitHubInspectOrgs';
+import RecordTransport     from '../../src/transport/RecordTransport';
+import ReplayTransport     from '../../src/transport/ReplayTransport';
+
+/**
+ * This series of tests confirm that GitHubInspectOrgs sends all requests through the provided transport and that
+ * `RecordTransport` / `ReplayTransport` record and serve back request / response pairs without storing credentials.
+ *
+ * @test {RecordTransport}
+ * @test {ReplayTransport}
+ */
+describe('Transport', () =>
+{
+   const cassettePath = path.join(os.tmpdir(), `typhonjs-github-inspect-orgs-cassette-${process.pid}.json`);
+
+   after(() =>
+   {
+      try { fs.unlinkSync(cassettePath); }
+      catch (err) { /* ... */ }
+   });
+
+   /**
+    * Test that `getOrgs` queries through a transport walking all pages.
+    */
+   it('getOrgs (transport / pagination)', () =>
+   {
+      const transport = new FakeTransport();
+
+      const githubInspect = new GitHubInspectOrgs(
+      {
+         organizations: [{ credential: 'owner-token', owner: 'typhonjs-test', regex: '^test' }],
+         perPage: 2,
+         transport
+      });
+
+      return githubInspect.getOrgs().then((data) =>
+      {
+         assert(data.normalized.orgs.length === 3);
+         assert(data.normalized.orgs[2].name === 'test-org3');
+
+         // The rate limit check followed by two pages of organizations.
+         assert(transport.requests.length === 3);
+         assert(transport.requests[0].headers.authorization === 'token owner-token');
+      });
+   });
+
+   /**
+    * Test that `getOrgRepos` downloads repo files through the transport.
+    */
+   it('getOrgRepos (transport / repoFiles)', () =>
+   {
+      const githubInspect = new GitHubInspectOrgs(
+      {
+         organizations: [{ credential: 'owner-token', owner: 'typhonjs-test', regex: '^test' }],
+         transport: new FakeTransport()
+      });
+
+      return githubInspect.getOrgRepos({ repoFiles: ['package.json'] }).then((data) =>
+      {
+         const repo = data.normalized.orgs[0].repos[0];
+
+         assert(repo.name === 'test-repo1');
+         assert(repo.repo_files['package.json'].statusCode === 200);
+         assert(repo.repo_files['package.json'].body === '{"name":"test-repo1"}');
+      });
+   });
+
+   /**
+    * Test recording a cassette and replaying it with a placeholder credential sharing the same alias.
+    */
+   it('RecordTransport / ReplayTransport', () =>
+   {
+      const exitListeners = process.listenerCount('exit');
+
+      const recordTransport = new RecordTransport(
+      {
+         cassette: cassettePath,
+         transport: new FakeTransport(),
+         aliases: { 'owner-token': 'owner' }
+      });
+
+      const recordInspect = new GitHubInspectOrgs(
+      {
+         organizations: [{ credential: 'owner-token', owner: 'typhonjs-test', regex: '^test' }],
+         transport: recordTransport
+      });
+
+      return recordInspect.getOrgRepos().then((recorded) =>
+      {
+         // The cassette file is only written by `save` or on exit.
+         assert(!fs.existsSync(cassettePath));
+         assert(process.listenerCount('exit') === exitListeners + 1);
+
+         recordTransport.save();
+
+         assert(process.listenerCount('exit') === exitListeners);
+
+         const cassette = fs.readFileSync(cassettePath, 'utf-8');
+
+         // Credentials are never stored.
+         assert(cassette.indexOf('owner-token') < 0);
+
+         const replayInspect = new GitHubInspectOrgs(
+         {
+            organizations: [{ credential: 'placeholder', owner: 'typhonjs-test', regex: '^test' }],
+            transport: new ReplayTransport({ cassette: cassettePath, aliases: { placeholder: 'owner' } })
+         });
+
+         return replayInspect.getOrgRepos().then((replayed) =>
+         {
+            delete recorded.normalized.timestamp;
+            delete replayed.normalized.timestamp;
+
+            assert(JSON.stringify(recorded.normalized) === JSON.stringify(replayed.normalized));
+         });
+      });
+   });
+
+   /**
+    * Test that replaying an unknown credential fails.
+    */
+   it('ReplayTransport (unknown credential)', () =>
+   {
+      const replayInspect = new GitHubInspectOrgs(
+      {
+         organizations: [{ credential: 'unknown', owner: 'typhonjs-test', regex: '^test' }],
+         transport: new ReplayTransport({ cassette: cassettePath })
+      });
+
+      return replayInspect.getOrgs().then(() => { throw new Error('Expected rejection.'); }, (err) =>
+      {
+         assert(String(err).indexOf('no recorded response') >= 0);
+      });
+   });
+});
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Provides a transport serving canned responses for the `typhonjs-test` owner.
+ */
+class FakeTransport
+{
+   /**
+    * Initializes the requests array.
+    */
+   constructor()
+   {
+      /**
+       * All requests received.
+       * @type {Array<object>}
+       */
+      this.requests = [];
+   }
+
+   /**
+    * Serves a canned response.
+    *
+    * @param {object}   requestOptions - A transport request options hash.
+    * @param {function} callback - Invoked with `(err, response)`.
+    */
+   request(requestOptions, callback)
+   {
+      this.requests.push(requestOptions);
+
+      const parsedURL = url.parse(requestOptions.url, true);
+      const headers = { 'content-type': 'application/json; charset=utf-8' };
+
+      let body;
+
+      switch (parsedURL.pathname)
+      {
+         case '/rate_limit':
+            body = { resources: { core: { limit: 5000, remaining: 4999, reset: 0 } } };
+            break;
+
+         case '/users/typhonjs-test/orgs':
+            if (parsedURL.query.page === '1' && parsedURL.query.per_page === '2')
+            {
+               body = [{ login: 'test-org1', id: 1 }, { login: 'test-org2', id: 2 }];
+               headers.link = '<https://api.github.com/users/typhonjs-test/orgs?page=2&per_page=2>; rel="next"';
+            }
+            else if (parsedURL.query.page === '2')
+            {
+               body = [{ login: 'test-org3', id: 3 }, { login: 'other-org', id: 4 }];
+            }
+            else
+            {
+               body = [{ login: 'test-org1', id: 1 }];
+            }
+            break;
+
+         case '/orgs/test-org1/repos':
+            body = [{ name: 'test-repo1', full_name: 'test-org1/test-repo1', default_branch: 'master' }];
+            break;
+
+         case '/test-org1/test-repo1/master/package.json':
+            headers['content-type'] = 'text/plain; charset=utf-8';
+            body = '{"name":"test-repo1"}';
+            break;
+      }
+
+      process.nextTick(() =>
+      {
+         callback(null, typeof body === 'undefined' ? { statusCode: 404, headers, body: '{}' } :
+          { statusCode: 200, headers, body: typeof body === 'string' ? body : JSON.stringify(body) });
+      });
+   }
+}